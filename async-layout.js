@@ -0,0 +1,281 @@
+/**
+ * Layout off the main thread
+ * computeLayout runs in a worker (see layout-worker.js): a module Web Worker in the browsers, a worker_threads worker in Node,
+ * so the rendering stays responsive while the crossings of large graphs are reduced
+ * - the progress of the layout is reported with its phase, iteration and current crossing count (see the onProgress option of computeLayout)
+ * - an AbortSignal cancels the layout: the worker is terminated, the promise is rejected with the reason of the signal
+ * - a time budget stops the iterative algorithms when it runs out, the best layout found so far is delivered
+ *   (the steps finishing the layouts still run, e.g. the removal of the overlaps, so it may come a little later)
+ * The graph is sent in the JSON graph format, with its attributes, and the options of the layout are copied to the worker,
+ * so they cannot contain functions
+ */
+
+import { GraphModel } from "./graph-model.js";
+import { toJSONGraph } from "./json-graph.js";
+import { shareAttributes } from "./attributes.js";
+import {
+    DuplicateEdgeError,
+    GraphError,
+    InvalidAdjacencyListError,
+    InvalidArgumentError,
+    InvalidNodeError,
+    UnknownEdgeError,
+    UnknownNodeError,
+} from "./errors.js";
+import { assertAdjacencyList } from "./validation.js";
+
+
+// the errors thrown in the worker are rebuilt with their class
+const ERROR_CLASSES = new Map([
+    DuplicateEdgeError,
+    GraphError,
+    InvalidAdjacencyListError,
+    InvalidArgumentError,
+    InvalidNodeError,
+    UnknownEdgeError,
+    UnknownNodeError,
+].map(ErrorClass => [ErrorClass.name, ErrorClass]));
+
+// the worker_threads module in Node, which has no Web Workers
+const workerThreads = typeof Worker === "undefined" ? await import("node:worker_threads") : null;
+
+
+const DEFAULT_OPTIONS = {
+    // the options of computeLayout (algorithm, routing, previous...)
+    layout: {},
+    // called with { phase, component, components, algorithm, iteration, iterations, crossings, elapsed } while the layout is computed
+    onProgress: null,
+    // the minimal time in milliseconds between two progress reports of the same phase
+    progressInterval: 50,
+    // an AbortSignal cancelling the layout
+    signal: null,
+    // the time in milliseconds after which the best layout found so far is delivered, null for none
+    timeBudget: null,
+};
+
+
+/**
+ * Computes the layout of a graph in a worker of its own, terminated at the end
+ * @param {object|GraphModel} graph - the adjacency list of the graph, or a graph model
+ * @param {object} options - see DEFAULT_OPTIONS (optional)
+ * @returns {Promise<object>} - the layout (see computeLayout), with timedOut true when the time budget ran out
+ */
+export async function computeLayoutAsync(graph, options = {}) {
+    const worker = new LayoutWorker();
+    try {
+        return await worker.layout(graph, options);
+    } finally {
+        worker.terminate();
+    }
+}
+
+
+/**
+ * A worker computing layouts one after the other, kept between the layouts (e.g. for the relayouts of an editor)
+ * The worker is started on the first layout, and started again after a layout is cancelled
+ */
+export class LayoutWorker {
+    constructor() {
+        this.worker = null;
+        // the layouts waiting for the worker, and the one it computes
+        this.queue = [];
+        this.job = null;
+        this.nextId = 0;
+    }
+
+    /**
+     * Computes the layout of a graph, after the layouts asked before
+     * @param {object|GraphModel} graph - the adjacency list of the graph, or a graph model
+     * @param {object} options - see DEFAULT_OPTIONS (optional)
+     * @returns {Promise<object>} - the layout (see computeLayout), with timedOut true when the time budget ran out,
+     * rejected with an InvalidAdjacencyListError if the graph is not a valid adjacency list
+     */
+    layout(graph, options = {}) {
+        options = { ...DEFAULT_OPTIONS, ...options };
+        for (const key in options.layout) {
+            if (typeof options.layout[key] === "function") {
+                return Promise.reject(new InvalidArgumentError(`The option ${key} of a layout in a worker cannot be a function`));
+            }
+        }
+        const adjList = getAdjacencyList(graph);
+        try {
+            assertAdjacencyList(adjList);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+        const { signal } = options;
+        if (signal?.aborted) {
+            return Promise.reject(signal.reason);
+        }
+        return new Promise((resolve, reject) => {
+            const job = {
+                message: {
+                    id: this.nextId++,
+                    graph: toJSONGraph(adjList),
+                    options: options.layout,
+                    timeBudget: options.timeBudget,
+                    progressInterval: options.progressInterval,
+                },
+                onProgress: options.onProgress,
+                resolve,
+                reject,
+            };
+            if (signal) {
+                job.abort = () => this.cancel(job, signal.reason);
+                signal.addEventListener("abort", job.abort, { once: true });
+                job.signal = signal;
+            }
+            this.queue.push(job);
+            this.next();
+        });
+    }
+
+    /**
+     * Stops the worker, the layouts not computed yet are rejected
+     */
+    terminate() {
+        const jobs = this.job ? [this.job, ...this.queue] : this.queue;
+        this.job = null;
+        this.queue = [];
+        this.stopWorker();
+        for (const job of jobs) {
+            this.finish(job);
+            job.reject(new Error("The layout worker was terminated"));
+        }
+    }
+
+    /**
+     * Sends the next layout to the worker
+     */
+    next() {
+        if (this.job || this.queue.length === 0) {
+            return;
+        }
+        this.job = this.queue.shift();
+        if (!this.worker) {
+            this.startWorker();
+        }
+        this.worker.ref?.();
+        this.worker.postMessage(this.job.message);
+    }
+
+    startWorker() {
+        const worker = createWorker();
+        // the messages and the errors of a terminated worker are ignored
+        const current = () => this.worker === worker;
+        listen(worker, (data) => current() && this.receive(data), (error) => current() && this.fail(error));
+        this.worker = worker;
+    }
+
+    stopWorker() {
+        this.worker?.terminate();
+        this.worker = null;
+    }
+
+    receive(data) {
+        const job = this.job;
+        if (!job || data.id !== job.message.id) {
+            return;
+        }
+        if (data.type === "progress") {
+            job.onProgress?.(data.progress);
+            return;
+        }
+        this.job = null;
+        // an idle worker does not keep Node running
+        this.worker.unref?.();
+        this.finish(job);
+        if (data.type === "result") {
+            job.resolve({ ...data.layout, timedOut: data.timedOut });
+        } else {
+            job.reject(rebuildError(data.error));
+        }
+        this.next();
+    }
+
+    /**
+     * The worker failed (e.g. its script could not be loaded), the current layout is rejected
+     */
+    fail(error) {
+        const job = this.job;
+        this.job = null;
+        this.stopWorker();
+        if (job) {
+            this.finish(job);
+            job.reject(error);
+        }
+        this.next();
+    }
+
+    /**
+     * Cancels a layout, the worker is terminated if it is computing it
+     */
+    cancel(job, reason) {
+        if (this.job === job) {
+            this.job = null;
+            this.stopWorker();
+        } else {
+            this.queue = this.queue.filter(other => other !== job);
+        }
+        this.finish(job);
+        job.reject(reason);
+        this.next();
+    }
+
+    finish(job) {
+        job.signal?.removeEventListener("abort", job.abort);
+    }
+}
+
+
+/**
+ * Starts a worker running layout-worker.js, a module Web Worker in the browsers and a worker_threads worker in Node
+ */
+function createWorker() {
+    const url = new URL("./layout-worker.js", import.meta.url);
+    return workerThreads ? new workerThreads.Worker(url) : new Worker(url, { type: "module" });
+}
+
+
+/**
+ * Listens to the messages and the errors of a worker
+ * @param {object} worker - the worker
+ * @param {function} onMessage - called with the data of the messages
+ * @param {function} onError - called with the errors, and when the worker stops by itself
+ */
+function listen(worker, onMessage, onError) {
+    if (workerThreads) {
+        worker.on("message", onMessage);
+        worker.on("error", onError);
+        worker.on("exit", (code) => onError(new Error(`The layout worker stopped with the exit code ${code}`)));
+        return;
+    }
+    worker.addEventListener("message", (event) => onMessage(event.data));
+    worker.addEventListener("error", (event) => {
+        event.preventDefault();
+        onError(event.error ?? new Error(event.message));
+    });
+}
+
+
+/**
+ * Rebuilds an error of the worker: the errors of errors.js get their class back (with their issues, node or edge),
+ * the other ones are errors with the name of theirs
+ * @param {object} error - the error as sent by the worker, { name, message, properties }
+ * @returns {Error} - the error
+ */
+function rebuildError({ name, message, properties = {} }) {
+    const ErrorClass = ERROR_CLASSES.get(name) ?? Error;
+    // the constructors of the classes build their messages, the message of the worker is kept
+    const error = Reflect.construct(Error, [message], ErrorClass);
+    return Object.assign(error, properties, { name });
+}
+
+
+function getAdjacencyList(graph) {
+    if (!(graph instanceof GraphModel)) {
+        return graph;
+    }
+    const components = graph.components;
+    return components.length > 0 ? shareAttributes(components[0], Object.assign({}, ...components)) : {};
+}
@@ -0,0 +1,196 @@
+/**
+ * Attributes of the nodes and edges of a graph (label, type, width, height, weight...)
+ * The adjacency lists stay plain {node: [neighbors]} objects: the attributes are kept in a store associated
+ * with the adjacency list. The adjacency lists derived from a graph (its components, the merged components...)
+ * share the store of the graph, so the attributes follow the nodes and edges through these operations
+ * The node ids are converted to strings, as the keys of the adjacency lists
+ *
+ * Attributes used by the layouts and the rendering:
+ * - nodes: label (defaults to the id), type, width and height
+ * - edges: label, type and weight
+ */
+
+
+export const DEFAULT_NODE_SIZE = {
+    width: 40,
+    height: 40,
+};
+
+
+const stores = new WeakMap();
+
+
+export class AttributeStore {
+    constructor() {
+        this.nodes = new Map();
+        this.edges = new Map();
+    }
+
+    getNode(node) {
+        return this.nodes.get(String(node)) || {};
+    }
+
+    /**
+     * Sets attributes of a node, the other attributes of the node are kept
+     * @param {string} node - the node
+     * @param {object} attributes - the attributes to set
+     */
+    setNode(node, attributes) {
+        this.nodes.set(String(node), { ...this.getNode(node), ...attributes });
+    }
+
+    deleteNode(node) {
+        this.nodes.delete(String(node));
+    }
+
+    getEdge(source, target) {
+        return this.edges.get(edgeKey(source, target)) || {};
+    }
+
+    /**
+     * Sets attributes of a directed edge, the other attributes of the edge are kept
+     * @param {string} source - the source of the edge
+     * @param {string} target - the target of the edge
+     * @param {object} attributes - the attributes to set
+     */
+    setEdge(source, target, attributes) {
+        this.edges.set(edgeKey(source, target), { ...this.getEdge(source, target), ...attributes });
+    }
+
+    deleteEdge(source, target) {
+        this.edges.delete(edgeKey(source, target));
+    }
+
+    /**
+     * Copies the attributes of another store, they replace the attributes of the same nodes and edges
+     * @param {AttributeStore} store - the store to copy
+     */
+    merge(store) {
+        for (const [node, attributes] of store.nodes) {
+            this.nodes.set(node, attributes);
+        }
+        for (const [key, attributes] of store.edges) {
+            this.edges.set(key, attributes);
+        }
+    }
+}
+
+
+/**
+ * Returns the attribute store of an adjacency list, an empty store is associated with it if it has none
+ * @param {object} adjList - the adjacency list
+ * @returns {AttributeStore} - the store of the adjacency list
+ */
+export function getAttributeStore(adjList) {
+    if (!stores.has(adjList)) {
+        stores.set(adjList, new AttributeStore());
+    }
+    return stores.get(adjList);
+}
+
+
+export function hasAttributeStore(adjList) {
+    return stores.has(adjList);
+}
+
+
+export function setAttributeStore(adjList, store) {
+    stores.set(adjList, store);
+}
+
+
+/**
+ * Makes an adjacency list derived from another one share its attributes
+ * @param {object} source - the adjacency list that has the attributes
+ * @param {object} target - the derived adjacency list
+ * @returns {object} - the target
+ */
+export function shareAttributes(source, target) {
+    stores.set(target, getAttributeStore(source));
+    return target;
+}
+
+
+/**
+ * Gives a copy of the attributes of the sources to the target, the attributes of the target are kept
+ * Used when adjacency lists are copied or merged
+ * @param {object} target - the adjacency list receiving the attributes
+ * @param {...object} sources - the adjacency lists whose attributes are copied
+ * @returns {object} - the target
+ */
+export function copyAttributes(target, ...sources) {
+    const store = getAttributeStore(target);
+    for (const source of sources) {
+        if (stores.has(source) && stores.get(source) !== store) {
+            store.merge(stores.get(source));
+        }
+    }
+    return target;
+}
+
+
+/**
+ * Returns the attributes of a node
+ * @param {object} adjList - the adjacency list of the graph
+ * @param {string} node - the node
+ * @returns {object} - a copy of the attributes of the node (empty if it has none)
+ */
+export function getNodeAttributes(adjList, node) {
+    return stores.has(adjList) ? { ...stores.get(adjList).getNode(node) } : {};
+}
+
+
+/**
+ * Sets attributes of a node, the other attributes of the node are kept
+ * @param {object} adjList - the adjacency list of the graph
+ * @param {string} node - the node
+ * @param {object} attributes - the attributes to set
+ */
+export function setNodeAttributes(adjList, node, attributes) {
+    getAttributeStore(adjList).setNode(node, attributes);
+}
+
+
+/**
+ * Returns the attributes of a directed edge
+ * @param {object} adjList - the adjacency list of the graph
+ * @param {string} source - the source of the edge
+ * @param {string} target - the target of the edge
+ * @returns {object} - a copy of the attributes of the edge (empty if it has none)
+ */
+export function getEdgeAttributes(adjList, source, target) {
+    return stores.has(adjList) ? { ...stores.get(adjList).getEdge(source, target) } : {};
+}
+
+
+/**
+ * Sets attributes of a directed edge, the other attributes of the edge are kept
+ * @param {object} adjList - the adjacency list of the graph
+ * @param {string} source - the source of the edge
+ * @param {string} target - the target of the edge
+ * @param {object} attributes - the attributes to set
+ */
+export function setEdgeAttributes(adjList, source, target, attributes) {
+    getAttributeStore(adjList).setEdge(source, target, attributes);
+}
+
+
+/**
+ * Returns the size of a node, from its width and height attributes
+ * @param {object} adjList - the adjacency list of the graph
+ * @param {string} node - the node
+ * @param {object} defaults - { width, height } used when the node has no size attributes (optional)
+ * @returns {object} - { width, height }
+ */
+export function getNodeSize(adjList, node, defaults = DEFAULT_NODE_SIZE) {
+    const attributes = stores.has(adjList) ? stores.get(adjList).getNode(node) : {};
+    return {
+        width: attributes.width ?? defaults.width,
+        height: attributes.height ?? defaults.height,
+    };
+}
+
+
+function edgeKey(source, target) {
+    return JSON.stringify([String(source), String(target)]);
+}
@@ -0,0 +1,525 @@
+/**
+ * Clustering of large graphs (README 4.2 and 4.3)
+ * The graphs are split into clusters of densely connected nodes, so that every cluster can be laid out on its own
+ * and the clusters arranged afterwards
+ *
+ * - louvain: modularity optimization. Every node moves to the cluster of a neighbor when it increases the modularity,
+ *   then the clusters become the nodes of a smaller graph and the process starts again. Every pass gives a level of the hierarchy
+ * - spectral: recursive spectral bisection. A cluster is split in two halves at the median of its Fiedler vector
+ *   (the eigenvector of the second smallest eigenvalue of its Laplacian, computed by power iteration),
+ *   until the clusters have at most maxClusterSize nodes
+ *
+ * The edges are undirected, weighted by their weight attribute (1 by default)
+ * The hierarchy is a tree of clusters { id, nodes, children }: the root has all the nodes, the leaves are the finest clusters
+ */
+
+import { getAllNodes } from "./layered.js";
+import { createRandom, computeForceLayout } from "./force.js";
+import { getEdgeAttributes, getNodeAttributes, setNodeAttributes, shareAttributes } from "./attributes.js";
+import { getBoundingBox } from "./metrics.js";
+import { InvalidArgumentError } from "./errors.js";
+import { assertAdjacencyList } from "./validation.js";
+
+
+export const DEFAULT_CLUSTERING_OPTIONS = {
+    // "louvain" or "spectral"
+    method: "louvain",
+    // louvain: above 1 gives smaller clusters, below 1 larger ones
+    resolution: 1,
+    // the order in which the nodes are moved (louvain) and the initial vector (spectral)
+    seed: 1,
+    // spectral: the clusters are split until they have at most this number of nodes, or are maxDepth deep
+    maxClusterSize: 50,
+    maxDepth: 8,
+    // spectral: the power iteration stops after this number of iterations, or when the vector changes less than the tolerance
+    spectralIterations: 1000,
+    spectralTolerance: 1e-6,
+};
+
+
+const DEFAULT_LAYOUT_OPTIONS = {
+    // the space around the layout of every cluster
+    clusterPadding: 20,
+    // lays out a cluster: (adjList, options) => { nodes, edges }
+    layoutCluster: computeForceLayout,
+};
+
+
+/**
+ * Returns the cluster hierarchy of a graph
+ * @param {object} adjList - the adjacency list of the graph (e.g. a connected component)
+ * @param {object} options - see DEFAULT_CLUSTERING_OPTIONS (optional)
+ * @returns {object} - the root cluster { id, nodes, children, modularity }, every cluster is { id, nodes, children }
+ * and modularity is the one of the clusters of the root
+ */
+export function clusterGraph(adjList, options = {}) {
+    assertAdjacencyList(adjList);
+    options = { ...DEFAULT_CLUSTERING_OPTIONS, ...options };
+    let root;
+    if (options.method === "louvain") {
+        root = buildLouvainHierarchy(adjList, louvain(adjList, options).levels);
+    } else if (options.method === "spectral") {
+        root = buildSpectralHierarchy(adjList, options);
+    } else {
+        throw new InvalidArgumentError(`Unknown clustering method: ${options.method}`);
+    }
+    const partition = {};
+    (root.children.length > 0 ? root.children : [root]).forEach((cluster, index) => {
+        for (const node of cluster.nodes) {
+            partition[node] = index;
+        }
+    });
+    root.modularity = getModularity(adjList, partition, options.resolution);
+    return root;
+}
+
+
+/**
+ * Louvain modularity optimization
+ * @param {object} adjList - the adjacency list of the graph
+ * @param {object} options - { resolution, seed } (optional)
+ * @returns {object} - { levels: the partitions of the passes, from the finest to the coarsest, as {node: cluster index}, modularity: the modularity of the coarsest }
+ */
+export function louvain(adjList, options = {}) {
+    assertAdjacencyList(adjList);
+    options = { ...DEFAULT_CLUSTERING_OPTIONS, ...options };
+    const random = createRandom(options.seed);
+    const { nodes, graph } = buildWeightedGraph(adjList);
+
+    let current = graph;
+    // the community of every original node in the current graph
+    let membership = nodes.map((node, index) => index);
+    const levels = [];
+    while (true) {
+        const communities = moveNodes(current, options.resolution, random);
+        const count = communities.reduce((max, community) => Math.max(max, community), -1) + 1;
+        if (count === current.adjacency.length) {
+            break;
+        }
+        membership = membership.map(community => communities[community]);
+        levels.push(Object.fromEntries(nodes.map((node, index) => [node, membership[index]])));
+        current = aggregateGraph(current, communities, count);
+    }
+    if (levels.length === 0) {
+        // no move: every node is its own cluster
+        levels.push(Object.fromEntries(nodes.map((node, index) => [node, index])));
+    }
+    return { levels, modularity: getModularity(adjList, levels[levels.length - 1], options.resolution) };
+}
+
+
+/**
+ * Splits a graph in two halves at the median of its Fiedler vector
+ * @param {object} adjList - the adjacency list of the graph
+ * @param {object} options - { seed, spectralIterations, spectralTolerance } (optional)
+ * @returns {string[][]} - the nodes of the two halves
+ */
+export function spectralBisection(adjList, options = {}) {
+    assertAdjacencyList(adjList);
+    options = { ...DEFAULT_CLUSTERING_OPTIONS, ...options };
+    const { nodes, graph } = buildWeightedGraph(adjList);
+    if (nodes.length < 2) {
+        return [nodes, []];
+    }
+    const vector = getFiedlerVector(graph, options);
+    const order = nodes.map((node, index) => index).sort((a, b) => vector[a] - vector[b] || a - b);
+    const half = Math.floor(order.length / 2);
+    return [order.slice(0, half).map(index => nodes[index]), order.slice(half).map(index => nodes[index])];
+}
+
+
+/**
+ * Returns the modularity of a partition of a graph
+ * @param {object} adjList - the adjacency list of the graph
+ * @param {object} partition - the cluster of every node as {node: cluster}
+ * @param {number} resolution - the resolution (optional)
+ * @returns {number} - the modularity, in [-0.5, 1]
+ */
+export function getModularity(adjList, partition, resolution = 1) {
+    assertAdjacencyList(adjList);
+    const { nodes, graph } = buildWeightedGraph(adjList);
+    const total = graph.degrees.reduce((sum, degree) => sum + degree, 0);
+    if (total === 0) {
+        return 0;
+    }
+    const inside = new Map();
+    const degrees = new Map();
+    nodes.forEach((node, i) => {
+        const cluster = partition[node];
+        degrees.set(cluster, (degrees.get(cluster) || 0) + graph.degrees[i]);
+        let weight = 2 * graph.loops[i];
+        for (const [j, w] of graph.adjacency[i]) {
+            if (partition[nodes[j]] === cluster) {
+                weight += w;
+            }
+        }
+        inside.set(cluster, (inside.get(cluster) || 0) + weight);
+    });
+    let modularity = 0;
+    for (const [cluster, degree] of degrees) {
+        modularity += inside.get(cluster) / total - resolution * (degree / total) ** 2;
+    }
+    return modularity;
+}
+
+
+/**
+ * Returns the clusters of a hierarchy at a depth, the leaves above this depth are kept as they are
+ * @param {object} hierarchy - the root cluster
+ * @param {number} depth - the depth, 1 for the clusters of the root (optional, the leaves by default)
+ * @returns {object[]} - the clusters
+ */
+export function getClusters(hierarchy, depth = Infinity) {
+    const clusters = [];
+    const stack = [[hierarchy, 0]];
+    while (stack.length > 0) {
+        const [cluster, level] = stack.pop();
+        if (level === depth || cluster.children.length === 0) {
+            clusters.push(cluster);
+        } else {
+            for (let i = cluster.children.length - 1; i >= 0; i--) {
+                stack.push([cluster.children[i], level + 1]);
+            }
+        }
+    }
+    return clusters;
+}
+
+
+/**
+ * Lays out a graph cluster by cluster
+ * Every cluster of the root of the hierarchy is laid out on its own, then the clusters are placed by a force-directed
+ * layout of the graph of the clusters (the clusters are its nodes, with the size of their layouts) and the edges
+ * between the clusters are drawn straight
+ * @param {object} adjList - the adjacency list of the graph
+ * @param {object} options - see DEFAULT_CLUSTERING_OPTIONS and DEFAULT_LAYOUT_OPTIONS, the other options are given
+ * to the layouts of the clusters (optional)
+ * @returns {object} - { nodes: {id: {..., cluster}}, edges: [{source, target, points, reversed, attributes}], clusters: [{id, nodes, x, y, width, height}], hierarchy }
+ * where cluster is the index of the cluster of a node, and x and y of a cluster are the top left corner of its box
+ */
+export function computeClusteredLayout(adjList, options = {}) {
+    assertAdjacencyList(adjList);
+    options = { ...DEFAULT_CLUSTERING_OPTIONS, ...DEFAULT_LAYOUT_OPTIONS, ...options };
+    const hierarchy = clusterGraph(adjList, options);
+    const clusters = hierarchy.children.length > 0 ? hierarchy.children : [hierarchy];
+    const clusterOf = new Map();
+    clusters.forEach((cluster, index) => cluster.nodes.forEach(node => clusterOf.set(node, index)));
+
+    // the layout of every cluster, on its own
+    const layouts = clusters.map(cluster => {
+        const subgraph = {};
+        for (const node of cluster.nodes) {
+            subgraph[node] = (adjList[node] || []).filter(neighbor => clusterOf.get(neighbor) === clusterOf.get(node));
+        }
+        shareAttributes(adjList, subgraph);
+        const layout = options.layoutCluster(subgraph, options);
+        return { layout, box: getBoundingBox(layout.nodes, layout.edges) };
+    });
+
+    // the graph of the clusters, the clusters take the size of their layouts
+    const quotient = {};
+    clusters.forEach((cluster, index) => {
+        quotient[index] = [];
+    });
+    for (const source in adjList) {
+        for (const target of adjList[source]) {
+            const a = clusterOf.get(source);
+            const b = clusterOf.get(target);
+            if (a !== b && !quotient[a].includes(String(b))) {
+                quotient[a].push(String(b));
+            }
+        }
+    }
+    layouts.forEach(({ box }, index) => {
+        setNodeAttributes(quotient, String(index), {
+            width: box.width + 2 * options.clusterPadding,
+            height: box.height + 2 * options.clusterPadding,
+        });
+    });
+    const arrangement = clusters.length > 1
+        ? computeForceLayout(quotient, { seed: options.seed, nodeSpacing: 0 })
+        : { nodes: { 0: { x: layouts[0].box.width / 2, y: layouts[0].box.height / 2 } } };
+
+    const nodes = {};
+    const edges = [];
+    const boxes = layouts.map(({ layout, box }, index) => {
+        const center = arrangement.nodes[index];
+        const dx = center.x - (box.x + box.width / 2);
+        const dy = center.y - (box.y + box.height / 2);
+        for (const node in layout.nodes) {
+            nodes[node] = { ...layout.nodes[node], x: layout.nodes[node].x + dx, y: layout.nodes[node].y + dy, cluster: index };
+        }
+        for (const edge of layout.edges) {
+            edges.push({ ...edge, points: edge.points.map(({ x, y }) => ({ x: x + dx, y: y + dy })) });
+        }
+        return { x: box.x + dx, y: box.y + dy, width: box.width, height: box.height };
+    });
+    for (const source in adjList) {
+        for (const target of adjList[source]) {
+            if (clusterOf.get(source) !== clusterOf.get(target)) {
+                edges.push({
+                    source,
+                    target,
+                    points: [{ x: nodes[source].x, y: nodes[source].y }, { x: nodes[target].x, y: nodes[target].y }],
+                    reversed: false,
+                    attributes: getEdgeAttributes(adjList, source, target),
+                });
+            }
+        }
+    }
+
+    // the layout starts at (0, 0)
+    const { x: minX, y: minY } = getBoundingBox(nodes, edges);
+    for (const node in nodes) {
+        nodes[node].x -= minX;
+        nodes[node].y -= minY;
+        nodes[node].attributes = nodes[node].attributes ?? getNodeAttributes(adjList, node);
+    }
+    for (const edge of edges) {
+        edge.points = edge.points.map(({ x, y }) => ({ x: x - minX, y: y - minY }));
+    }
+    return {
+        nodes,
+        edges,
+        clusters: clusters.map((cluster, index) => ({
+            id: cluster.id,
+            nodes: cluster.nodes,
+            x: boxes[index].x - minX,
+            y: boxes[index].y - minY,
+            width: boxes[index].width,
+            height: boxes[index].height,
+        })),
+        hierarchy,
+    };
+}
+
+
+/**
+ * Builds the undirected weighted graph of an adjacency list
+ * @returns {object} - { nodes, graph: { adjacency: the [neighbor, weight] pairs of every node, loops: the weights of the self loops, degrees } }
+ */
+function buildWeightedGraph(adjList) {
+    const nodes = getAllNodes(adjList);
+    const index = new Map(nodes.map((node, i) => [node, i]));
+    const weights = nodes.map(() => new Map());
+    const loops = new Float64Array(nodes.length);
+    for (const source in adjList) {
+        for (const target of adjList[source]) {
+            const weight = Number(getEdgeAttributes(adjList, source, target).weight ?? 1);
+            const i = index.get(source);
+            const j = index.get(target);
+            if (i === j) {
+                loops[i] += weight;
+            } else {
+                weights[i].set(j, (weights[i].get(j) || 0) + weight);
+                weights[j].set(i, (weights[j].get(i) || 0) + weight);
+            }
+        }
+    }
+    return { nodes, graph: createWeightedGraph(weights.map(map => [...map]), loops) };
+}
+
+
+function createWeightedGraph(adjacency, loops) {
+    const degrees = adjacency.map((neighbors, i) => neighbors.reduce((sum, [, weight]) => sum + weight, 2 * loops[i]));
+    return { adjacency, loops, degrees };
+}
+
+
+/**
+ * First phase of a Louvain pass: moves the nodes to the clusters of their neighbors while the modularity increases
+ * @returns {number[]} - the cluster of every node, numbered from 0 in the order of the nodes
+ */
+function moveNodes(graph, resolution, random) {
+    const { adjacency, degrees } = graph;
+    const count = adjacency.length;
+    const total = degrees.reduce((sum, degree) => sum + degree, 0);
+    const community = Array.from({ length: count }, (value, index) => index);
+    if (total === 0) {
+        return community;
+    }
+    const totals = Float64Array.from(degrees);
+
+    // the nodes are visited in a seeded random order
+    const order = [...community];
+    for (let i = order.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [order[i], order[j]] = [order[j], order[i]];
+    }
+
+    let moved = true;
+    while (moved) {
+        moved = false;
+        for (const node of order) {
+            const current = community[node];
+            const links = new Map([[current, 0]]);
+            for (const [neighbor, weight] of adjacency[node]) {
+                links.set(community[neighbor], (links.get(community[neighbor]) || 0) + weight);
+            }
+            totals[current] -= degrees[node];
+            let best = current;
+            let bestGain = links.get(current) - resolution * totals[current] * degrees[node] / total;
+            for (const [candidate, weight] of links) {
+                const gain = weight - resolution * totals[candidate] * degrees[node] / total;
+                if (gain > bestGain + 1e-12) {
+                    best = candidate;
+                    bestGain = gain;
+                }
+            }
+            totals[best] += degrees[node];
+            if (best !== current) {
+                community[node] = best;
+                moved = true;
+            }
+        }
+    }
+
+    // renumbering, in the order of the nodes
+    const numbers = new Map();
+    return community.map(cluster => {
+        if (!numbers.has(cluster)) {
+            numbers.set(cluster, numbers.size);
+        }
+        return numbers.get(cluster);
+    });
+}
+
+
+/**
+ * Second phase of a Louvain pass: the clusters become the nodes of a new graph
+ */
+function aggregateGraph(graph, communities, count) {
+    const weights = Array.from({ length: count }, () => new Map());
+    const loops = new Float64Array(count);
+    graph.adjacency.forEach((neighbors, i) => {
+        const a = communities[i];
+        loops[a] += graph.loops[i];
+        for (const [j, weight] of neighbors) {
+            const b = communities[j];
+            if (a === b) {
+                // every edge is seen from both of its ends
+                loops[a] += weight / 2;
+            } else {
+                weights[a].set(b, (weights[a].get(b) || 0) + weight);
+            }
+        }
+    });
+    return createWeightedGraph(weights.map(map => [...map]), loops);
+}
+
+
+/**
+ * Builds the hierarchy of the Louvain levels: the clusters of the coarsest level contain the clusters of the finer levels
+ * The clusters with a single child are merged with it
+ */
+function buildLouvainHierarchy(adjList, levels) {
+    const nodes = getAllNodes(adjList);
+    const root = { id: "0", nodes, children: [] };
+    let parents = [{ cluster: root, nodes }];
+    for (let level = levels.length - 1; level >= 0; level--) {
+        const next = [];
+        for (const parent of parents) {
+            const groups = new Map();
+            for (const node of parent.nodes) {
+                const community = levels[level][node];
+                if (!groups.has(community)) {
+                    groups.set(community, []);
+                }
+                groups.get(community).push(node);
+            }
+            if (groups.size === 1) {
+                // the same cluster as its parent
+                next.push(parent);
+                continue;
+            }
+            for (const group of groups.values()) {
+                const cluster = { id: `${parent.cluster.id}.${parent.cluster.children.length}`, nodes: group, children: [] };
+                parent.cluster.children.push(cluster);
+                next.push({ cluster, nodes: group });
+            }
+        }
+        parents = next;
+    }
+    return root;
+}
+
+
+/**
+ * Builds the hierarchy of the recursive spectral bisection
+ */
+function buildSpectralHierarchy(adjList, options) {
+    const root = { id: "0", nodes: getAllNodes(adjList), children: [] };
+    const stack = [[root, 0]];
+    while (stack.length > 0) {
+        const [cluster, depth] = stack.pop();
+        if (cluster.nodes.length <= options.maxClusterSize || cluster.nodes.length < 2 || depth >= options.maxDepth) {
+            continue;
+        }
+        const members = new Set(cluster.nodes);
+        const subgraph = {};
+        for (const node of cluster.nodes) {
+            subgraph[node] = (adjList[node] || []).filter(neighbor => members.has(neighbor));
+        }
+        shareAttributes(adjList, subgraph);
+        for (const half of spectralBisection(subgraph, options)) {
+            const child = { id: `${cluster.id}.${cluster.children.length}`, nodes: half, children: [] };
+            cluster.children.push(child);
+            stack.push([child, depth + 1]);
+        }
+    }
+    return root;
+}
+
+
+/**
+ * Computes the Fiedler vector by power iteration on cI - L, orthogonally to the constant vector
+ * (the eigenvector of the largest eigenvalue c of cI - L)
+ */
+function getFiedlerVector(graph, options) {
+    const { adjacency, loops, degrees } = graph;
+    const count = adjacency.length;
+    // the degrees of the Laplacian, without the self loops
+    const laplacianDegrees = degrees.map((degree, i) => degree - 2 * loops[i]);
+    const shift = 2 * laplacianDegrees.reduce((max, degree) => Math.max(max, degree), 1);
+    const random = createRandom(options.seed);
+
+    let vector = Float64Array.from({ length: count }, () => random() - 0.5);
+    normalize(vector);
+    for (let iteration = 0; iteration < options.spectralIterations; iteration++) {
+        const next = new Float64Array(count);
+        for (let i = 0; i < count; i++) {
+            let sum = (shift - laplacianDegrees[i]) * vector[i];
+            for (const [j, weight] of adjacency[i]) {
+                sum += weight * vector[j];
+            }
+            next[i] = sum;
+        }
+        normalize(next);
+        let change = 0;
+        for (let i = 0; i < count; i++) {
+            change = Math.max(change, Math.abs(next[i] - vector[i]));
+        }
+        vector = next;
+        if (change < options.spectralTolerance) {
+            break;
+        }
+    }
+    return vector;
+}
+
+
+/**
+ * Removes the constant component of a vector and scales it to the unit length
+ */
+function normalize(vector) {
+    const mean = vector.reduce((sum, value) => sum + value, 0) / vector.length;
+    let length = 0;
+    for (let i = 0; i < vector.length; i++) {
+        vector[i] -= mean;
+        length += vector[i] * vector[i];
+    }
+    length = Math.sqrt(length) || 1;
+    for (let i = 0; i < vector.length; i++) {
+        vector[i] /= length;
+    }
+}
@@ -0,0 +1,438 @@
+/**
+ * Compound graphs: nodes nested in containers (e.g. resources inside networks)
+ * A node is inside a container when its parent attribute is the id of the container. The containers are nodes of the graph,
+ * they can be nested and have edges of their own
+ *
+ * The graph is laid out from the innermost containers out: the children of every container are laid out as a graph of
+ * their own, where the edges to or from the nodes inside a child container are edges of the child container, and the
+ * container takes the size of the layout of its children. The top level nodes are laid out the same way, then every
+ * container places the layout of its children inside its box
+ *
+ * The edges between two nodes of the same container keep the points of the layout of the container. The other edges are
+ * routed orthogonally level by level: between the two nodes of the level where their ends meet, around the other nodes
+ * of this level, then inside the containers down to their ends. So they only cross the borders of the containers of
+ * their ends, once each (unless there is no such route)
+ */
+
+import { getAllNodes } from "./layered.js";
+import { computeForceLayout } from "./force.js";
+import { getEdgeAttributes, getNodeAttributes, setEdgeAttributes, setNodeAttributes } from "./attributes.js";
+import { getBoundingBox } from "./metrics.js";
+import { InvalidAdjacencyListError } from "./errors.js";
+import { DEFAULT_ROUTING_OPTIONS, routeOrthogonal, spreadOrthogonalRoutes } from "./routing.js";
+import { assertAdjacencyList } from "./validation.js";
+
+
+export const DEFAULT_COMPOUND_OPTIONS = {
+    // the space between the border of a container and its children, and the space of its label above them
+    containerPadding: 20,
+    containerLabelHeight: 24,
+    // lays out the children of a container, and the top level nodes: (adjList, options) => { nodes, edges }
+    layoutContainer: computeForceLayout,
+};
+
+// the id of the point of the border of a container that the routes inside the container go to
+const PORT = "\0port";
+
+
+/**
+ * Returns the containment hierarchy of a graph, from the parent attributes of its nodes
+ * @param {object} adjList - the adjacency list of the graph
+ * @returns {object} - { parents: Map of the container of every node inside one, children: Map of the nodes inside every container,
+ * roots: the top level nodes }
+ * @throws {InvalidAdjacencyListError} - if a parent is not a node of the graph or the containers contain each other
+ */
+export function getCompoundHierarchy(adjList) {
+    assertAdjacencyList(adjList);
+    const nodes = getAllNodes(adjList);
+    const known = new Set(nodes);
+    const parents = new Map();
+    const children = new Map();
+    const roots = [];
+    for (const node of nodes) {
+        const parent = getNodeAttributes(adjList, node).parent;
+        if (parent === undefined || parent === null || parent === "") {
+            roots.push(node);
+            continue;
+        }
+        if (!known.has(String(parent))) {
+            const message = `The parent of ${node} is not a node of the graph: ${parent}`;
+            throw new InvalidAdjacencyListError(message, [{ type: "unknownParent", node, message }]);
+        }
+        parents.set(node, String(parent));
+        if (!children.has(String(parent))) {
+            children.set(String(parent), []);
+        }
+        children.get(String(parent)).push(node);
+    }
+
+    // every node must lead to a top level node
+    const reachable = new Set(roots);
+    const stack = [...roots];
+    while (stack.length > 0) {
+        for (const child of children.get(stack.pop()) || []) {
+            reachable.add(child);
+            stack.push(child);
+        }
+    }
+    const cyclic = nodes.find(node => !reachable.has(node));
+    if (cyclic !== undefined) {
+        const message = `The containers of ${cyclic} contain each other`;
+        throw new InvalidAdjacencyListError(message, [{ type: "containerCycle", node: cyclic, message }]);
+    }
+    return { parents, children, roots };
+}
+
+
+/**
+ * Returns true if some nodes of the graph are inside containers
+ * @param {object} adjList - the adjacency list of the graph
+ * @returns {boolean}
+ */
+export function isCompoundGraph(adjList) {
+    assertAdjacencyList(adjList);
+    return getAllNodes(adjList).some(node => {
+        const parent = getNodeAttributes(adjList, node).parent;
+        return parent !== undefined && parent !== null && parent !== "";
+    });
+}
+
+
+/**
+ * Lays out a compound graph
+ * The options are also given to layoutContainer, and to the routing of the edges between containers (nodePadding, bendPenalty, edgeSpacing)
+ * @param {object} adjList - the adjacency list of the graph, the parent attribute of a node is its container
+ * @param {object} options - see DEFAULT_COMPOUND_OPTIONS (optional)
+ * @returns {object} - the layout of the top level nodes ({ nodes, edges, components... } for computeLayout) where
+ * nodes: {id: {x, y, width, height, attributes, parent, container, depth}},
+ * edges: [{source, target, points, reversed, attributes}]
+ * parent is the container of a node (null at the top level), container is true for the containers, and depth is 0 at the top level
+ */
+export function computeCompoundLayout(adjList, options = {}) {
+    assertAdjacencyList(adjList);
+    options = { ...DEFAULT_COMPOUND_OPTIONS, ...options };
+    const { parents, children, roots } = getCompoundHierarchy(adjList);
+    const ancestorLists = new Map();
+    const getAncestors = node => {
+        // the node and its containers, up to the top level
+        if (!ancestorLists.has(node)) {
+            ancestorLists.set(node, parents.has(node) ? [node, ...getAncestors(parents.get(node))] : [node]);
+        }
+        return ancestorLists.get(node);
+    };
+
+    // the edges of every level (the children of a container, null for the top level), between the nodes of the level
+    // that contain their ends
+    const levels = new Map([[null, new Map()], ...[...children.keys()].map(container => [container, new Map()])]);
+    const edgeLevels = [];
+    for (const source in adjList) {
+        for (const target of adjList[source]) {
+            const level = getEdgeLevel(getAncestors(source), getAncestors(target));
+            edgeLevels.push({ source, target, ...level });
+            if (level.contained || source === target) {
+                continue;
+            }
+            const key = JSON.stringify([level.sourceNode, level.targetNode]);
+            const edges = levels.get(level.container);
+            const { weight = 1 } = getEdgeAttributes(adjList, source, target);
+            const direct = level.sourceNode === source && level.targetNode === target;
+            edges.set(key, {
+                source: level.sourceNode,
+                target: level.targetNode,
+                weight: (edges.get(key)?.weight ?? 0) + weight,
+                attributes: direct ? getEdgeAttributes(adjList, source, target) : edges.get(key)?.attributes ?? {},
+            });
+        }
+    }
+
+    // the layouts of the levels, from the innermost containers out
+    const sizes = new Map();
+    const layouts = new Map();
+    const layoutLevel = (container, nodes) => {
+        const subgraph = {};
+        for (const node of nodes) {
+            subgraph[node] = [];
+            setNodeAttributes(subgraph, node, { ...getNodeAttributes(adjList, node), ...sizes.get(node) });
+        }
+        for (const { source, target, weight, attributes } of levels.get(container).values()) {
+            subgraph[source].push(target);
+            setEdgeAttributes(subgraph, source, target, { ...attributes, weight });
+        }
+        const layout = options.layoutContainer(subgraph, { ...options, previous: container === null ? options.previous : null });
+        const box = getBoundingBox(layout.nodes, layout.edges);
+        layouts.set(container, { layout, box });
+        return box;
+    };
+    const containers = [...children.keys()].sort((a, b) => getAncestors(b).length - getAncestors(a).length);
+    for (const container of containers) {
+        const box = layoutLevel(container, children.get(container));
+        sizes.set(container, {
+            width: box.width + 2 * options.containerPadding,
+            height: box.height + 2 * options.containerPadding + options.containerLabelHeight,
+        });
+    }
+    const rootBox = layoutLevel(null, roots);
+
+    // the positions, from the top level in
+    const nodes = {};
+    const levelEdges = new Map();
+    const placeLevel = (container, dx, dy) => {
+        const { layout } = layouts.get(container);
+        for (const node in layout.nodes) {
+            const { x, y } = layout.nodes[node];
+            nodes[node] = {
+                ...layout.nodes[node],
+                x: x + dx,
+                y: y + dy,
+                ...sizes.get(node),
+                attributes: getNodeAttributes(adjList, node),
+                parent: container,
+                container: children.has(node),
+                depth: getAncestors(node).length - 1,
+            };
+            if (container !== null) {
+                nodes[node].component = nodes[container].component;
+            }
+        }
+        for (const edge of layout.edges) {
+            levelEdges.set(JSON.stringify([edge.source, edge.target]), {
+                ...edge,
+                points: edge.points.map(point => ({ x: point.x + dx, y: point.y + dy })),
+            });
+        }
+        for (const node in layout.nodes) {
+            if (children.has(node)) {
+                const { box } = layouts.get(node);
+                const { width, height } = sizes.get(node);
+                placeLevel(
+                    node,
+                    nodes[node].x - width / 2 + options.containerPadding - box.x,
+                    nodes[node].y - height / 2 + options.containerPadding + options.containerLabelHeight - box.y,
+                );
+            }
+        }
+    };
+    // the top level starts at (0, 0)
+    placeLevel(null, -rootBox.x, -rootBox.y);
+
+    // the edges, the routes between containers are spread apart together
+    const context = {
+        nodes,
+        children,
+        roots,
+        getAncestors,
+        routes: new Map(),
+        options: {
+            ...options,
+            // the routes inside a container go to points of its border, the padding keeps these points outside the padding of the children
+            nodePadding: Math.min(options.nodePadding ?? DEFAULT_ROUTING_OPTIONS.nodePadding, options.containerPadding / 2),
+        },
+    };
+    const routed = [];
+    const edges = edgeLevels.map(({ source, target, container, sourceNode, targetNode, contained }) => {
+        const edge = { source, target, reversed: false, attributes: getEdgeAttributes(adjList, source, target) };
+        const levelEdge = levelEdges.get(JSON.stringify([source, target]));
+        if (source === target) {
+            edge.points = levelEdge?.points ?? [{ x: nodes[source].x, y: nodes[source].y }, { x: nodes[source].x, y: nodes[source].y }];
+        } else if (levelEdge && !contained && sourceNode === source && targetNode === target && !children.has(source) && !children.has(target)) {
+            edge.points = levelEdge.points;
+            edge.reversed = levelEdge.reversed ?? false;
+        } else {
+            edge.points = routeCompoundEdge(source, target, { container, sourceNode, targetNode, contained }, context);
+            edge.routing = "orthogonal";
+            routed.push(edge);
+        }
+        if (nodes[source].component !== undefined) {
+            edge.component = nodes[source].component;
+        }
+        return edge;
+    });
+    const ends = routed.map(edge => [nodes[edge.source], nodes[edge.target]]);
+    spreadOrthogonalRoutes(routed.map(edge => edge.points), context.options, ends).forEach((points, index) => {
+        routed[index].points = points;
+    });
+
+    const { layout } = layouts.get(null);
+    const result = { ...layout, nodes, edges };
+    if (layout.components) {
+        result.components = layout.components.map(component => ({
+            ...component,
+            x: component.x - rootBox.x,
+            y: component.y - rootBox.y,
+            nodes: component.nodes.flatMap(node => getDescendants(node, children)),
+        }));
+    }
+    if (layout.width !== undefined) {
+        result.width = rootBox.width;
+        result.height = rootBox.height;
+    }
+    return result;
+}
+
+
+/**
+ * Returns the level of an edge from the ancestors of its ends
+ * @returns {object} - { container: the innermost container of both ends (null for the top level), sourceNode and targetNode:
+ * the children of this container that contain the ends, contained: true if an end contains the other one }
+ */
+function getEdgeLevel(sourceAncestors, targetAncestors) {
+    const source = sourceAncestors[0];
+    const target = targetAncestors[0];
+    if (targetAncestors.includes(source) && source !== target) {
+        return { container: source, sourceNode: source, targetNode: targetAncestors[targetAncestors.indexOf(source) - 1], contained: true };
+    }
+    if (sourceAncestors.includes(target) && source !== target) {
+        return { container: target, sourceNode: sourceAncestors[sourceAncestors.indexOf(target) - 1], targetNode: target, contained: true };
+    }
+    const targetSet = new Set(targetAncestors);
+    const common = sourceAncestors.findIndex(node => targetSet.has(node));
+    if (common === -1) {
+        return { container: null, sourceNode: sourceAncestors[sourceAncestors.length - 1], targetNode: targetAncestors[targetAncestors.length - 1], contained: false };
+    }
+    const container = sourceAncestors[common];
+    return {
+        container,
+        sourceNode: sourceAncestors[common - 1],
+        targetNode: targetAncestors[targetAncestors.indexOf(container) - 1],
+        contained: false,
+    };
+}
+
+
+/**
+ * Routes an edge whose ends are not two nodes of the same container
+ * The route goes between the nodes of its level that contain its ends, around the other nodes of this level,
+ * and is continued inside these nodes down to the ends
+ * @returns {object[]} - the points of the route, from the source to the target
+ */
+function routeCompoundEdge(source, target, level, context) {
+    const { nodes, children } = context;
+    if (level.contained) {
+        // from or to the border of the container, on the side of the child that contains the other end
+        const container = level.container;
+        const inner = container === source ? target : source;
+        const child = container === source ? level.targetNode : level.sourceNode;
+        const port = getNearestBorderPoint(nodes[container], nodes[child]);
+        const route = routeToBorder(inner, container, port, context);
+        return container === source ? route.reverse() : route;
+    }
+
+    const { sourceNode, targetNode } = level;
+    const levelNodes = {};
+    for (const node of level.container === null ? context.roots : children.get(level.container)) {
+        levelNodes[node] = nodes[node];
+    }
+    const center = node => ({ x: nodes[node].x, y: nodes[node].y });
+    const route = getRoute(context, [level.container, sourceNode, targetNode], levelNodes, sourceNode, targetNode);
+
+    const exit = children.has(sourceNode) ? leaveBox(route, nodes[sourceNode]) : { index: 0, point: center(sourceNode) };
+    const entry = children.has(targetNode) ? leaveBox([...route].reverse(), nodes[targetNode]) : { index: 0, point: center(targetNode) };
+    const entryIndex = route.length - 2 - entry.index;
+    const start = sourceNode === source || !children.has(sourceNode) ? [exit.point] : routeToBorder(source, sourceNode, exit.point, context);
+    const end = targetNode === target || !children.has(targetNode) ? [entry.point] : routeToBorder(target, targetNode, entry.point, context).reverse();
+    return removeDuplicatePoints([...start, ...route.slice(exit.index + 1, entryIndex + 1), ...end]);
+}
+
+
+/**
+ * Routes a node inside a container to a point of the border of the container, around the other children of the container
+ * @returns {object[]} - the points of the route, from the center of the node to the point of the border
+ */
+function routeToBorder(node, container, port, context) {
+    const { nodes, children, getAncestors } = context;
+    const ancestors = getAncestors(node);
+    const child = ancestors[ancestors.indexOf(container) - 1];
+    const levelNodes = { [PORT]: { x: port.x, y: port.y, width: 0, height: 0 } };
+    for (const sibling of children.get(container)) {
+        levelNodes[sibling] = nodes[sibling];
+    }
+    const route = getRoute(context, [container, child, port.x, port.y], levelNodes, child, PORT);
+    if (child === node) {
+        return route;
+    }
+    const exit = leaveBox(route, nodes[child]);
+    return removeDuplicatePoints([...routeToBorder(node, child, exit.point, context), ...route.slice(exit.index + 1)]);
+}
+
+
+/**
+ * Returns the orthogonal route between two nodes of a level, the routes are kept for the edges that take the same way
+ */
+function getRoute(context, key, levelNodes, source, target) {
+    const routeKey = JSON.stringify(key);
+    if (!context.routes.has(routeKey)) {
+        const points = [{ x: levelNodes[source].x, y: levelNodes[source].y }, { x: levelNodes[target].x, y: levelNodes[target].y }];
+        context.routes.set(routeKey, routeOrthogonal(levelNodes, [{ source, target, points }], context.options)[0]);
+    }
+    return context.routes.get(routeKey).map(({ x, y }) => ({ x, y }));
+}
+
+
+/**
+ * Returns where a route that starts inside a box leaves it
+ * @returns {object} - { index: the index of the segment that leaves the box, point: the point of the border }
+ */
+function leaveBox(points, node) {
+    const x0 = node.x - node.width / 2;
+    const x1 = node.x + node.width / 2;
+    const y0 = node.y - node.height / 2;
+    const y1 = node.y + node.height / 2;
+    const inside = ({ x, y }) => x >= x0 && x <= x1 && y >= y0 && y <= y1;
+    for (let i = 0; i < points.length - 1; i++) {
+        const from = points[i];
+        const to = points[i + 1];
+        if (inside(to)) {
+            continue;
+        }
+        // the first border crossed by the segment
+        let t = 1;
+        if (to.x > x1) {
+            t = Math.min(t, (x1 - from.x) / (to.x - from.x));
+        } else if (to.x < x0) {
+            t = Math.min(t, (x0 - from.x) / (to.x - from.x));
+        }
+        if (to.y > y1) {
+            t = Math.min(t, (y1 - from.y) / (to.y - from.y));
+        } else if (to.y < y0) {
+            t = Math.min(t, (y0 - from.y) / (to.y - from.y));
+        }
+        t = Math.max(0, t);
+        return { index: i, point: { x: from.x + t * (to.x - from.x), y: from.y + t * (to.y - from.y) } };
+    }
+    return { index: points.length - 2, point: points[points.length - 1] };
+}
+
+
+/**
+ * Returns the point of the border of a box that is the nearest to a point inside it
+ */
+function getNearestBorderPoint(box, point) {
+    const distances = [
+        { distance: point.x - (box.x - box.width / 2), x: box.x - box.width / 2, y: point.y },
+        { distance: box.x + box.width / 2 - point.x, x: box.x + box.width / 2, y: point.y },
+        { distance: point.y - (box.y - box.height / 2), x: point.x, y: box.y - box.height / 2 },
+        { distance: box.y + box.height / 2 - point.y, x: point.x, y: box.y + box.height / 2 },
+    ];
+    const { x, y } = distances.reduce((nearest, side) => side.distance < nearest.distance ? side : nearest);
+    return { x, y };
+}
+
+
+function removeDuplicatePoints(points) {
+    return points.filter((point, index) => index === 0 || point.x !== points[index - 1].x || point.y !== points[index - 1].y);
+}
+
+
+/**
+ * Returns a node and all the nodes inside it
+ */
+function getDescendants(node, children) {
+    const descendants = [];
+    const stack = [node];
+    while (stack.length > 0) {
+        const current = stack.pop();
+        descendants.push(current);
+        stack.push(...(children.get(current) || []));
+    }
+    return descendants;
+}
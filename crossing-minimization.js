@@ -0,0 +1,505 @@
+/**
+ * Crossing minimization between the layers of a layered graph
+ * The nodes of a free layer are ordered against an adjacent layer whose order is fixed (one-sided crossing minimization),
+ * and the layers of a graph are swept down and up, ordering every layer against the previous one
+ *
+ * The ordering methods (see ORDERING_METHODS):
+ * - barycenter, median: sort the nodes by the mean or the median position of their neighbors, fast and usually good
+ * - greedySwitch: swaps adjacent nodes as long as it removes crossings, improves the current order
+ * - sifting: moves every node to the position where it has the fewest crossings, improves the current order
+ * - exact: branch and bound on the crossings of every pair of nodes, for the layers of at most exactLimit nodes with edges
+ * The nodes without neighbors in the fixed layer keep their positions, the others are ordered around them
+ * Every function returns the number of crossings of its order, so the methods can be compared on the same graphs
+ */
+
+import { InvalidArgumentError, UnknownNodeError } from "./errors.js";
+
+
+const DEFAULT_OPTIONS = {
+    // a name of ORDERING_METHODS, or an array of names applied one after the other (e.g. ["barycenter", "sifting"])
+    method: "barycenter",
+    // the number of sweeps over the layers
+    iterations: 24,
+    // the maximal number of passes of greedySwitch and sifting over a layer, they stop earlier when a pass changes nothing
+    passes: 16,
+    // the maximal number of nodes with neighbors of a layer ordered by the exact method
+    exactLimit: 16,
+    // a time (Date.now()) after which the crossing reduction stops and keeps the best order found so far, null for none
+    deadline: null,
+    // called with { phase: "crossings", iteration, iterations, crossings } after every sweep over the layers
+    onProgress: null,
+};
+
+
+/**
+ * The ordering methods, every function takes the nodes of the free layer that have neighbors in their current order,
+ * the crossing matrix of these nodes (see getCrossingMatrix) and the options, and returns the ordered nodes
+ * The sorting methods do not use the matrix, it is computed on demand
+ */
+export const ORDERING_METHODS = {
+    barycenter: (nodes, crossings, options) => sortNodes(nodes, options.positions, barycenterWeight),
+    median: (nodes, crossings, options) => sortNodes(nodes, options.positions, medianWeight),
+    greedySwitch: (nodes, crossings, options) => greedySwitch(nodes.map((node, i) => i), crossings(), options.passes).map(i => nodes[i]),
+    sifting: (nodes, crossings, options) => sift(nodes.map((node, i) => i), crossings(), options.passes).map(i => nodes[i]),
+    exact: (nodes, crossings, options) => orderExactly(nodes, crossings(), options),
+};
+
+
+/**
+ * Counts the crossings between two adjacent layers (Barth, Jünger and Mutzel accumulator tree)
+ * @param {string[]} upperLayer - the ordered nodes of the upper layer
+ * @param {string[]} lowerLayer - the ordered nodes of the lower layer
+ * @param {string[][]} edges - the edges between the two layers as [upper, lower] pairs
+ * @returns {number} - the number of crossings
+ */
+export function countBilayerCrossings(upperLayer, lowerLayer, edges) {
+    if (edges.length < 2 || lowerLayer.length < 2) {
+        return 0;
+    }
+    const upperPosition = new Map(upperLayer.map((node, index) => [node, index]));
+    const lowerPosition = new Map(lowerLayer.map((node, index) => [node, index]));
+    const sequence = edges
+        .map(([upper, lower]) => [upperPosition.get(upper), lowerPosition.get(lower)])
+        .sort((a, b) => a[0] - b[0] || a[1] - b[1])
+        .map(([, lower]) => lower);
+
+    let firstIndex = 1;
+    while (firstIndex < lowerLayer.length) {
+        firstIndex *= 2;
+    }
+    const tree = new Array(2 * firstIndex - 1).fill(0);
+    firstIndex -= 1;
+
+    let crossings = 0;
+    for (const position of sequence) {
+        let index = position + firstIndex;
+        tree[index]++;
+        while (index > 0) {
+            if (index % 2) {
+                crossings += tree[index + 1];
+            }
+            index = (index - 1) >> 1;
+            tree[index]++;
+        }
+    }
+    return crossings;
+}
+
+
+/**
+ * Counts the crossings of a layered graph
+ * @param {string[][]} layers - the ordered nodes of every layer
+ * @param {object} successors - the adjacency list of the proper layered graph (edges only between adjacent layers)
+ * @returns {number} - the total number of crossings
+ */
+export function countLayeredCrossings(layers, successors) {
+    let crossings = 0;
+    for (let i = 0; i < layers.length - 1; i++) {
+        const edges = [];
+        for (const node of layers[i]) {
+            for (const successor of successors[node]) {
+                edges.push([node, successor]);
+            }
+        }
+        crossings += countBilayerCrossings(layers[i], layers[i + 1], edges);
+    }
+    return crossings;
+}
+
+
+/**
+ * Orders the free layer of two layers, the order of the other layer being fixed
+ * The greedySwitch and sifting methods improve the given order of the free layer
+ * @param {string[]} fixedLayer - the ordered nodes of the fixed layer
+ * @param {string[]} freeLayer - the nodes of the free layer, in their initial order
+ * @param {string[][]} edges - the edges between the two layers as [fixed, free] pairs
+ * @param {object} options - { method, passes, exactLimit, deadline }, see DEFAULT_OPTIONS (optional)
+ * @returns {object} - { order: the ordered free layer, crossings: the number of crossings between the two layers }
+ * @throws {InvalidArgumentError} - when a method is unknown, or the layer is too large for the exact method
+ * @throws {UnknownNodeError} - when an edge is not between the two layers
+ */
+export function orderTwoLayers(fixedLayer, freeLayer, edges, options = {}) {
+    options = { ...DEFAULT_OPTIONS, ...options };
+    const methods = getMethods(options.method);
+    const fixedNodes = new Set(fixedLayer);
+    const neighbors = {};
+    for (const node of freeLayer) {
+        neighbors[node] = [];
+    }
+    for (const [fixed, free] of edges) {
+        if (!fixedNodes.has(fixed)) {
+            throw new UnknownNodeError(fixed);
+        }
+        if (!Object.prototype.hasOwnProperty.call(neighbors, free)) {
+            throw new UnknownNodeError(free);
+        }
+        neighbors[free].push(fixed);
+    }
+    const order = orderLayer(freeLayer, fixedLayer, neighbors, methods, options);
+    return { order, crossings: countBilayerCrossings(fixedLayer, order, edges) };
+}
+
+
+/**
+ * Orders the nodes of every layer to reduce crossings
+ * Sweeps down and up the layers, ordering every layer against the previous one with the method
+ * The best ordering found is kept
+ * @param {string[][]} layers - the nodes of every layer, in their initial order
+ * @param {object} successors - the adjacency list of the proper layered graph
+ * @param {object} options - see DEFAULT_OPTIONS (optional)
+ * @returns {object} - { layers: the ordered layers, crossings: the number of remaining crossings }
+ * @throws {InvalidArgumentError} - when a method is unknown, or a layer is too large for the exact method
+ */
+export function reduceCrossings(layers, successors, options = {}) {
+    options = { ...DEFAULT_OPTIONS, ...options };
+    const { iterations, deadline, onProgress } = options;
+    const methods = getMethods(options.method);
+    const predecessors = getProperPredecessors(layers, successors);
+
+    let current = layers.map(layer => [...layer]);
+    let best = current.map(layer => [...layer]);
+    let bestCrossings = countLayeredCrossings(best, successors);
+
+    for (let iteration = 0; iteration < iterations && bestCrossings > 0; iteration++) {
+        if (deadline !== null && Date.now() > deadline) {
+            break;
+        }
+        if (iteration % 2 === 0) {
+            for (let i = 1; i < current.length; i++) {
+                current[i] = orderLayer(current[i], current[i - 1], predecessors, methods, options);
+            }
+        } else {
+            for (let i = current.length - 2; i >= 0; i--) {
+                current[i] = orderLayer(current[i], current[i + 1], successors, methods, options);
+            }
+        }
+        const crossings = countLayeredCrossings(current, successors);
+        if (crossings < bestCrossings) {
+            best = current.map(layer => [...layer]);
+            bestCrossings = crossings;
+        }
+        onProgress?.({ phase: "crossings", iteration: iteration + 1, iterations, crossings: bestCrossings });
+    }
+
+    return { layers: best, crossings: bestCrossings };
+}
+
+
+/**
+ * Reduces the crossings of a layered graph with several methods, from the same initial order
+ * @param {string[][]} layers - the nodes of every layer, in their initial order
+ * @param {object} successors - the adjacency list of the proper layered graph
+ * @param {object} options - the options of reduceCrossings, with methods: the methods to compare (all of ORDERING_METHODS by default) (optional)
+ * @returns {object[]} - [{ method, crossings, time }] in the order of the methods, time in milliseconds,
+ *                       crossings is null and error the message when the method failed (e.g. a layer too large for the exact method)
+ */
+export function compareCrossingMethods(layers, successors, options = {}) {
+    const { methods = Object.keys(ORDERING_METHODS), ...reduceOptions } = options;
+    return methods.map(method => {
+        const start = performance.now();
+        try {
+            const { crossings } = reduceCrossings(layers, successors, { ...reduceOptions, method });
+            return { method, crossings, time: performance.now() - start };
+        } catch (error) {
+            if (!(error instanceof InvalidArgumentError)) {
+                throw error;
+            }
+            return { method, crossings: null, time: performance.now() - start, error: error.message };
+        }
+    });
+}
+
+
+/**
+ * Returns the number of crossings between the edges of every pair of nodes of a free layer
+ * crossings[i][j] is the number of crossings between the edges of nodes[i] and nodes[j] when nodes[i] is to the left of nodes[j]
+ * @param {string[]} nodes - the nodes of the free layer
+ * @param {string[]} fixedLayer - the ordered nodes of the fixed layer
+ * @param {object} neighbors - the neighbors of every node of the free layer in the fixed layer
+ * @returns {number[][]} - the crossing matrix
+ */
+export function getCrossingMatrix(nodes, fixedLayer, neighbors) {
+    return getPairCrossings(getNeighborPositions(nodes, fixedLayer, neighbors));
+}
+
+
+/**
+ * Returns the predecessors of every node of a proper layered graph
+ * @param {string[][]} layers - the nodes of every layer
+ * @param {object} successors - the adjacency list of the proper layered graph
+ * @returns {object} - an object with the nodes as the keys and their predecessors as the values
+ */
+export function getProperPredecessors(layers, successors) {
+    const predecessors = {};
+    for (const layer of layers) {
+        for (const node of layer) {
+            predecessors[node] = [];
+        }
+    }
+    for (const node in successors) {
+        for (const successor of successors[node]) {
+            predecessors[successor].push(node);
+        }
+    }
+    return predecessors;
+}
+
+
+function getMethods(method) {
+    const names = Array.isArray(method) ? method : [method];
+    return names.map(name => {
+        if (!Object.prototype.hasOwnProperty.call(ORDERING_METHODS, name)) {
+            throw new InvalidArgumentError(`Unknown crossing minimization method: ${name}`);
+        }
+        return ORDERING_METHODS[name];
+    });
+}
+
+
+/**
+ * Orders a layer against a fixed layer, the nodes without neighbors keep their position
+ * @param {string[]} layer - the layer to order
+ * @param {string[]} fixedLayer - the adjacent layer, whose order is fixed
+ * @param {object} neighbors - the neighbors of every node of the layer in the fixed layer
+ * @param {function[]} methods - the ordering methods, applied one after the other
+ * @param {object} options - the options of the methods
+ * @returns {string[]} - the ordered layer
+ */
+function orderLayer(layer, fixedLayer, neighbors, methods, options) {
+    let nodes = layer.filter(node => neighbors[node].length > 0);
+    if (nodes.length < 2) {
+        return layer;
+    }
+    const positions = getNeighborPositions(nodes, fixedLayer, neighbors);
+    for (const method of methods) {
+        // the matrix is indexed by the nodes in their order before the method
+        const current = nodes;
+        let matrix = null;
+        const crossings = () => {
+            matrix ??= getPairCrossings(positions, current);
+            return matrix;
+        };
+        nodes = method(current, crossings, { ...options, positions });
+    }
+    let next = 0;
+    return layer.map(node => neighbors[node].length > 0 ? nodes[next++] : node);
+}
+
+
+/**
+ * Returns the sorted positions of the neighbors of the nodes in the fixed layer
+ * @returns {Map} - the positions of every node
+ */
+function getNeighborPositions(nodes, fixedLayer, neighbors) {
+    const position = new Map(fixedLayer.map((node, index) => [node, index]));
+    return new Map(nodes.map(node => [node, neighbors[node].map(neighbor => position.get(neighbor)).sort((a, b) => a - b)]));
+}
+
+
+/**
+ * Returns the crossing matrix of the nodes (see getCrossingMatrix) from the positions of their neighbors
+ * @param {Map} positions - the sorted positions of the neighbors of every node
+ * @param {string[]} nodes - the nodes, in the order of the rows and columns (the keys of positions by default)
+ * @returns {number[][]} - the crossing matrix
+ */
+function getPairCrossings(positions, nodes = [...positions.keys()]) {
+    const matrix = nodes.map(() => new Array(nodes.length).fill(0));
+    for (let i = 0; i < nodes.length; i++) {
+        for (let j = i + 1; j < nodes.length; j++) {
+            matrix[i][j] = countPairCrossings(positions.get(nodes[i]), positions.get(nodes[j]));
+            matrix[j][i] = countPairCrossings(positions.get(nodes[j]), positions.get(nodes[i]));
+        }
+    }
+    return matrix;
+}
+
+
+/**
+ * Counts the crossings between the edges of two nodes, the first one being to the left of the second one
+ * An edge of the left node crosses the edges of the right node that end strictly to its left
+ * @param {number[]} left - the sorted positions of the neighbors of the left node
+ * @param {number[]} right - the sorted positions of the neighbors of the right node
+ * @returns {number} - the number of crossings
+ */
+function countPairCrossings(left, right) {
+    let crossings = 0;
+    let j = 0;
+    for (const position of left) {
+        while (j < right.length && right[j] < position) {
+            j++;
+        }
+        crossings += j;
+    }
+    return crossings;
+}
+
+
+/**
+ * Sorts the nodes by the weight of the positions of their neighbors, the ties keep their order
+ */
+function sortNodes(nodes, positions, weight) {
+    const weights = new Map(nodes.map(node => [node, weight(positions.get(node))]));
+    return nodes
+        .map((node, index) => ({ node, index }))
+        .sort((a, b) => weights.get(a.node) - weights.get(b.node) || a.index - b.index)
+        .map(({ node }) => node);
+}
+
+
+function barycenterWeight(positions) {
+    return positions.reduce((sum, position) => sum + position, 0) / positions.length;
+}
+
+
+function medianWeight(positions) {
+    const middle = Math.floor(positions.length / 2);
+    if (positions.length % 2 === 1) {
+        return positions[middle];
+    }
+    return (positions[middle - 1] + positions[middle]) / 2;
+}
+
+
+/**
+ * Swaps the adjacent nodes that have fewer crossings the other way around, until a pass swaps nothing
+ * @param {number[]} initial - the indexes of the nodes in the crossing matrix, in their current order
+ * @param {number[][]} matrix - the crossing matrix
+ * @param {number} passes - the maximal number of passes
+ * @returns {number[]} - the ordered indexes
+ */
+function greedySwitch(initial, matrix, passes) {
+    const order = [...initial];
+    for (let pass = 0; pass < passes; pass++) {
+        let swapped = false;
+        for (let i = 0; i < order.length - 1; i++) {
+            const [left, right] = [order[i], order[i + 1]];
+            if (matrix[right][left] < matrix[left][right]) {
+                order[i] = right;
+                order[i + 1] = left;
+                swapped = true;
+            }
+        }
+        if (!swapped) {
+            break;
+        }
+    }
+    return order;
+}
+
+
+/**
+ * Sifting: every node in turn is moved to the position of the fewest crossings with the other nodes,
+ * until a pass moves no node. A node only moves when it removes crossings
+ * @param {number[]} initial - the indexes of the nodes in the crossing matrix, in their current order
+ * @param {number[][]} matrix - the crossing matrix
+ * @param {number} passes - the maximal number of passes
+ * @returns {number[]} - the ordered indexes
+ */
+function sift(initial, matrix, passes) {
+    const order = [...initial];
+    for (let pass = 0; pass < passes; pass++) {
+        let moved = false;
+        for (const node of initial) {
+            const from = order.indexOf(node);
+            order.splice(from, 1);
+            // the change of the crossings when the node is inserted before order[position], relative to the first position
+            const changes = [0];
+            for (let position = 1; position <= order.length; position++) {
+                const other = order[position - 1];
+                changes.push(changes[position - 1] + matrix[other][node] - matrix[node][other]);
+            }
+            let to = from;
+            changes.forEach((change, position) => {
+                if (change < changes[to]) {
+                    to = position;
+                }
+            });
+            order.splice(to, 0, node);
+            moved ||= to !== from;
+        }
+        if (!moved) {
+            break;
+        }
+    }
+    return order;
+}
+
+
+/**
+ * Orders the nodes with the fewest crossings, by a branch and bound building the order from the left
+ * The crossings of the pairs of nodes not placed yet are bounded below by the minimum of their two orders,
+ * the search starts from the order of sifting after the barycenter heuristic
+ * When the deadline passes, the best order found so far is returned
+ * @param {string[]} nodes - the nodes in their current order
+ * @param {number[][]} matrix - the crossing matrix of the nodes, in their current order
+ * @param {object} options - { exactLimit, deadline, positions, passes }
+ * @returns {string[]} - the ordered nodes
+ * @throws {InvalidArgumentError} - when there are more than exactLimit nodes
+ */
+function orderExactly(nodes, matrix, options) {
+    if (nodes.length > options.exactLimit) {
+        throw new InvalidArgumentError(`The exact method orders at most ${options.exactLimit} nodes with edges per layer, got ${nodes.length}`);
+    }
+    const index = new Map(nodes.map((node, i) => [node, i]));
+    const sorted = sortNodes(nodes, options.positions, barycenterWeight).map(node => index.get(node));
+    const initial = sift(sorted, matrix, options.passes);
+
+    let best = initial;
+    let bestCrossings = 0;
+    let bound = 0;
+    for (let i = 0; i < nodes.length; i++) {
+        for (let j = i + 1; j < nodes.length; j++) {
+            bestCrossings += matrix[initial[i]][initial[j]];
+            bound += Math.min(matrix[i][j], matrix[j][i]);
+        }
+    }
+
+    const { deadline } = options;
+    const placed = [];
+    const isPlaced = new Array(nodes.length).fill(false);
+    let steps = 0;
+    // crossings: the crossings of the pairs with a placed node, bound: the lower bound of the crossings of the other pairs
+    // returns false when the deadline passed
+    function search(crossings, bound) {
+        if (placed.length === nodes.length) {
+            best = [...placed];
+            bestCrossings = crossings;
+            return true;
+        }
+        if (deadline !== null && ++steps % 1024 === 0 && Date.now() > deadline) {
+            return false;
+        }
+        // the nodes are tried in the order of the initial solution
+        for (const node of initial) {
+            if (isPlaced[node]) {
+                continue;
+            }
+            // the node is placed before all the nodes not placed yet
+            let added = 0;
+            let released = 0;
+            for (const other of initial) {
+                if (!isPlaced[other] && other !== node) {
+                    added += matrix[node][other];
+                    released += Math.min(matrix[node][other], matrix[other][node]);
+                }
+            }
+            if (crossings + added + bound - released >= bestCrossings) {
+                continue;
+            }
+            isPlaced[node] = true;
+            placed.push(node);
+            const completed = search(crossings + added, bound - released);
+            placed.pop();
+            isPlaced[node] = false;
+            if (completed === false) {
+                return false;
+            }
+        }
+        return true;
+    }
+    if (bound < bestCrossings) {
+        search(0, bound);
+    }
+    return best.map(i => nodes[i]);
+}
+
@@ -0,0 +1,317 @@
+/**
+ * Decomposition of graphs into biconnected components (blocks)
+ * The direction of the edges is ignored: two nodes are connected when there is an edge between them in any direction
+ *
+ * - an articulation point is a node whose removal disconnects its component
+ * - a bridge is an edge whose removal disconnects its component
+ * - a block is a maximal biconnected subgraph, two blocks share at most one node, which is an articulation point
+ * - the block-cut tree links every block to the articulation points it contains, it is a tree for a connected graph
+ *
+ * A connected graph can be laid out block by block, the blocks being put back together along the block-cut tree
+ */
+
+import { treeAdjacencyListToNestedList } from "./tree.js";
+import { computeTidyTreeLayout } from "./tree-layout.js";
+import { computeLayeredLayout } from "./layered.js";
+import { computePlanarLayout } from "./planar-drawing.js";
+import { isPlanar } from "./planarity.js";
+import { getBoundingBox } from "./metrics.js";
+import { shareAttributes, getNodeAttributes, getNodeSize, setNodeAttributes } from "./attributes.js";
+import { assertAdjacencyList } from "./validation.js";
+
+
+const DEFAULT_OPTIONS = {
+    nodeWidth: 40,
+    nodeHeight: 40,
+    // function (block, options) returning the layout of a block, planar or layered by default
+    layoutBlock: null,
+};
+
+
+/**
+ * Returns the articulation points of a graph
+ * @param {object} adjList - the adjacency list of the graph
+ * @returns {string[]} - the articulation points
+ */
+export function getArticulationPoints(adjList) {
+    assertAdjacencyList(adjList);
+    return [...decompose(adjList).articulationPoints];
+}
+
+
+/**
+ * Returns the bridges of a graph
+ * Two edges in opposite directions between the same nodes count as one edge
+ * @param {object} adjList - the adjacency list of the graph
+ * @returns {string[][]} - the bridges as [source, target] pairs, in a direction that exists in the adjacency list
+ */
+export function getBridges(adjList) {
+    assertAdjacencyList(adjList);
+    return decompose(adjList).bridges.map(([u, v]) => (adjList[u] || []).includes(v) ? [u, v] : [v, u]);
+}
+
+
+/**
+ * Returns true if a graph is biconnected: it has two nodes joined by an edge,
+ * or at least three nodes, it is connected and it has no articulation point
+ * @param {object} adjList - the adjacency list of the graph
+ * @returns {boolean} - true if the graph is biconnected, false otherwise
+ */
+export function isBiconnected(adjList) {
+    assertAdjacencyList(adjList);
+    const { nodes, blocks } = decompose(adjList);
+    // a single block containing every node
+    return blocks.length === 1 && new Set(blocks[0].flat()).size === nodes.length;
+}
+
+
+/**
+ * Returns the biconnected components (blocks) of a graph
+ * Every edge belongs to exactly one block, self loops go to the first block of their node
+ * and the nodes without edges are blocks on their own
+ * The blocks share the attributes of the graph
+ * @param {object} adjList - the adjacency list of the graph
+ * @returns {object[]} - the adjacency lists of the blocks, with the edges in their original direction
+ */
+export function getBiconnectedComponents(adjList) {
+    assertAdjacencyList(adjList);
+    const { nodes, blocks } = decompose(adjList);
+
+    const blockOfEdge = new Map();
+    const firstBlockOfNode = new Map();
+    const adjLists = blocks.map((edges, index) => {
+        const block = shareAttributes(adjList, {});
+        for (const [u, v] of edges) {
+            blockOfEdge.set(pairKey(u, v), index);
+            for (const node of [u, v]) {
+                block[node] = [];
+                if (!firstBlockOfNode.has(node)) {
+                    firstBlockOfNode.set(node, index);
+                }
+            }
+        }
+        return block;
+    });
+    for (const node of nodes) {
+        if (!firstBlockOfNode.has(node)) {
+            firstBlockOfNode.set(node, adjLists.length);
+            adjLists.push(shareAttributes(adjList, { [node]: [] }));
+        }
+    }
+
+    for (const source in adjList) {
+        for (const target of adjList[source]) {
+            const index = source === target ? firstBlockOfNode.get(source) : blockOfEdge.get(pairKey(source, target));
+            if (!adjLists[index][source].includes(target)) {
+                adjLists[index][source].push(target);
+            }
+        }
+    }
+    return adjLists;
+}
+
+
+/**
+ * Returns the block-cut tree of a graph
+ * The tree has a node "block:<index>" for every block and a node for every articulation point,
+ * with an edge from every block to the articulation points it contains
+ * @param {object} adjList - the adjacency list of the graph
+ * @returns {object} - { blocks: the adjacency lists of the blocks, articulationPoints, tree: the adjacency list of the block-cut tree }
+ */
+export function getBlockCutTree(adjList) {
+    assertAdjacencyList(adjList);
+    const articulationPoints = getArticulationPoints(adjList);
+    const blocks = getBiconnectedComponents(adjList);
+    const tree = {};
+    for (const node of articulationPoints) {
+        tree[node] = [];
+    }
+    blocks.forEach((block, index) => {
+        tree[getBlockId(index)] = articulationPoints.filter(node => block[node]);
+    });
+    return { blocks, articulationPoints, tree };
+}
+
+
+export function getBlockId(index) {
+    return `block:${index}`;
+}
+
+
+/**
+ * Computes the layout of a connected graph block by block
+ * Every block is laid out on its own, then the block-cut tree is laid out with the tree layout,
+ * every block being as large as its layout. The articulation points are placed by the tree layout,
+ * between their blocks, and the edges of the blocks are extended to them
+ * The returned layout is translated so that its bounding box starts at (0, 0)
+ * @param {object} adjList - the adjacency list of the graph
+ * @param {object} options - see DEFAULT_OPTIONS, passed to the layouts of the blocks (optional)
+ * @returns {object} - { nodes: {id: {x, y, width, height, attributes, block}}, edges: [{source, target, points, reversed, attributes}], blocks, articulationPoints, tree }
+ */
+export function computeBlockLayout(adjList, options = {}) {
+    assertAdjacencyList(adjList);
+    options = { ...DEFAULT_OPTIONS, ...options };
+    const layoutBlock = options.layoutBlock || getDefaultBlockLayout;
+    const { blocks, articulationPoints, tree } = getBlockCutTree(adjList);
+    const cutVertices = new Set(articulationPoints);
+    const defaultSize = { width: options.nodeWidth, height: options.nodeHeight };
+
+    // the nodes of the block-cut tree are as large as the layouts of the blocks
+    const blockLayouts = blocks.map(block => layoutBlock(block, options));
+    const boxes = blockLayouts.map(layout => getBoundingBox(layout.nodes, layout.edges));
+    boxes.forEach((box, index) => {
+        setNodeAttributes(tree, getBlockId(index), { width: box.width, height: box.height });
+    });
+    for (const node of articulationPoints) {
+        setNodeAttributes(tree, node, getNodeSize(adjList, node, defaultSize));
+    }
+
+    // the largest block is the root
+    let rootIndex = 0;
+    blocks.forEach((block, index) => {
+        if (Object.keys(block).length > Object.keys(blocks[rootIndex]).length) {
+            rootIndex = index;
+        }
+    });
+    const treeLayout = computeTidyTreeLayout(treeAdjacencyListToNestedList(tree, getBlockId(rootIndex)));
+
+    const nodes = {};
+    for (const node of articulationPoints) {
+        const { x, y, width, height } = treeLayout.nodes[node];
+        nodes[node] = { x, y, width, height, attributes: getNodeAttributes(adjList, node), block: null };
+    }
+    const edges = [];
+    blockLayouts.forEach((layout, index) => {
+        const center = treeLayout.nodes[getBlockId(index)];
+        const box = boxes[index];
+        const dx = center.x - (box.x + box.width / 2);
+        const dy = center.y - (box.y + box.height / 2);
+        for (const node in layout.nodes) {
+            if (!cutVertices.has(node)) {
+                const { x, y, width, height, attributes } = layout.nodes[node];
+                nodes[node] = { x: x + dx, y: y + dy, width, height, attributes, block: index };
+            }
+        }
+        for (const edge of layout.edges) {
+            const points = edge.points.map(({ x, y }) => ({ x: x + dx, y: y + dy }));
+            // the edges of the articulation points are extended to their position in the block-cut tree
+            if (cutVertices.has(edge.source)) {
+                points[0] = { x: nodes[edge.source].x, y: nodes[edge.source].y };
+            }
+            if (cutVertices.has(edge.target)) {
+                points[points.length - 1] = { x: nodes[edge.target].x, y: nodes[edge.target].y };
+            }
+            edges.push({ ...edge, points });
+        }
+    });
+
+    const { x: minX, y: minY } = getBoundingBox(nodes, edges);
+    for (const node in nodes) {
+        nodes[node].x -= minX;
+        nodes[node].y -= minY;
+    }
+    for (const edge of edges) {
+        edge.points = edge.points.map(({ x, y }) => ({ x: x - minX, y: y - minY }));
+    }
+    return { nodes, edges, blocks, articulationPoints, tree };
+}
+
+
+function getDefaultBlockLayout(block, options) {
+    return isPlanar(block) ? computePlanarLayout(block, options) : computeLayeredLayout(block, options);
+}
+
+
+/**
+ * Finds the articulation points, the bridges and the blocks of a graph (Hopcroft and Tarjan)
+ * The depth-first search is iterative, the edges are stacked until the block they belong to is complete
+ * @param {object} adjList - the adjacency list of the graph
+ * @returns {object} - { nodes, articulationPoints: Set, bridges: [u, v] pairs, blocks: the undirected edges of every block as [u, v] pairs }
+ */
+function decompose(adjList) {
+    // undirected simple graph, the neighbors without a key are nodes too
+    const neighbors = new Map();
+    const addNeighbor = (u, v) => {
+        if (!neighbors.has(u)) {
+            neighbors.set(u, new Set());
+        }
+        if (u !== v) {
+            neighbors.get(u).add(v);
+        }
+    };
+    for (const node in adjList) {
+        addNeighbor(node, node);
+        for (const neighbor of adjList[node]) {
+            addNeighbor(node, neighbor);
+            addNeighbor(neighbor, node);
+        }
+    }
+
+    const depth = new Map();
+    const low = new Map();
+    const articulationPoints = new Set();
+    const bridges = [];
+    const blocks = [];
+    const edgeStack = [];
+
+    for (const root of neighbors.keys()) {
+        if (depth.has(root)) {
+            continue;
+        }
+        depth.set(root, 0);
+        low.set(root, 0);
+        let rootChildren = 0;
+        const stack = [{ node: root, parent: null, iterator: neighbors.get(root).values() }];
+        while (stack.length > 0) {
+            const frame = stack[stack.length - 1];
+            const { value: neighbor, done } = frame.iterator.next();
+            if (!done) {
+                if (!depth.has(neighbor)) {
+                    depth.set(neighbor, depth.get(frame.node) + 1);
+                    low.set(neighbor, depth.get(neighbor));
+                    edgeStack.push([frame.node, neighbor]);
+                    stack.push({ node: neighbor, parent: frame.node, iterator: neighbors.get(neighbor).values() });
+                } else if (neighbor !== frame.parent && depth.get(neighbor) < depth.get(frame.node)) {
+                    // back edge to an ancestor
+                    low.set(frame.node, Math.min(low.get(frame.node), depth.get(neighbor)));
+                    edgeStack.push([frame.node, neighbor]);
+                }
+                continue;
+            }
+
+            stack.pop();
+            const { node, parent } = frame;
+            if (parent === null) {
+                continue;
+            }
+            low.set(parent, Math.min(low.get(parent), low.get(node)));
+            if (low.get(node) > depth.get(parent)) {
+                bridges.push([parent, node]);
+            }
+            if (low.get(node) >= depth.get(parent)) {
+                // the parent separates the subtree of the node: its edges form a block
+                const block = [];
+                let edge;
+                do {
+                    edge = edgeStack.pop();
+                    block.push(edge);
+                } while (edge[0] !== parent || edge[1] !== node);
+                blocks.push(block);
+                if (parent === root) {
+                    rootChildren++;
+                } else {
+                    articulationPoints.add(parent);
+                }
+            }
+        }
+        if (rootChildren > 1) {
+            articulationPoints.add(root);
+        }
+    }
+    return { nodes: [...neighbors.keys()], articulationPoints, bridges, blocks };
+}
+
+
+function pairKey(u, v) {
+    return JSON.stringify(u < v ? [u, v] : [v, u]);
+}
@@ -0,0 +1,475 @@
+/**
+ * Graphviz DOT format
+ * The parser reads graphs and digraphs with their node and edge statements, attribute statements (node [...], edge [...]),
+ * subgraphs and clusters (their nodes are added to the graph, edges to a subgraph go to all its nodes), ports (ignored),
+ * comments and quoted, concatenated and HTML strings. The edges of an undirected graph keep the direction they are written in
+ *
+ * The attributes are read as they are, numbers as numbers and true or false as booleans, except for the units of Graphviz:
+ * - width and height are in inches in DOT and in pixels in the attributes (72 pixels per inch)
+ * - pos is read into the x and y attributes of the nodes and the points attribute of the edges, the y axis of Graphviz
+ *   goes up and the one of the layouts goes down
+ */
+
+import { Graph } from "./graph.js";
+import { getEdgeRoute } from "./layout.js";
+import { assertAdjacencyList } from "./validation.js";
+import { InvalidArgumentError } from "./errors.js";
+
+
+const PIXELS_PER_INCH = 72;
+
+const KEYWORDS = ["strict", "graph", "digraph", "node", "edge", "subgraph"];
+
+
+/**
+ * Parses a graph in the DOT format
+ * @param {string} text - the DOT text
+ * @returns {object} - the adjacency list of the graph, with its attributes
+ * @throws {InvalidArgumentError} - if the text is not a DOT graph
+ */
+export function parseDOT(text) {
+    const parser = new DOTParser(tokenizeDOT(text));
+    return parser.parseGraph();
+}
+
+
+/**
+ * Serializes a graph in the DOT format, as a digraph
+ * @param {object} adjList - the adjacency list of the graph
+ * @param {object} options - { layout: a layout whose positions are written (see computeLayout), name: the name of the graph } (optional)
+ * @returns {string} - the DOT text
+ */
+export function serializeDOT(adjList, options = {}) {
+    assertAdjacencyList(adjList);
+    const graph = new Graph(adjList);
+    const layout = options.layout;
+    const lines = [options.name ? `digraph ${formatDOTId(options.name)} {` : "digraph {"];
+
+    for (const node of graph.nodes()) {
+        const { x, y, ...attributes } = graph.getNodeAttributes(node);
+        const position = layout?.nodes[node] ?? { x, y };
+        const dotAttributes = { ...attributes };
+        if (attributes.width !== undefined) {
+            dotAttributes.width = attributes.width / PIXELS_PER_INCH;
+        }
+        if (attributes.height !== undefined) {
+            dotAttributes.height = attributes.height / PIXELS_PER_INCH;
+        }
+        if (position.x !== undefined && position.y !== undefined) {
+            dotAttributes.pos = formatDOTPoint(position);
+        }
+        lines.push(`    ${formatDOTId(node)}${formatDOTAttributes(dotAttributes)};`);
+    }
+
+    for (const [source, target] of graph.edges()) {
+        const { points: attributePoints, ...attributes } = graph.getEdgeAttributes(source, target);
+        const points = (layout && getEdgeRoute(layout, source, target)) ?? attributePoints;
+        const dotAttributes = { ...attributes };
+        if (points && points.length > 0) {
+            dotAttributes.pos = formatDOTSpline(points);
+        }
+        lines.push(`    ${formatDOTId(source)} -> ${formatDOTId(target)}${formatDOTAttributes(dotAttributes)};`);
+    }
+
+    lines.push("}");
+    return lines.join("\n") + "\n";
+}
+
+
+/**
+ * Splits a DOT text into tokens: { type: "id", value, quoted } and { type: "symbol", value }
+ */
+function tokenizeDOT(text) {
+    const tokens = [];
+    let i = 0;
+    let lineStart = true;
+    while (i < text.length) {
+        const char = text[i];
+        if (char === "\n") {
+            lineStart = true;
+            i++;
+            continue;
+        }
+        if (/\s/.test(char)) {
+            i++;
+            continue;
+        }
+        // preprocessor lines
+        if (char === "#" && lineStart) {
+            while (i < text.length && text[i] !== "\n") {
+                i++;
+            }
+            continue;
+        }
+        lineStart = false;
+        if (text.startsWith("//", i)) {
+            while (i < text.length && text[i] !== "\n") {
+                i++;
+            }
+            continue;
+        }
+        if (text.startsWith("/*", i)) {
+            const end = text.indexOf("*/", i + 2);
+            if (end === -1) {
+                throw new InvalidArgumentError("Unterminated comment in the DOT text");
+            }
+            i = end + 2;
+            continue;
+        }
+        if (text.startsWith("->", i) || text.startsWith("--", i)) {
+            tokens.push({ type: "symbol", value: text.slice(i, i + 2) });
+            i += 2;
+            continue;
+        }
+        if ("{}[]=;,:+".includes(char)) {
+            tokens.push({ type: "symbol", value: char });
+            i++;
+            continue;
+        }
+        if (char === "\"") {
+            let value = "";
+            i++;
+            while (i < text.length && text[i] !== "\"") {
+                // the escapes written by formatDOTId (\", \\ and \n), a backslash at the end of a line continues the string,
+                // the other escapes of Graphviz (e.g. \l) are kept as they are
+                if (text[i] === "\\" && (text[i + 1] === "\"" || text[i + 1] === "\\")) {
+                    value += text[i + 1];
+                    i += 2;
+                } else if (text[i] === "\\" && text[i + 1] === "n") {
+                    value += "\n";
+                    i += 2;
+                } else if (text[i] === "\\" && text[i + 1] === "\n") {
+                    i += 2;
+                } else {
+                    value += text[i++];
+                }
+            }
+            if (i >= text.length) {
+                throw new InvalidArgumentError("Unterminated string in the DOT text");
+            }
+            i++;
+            tokens.push({ type: "id", value, quoted: true });
+            continue;
+        }
+        if (char === "<") {
+            let depth = 0;
+            const start = i;
+            do {
+                if (text[i] === "<") {
+                    depth++;
+                } else if (text[i] === ">") {
+                    depth--;
+                }
+                i++;
+            } while (i < text.length && depth > 0);
+            if (depth > 0) {
+                throw new InvalidArgumentError("Unterminated HTML string in the DOT text");
+            }
+            tokens.push({ type: "id", value: text.slice(start + 1, i - 1), quoted: true });
+            continue;
+        }
+        const match = /^(-?(?:\.[0-9]+|[0-9]+(?:\.[0-9]*)?)|[A-Za-z_\u0080-\uffff][\w\u0080-\uffff]*)/.exec(text.slice(i, i + 256));
+        if (!match) {
+            throw new InvalidArgumentError(`Unexpected character in the DOT text: ${char}`);
+        }
+        tokens.push({ type: "id", value: match[0], quoted: false });
+        i += match[0].length;
+    }
+    return tokens;
+}
+
+
+class DOTParser {
+    constructor(tokens) {
+        this.tokens = tokens;
+        this.position = 0;
+        this.graph = new Graph();
+    }
+
+    peek(offset = 0) {
+        return this.tokens[this.position + offset];
+    }
+
+    isSymbol(value, offset = 0) {
+        const token = this.peek(offset);
+        return token !== undefined && token.type === "symbol" && token.value === value;
+    }
+
+    isKeyword(value, offset = 0) {
+        const token = this.peek(offset);
+        return token !== undefined && token.type === "id" && !token.quoted && token.value.toLowerCase() === value;
+    }
+
+    expect(value) {
+        if (!this.isSymbol(value)) {
+            const token = this.peek();
+            throw new InvalidArgumentError(`Expected "${value}" in the DOT text, got ${token ? `"${token.value}"` : "the end"}`);
+        }
+        this.position++;
+    }
+
+    parseId() {
+        const token = this.peek();
+        if (!token || token.type !== "id") {
+            throw new InvalidArgumentError(`Expected an id in the DOT text, got ${token ? `"${token.value}"` : "the end"}`);
+        }
+        this.position++;
+        let value = token.value;
+        // "a" + "b"
+        while (token.quoted && this.isSymbol("+") && this.peek(1)?.quoted) {
+            this.position++;
+            value += this.peek().value;
+            this.position++;
+        }
+        return value;
+    }
+
+    parseGraph() {
+        if (this.isKeyword("strict")) {
+            this.position++;
+        }
+        if (!this.isKeyword("graph") && !this.isKeyword("digraph")) {
+            throw new InvalidArgumentError("A DOT text starts with graph or digraph");
+        }
+        this.position++;
+        if (!this.isSymbol("{")) {
+            this.parseId();
+        }
+        this.expect("{");
+        this.parseStatements({ node: {}, edge: {} });
+        this.expect("}");
+        if (this.position < this.tokens.length) {
+            throw new InvalidArgumentError(`Unexpected "${this.peek().value}" after the end of the DOT graph`);
+        }
+        return this.graph.adjacency;
+    }
+
+    /**
+     * Parses the statements until the closing brace
+     * @param {object} defaults - the default attributes of the nodes and edges in the current (sub)graph
+     * @returns {Set} - the nodes of the statements
+     */
+    parseStatements(defaults) {
+        const nodes = new Set();
+        while (this.peek() && !this.isSymbol("}")) {
+            this.parseStatement(defaults, nodes);
+            if (this.isSymbol(";") || this.isSymbol(",")) {
+                this.position++;
+            }
+        }
+        return nodes;
+    }
+
+    parseStatement(defaults, nodes) {
+        if ((this.isKeyword("graph") || this.isKeyword("node") || this.isKeyword("edge")) && this.isSymbol("[", 1)) {
+            const kind = this.parseId().toLowerCase();
+            const attributes = this.parseAttributeLists();
+            if (kind !== "graph") {
+                defaults[kind] = { ...defaults[kind], ...attributes };
+            }
+            return;
+        }
+        if (this.peek().type === "id" && !this.isKeyword("subgraph") && this.isSymbol("=", 1)) {
+            // graph attribute
+            this.parseId();
+            this.position++;
+            this.parseId();
+            return;
+        }
+
+        let operand = this.parseOperand(defaults);
+        for (const node of operand) {
+            nodes.add(node);
+        }
+        if (!this.isSymbol("->") && !this.isSymbol("--")) {
+            // a node statement, or a subgraph
+            if (this.isSymbol("[")) {
+                const attributes = convertDOTNodeAttributes(this.parseAttributeLists());
+                for (const node of operand) {
+                    this.graph.setNodeAttributes(node, attributes);
+                }
+            }
+            return;
+        }
+
+        const operands = [operand];
+        while (this.isSymbol("->") || this.isSymbol("--")) {
+            this.position++;
+            operand = this.parseOperand(defaults);
+            for (const node of operand) {
+                nodes.add(node);
+            }
+            operands.push(operand);
+        }
+        const attributes = convertDOTEdgeAttributes({ ...defaults.edge, ...(this.isSymbol("[") ? this.parseAttributeLists() : {}) });
+        for (let i = 1; i < operands.length; i++) {
+            for (const source of operands[i - 1]) {
+                for (const target of operands[i]) {
+                    this.graph.addEdge(source, target);
+                    this.graph.setEdgeAttributes(source, target, attributes);
+                }
+            }
+        }
+    }
+
+    /**
+     * Parses a node id (with its port) or a subgraph
+     * @returns {string[]} - the nodes
+     */
+    parseOperand(defaults) {
+        if (this.isKeyword("subgraph") || this.isSymbol("{")) {
+            if (this.isKeyword("subgraph")) {
+                this.position++;
+                if (!this.isSymbol("{")) {
+                    this.parseId();
+                }
+            }
+            this.expect("{");
+            const nodes = this.parseStatements({ node: { ...defaults.node }, edge: { ...defaults.edge } });
+            this.expect("}");
+            return [...nodes];
+        }
+
+        const node = this.parseId();
+        // port, compass point
+        while (this.isSymbol(":")) {
+            this.position++;
+            this.parseId();
+        }
+        if (!this.graph.hasNode(node)) {
+            this.graph.addNode(node, [], convertDOTNodeAttributes(defaults.node));
+        }
+        return [node];
+    }
+
+    parseAttributeLists() {
+        const attributes = {};
+        while (this.isSymbol("[")) {
+            this.position++;
+            while (!this.isSymbol("]")) {
+                const name = this.parseId();
+                let value = "true";
+                if (this.isSymbol("=")) {
+                    this.position++;
+                    value = this.parseId();
+                }
+                attributes[name] = value;
+                if (this.isSymbol(";") || this.isSymbol(",")) {
+                    this.position++;
+                }
+            }
+            this.expect("]");
+        }
+        return attributes;
+    }
+}
+
+
+function parseDOTValue(value) {
+    if (value === "true" || value === "false") {
+        return value === "true";
+    }
+    return /^-?(?:\.[0-9]+|[0-9]+(?:\.[0-9]*)?)(?:e[+-]?[0-9]+)?$/i.test(value) ? Number(value) : value;
+}
+
+
+function convertDOTNodeAttributes(dotAttributes) {
+    const attributes = {};
+    for (const name in dotAttributes) {
+        attributes[name] = parseDOTValue(dotAttributes[name]);
+    }
+    if (typeof attributes.width === "number") {
+        attributes.width *= PIXELS_PER_INCH;
+    }
+    if (typeof attributes.height === "number") {
+        attributes.height *= PIXELS_PER_INCH;
+    }
+    if (attributes.pos !== undefined) {
+        const [point] = parseDOTPoints(String(attributes.pos));
+        delete attributes.pos;
+        if (point) {
+            attributes.x = point.x;
+            attributes.y = point.y;
+        }
+    }
+    return attributes;
+}
+
+
+function convertDOTEdgeAttributes(dotAttributes) {
+    const attributes = {};
+    for (const name in dotAttributes) {
+        attributes[name] = parseDOTValue(dotAttributes[name]);
+    }
+    if (attributes.pos !== undefined) {
+        // the control points of the cubic Bézier curves, every third one is on the curve
+        const points = parseDOTPoints(String(attributes.pos)).filter((point, index) => index % 3 === 0);
+        delete attributes.pos;
+        if (points.length > 0) {
+            attributes.points = points;
+        }
+    }
+    return attributes;
+}
+
+
+/**
+ * Parses the points of a pos attribute ("x,y" or "e,x,y s,x,y x,y x,y..."), the start and end points are ignored
+ */
+function parseDOTPoints(pos) {
+    const points = [];
+    for (const part of pos.trim().split(/\s+/)) {
+        if (/^[se],/.test(part)) {
+            continue;
+        }
+        const [x, y] = part.replace(/!$/, "").split(",").map(Number);
+        if (Number.isFinite(x) && Number.isFinite(y)) {
+            points.push({ x, y: -y });
+        }
+    }
+    return points;
+}
+
+
+function formatDOTPoint({ x, y }) {
+    return `${x},${-y}`;
+}
+
+
+/**
+ * Formats a polyline as the control points of straight cubic Bézier curves
+ */
+function formatDOTSpline(points) {
+    const controlPoints = [points[0]];
+    for (let i = 1; i < points.length; i++) {
+        controlPoints.push(points[i - 1], points[i], points[i]);
+    }
+    return controlPoints.map(formatDOTPoint).join(" ");
+}
+
+
+function formatDOTId(value) {
+    const string = String(value);
+    if (/^[A-Za-z_][\w]*$/.test(string) && !KEYWORDS.includes(string.toLowerCase())) {
+        return string;
+    }
+    if (/^-?(?:\.[0-9]+|[0-9]+(?:\.[0-9]*)?)$/.test(string)) {
+        return string;
+    }
+    return `"${string.replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n")}"`;
+}
+
+
+/**
+ * Formats the attributes as an attribute list, the attributes that are not strings, numbers or booleans are left out
+ */
+function formatDOTAttributes(attributes) {
+    const parts = [];
+    for (const name in attributes) {
+        const value = attributes[name];
+        if (["string", "number", "boolean"].includes(typeof value)) {
+            parts.push(`${formatDOTId(name)}=${formatDOTId(value)}`);
+        }
+    }
+    return parts.length > 0 ? ` [${parts.join(", ")}]` : "";
+}
@@ -0,0 +1,73 @@
+/**
+ * Errors of the graph operations
+ * They all extend GraphError, so that the callers can tell a wrong input from a bug with instanceof,
+ * and carry the nodes, the edge or the issues they are about
+ */
+
+
+export class GraphError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = new.target.name;
+    }
+}
+
+
+/**
+ * The adjacency list is not an object of arrays of node ids, the components share nodes, or the containers of the nodes
+ * are not nodes of the graph or contain each other (see compound.js)
+ */
+export class InvalidAdjacencyListError extends GraphError {
+    /**
+     * @param {string} message - the message of the error
+     * @param {object[]} issues - the issues found in the adjacency list, see validateGraph (optional)
+     */
+    constructor(message, issues = []) {
+        super(message);
+        this.issues = issues;
+    }
+}
+
+
+/**
+ * A node id is neither a string nor a finite number
+ */
+export class InvalidNodeError extends GraphError {
+    constructor(node) {
+        super(`Invalid node id: ${String(node)}, the ids are strings or numbers`);
+        this.node = node;
+    }
+}
+
+
+export class UnknownNodeError extends GraphError {
+    constructor(node) {
+        super(`Unknown node: ${node}`);
+        this.node = node;
+    }
+}
+
+
+export class UnknownEdgeError extends GraphError {
+    constructor(source, target) {
+        super(`Unknown edge: ${source} -> ${target}`);
+        this.source = source;
+        this.target = target;
+    }
+}
+
+
+export class DuplicateEdgeError extends GraphError {
+    constructor(source, target) {
+        super(`The edge ${source} -> ${target} already exists`);
+        this.source = source;
+        this.target = target;
+    }
+}
+
+
+/**
+ * Any other wrong argument, e.g. neighbors that are not an array, an unknown strategy or format, a text that cannot be parsed,
+ * or a graph that an algorithm does not accept (a non-planar graph for the planar layout)
+ */
+export class InvalidArgumentError extends GraphError {}
@@ -0,0 +1,520 @@
+/**
+ * Force-directed layout (Fruchterman and Reingold)
+ * The edges pull their nodes together and all the nodes push each other away, the nodes move
+ * along the resulting forces by at most the temperature, which cools down at every iteration
+ *
+ * - the repulsion is computed exactly for small graphs and with the Barnes-Hut approximation (quadtree) for large ones
+ * - the initial positions come from a seeded random generator, the same seed always gives the same layout
+ * - the nodes that still overlap at the end of the simulation are pushed apart
+ * - an optional refinement phase moves the nodes one by one to positions where their edges cross fewer edges
+ */
+
+import { countEdgeCrossings, segmentsCross, getBoundingBox } from "./metrics.js";
+import { getAllNodes } from "./layered.js";
+import { getNodeSize, getNodeAttributes, getEdgeAttributes } from "./attributes.js";
+import { assertAdjacencyList } from "./validation.js";
+
+
+const DEFAULT_OPTIONS = {
+    nodeWidth: 40,
+    nodeHeight: 40,
+    nodeSpacing: 10,
+    // ideal distance between two neighbors, computed from the node sizes when null
+    edgeLength: null,
+    seed: 1,
+    iterations: 300,
+    // pull towards the center, keeps the unconnected nodes close
+    gravity: 0.05,
+    // the repulsion is approximated with a quadtree above this number of nodes
+    barnesHutThreshold: 1000,
+    // a cell of the quadtree is used as a whole when its size divided by its distance is below theta
+    theta: 0.8,
+    // maximal number of passes pushing the overlapping nodes apart
+    overlapIterations: 50,
+    refine: false,
+    refinementIterations: 20,
+    // number of random positions tried for a node, besides the barycenter of its neighbors
+    refinementCandidates: 16,
+    // a time (Date.now()) after which the simulation and the refinement stop where they are, null for none
+    deadline: null,
+    // called with { phase: "forces" or "refinement", iteration, iterations } after every iteration or pass
+    onProgress: null,
+};
+
+// below this depth the quadtree keeps the nodes of a cell together, for nodes at the same position
+const MAX_QUADTREE_DEPTH = 32;
+
+
+/**
+ * Returns a seeded random number generator (mulberry32)
+ * @param {number} seed - the seed, the same seed gives the same numbers
+ * @returns {function} - returns a number in [0, 1) on every call
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+
+/**
+ * Computes a force-directed layout of a graph
+ * The returned layout is translated so that its bounding box starts at (0, 0)
+ * @param {object} adjList - the adjacency list of the graph
+ * @param {object} options - the layout options, see DEFAULT_OPTIONS
+ * @returns {object} - { nodes: {id: {x, y, width, height, attributes}}, edges: [{source, target, points, reversed, attributes}], crossings }
+ */
+export function computeForceLayout(adjList, options = {}) {
+    assertAdjacencyList(adjList);
+    options = { ...DEFAULT_OPTIONS, ...options };
+    const random = createRandom(options.seed);
+    const nodes = getAllNodes(adjList);
+    const defaultSize = { width: options.nodeWidth, height: options.nodeHeight };
+    const sizes = nodes.map(node => getNodeSize(adjList, node, defaultSize));
+    const edgeLength = options.edgeLength ?? getDefaultEdgeLength(options, sizes);
+
+    // the forces ignore the direction of the edges and the self loops
+    const index = new Map(nodes.map((node, i) => [node, i]));
+    const pairs = new Set();
+    const edges = [];
+    for (const source in adjList) {
+        for (const target of adjList[source]) {
+            const key = JSON.stringify(source < target ? [source, target] : [target, source]);
+            if (source !== target && !pairs.has(key)) {
+                pairs.add(key);
+                edges.push([index.get(source), index.get(target)]);
+            }
+        }
+    }
+
+    // random initial positions, in a square as large as the ideal drawing
+    const side = edgeLength * Math.sqrt(nodes.length);
+    const x = new Float64Array(nodes.length);
+    const y = new Float64Array(nodes.length);
+    for (let i = 0; i < nodes.length; i++) {
+        x[i] = random() * side;
+        y[i] = random() * side;
+    }
+
+    runForceSimulation(x, y, edges, { ...options, edgeLength }, random);
+    removeOverlaps(x, y, sizes, options);
+    if (options.refine) {
+        refineCrossings(x, y, sizes, edges, { ...options, edgeLength }, random);
+    }
+
+    const positions = {};
+    nodes.forEach((node, i) => {
+        positions[node] = { x: x[i], y: y[i], ...sizes[i], attributes: getNodeAttributes(adjList, node) };
+    });
+    const routes = [];
+    for (const source in adjList) {
+        for (const target of adjList[source]) {
+            if (source === target) {
+                continue;
+            }
+            routes.push({
+                source,
+                target,
+                points: [
+                    { x: positions[source].x, y: positions[source].y },
+                    { x: positions[target].x, y: positions[target].y },
+                ],
+                reversed: false,
+                attributes: getEdgeAttributes(adjList, source, target),
+            });
+        }
+    }
+
+    const { x: minX, y: minY } = getBoundingBox(positions, routes);
+    for (const node in positions) {
+        positions[node].x -= minX;
+        positions[node].y -= minY;
+    }
+    for (const route of routes) {
+        route.points = route.points.map(point => ({ x: point.x - minX, y: point.y - minY }));
+    }
+    return { nodes: positions, edges: routes, crossings: countEdgeCrossings(routes) };
+}
+
+
+/**
+ * Moves the nodes along the forces for the given number of iterations
+ * The temperature (maximal move) decreases linearly from a tenth of the drawing size plus the edge length to zero
+ * @param {Float64Array} x - the x coordinates of the nodes, updated in place
+ * @param {Float64Array} y - the y coordinates of the nodes, updated in place
+ * @param {number[][]} edges - the undirected edges as pairs of node indices
+ * @param {object} options - { edgeLength, iterations, gravity, barnesHutThreshold, theta } (optional)
+ * @param {function} random - the random generator, used to separate the nodes at the same position (optional)
+ */
+export function runForceSimulation(x, y, edges, options = {}, random = createRandom(DEFAULT_OPTIONS.seed)) {
+    options = { ...DEFAULT_OPTIONS, ...options };
+    const n = x.length;
+    const k = options.edgeLength ?? getDefaultEdgeLength(options);
+    const initialTemperature = k * Math.sqrt(n) / 10 + k;
+    const dx = new Float64Array(n);
+    const dy = new Float64Array(n);
+
+    for (let iteration = 0; iteration < options.iterations; iteration++) {
+        if (options.deadline !== null && Date.now() > options.deadline) {
+            break;
+        }
+        dx.fill(0);
+        dy.fill(0);
+
+        // repulsion between all the nodes: k^2 / d
+        if (n > options.barnesHutThreshold) {
+            const tree = buildQuadtree(x, y);
+            for (let i = 0; i < n; i++) {
+                addApproximateRepulsion(tree, i, x, y, dx, dy, k, options.theta, random);
+            }
+        } else {
+            for (let i = 0; i < n; i++) {
+                for (let j = i + 1; j < n; j++) {
+                    const [fx, fy] = repulsion(x[i] - x[j], y[i] - y[j], k, random);
+                    dx[i] += fx;
+                    dy[i] += fy;
+                    dx[j] -= fx;
+                    dy[j] -= fy;
+                }
+            }
+        }
+
+        // attraction along the edges: d^2 / k
+        for (const [u, v] of edges) {
+            const ex = x[u] - x[v];
+            const ey = y[u] - y[v];
+            const distance = Math.hypot(ex, ey);
+            if (distance === 0) {
+                continue;
+            }
+            const force = distance / k;
+            dx[u] -= ex * force;
+            dy[u] -= ey * force;
+            dx[v] += ex * force;
+            dy[v] += ey * force;
+        }
+
+        // gravity towards the center of the drawing
+        let centerX = 0;
+        let centerY = 0;
+        for (let i = 0; i < n; i++) {
+            centerX += x[i] / n;
+            centerY += y[i] / n;
+        }
+
+        const temperature = initialTemperature * (1 - iteration / options.iterations);
+        for (let i = 0; i < n; i++) {
+            dx[i] -= options.gravity * (x[i] - centerX);
+            dy[i] -= options.gravity * (y[i] - centerY);
+            const displacement = Math.hypot(dx[i], dy[i]);
+            if (displacement > 0) {
+                const step = Math.min(displacement, temperature) / displacement;
+                x[i] += dx[i] * step;
+                y[i] += dy[i] * step;
+            }
+        }
+        options.onProgress?.({ phase: "forces", iteration: iteration + 1, iterations: options.iterations });
+    }
+}
+
+
+/**
+ * The default ideal edge length: the diagonal of the largest node plus the node spacing
+ */
+function getDefaultEdgeLength(options, sizes = [{ width: options.nodeWidth, height: options.nodeHeight }]) {
+    return Math.max(...sizes.map(({ width, height }) => Math.hypot(width, height)), 0) + options.nodeSpacing;
+}
+
+
+function repulsion(ex, ey, k, random) {
+    let distanceSquared = ex * ex + ey * ey;
+    if (distanceSquared === 0) {
+        // nodes at the same position are pushed in a random direction
+        const angle = random() * 2 * Math.PI;
+        ex = Math.cos(angle) * 0.01;
+        ey = Math.sin(angle) * 0.01;
+        distanceSquared = 0.0001;
+    }
+    // (k^2 / d) along the unit vector (ex, ey) / d
+    const force = k * k / distanceSquared;
+    return [ex * force, ey * force];
+}
+
+
+/**
+ * Builds the quadtree of the positions, every cell knows its mass (number of nodes) and its center of mass
+ * @returns {object} - the root cell { x, y, size, children, points, mass, centerX, centerY }
+ */
+function buildQuadtree(x, y) {
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    for (let i = 0; i < x.length; i++) {
+        minX = Math.min(minX, x[i]);
+        minY = Math.min(minY, y[i]);
+        maxX = Math.max(maxX, x[i]);
+        maxY = Math.max(maxY, y[i]);
+    }
+    const root = createCell(minX, minY, Math.max(maxX - minX, maxY - minY, 1));
+
+    for (let i = 0; i < x.length; i++) {
+        let cell = root;
+        let depth = 0;
+        while (true) {
+            if (cell.children) {
+                cell = getChildCell(cell, x[i], y[i]);
+                depth++;
+                continue;
+            }
+            if (cell.points.length === 0 || depth >= MAX_QUADTREE_DEPTH) {
+                cell.points.push(i);
+                break;
+            }
+            // split the leaf, its node goes down and the new node is inserted again
+            cell.children = [null, null, null, null];
+            const points = cell.points;
+            cell.points = [];
+            for (const point of points) {
+                getChildCell(cell, x[point], y[point]).points.push(point);
+            }
+        }
+    }
+
+    // masses and centers of mass, from the leaves up
+    const cells = [root];
+    for (let i = 0; i < cells.length; i++) {
+        for (const child of cells[i].children || []) {
+            if (child) {
+                cells.push(child);
+            }
+        }
+    }
+    for (let i = cells.length - 1; i >= 0; i--) {
+        const cell = cells[i];
+        let mass = cell.points.length;
+        let sumX = 0;
+        let sumY = 0;
+        for (const point of cell.points) {
+            sumX += x[point];
+            sumY += y[point];
+        }
+        for (const child of cell.children || []) {
+            if (child) {
+                mass += child.mass;
+                sumX += child.centerX * child.mass;
+                sumY += child.centerY * child.mass;
+            }
+        }
+        cell.mass = mass;
+        cell.centerX = mass > 0 ? sumX / mass : 0;
+        cell.centerY = mass > 0 ? sumY / mass : 0;
+    }
+    return root;
+}
+
+
+function createCell(x, y, size) {
+    return { x, y, size, children: null, points: [], mass: 0, centerX: 0, centerY: 0 };
+}
+
+
+function getChildCell(cell, x, y) {
+    const half = cell.size / 2;
+    const right = x >= cell.x + half ? 1 : 0;
+    const bottom = y >= cell.y + half ? 1 : 0;
+    const quadrant = right + 2 * bottom;
+    if (!cell.children[quadrant]) {
+        cell.children[quadrant] = createCell(cell.x + right * half, cell.y + bottom * half, half);
+    }
+    return cell.children[quadrant];
+}
+
+
+/**
+ * Adds the repulsion of all the other nodes on the node i, far cells of the quadtree act as one node
+ */
+function addApproximateRepulsion(root, i, x, y, dx, dy, k, theta, random) {
+    const stack = [root];
+    while (stack.length > 0) {
+        const cell = stack.pop();
+        if (!cell.children) {
+            for (const point of cell.points) {
+                if (point !== i) {
+                    const [fx, fy] = repulsion(x[i] - x[point], y[i] - y[point], k, random);
+                    dx[i] += fx;
+                    dy[i] += fy;
+                }
+            }
+            continue;
+        }
+        const ex = x[i] - cell.centerX;
+        const ey = y[i] - cell.centerY;
+        const distance = Math.hypot(ex, ey);
+        if (distance > 0 && cell.size / distance < theta) {
+            const [fx, fy] = repulsion(ex, ey, k, random);
+            dx[i] += fx * cell.mass;
+            dy[i] += fy * cell.mass;
+            continue;
+        }
+        for (const child of cell.children) {
+            if (child) {
+                stack.push(child);
+            }
+        }
+    }
+}
+
+
+/**
+ * Pushes the overlapping nodes apart, along the axis where they overlap the least
+ * The overlapping pairs are found with a sweep line over the nodes sorted by their left side
+ * @param {Float64Array} x - the x coordinates of the nodes, updated in place
+ * @param {Float64Array} y - the y coordinates of the nodes, updated in place
+ * @param {object[]} sizes - the { width, height } of every node
+ * @param {object} options - { nodeSpacing: the minimal gap between two nodes, overlapIterations } (optional)
+ * @returns {number} - the number of overlapping pairs left
+ */
+export function removeOverlaps(x, y, sizes, options = {}) {
+    options = { ...DEFAULT_OPTIONS, ...options };
+    const n = x.length;
+    const order = Array.from({ length: n }, (_, i) => i);
+    let overlaps = 0;
+    for (let pass = 0; pass < options.overlapIterations; pass++) {
+        order.sort((a, b) => (x[a] - sizes[a].width / 2) - (x[b] - sizes[b].width / 2));
+        overlaps = 0;
+        let active = [];
+        for (const i of order) {
+            const left = x[i] - sizes[i].width / 2;
+            active = active.filter(j => x[j] + sizes[j].width / 2 + options.nodeSpacing > left);
+            for (const j of active) {
+                const overlapX = (sizes[i].width + sizes[j].width) / 2 + options.nodeSpacing - Math.abs(x[i] - x[j]);
+                const overlapY = (sizes[i].height + sizes[j].height) / 2 + options.nodeSpacing - Math.abs(y[i] - y[j]);
+                if (overlapX <= 0 || overlapY <= 0) {
+                    continue;
+                }
+                overlaps++;
+                // each node moves half of the way, the one on the left (or top) goes further left (or up)
+                if (overlapX < overlapY) {
+                    const direction = x[i] > x[j] || (x[i] === x[j] && i > j) ? 1 : -1;
+                    x[i] += direction * overlapX / 2;
+                    x[j] -= direction * overlapX / 2;
+                } else {
+                    const direction = y[i] > y[j] || (y[i] === y[j] && i > j) ? 1 : -1;
+                    y[i] += direction * overlapY / 2;
+                    y[j] -= direction * overlapY / 2;
+                }
+            }
+            active.push(i);
+        }
+        if (overlaps === 0) {
+            break;
+        }
+    }
+    return overlaps;
+}
+
+
+/**
+ * Moves the nodes one by one to remove edge crossings
+ * For every node whose edges cross other edges, the barycenter of its neighbors and random positions around
+ * its neighbors are tried, the node goes to the position where its edges have the fewest crossings
+ * (a position where the node would overlap another node is not allowed)
+ * Stops after the given number of passes over the nodes, or when a pass does not improve anything
+ * @param {Float64Array} x - the x coordinates of the nodes, updated in place
+ * @param {Float64Array} y - the y coordinates of the nodes, updated in place
+ * @param {object[]} sizes - the { width, height } of every node
+ * @param {number[][]} edges - the undirected edges as pairs of node indices
+ * @param {object} options - { edgeLength, nodeSpacing, refinementIterations, refinementCandidates } (optional)
+ * @param {function} random - the random generator (optional)
+ * @returns {number} - the number of crossings removed
+ */
+export function refineCrossings(x, y, sizes, edges, options = {}, random = createRandom(DEFAULT_OPTIONS.seed)) {
+    options = { ...DEFAULT_OPTIONS, ...options };
+    const edgeLength = options.edgeLength ?? getDefaultEdgeLength(options);
+    const n = x.length;
+    const incident = Array.from({ length: n }, () => []);
+    edges.forEach(([u, v], edge) => {
+        incident[u].push(edge);
+        incident[v].push(edge);
+    });
+
+    const point = i => ({ x: x[i], y: y[i] });
+    const countNodeCrossings = node => {
+        let crossings = 0;
+        for (const edge of incident[node]) {
+            const [u, v] = edges[edge];
+            for (const [s, t] of edges) {
+                if (s !== u && s !== v && t !== u && t !== v && segmentsCross(point(u), point(v), point(s), point(t))) {
+                    crossings++;
+                }
+            }
+        }
+        return crossings;
+    };
+    const overlaps = node => {
+        for (let other = 0; other < n; other++) {
+            if (other !== node
+                && Math.abs(x[node] - x[other]) < (sizes[node].width + sizes[other].width) / 2 + options.nodeSpacing
+                && Math.abs(y[node] - y[other]) < (sizes[node].height + sizes[other].height) / 2 + options.nodeSpacing) {
+                return true;
+            }
+        }
+        return false;
+    };
+
+    let removed = 0;
+    for (let pass = 0; pass < options.refinementIterations; pass++) {
+        if (options.deadline !== null && Date.now() > options.deadline) {
+            break;
+        }
+        let improved = false;
+        for (let node = 0; node < n; node++) {
+            const current = countNodeCrossings(node);
+            const neighbors = incident[node].map(edge => edges[edge][0] === node ? edges[edge][1] : edges[edge][0]);
+            if (current === 0 || neighbors.length === 0) {
+                continue;
+            }
+            const candidates = [{
+                x: neighbors.reduce((sum, neighbor) => sum + x[neighbor], 0) / neighbors.length,
+                y: neighbors.reduce((sum, neighbor) => sum + y[neighbor], 0) / neighbors.length,
+            }];
+            for (let c = 0; c < options.refinementCandidates; c++) {
+                const around = neighbors[Math.floor(random() * neighbors.length)];
+                const angle = random() * 2 * Math.PI;
+                const distance = edgeLength * (0.5 + random());
+                candidates.push({ x: x[around] + Math.cos(angle) * distance, y: y[around] + Math.sin(angle) * distance });
+            }
+
+            const original = { x: x[node], y: y[node] };
+            let best = { ...original, crossings: current };
+            for (const candidate of candidates) {
+                x[node] = candidate.x;
+                y[node] = candidate.y;
+                if (overlaps(node)) {
+                    continue;
+                }
+                const crossings = countNodeCrossings(node);
+                if (crossings < best.crossings) {
+                    best = { ...candidate, crossings };
+                }
+            }
+            x[node] = best.x;
+            y[node] = best.y;
+            if (best.crossings < current) {
+                removed += current - best.crossings;
+                improved = true;
+            }
+        }
+        options.onProgress?.({ phase: "refinement", iteration: pass + 1, iterations: options.refinementIterations, removed });
+        if (!improved) {
+            break;
+        }
+    }
+    return removed;
+}
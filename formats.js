@@ -0,0 +1,86 @@
+/**
+ * Import and export of graphs in the DOT, GraphML, GML and JSON graph formats
+ * The parsers return adjacency lists with their attributes (see attributes.js), the serializers take adjacency lists
+ * and optionally a layout (see computeLayout) whose positions are written with the graph
+ * The positions read from a file are in the x and y attributes of the nodes and the points attribute of the edges
+ */
+
+import { parseDOT, serializeDOT } from "./dot.js";
+import { parseGraphML, serializeGraphML } from "./graphml.js";
+import { parseGML, serializeGML } from "./gml.js";
+import { parseJSONGraph, serializeJSONGraph } from "./json-graph.js";
+import { InvalidArgumentError } from "./errors.js";
+
+
+export const GRAPH_FORMATS = {
+    dot: { parse: parseDOT, serialize: serializeDOT, extensions: ["dot", "gv"] },
+    graphml: { parse: parseGraphML, serialize: serializeGraphML, extensions: ["graphml", "xml"] },
+    gml: { parse: parseGML, serialize: serializeGML, extensions: ["gml"] },
+    json: { parse: parseJSONGraph, serialize: serializeJSONGraph, extensions: ["json"] },
+};
+
+
+/**
+ * Parses a graph
+ * @param {string} text - the content of the file
+ * @param {string} format - a name of GRAPH_FORMATS, detected from the text when not given (optional)
+ * @returns {object} - the adjacency list of the graph, with its attributes
+ * @throws {InvalidArgumentError} - if the format is unknown or cannot be detected, or the text cannot be parsed
+ */
+export function parseGraph(text, format = null) {
+    return getGraphFormat(format ?? detectGraphFormat(text)).parse(text);
+}
+
+
+/**
+ * Serializes a graph
+ * @param {object} adjList - the adjacency list of the graph
+ * @param {string} format - a name of GRAPH_FORMATS
+ * @param {object} options - { layout: a layout whose positions are written, ... the options of the format } (optional)
+ * @returns {string} - the content of the file
+ * @throws {InvalidArgumentError} - if the format is unknown
+ */
+export function serializeGraph(adjList, format, options = {}) {
+    return getGraphFormat(format).serialize(adjList, options);
+}
+
+
+/**
+ * Returns the format of a graph from the name of its file, or from its content
+ * @param {string} text - the content of the file
+ * @param {string} filename - the name of the file (optional)
+ * @returns {string} - a name of GRAPH_FORMATS
+ * @throws {InvalidArgumentError} - if the format cannot be detected
+ */
+export function detectGraphFormat(text, filename = null) {
+    const extension = filename?.split(".").pop().toLowerCase();
+    for (const format in GRAPH_FORMATS) {
+        if (GRAPH_FORMATS[format].extensions.includes(extension)) {
+            return format;
+        }
+    }
+
+    const start = text.replace(/^(\s|#[^\n]*\n|\/\/[^\n]*\n|\/\*[\s\S]*?\*\/)*/, "");
+    if (/^[{]/.test(start)) {
+        return "json";
+    }
+    if (/^</.test(start)) {
+        return "graphml";
+    }
+    if (/^(strict\s+)?(di)?graph\s*("[^"]*"|[^\s{]*)\s*{/i.test(start)) {
+        return "dot";
+    }
+    if (/^([A-Za-z_]\w*\s+("[^"]*"|\S+)\s+)*graph\s*\[/.test(start)) {
+        return "gml";
+    }
+    throw new InvalidArgumentError("The format of the graph could not be detected");
+}
+
+
+function getGraphFormat(format) {
+    const graphFormat = GRAPH_FORMATS[format?.toLowerCase()];
+    if (!graphFormat) {
+        throw new InvalidArgumentError(`Unknown graph format: ${format}`);
+    }
+    return graphFormat;
+}
@@ -0,0 +1,254 @@
+/**
+ * GML format
+ * graph [ directed 1 node [ id 0 name "a" label "A" graphics [ x 0 y 0 w 40 h 40 ] ] edge [ source 0 target 1 ] ]
+ * The ids of GML are integers, the ids of the nodes are kept in their name ("a"), the id is used when there is none
+ * The graphics of the nodes are read into the x, y, width and height attributes, the lines of the edges into the points attribute
+ * The other keys with a number or a string are read as attributes, the other lists are ignored
+ */
+
+import { Graph } from "./graph.js";
+import { getEdgeRoute } from "./layout.js";
+import { assertAdjacencyList } from "./validation.js";
+import { InvalidArgumentError } from "./errors.js";
+
+
+// the keys of the nodes and edges that are not attributes
+const RESERVED_KEYS = ["id", "name", "source", "target", "graphics"];
+
+
+/**
+ * Parses a graph in the GML format
+ * @param {string} text - the GML text
+ * @returns {object} - the adjacency list of the graph, with its attributes
+ * @throws {InvalidArgumentError} - if the text is not a GML graph
+ */
+export function parseGML(text) {
+    const document = parseGMLList(tokenizeGML(text), { position: 0 }, false);
+    const graphList = document.find(([key]) => key === "graph")?.[1];
+    if (!Array.isArray(graphList)) {
+        throw new InvalidArgumentError("A GML document needs a graph list");
+    }
+
+    const graph = new Graph();
+    const ids = new Map();
+    for (const [key, value] of graphList) {
+        if (key !== "node" || !Array.isArray(value)) {
+            continue;
+        }
+        const fields = getGMLFields(value);
+        if (fields.id === undefined) {
+            throw new InvalidArgumentError("A GML node needs an id");
+        }
+        const node = String(fields.name ?? fields.id);
+        ids.set(String(fields.id), node);
+        const attributes = getGMLAttributes(fields);
+        const graphics = getGMLFields(fields.graphics || []);
+        for (const [name, attribute] of [["x", "x"], ["y", "y"], ["w", "width"], ["h", "height"]]) {
+            if (typeof graphics[name] === "number") {
+                attributes[attribute] = graphics[name];
+            }
+        }
+        graph.addNode(node, [], attributes);
+    }
+
+    for (const [key, value] of graphList) {
+        if (key !== "edge" || !Array.isArray(value)) {
+            continue;
+        }
+        const fields = getGMLFields(value);
+        const source = ids.get(String(fields.source));
+        const target = ids.get(String(fields.target));
+        if (source === undefined || target === undefined) {
+            throw new InvalidArgumentError(`A GML edge goes from or to an unknown node: ${fields.source} -> ${fields.target}`);
+        }
+        const attributes = getGMLAttributes(fields);
+        const line = getGMLFields(fields.graphics || []).Line;
+        if (Array.isArray(line)) {
+            attributes.points = line
+                .filter(([key, point]) => key === "point" && Array.isArray(point))
+                .map(([, point]) => getGMLFields(point))
+                .map(({ x, y }) => ({ x, y }));
+        }
+        graph.addEdge(source, target, attributes);
+    }
+    return graph.adjacency;
+}
+
+
+/**
+ * Serializes a graph in the GML format, as a directed graph
+ * @param {object} adjList - the adjacency list of the graph
+ * @param {object} options - { layout: a layout whose positions are written (see computeLayout) } (optional)
+ * @returns {string} - the GML text
+ */
+export function serializeGML(adjList, options = {}) {
+    assertAdjacencyList(adjList);
+    const graph = new Graph(adjList);
+    const layout = options.layout;
+    const ids = new Map(graph.nodes().map((node, index) => [node, index]));
+    const lines = ["graph [", "  directed 1"];
+
+    for (const node of graph.nodes()) {
+        const { x, y, width, height, ...attributes } = graph.getNodeAttributes(node);
+        const position = layout?.nodes[node] ?? { x, y };
+        lines.push("  node [", `    id ${ids.get(node)}`, `    name ${formatGMLValue(node)}`);
+        lines.push(...formatGMLAttributes(attributes, "    "));
+        const graphics = [];
+        if (typeof position.x === "number" && typeof position.y === "number") {
+            graphics.push(`x ${position.x}`, `y ${position.y}`);
+        }
+        if (typeof width === "number") {
+            graphics.push(`w ${width}`);
+        }
+        if (typeof height === "number") {
+            graphics.push(`h ${height}`);
+        }
+        if (graphics.length > 0) {
+            lines.push(`    graphics [ ${graphics.join(" ")} ]`);
+        }
+        lines.push("  ]");
+    }
+
+    for (const [source, target] of graph.edges()) {
+        const { points: attributePoints, ...attributes } = graph.getEdgeAttributes(source, target);
+        const points = (layout && getEdgeRoute(layout, source, target)) ?? attributePoints;
+        lines.push("  edge [", `    source ${ids.get(source)}`, `    target ${ids.get(target)}`);
+        lines.push(...formatGMLAttributes(attributes, "    "));
+        if (points && points.length > 0) {
+            lines.push(`    graphics [ Line [ ${points.map(({ x, y }) => `point [ x ${x} y ${y} ]`).join(" ")} ] ]`);
+        }
+        lines.push("  ]");
+    }
+
+    lines.push("]");
+    return lines.join("\n") + "\n";
+}
+
+
+/**
+ * Splits a GML text into keys, numbers, strings and brackets
+ */
+function tokenizeGML(text) {
+    const tokens = [];
+    const pattern = /\s+|#[^\n]*|\[|\]|"[^"]*"|[-+]?(?:[0-9]+\.?[0-9]*|\.[0-9]+)(?:[eE][-+]?[0-9]+)?|[A-Za-z_][A-Za-z0-9_]*/y;
+    while (pattern.lastIndex < text.length) {
+        const start = pattern.lastIndex;
+        const match = pattern.exec(text);
+        if (!match) {
+            throw new InvalidArgumentError(`Unexpected character in the GML text: ${text[start]}`);
+        }
+        const token = match[0];
+        if (/^\s|^#/.test(token)) {
+            continue;
+        }
+        if (token === "[" || token === "]") {
+            tokens.push({ type: token });
+        } else if (token[0] === "\"") {
+            tokens.push({ type: "value", value: decodeGMLString(token.slice(1, -1)) });
+        } else if (/^[A-Za-z_]/.test(token)) {
+            tokens.push({ type: "key", value: token });
+        } else {
+            tokens.push({ type: "value", value: Number(token) });
+        }
+    }
+    return tokens;
+}
+
+
+/**
+ * Parses the key value pairs of a list
+ * @returns {Array} - the [key, value] pairs, the values are numbers, strings or lists
+ */
+function parseGMLList(tokens, state, nested) {
+    const list = [];
+    while (state.position < tokens.length) {
+        const token = tokens[state.position++];
+        if (token.type === "]") {
+            if (!nested) {
+                throw new InvalidArgumentError("Unexpected ] in the GML text");
+            }
+            return list;
+        }
+        if (token.type !== "key") {
+            throw new InvalidArgumentError("Expected a key in the GML text");
+        }
+        const value = tokens[state.position++];
+        if (!value) {
+            throw new InvalidArgumentError(`The key ${token.value} has no value in the GML text`);
+        }
+        if (value.type === "[") {
+            list.push([token.value, parseGMLList(tokens, state, true)]);
+        } else if (value.type === "value") {
+            list.push([token.value, value.value]);
+        } else {
+            throw new InvalidArgumentError(`Unexpected ] after the key ${token.value} in the GML text`);
+        }
+    }
+    if (nested) {
+        throw new InvalidArgumentError("Unclosed [ in the GML text");
+    }
+    return list;
+}
+
+
+/**
+ * Returns the first value of every key of a list
+ */
+function getGMLFields(list) {
+    const fields = {};
+    for (const [key, value] of list) {
+        if (!(key in fields)) {
+            fields[key] = value;
+        }
+    }
+    return fields;
+}
+
+
+function getGMLAttributes(fields) {
+    const attributes = {};
+    for (const key in fields) {
+        if (!RESERVED_KEYS.includes(key) && !Array.isArray(fields[key])) {
+            attributes[key] = fields[key];
+        }
+    }
+    return attributes;
+}
+
+
+function decodeGMLString(string) {
+    return string.replace(/&(#[0-9]+|quot|amp|lt|gt);/g, (entity, name) => {
+        if (name[0] === "#") {
+            return String.fromCodePoint(parseInt(name.slice(1), 10));
+        }
+        return { quot: "\"", amp: "&", lt: "<", gt: ">" }[name];
+    });
+}
+
+
+function formatGMLValue(value) {
+    if (typeof value === "number") {
+        return String(value);
+    }
+    return `"${String(value).replace(/&/g, "&amp;").replace(/"/g, "&quot;")}"`;
+}
+
+
+/**
+ * Formats the attributes whose names are valid GML keys, the booleans are written as 0 or 1
+ */
+function formatGMLAttributes(attributes, indent) {
+    const lines = [];
+    for (const name in attributes) {
+        const value = attributes[name];
+        if (RESERVED_KEYS.includes(name) || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+            continue;
+        }
+        if (typeof value === "number" || typeof value === "string") {
+            lines.push(`${indent}${name} ${formatGMLValue(value)}`);
+        } else if (typeof value === "boolean") {
+            lines.push(`${indent}${name} ${value ? 1 : 0}`);
+        }
+    }
+    return lines;
+}
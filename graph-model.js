@@ -0,0 +1,534 @@
+/**
+ * Graph model keeping track of the class of its connected components
+ * Checking the type of a graph is expensive, so the properties of every component are cached
+ * and updated on every mutation instead of being checked again from scratch:
+ * - tree (undirected acyclic), from the number of nodes and edges of the component
+ * - DAG and bipartite, updated on insertion and kept on deletion while they hold
+ * - biconnected and planar, kept when a mutation cannot change them and computed again lazily otherwise
+ *
+ * A property whose value is unknown after a mutation is stored as undefined and computed when it is read
+ * Listeners of the "classchange" event are told when a component changes class (tree, dag or cyclic)
+ * The nodes and edges carry attributes (see attributes.js), shared by all the components
+ * The inputs are checked (see validation.js): the methods reading a node or an edge throw if it does not exist,
+ * adding an existing edge or a self loop throws as well, removing a missing node or edge does nothing.
+ * The ids are strings, the numbers given to the methods are converted
+ */
+
+import { isDirectedAcyclicGraph, makeAdjacencyListBidirectional } from "./tree.js";
+import { ComponentSet } from "./graph.js";
+import { copyAttributes } from "./attributes.js";
+import { isPlanar } from "./planarity.js";
+import { isBiconnected } from "./decomposition.js";
+import { DuplicateEdgeError, InvalidArgumentError, UnknownEdgeError, UnknownNodeError } from "./errors.js";
+import { assertAdjacencyList, assertNeighbors, toNodeId } from "./validation.js";
+import { depthFirstSearch } from "./traversal.js";
+
+
+export class GraphModel {
+    /**
+     * @param {object} adjList - the adjacency list of the graph, it is copied with its attributes (optional)
+     */
+    constructor(adjList = {}) {
+        assertAdjacencyList(adjList);
+        // every neighbor gets its own key, duplicate neighbors are dropped
+        // the node ids may be the names of the properties of Object.prototype (e.g. constructor)
+        const copy = {};
+        const hasNode = node => Object.prototype.hasOwnProperty.call(copy, node);
+        for (const node in adjList) {
+            copy[node] = [...new Set([...(hasNode(node) ? copy[node] : []), ...adjList[node]])];
+            for (const neighbor of adjList[node]) {
+                if (!hasNode(neighbor)) {
+                    copy[neighbor] = [];
+                }
+            }
+        }
+        copyAttributes(copy, adjList);
+        this.componentSet = ComponentSet.fromAdjacencyList(copy);
+        this.properties = new Map();
+        // 2-coloring of the nodes, only valid in the components known to be bipartite
+        this.colors = new Map();
+        this.listeners = new Map();
+        for (const component of this.components) {
+            this.properties.set(component, this.classify(component));
+        }
+    }
+
+    /**
+     * Adds a listener for an event
+     * @param {string} event - the name of the event ("classchange")
+     * @param {function} listener - called with the details of the event
+     */
+    on(event, listener) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(listener);
+    }
+
+    /**
+     * Removes a listener added with on
+     * @param {string} event - the name of the event
+     * @param {function} listener - the listener to remove
+     */
+    off(event, listener) {
+        if (this.listeners.has(event)) {
+            this.listeners.get(event).delete(listener);
+        }
+    }
+
+    emit(event, detail) {
+        for (const listener of this.listeners.get(event) || []) {
+            listener(detail);
+        }
+    }
+
+    /**
+     * The adjacency lists of the connected components
+     */
+    get components() {
+        return this.componentSet.components;
+    }
+
+    hasNode(node) {
+        return this.componentSet.hasNode(node);
+    }
+
+    hasEdge(parentNode, childNode) {
+        return this.hasNode(parentNode) && this.getComponent(parentNode)[parentNode].includes(String(childNode));
+    }
+
+    /**
+     * Returns the adjacency list of the component containing the node
+     * @param {string} node - the node
+     * @returns {object|undefined} - the adjacency list of the component, undefined if the node does not exist
+     */
+    getComponent(node) {
+        return this.componentSet.getComponent(node);
+    }
+
+    getNodeAttributes(node) {
+        return { ...this.componentSet.attributes.getNode(node) };
+    }
+
+    /**
+     * Sets attributes of a node, the other attributes of the node are kept
+     * @param {string} node - the node
+     * @param {object} attributes - the attributes to set (label, type, width, height...)
+     */
+    setNodeAttributes(node, attributes) {
+        if (!this.hasNode(node)) {
+            throw new UnknownNodeError(node);
+        }
+        this.componentSet.attributes.setNode(node, attributes);
+    }
+
+    getEdgeAttributes(parentNode, childNode) {
+        return { ...this.componentSet.attributes.getEdge(parentNode, childNode) };
+    }
+
+    /**
+     * Sets attributes of an edge, the other attributes of the edge are kept
+     * @param {string} parentNode - the parent node of the edge
+     * @param {string} childNode - the child node of the edge
+     * @param {object} attributes - the attributes to set (label, type, weight...)
+     */
+    setEdgeAttributes(parentNode, childNode, attributes) {
+        if (!this.hasEdge(parentNode, childNode)) {
+            throw new UnknownEdgeError(parentNode, childNode);
+        }
+        this.componentSet.attributes.setEdge(parentNode, childNode, attributes);
+    }
+
+    /**
+     * Returns true if the whole graph is connected
+     * @returns {boolean} - true if the graph has at most one component, false otherwise
+     */
+    isConnected() {
+        return this.components.length <= 1;
+    }
+
+    /**
+     * Returns the properties of a component, the unknown ones are computed
+     * A component is biconnected when it has two nodes joined by an edge, or at least three nodes and no articulation point
+     * @param {string|object} nodeOrComponent - a node of the component or the adjacency list of the component
+     * @returns {object} - { nodeCount, edgeCount, tree, dag, bipartite, connected, biconnected, planar, graphClass }
+     */
+    getProperties(nodeOrComponent) {
+        const component = this.resolveComponent(nodeOrComponent);
+        const properties = this.properties.get(component);
+        if (properties.dag === undefined) {
+            properties.dag = isDirectedAcyclicGraph(component);
+        }
+        if (properties.bipartite === undefined) {
+            properties.bipartite = this.colorComponent(component);
+        }
+        if (properties.biconnected === undefined) {
+            properties.biconnected = isBiconnected(component);
+        }
+        if (properties.planar === undefined) {
+            properties.planar = isPlanar(component);
+        }
+        return {
+            nodeCount: properties.nodeCount,
+            edgeCount: properties.edgeCount,
+            tree: isTree(properties),
+            dag: properties.dag,
+            bipartite: properties.bipartite,
+            connected: true,
+            biconnected: properties.biconnected,
+            planar: properties.planar,
+            graphClass: this.getGraphClass(component),
+        };
+    }
+
+    /**
+     * Returns the class of a component
+     * @param {string|object} nodeOrComponent - a node of the component or the adjacency list of the component
+     * @returns {string} - "tree" if the component is an undirected acyclic graph, "dag" if it is a directed acyclic graph, "cyclic" otherwise
+     */
+    getGraphClass(nodeOrComponent) {
+        const component = this.resolveComponent(nodeOrComponent);
+        const properties = this.properties.get(component);
+        if (isTree(properties)) {
+            return "tree";
+        }
+        if (properties.dag === undefined) {
+            properties.dag = isDirectedAcyclicGraph(component);
+        }
+        return properties.dag ? "dag" : "cyclic";
+    }
+
+    /**
+     * Returns the component of a node, or the component itself
+     * @throws {UnknownNodeError} - if the node does not exist
+     * @throws {InvalidArgumentError} - if the component is not a component of the graph
+     */
+    resolveComponent(nodeOrComponent) {
+        if (typeof nodeOrComponent === "string" || typeof nodeOrComponent === "number") {
+            if (!this.hasNode(nodeOrComponent)) {
+                throw new UnknownNodeError(nodeOrComponent);
+            }
+            return this.getComponent(nodeOrComponent);
+        }
+        if (!this.properties.has(nodeOrComponent)) {
+            throw new InvalidArgumentError("The component is not a component of the graph");
+        }
+        return nodeOrComponent;
+    }
+
+    /**
+     * Adds a node to the graph, with edges from the node to its neighbors
+     * The neighbors that do not exist are added
+     * @param {string} node - the node to add
+     * @param {string[]} neighbors - the neighbors of the node (optional)
+     * @param {object} attributes - the attributes of the node (optional)
+     * @throws {DuplicateEdgeError|InvalidArgumentError} - if an edge to a neighbor already exists or is a self loop, see addEdge
+     */
+    addNode(node, neighbors = [], attributes = null) {
+        node = toNodeId(node);
+        assertNeighbors(neighbors);
+        if (!this.hasNode(node)) {
+            this.properties.set(this.componentSet.addNode(node), createSingletonProperties());
+            this.colors.set(node, 0);
+        }
+        if (attributes) {
+            this.setNodeAttributes(node, attributes);
+        }
+        for (const neighbor of neighbors) {
+            this.addEdge(node, neighbor);
+        }
+    }
+
+    /**
+     * Removes a node and its edges from the graph, its component is split if it is no longer connected
+     * @param {string} node - the node to remove
+     */
+    removeNode(node) {
+        node = String(node);
+        const component = this.getComponent(node);
+        if (!component) {
+            return;
+        }
+        const previous = this.snapshotClasses([component]);
+        const properties = this.properties.get(component);
+
+        const parts = this.componentSet.removeNode(node);
+        this.colors.delete(node);
+        this.properties.delete(component);
+
+        for (const part of parts) {
+            this.properties.set(part, this.inheritProperties(part, properties));
+        }
+        this.notifyClassChanges(previous, parts);
+    }
+
+    /**
+     * Adds an edge to the graph, the nodes that do not exist are added
+     * The components of the two nodes are merged if they are different
+     * @param {string} parentNode - the parent node of the edge
+     * @param {string} childNode - the child node of the edge
+     * @param {object} attributes - the attributes of the edge (optional)
+     * @throws {DuplicateEdgeError} - if the edge already exists
+     * @throws {InvalidArgumentError} - if the edge is a self loop
+     */
+    addEdge(parentNode, childNode, attributes = null) {
+        parentNode = toNodeId(parentNode);
+        childNode = toNodeId(childNode);
+        if (parentNode === childNode) {
+            throw new InvalidArgumentError(`The edge ${parentNode} -> ${childNode} is a self loop`);
+        }
+        if (this.hasEdge(parentNode, childNode)) {
+            throw new DuplicateEdgeError(parentNode, childNode);
+        }
+        this.addNode(parentNode);
+        this.addNode(childNode);
+        if (attributes) {
+            this.componentSet.attributes.setEdge(parentNode, childNode, attributes);
+        }
+        const parentComponent = this.getComponent(parentNode);
+        const childComponent = this.getComponent(childNode);
+        const previous = this.snapshotClasses([parentComponent, childComponent]);
+
+        if (parentComponent === childComponent) {
+            const properties = this.properties.get(parentComponent);
+            const existingPair = parentComponent[childNode].includes(parentNode);
+            if (!existingPair) {
+                properties.edgeCount++;
+            }
+            if (properties.dag && isReachable(parentComponent, childNode, parentNode)) {
+                properties.dag = false;
+            }
+            if (properties.bipartite && this.colors.get(parentNode) === this.colors.get(childNode)) {
+                properties.bipartite = false;
+            }
+            if (properties.biconnected === false) {
+                properties.biconnected = undefined;
+            }
+            if (properties.planar && !existingPair) {
+                properties.planar = properties.nodeCount > 2 && properties.edgeCount > 3 * properties.nodeCount - 6 ? false : undefined;
+            }
+            this.componentSet.addEdge(parentNode, childNode);
+            this.notifyClassChanges(previous, [parentComponent]);
+            return;
+        }
+
+        // the edge joins two components: it is a bridge, it cannot close a cycle
+        const parentProperties = this.properties.get(parentComponent);
+        const childProperties = this.properties.get(childComponent);
+        if (parentProperties.bipartite && childProperties.bipartite
+            && this.colors.get(parentNode) === this.colors.get(childNode)) {
+            // flip the colors of the smaller component
+            const flipped = parentProperties.nodeCount < childProperties.nodeCount ? parentComponent : childComponent;
+            for (const node in flipped) {
+                this.colors.set(node, 1 - this.colors.get(node));
+            }
+        }
+        const nodeCount = parentProperties.nodeCount + childProperties.nodeCount;
+        const properties = {
+            nodeCount,
+            edgeCount: parentProperties.edgeCount + childProperties.edgeCount + 1,
+            selfLoops: parentProperties.selfLoops + childProperties.selfLoops,
+            dag: and(parentProperties.dag, childProperties.dag),
+            bipartite: and(parentProperties.bipartite, childProperties.bipartite),
+            biconnected: nodeCount === 2,
+            planar: and(parentProperties.planar, childProperties.planar),
+        };
+
+        const merged = this.componentSet.addEdge(parentNode, childNode);
+        this.properties.delete(parentComponent);
+        this.properties.delete(childComponent);
+        this.properties.set(merged, properties);
+        this.notifyClassChanges(previous, [merged]);
+    }
+
+    /**
+     * Removes an edge from the graph, its component is split if it is no longer connected
+     * @param {string} parentNode - the parent node of the edge
+     * @param {string} childNode - the child node of the edge
+     */
+    removeEdge(parentNode, childNode) {
+        [parentNode, childNode] = [String(parentNode), String(childNode)];
+        const component = this.getComponent(parentNode);
+        if (!component || !component[parentNode].includes(childNode)) {
+            return;
+        }
+        const previous = this.snapshotClasses([component]);
+        const properties = this.properties.get(component);
+
+        const parts = this.componentSet.removeEdge(parentNode, childNode);
+
+        if (parts.length === 1) {
+            if (parentNode === childNode) {
+                properties.selfLoops--;
+            } else if (!component[childNode].includes(parentNode)) {
+                properties.edgeCount--;
+            }
+            // removing an edge keeps a DAG, a bipartite graph and a planar graph as they are
+            properties.dag = properties.dag || undefined;
+            properties.bipartite = properties.bipartite || undefined;
+            properties.planar = properties.planar || undefined;
+            properties.biconnected = properties.biconnected === false ? false : undefined;
+            this.notifyClassChanges(previous, [component]);
+            return;
+        }
+
+        this.properties.delete(component);
+        for (const part of parts) {
+            this.properties.set(part, this.inheritProperties(part, properties));
+        }
+        this.notifyClassChanges(previous, parts);
+    }
+
+    /**
+     * Computes the properties of a component from scratch, the expensive ones are left unknown
+     * @param {object} component - the adjacency list of the component
+     * @returns {object} - the properties of the component
+     */
+    classify(component) {
+        const properties = countEdges(component);
+        properties.bipartite = this.colorComponent(component);
+        properties.dag = undefined;
+        properties.biconnected = undefined;
+        properties.planar = isTree(properties) ? true : undefined;
+        return properties;
+    }
+
+    /**
+     * Returns the properties of a part of a component that lost a node or an edge
+     * The properties that hold for the component hold for its parts (except biconnected)
+     * @param {object} part - the adjacency list of the part
+     * @param {object} properties - the properties of the component before the removal
+     * @returns {object} - the properties of the part
+     */
+    inheritProperties(part, properties) {
+        const inherited = countEdges(part);
+        inherited.dag = properties.dag || undefined;
+        inherited.bipartite = properties.bipartite || undefined;
+        inherited.planar = properties.planar || undefined;
+        inherited.biconnected = undefined;
+        return inherited;
+    }
+
+    /**
+     * Colors the nodes of the component with two colors so that the neighbors have different colors
+     * @param {object} component - the adjacency list of the component
+     * @returns {boolean} - true if the component is bipartite, false otherwise
+     */
+    colorComponent(component) {
+        const neighbors = makeAdjacencyListBidirectional(component);
+        const start = Object.keys(component)[0];
+        this.colors.set(start, 0);
+        const queue = [start];
+        const visited = new Set(queue);
+        let bipartite = true;
+        for (let i = 0; i < queue.length; i++) {
+            const node = queue[i];
+            for (const neighbor of neighbors[node]) {
+                if (!visited.has(neighbor)) {
+                    visited.add(neighbor);
+                    this.colors.set(neighbor, 1 - this.colors.get(node));
+                    queue.push(neighbor);
+                } else if (this.colors.get(neighbor) === this.colors.get(node)) {
+                    bipartite = false;
+                }
+            }
+        }
+        return bipartite;
+    }
+
+    snapshotClasses(components) {
+        if (!this.listeners.has("classchange") || this.listeners.get("classchange").size === 0) {
+            return null;
+        }
+        return [...new Set(components)].map(component => this.getGraphClass(component));
+    }
+
+    notifyClassChanges(previous, components) {
+        if (previous === null) {
+            return;
+        }
+        for (const component of components) {
+            const current = this.getGraphClass(component);
+            if (previous.some(graphClass => graphClass !== current)) {
+                this.emit("classchange", {
+                    component,
+                    nodes: Object.keys(component),
+                    previous: previous.length === 1 ? previous[0] : previous,
+                    current,
+                });
+            }
+        }
+    }
+}
+
+
+function createSingletonProperties() {
+    return {
+        nodeCount: 1,
+        edgeCount: 0,
+        selfLoops: 0,
+        dag: true,
+        bipartite: true,
+        biconnected: false,
+        planar: true,
+    };
+}
+
+
+/**
+ * Counts the nodes and the edges of a component
+ * Edges in both directions between two nodes count as one edge, self loops are counted apart
+ * @param {object} component - the adjacency list of the component
+ * @returns {object} - { nodeCount, edgeCount, selfLoops }
+ */
+function countEdges(component) {
+    let edgeCount = 0;
+    let selfLoops = 0;
+    for (const node in component) {
+        for (const neighbor of component[node]) {
+            if (neighbor === node) {
+                selfLoops++;
+            } else if (!component[neighbor].includes(node) || node < neighbor) {
+                edgeCount++;
+            }
+        }
+    }
+    return { nodeCount: Object.keys(component).length, edgeCount, selfLoops };
+}
+
+
+function isTree(properties) {
+    return properties.selfLoops === 0 && properties.edgeCount === properties.nodeCount - 1;
+}
+
+
+/**
+ * Three-valued and: unknown (undefined) unless one of the values is false or both are true
+ */
+function and(a, b) {
+    if (a === false || b === false) {
+        return false;
+    }
+    return a === true && b === true ? true : undefined;
+}
+
+
+/**
+ * Returns true if there is a directed path from the start to the target
+ * @param {object} adjacencyList - the adjacency list of the graph
+ * @param {string} start - the start of the path
+ * @param {string} target - the end of the path
+ * @returns {boolean} - true if the target is reachable from the start, false otherwise
+ */
+function isReachable(adjacencyList, start, target) {
+    let reachable = false;
+    depthFirstSearch(adjacencyList, start, {
+        enter(node) {
+            if (node === target) {
+                reachable = true;
+                return false;
+            }
+        },
+    });
+    return reachable;
+}
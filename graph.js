@@ -0,0 +1,528 @@
+/**
+ * Directed graph and set of connected components
+ * Both classes work on plain adjacency lists ({node: [neighbors]}) so that they can wrap the objects
+ * used by the functions of tree.js and mutate them in place
+ * The attributes of the nodes and edges are kept in the attribute store of the adjacency lists (see attributes.js)
+ * The mutations check the ids of the nodes they add (see validation.js), removing a missing node or edge does nothing
+ * The ids are strings, the numbers given to the methods are converted
+ */
+
+import {
+    getAttributeStore,
+    hasAttributeStore,
+    setAttributeStore,
+    copyAttributes,
+    AttributeStore,
+} from "./attributes.js";
+import { assertAdjacencyList, assertNeighbors, toNodeId } from "./validation.js";
+
+
+export class Graph {
+    /**
+     * The adjacency list is used as the storage of the graph, it is mutated in place
+     * @param {object} adjacency - the adjacency list of the graph (optional)
+     */
+    constructor(adjacency = {}) {
+        assertAdjacencyList(adjacency, false);
+        this.adjacency = adjacency;
+        // predecessors of every node, built on first use
+        this.reverse = null;
+    }
+
+    /**
+     * Creates a graph from a copy of the adjacency list and of its attributes
+     * @param {object} adjList - the adjacency list to copy
+     * @returns {Graph} - the graph
+     */
+    static from(adjList) {
+        assertAdjacencyList(adjList);
+        const graph = new Graph();
+        for (const node in adjList) {
+            graph.addNode(node, adjList[node]);
+        }
+        copyAttributes(graph.adjacency, adjList);
+        return graph;
+    }
+
+    get nodeCount() {
+        return Object.keys(this.adjacency).length;
+    }
+
+    get edgeCount() {
+        let count = 0;
+        for (const node in this.adjacency) {
+            count += this.adjacency[node].length;
+        }
+        return count;
+    }
+
+    nodes() {
+        return Object.keys(this.adjacency);
+    }
+
+    *edges() {
+        for (const node in this.adjacency) {
+            for (const neighbor of this.adjacency[node]) {
+                yield [node, neighbor];
+            }
+        }
+    }
+
+    [Symbol.iterator]() {
+        return this.nodes()[Symbol.iterator]();
+    }
+
+    hasNode(node) {
+        return Object.prototype.hasOwnProperty.call(this.adjacency, node);
+    }
+
+    hasEdge(source, target) {
+        return this.hasNode(source) && this.adjacency[source].includes(String(target));
+    }
+
+    /**
+     * Returns the nodes the node has an edge to
+     * The returned array is the one of the adjacency list, it must not be modified
+     */
+    successors(node) {
+        return this.adjacency[node] || [];
+    }
+
+    /**
+     * Returns the nodes that have an edge to the node
+     */
+    predecessors(node) {
+        const predecessors = this.getReverse().get(String(node));
+        return predecessors ? [...predecessors] : [];
+    }
+
+    /**
+     * Returns the successors and the predecessors of the node, without duplicates
+     */
+    neighbors(node) {
+        return [...new Set([...this.successors(node), ...this.predecessors(node)])];
+    }
+
+    outDegree(node) {
+        return this.successors(node).length;
+    }
+
+    inDegree(node) {
+        const predecessors = this.getReverse().get(String(node));
+        return predecessors ? predecessors.size : 0;
+    }
+
+    degree(node) {
+        return this.outDegree(node) + this.inDegree(node);
+    }
+
+    getNodeAttributes(node) {
+        return hasAttributeStore(this.adjacency) ? { ...getAttributeStore(this.adjacency).getNode(node) } : {};
+    }
+
+    setNodeAttributes(node, attributes) {
+        getAttributeStore(this.adjacency).setNode(node, attributes);
+    }
+
+    getEdgeAttributes(source, target) {
+        return hasAttributeStore(this.adjacency) ? { ...getAttributeStore(this.adjacency).getEdge(source, target) } : {};
+    }
+
+    setEdgeAttributes(source, target, attributes) {
+        getAttributeStore(this.adjacency).setEdge(source, target, attributes);
+    }
+
+    /**
+     * Adds a node with edges to its neighbors
+     * If the node already exists, the neighbors are added to its existing neighbors (no duplicates)
+     * The neighbors that do not exist are added
+     * @param {string} node - the node to add
+     * @param {string[]} neighbors - the neighbors of the node (optional)
+     * @param {object} attributes - the attributes of the node (optional)
+     */
+    addNode(node, neighbors = [], attributes = null) {
+        node = toNodeId(node);
+        assertNeighbors(neighbors);
+        if (!this.hasNode(node)) {
+            this.adjacency[node] = [];
+        }
+        if (attributes) {
+            this.setNodeAttributes(node, attributes);
+        }
+        for (const neighbor of neighbors) {
+            this.addEdge(node, neighbor);
+        }
+    }
+
+    /**
+     * Removes a node and all the edges from and to it, with their attributes
+     * @param {string} node - the node to remove
+     */
+    removeNode(node) {
+        if (!this.hasNode(node)) {
+            return;
+        }
+        node = String(node);
+        const store = hasAttributeStore(this.adjacency) ? getAttributeStore(this.adjacency) : null;
+        const reverse = this.getReverse();
+        for (const predecessor of reverse.get(node) || []) {
+            if (predecessor !== node) {
+                this.adjacency[predecessor] = this.adjacency[predecessor].filter(neighbor => neighbor !== node);
+            }
+            store?.deleteEdge(predecessor, node);
+        }
+        for (const successor of this.adjacency[node]) {
+            if (reverse.has(successor)) {
+                reverse.get(successor).delete(node);
+            }
+            store?.deleteEdge(node, successor);
+        }
+        store?.deleteNode(node);
+        reverse.delete(node);
+        delete this.adjacency[node];
+    }
+
+    /**
+     * Adds an edge, the nodes that do not exist are added
+     * Adding an existing edge only sets its attributes
+     * @param {string} source - the source of the edge
+     * @param {string} target - the target of the edge
+     * @param {object} attributes - the attributes of the edge (optional)
+     */
+    addEdge(source, target, attributes = null) {
+        source = toNodeId(source);
+        target = toNodeId(target);
+        if (!this.hasNode(source)) {
+            this.adjacency[source] = [];
+        }
+        if (!this.hasNode(target)) {
+            this.adjacency[target] = [];
+        }
+        if (attributes) {
+            this.setEdgeAttributes(source, target, attributes);
+        }
+        if (this.adjacency[source].includes(target)) {
+            return;
+        }
+        this.adjacency[source].push(target);
+        if (this.reverse) {
+            addToReverse(this.reverse, source, target);
+        }
+    }
+
+    /**
+     * Removes an edge and its attributes, does nothing if the edge does not exist
+     * @param {string} source - the source of the edge
+     * @param {string} target - the target of the edge
+     */
+    removeEdge(source, target) {
+        if (!this.hasEdge(source, target)) {
+            return;
+        }
+        [source, target] = [String(source), String(target)];
+        this.adjacency[source] = this.adjacency[source].filter(neighbor => neighbor !== target);
+        if (hasAttributeStore(this.adjacency)) {
+            getAttributeStore(this.adjacency).deleteEdge(source, target);
+        }
+        if (this.reverse && this.reverse.has(target)) {
+            this.reverse.get(target).delete(source);
+        }
+    }
+
+    /**
+     * Returns the adjacency list of the graph (not a copy)
+     */
+    toAdjacencyList() {
+        return this.adjacency;
+    }
+
+    getReverse() {
+        if (!this.reverse) {
+            this.reverse = new Map();
+            for (const [source, target] of this.edges()) {
+                addToReverse(this.reverse, source, target);
+            }
+        }
+        return this.reverse;
+    }
+}
+
+
+function addToReverse(reverse, source, target) {
+    if (!reverse.has(target)) {
+        reverse.set(target, new Set());
+    }
+    reverse.get(target).add(source);
+}
+
+
+/**
+ * Connected components of a directed graph (the direction of the edges is ignored for the connectivity)
+ * Every component is a plain adjacency list, an index from every node to its component gives constant time lookups
+ * The array of components is mutated in place: components are merged when an edge joins them and split when they get disconnected
+ * All the components share one attribute store, so the attributes follow the nodes when the components are merged or split
+ */
+export class ComponentSet {
+    /**
+     * @param {object[]} components - the adjacency lists of the connected components, used in place (optional)
+     */
+    constructor(components = []) {
+        this.components = components;
+        this.index = new Map();
+        this.sizes = new Map();
+        this.graphs = new Map();
+        const withAttributes = components.find(component => hasAttributeStore(component));
+        this.attributes = withAttributes ? getAttributeStore(withAttributes) : new AttributeStore();
+        for (const component of components) {
+            for (const node in component) {
+                this.index.set(node, component);
+            }
+            this.sizes.set(component, Object.keys(component).length);
+            this.useAttributes(component);
+        }
+    }
+
+    /**
+     * Creates the set of the connected components of a graph
+     * The components share the neighbor arrays and the attributes of the adjacency list
+     * @param {object} adjList - the adjacency list of the graph
+     * @returns {ComponentSet} - the connected components
+     */
+    static fromAdjacencyList(adjList) {
+        assertAdjacencyList(adjList);
+        const graph = new Graph(adjList);
+        const visited = new Set();
+        const components = [];
+        for (const start of graph.nodes()) {
+            if (visited.has(start)) {
+                continue;
+            }
+            const component = {};
+            setAttributeStore(component, getAttributeStore(adjList));
+            visited.add(start);
+            const stack = [start];
+            while (stack.length > 0) {
+                const node = stack.pop();
+                component[node] = adjList[node];
+                for (const neighbor of graph.neighbors(node)) {
+                    if (!visited.has(neighbor) && graph.hasNode(neighbor)) {
+                        visited.add(neighbor);
+                        stack.push(neighbor);
+                    }
+                }
+            }
+            components.push(component);
+        }
+        return new ComponentSet(components);
+    }
+
+    get size() {
+        return this.components.length;
+    }
+
+    [Symbol.iterator]() {
+        return this.components[Symbol.iterator]();
+    }
+
+    hasNode(node) {
+        return this.index.has(String(node));
+    }
+
+    /**
+     * Returns the adjacency list of the component containing the node
+     * @param {string} node - the node
+     * @returns {object|undefined} - the component, undefined if the node does not exist
+     */
+    getComponent(node) {
+        return this.index.get(String(node));
+    }
+
+    /**
+     * Returns the graph wrapping a component
+     * @param {object} component - the adjacency list of the component
+     * @returns {Graph} - the graph of the component
+     */
+    getGraph(component) {
+        if (!this.graphs.has(component)) {
+            this.graphs.set(component, new Graph(component));
+        }
+        return this.graphs.get(component);
+    }
+
+    /**
+     * Adds a node with edges to its neighbors, merging the components of the neighbors
+     * @param {string} node - the node to add
+     * @param {string[]} neighbors - the neighbors of the node (optional)
+     * @param {object} attributes - the attributes of the node (optional)
+     * @returns {object} - the component of the node
+     */
+    addNode(node, neighbors = [], attributes = null) {
+        node = toNodeId(node);
+        assertNeighbors(neighbors);
+        if (!this.index.has(node)) {
+            const component = { [node]: [] };
+            setAttributeStore(component, this.attributes);
+            this.components.push(component);
+            this.index.set(node, component);
+            this.sizes.set(component, 1);
+        }
+        if (attributes) {
+            this.attributes.setNode(node, attributes);
+        }
+        for (const neighbor of neighbors) {
+            this.addEdge(node, neighbor);
+        }
+        return this.index.get(node);
+    }
+
+    /**
+     * Removes a node and its edges, splitting its component if it gets disconnected
+     * @param {string} node - the node to remove
+     * @returns {object[]} - the components the component of the node was split into (empty if the node was alone)
+     */
+    removeNode(node) {
+        node = String(node);
+        const component = this.index.get(node);
+        if (!component) {
+            return [];
+        }
+        const graph = this.getGraph(component);
+        const neighbors = graph.neighbors(node).filter(neighbor => neighbor !== node);
+        graph.removeNode(node);
+        this.index.delete(node);
+        this.sizes.set(component, this.sizes.get(component) - 1);
+        if (neighbors.length === 0) {
+            this.removeComponent(component);
+            return [];
+        }
+        return this.split(component, neighbors);
+    }
+
+    /**
+     * Adds an edge, merging the components of its nodes if they are different
+     * The nodes that do not exist are added
+     * @param {string} parentNode - the parent node of the edge
+     * @param {string} childNode - the child node of the edge
+     * @param {object} attributes - the attributes of the edge (optional)
+     * @returns {object} - the component of the edge
+     */
+    addEdge(parentNode, childNode, attributes = null) {
+        parentNode = toNodeId(parentNode);
+        childNode = toNodeId(childNode);
+        this.addNode(parentNode);
+        this.addNode(childNode);
+        let component = this.index.get(parentNode);
+        const childComponent = this.index.get(childNode);
+        if (component !== childComponent) {
+            component = this.merge(component, childComponent);
+        }
+        this.getGraph(component).addEdge(parentNode, childNode, attributes);
+        return component;
+    }
+
+    /**
+     * Removes an edge, splitting its component if it gets disconnected
+     * @param {string} parentNode - the parent node of the edge
+     * @param {string} childNode - the child node of the edge
+     * @returns {object[]} - the components the component of the edge was split into (only one if it is still connected)
+     */
+    removeEdge(parentNode, childNode) {
+        [parentNode, childNode] = [String(parentNode), String(childNode)];
+        const component = this.index.get(parentNode);
+        if (!component || this.index.get(childNode) !== component) {
+            return component ? [component] : [];
+        }
+        const graph = this.getGraph(component);
+        graph.removeEdge(parentNode, childNode);
+        if (parentNode === childNode || graph.hasEdge(childNode, parentNode)) {
+            return [component];
+        }
+        return this.split(component, [parentNode, childNode]);
+    }
+
+    /**
+     * Moves the nodes of the smaller component into the larger one
+     * @returns {object} - the merged component
+     */
+    merge(a, b) {
+        const [larger, smaller] = this.sizes.get(a) >= this.sizes.get(b) ? [a, b] : [b, a];
+        const graph = this.getGraph(larger);
+        for (const node in smaller) {
+            graph.addNode(node);
+            this.index.set(node, larger);
+        }
+        for (const node in smaller) {
+            for (const neighbor of smaller[node]) {
+                graph.addEdge(node, neighbor);
+            }
+        }
+        this.sizes.set(larger, this.sizes.get(larger) + this.sizes.get(smaller));
+        this.removeComponent(smaller);
+        return larger;
+    }
+
+    /**
+     * Splits a component into the parts reachable from the start nodes
+     * The largest part stays in the component, the other ones are moved to new components
+     * @returns {object[]} - the parts of the component
+     */
+    split(component, starts) {
+        const graph = this.getGraph(component);
+        const visited = new Set();
+        const parts = [];
+        for (const start of starts) {
+            if (visited.has(start)) {
+                continue;
+            }
+            const part = [start];
+            visited.add(start);
+            for (let i = 0; i < part.length; i++) {
+                for (const neighbor of graph.neighbors(part[i])) {
+                    if (!visited.has(neighbor)) {
+                        visited.add(neighbor);
+                        part.push(neighbor);
+                    }
+                }
+            }
+            parts.push(part);
+        }
+        if (parts.length === 1) {
+            return [component];
+        }
+
+        parts.sort((a, b) => b.length - a.length);
+        const components = [component];
+        for (const part of parts.slice(1)) {
+            const newComponent = {};
+            setAttributeStore(newComponent, this.attributes);
+            for (const node of part) {
+                newComponent[node] = component[node];
+                delete component[node];
+                this.index.set(node, newComponent);
+            }
+            this.components.push(newComponent);
+            this.sizes.set(newComponent, part.length);
+            components.push(newComponent);
+        }
+        this.sizes.set(component, parts[0].length);
+        // the predecessors of the moved nodes are stale
+        this.graphs.delete(component);
+        return components;
+    }
+
+    /**
+     * Makes a component use the attribute store of the set, its own attributes are copied into it
+     */
+    useAttributes(component) {
+        if (hasAttributeStore(component) && getAttributeStore(component) !== this.attributes) {
+            this.attributes.merge(getAttributeStore(component));
+        }
+        setAttributeStore(component, this.attributes);
+    }
+
+    removeComponent(component) {
+        this.components.splice(this.components.indexOf(component), 1);
+        this.sizes.delete(component);
+        this.graphs.delete(component);
+    }
+}
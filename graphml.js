@@ -0,0 +1,356 @@
+/**
+ * GraphML format
+ * The parser reads the keys (names, types and defaults), the nodes and edges of the graph and of the nested graphs,
+ * and the geometry and labels of the yEd shape nodes. The ports and hyperedges are ignored
+ * The nodes of a nested graph get the node of the graph as their parent attribute (see compound.js)
+ * The positions are the x and y data of the nodes, and the points data of the edges ("x,y x,y...")
+ * The XML is read with a small parser, without the DOM, so it runs in Node
+ */
+
+import { Graph } from "./graph.js";
+import { getEdgeRoute } from "./layout.js";
+import { assertAdjacencyList } from "./validation.js";
+import { InvalidArgumentError } from "./errors.js";
+
+
+const NUMBER_TYPES = ["int", "long", "float", "double"];
+
+const TAG_PATTERN = /<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+
+
+/**
+ * Parses a graph in the GraphML format
+ * @param {string} text - the GraphML text
+ * @returns {object} - the adjacency list of the graph, with its attributes
+ * @throws {InvalidArgumentError} - if the text is not a GraphML graph
+ */
+export function parseGraphML(text) {
+    const root = parseXML(text);
+    if (localName(root.name) !== "graphml") {
+        throw new InvalidArgumentError(`A GraphML document has a graphml root element, got ${root.name}`);
+    }
+
+    const keys = new Map();
+    for (const element of root.children.filter(child => localName(child.name) === "key")) {
+        const defaultElement = element.children.find(child => localName(child.name) === "default");
+        const key = {
+            name: element.attributes["attr.name"] ?? element.attributes.id,
+            type: element.attributes["attr.type"] ?? "string",
+            for: element.attributes.for ?? "all",
+        };
+        key.default = defaultElement ? parseGraphMLValue(getText(defaultElement), key.type) : undefined;
+        keys.set(element.attributes.id, key);
+    }
+
+    const graphElement = root.children.find(child => localName(child.name) === "graph");
+    if (!graphElement) {
+        throw new InvalidArgumentError("A GraphML document needs a graph element");
+    }
+    const graph = new Graph();
+    readGraphMLGraph(graphElement, keys, graph);
+    return graph.adjacency;
+}
+
+
+/**
+ * Serializes a graph in the GraphML format, as a directed graph
+ * @param {object} adjList - the adjacency list of the graph
+ * @param {object} options - { layout: a layout whose positions are written (see computeLayout), name: the id of the graph } (optional)
+ * @returns {string} - the GraphML text
+ */
+export function serializeGraphML(adjList, options = {}) {
+    assertAdjacencyList(adjList);
+    const graph = new Graph(adjList);
+    const layout = options.layout;
+
+    const nodes = graph.nodes().map(id => {
+        const attributes = graph.getNodeAttributes(id);
+        const position = layout?.nodes[id];
+        if (position) {
+            attributes.x = position.x;
+            attributes.y = position.y;
+        }
+        return { id, attributes };
+    });
+    const edges = [...graph.edges()].map(([source, target]) => {
+        const attributes = graph.getEdgeAttributes(source, target);
+        const points = (layout && getEdgeRoute(layout, source, target)) ?? attributes.points;
+        if (points) {
+            attributes.points = points.map(({ x, y }) => `${x},${y}`).join(" ");
+        }
+        return { source, target, attributes };
+    });
+
+    // a key for every attribute name of the nodes and of the edges
+    const keys = [];
+    const keyIds = { node: new Map(), edge: new Map() };
+    for (const [kind, items] of [["node", nodes], ["edge", edges]]) {
+        for (const { attributes } of items) {
+            for (const name in attributes) {
+                const type = getGraphMLType(attributes[name]);
+                if (!type) {
+                    continue;
+                }
+                const key = keyIds[kind].get(name);
+                if (!key) {
+                    const id = `d${keys.length}`;
+                    keyIds[kind].set(name, { id, type });
+                    keys.push({ id, kind, name, type });
+                } else if (key.type !== type) {
+                    key.type = "string";
+                }
+            }
+        }
+    }
+
+    const lines = [
+        "<?xml version=\"1.0\" encoding=\"UTF-8\"?>",
+        "<graphml xmlns=\"http://graphml.graphdrawing.org/xmlns\">",
+    ];
+    for (const key of keys) {
+        const type = keyIds[key.kind].get(key.name).type;
+        lines.push(`  <key id="${key.id}" for="${key.kind}" attr.name="${escapeXML(key.name)}" attr.type="${type}"/>`);
+    }
+    lines.push(`  <graph id="${escapeXML(options.name ?? "G")}" edgedefault="directed">`);
+    for (const { id, attributes } of nodes) {
+        lines.push(...formatGraphMLElement(`node id="${escapeXML(id)}"`, attributes, keyIds.node));
+    }
+    for (const { source, target, attributes } of edges) {
+        lines.push(...formatGraphMLElement(`edge source="${escapeXML(source)}" target="${escapeXML(target)}"`, attributes, keyIds.edge));
+    }
+    lines.push("  </graph>", "</graphml>");
+    return lines.join("\n") + "\n";
+}
+
+
+/**
+ * Parses an XML document into its root element
+ * @param {string} text - the XML text
+ * @returns {object} - the root element as { name, attributes, children, text }, children are the child elements
+ * and text the concatenated text of the element (without the text of its children)
+ */
+export function parseXML(text) {
+    const root = { name: null, attributes: {}, children: [], text: "" };
+    const stack = [root];
+    let i = 0;
+    while (i < text.length) {
+        const parent = stack[stack.length - 1];
+        if (text[i] !== "<") {
+            const end = text.indexOf("<", i);
+            parent.text += decodeXMLEntities(text.slice(i, end === -1 ? text.length : end));
+            i = end === -1 ? text.length : end;
+            continue;
+        }
+        if (text.startsWith("<!--", i)) {
+            i = findXMLEnd(text, "-->", i) + 3;
+        } else if (text.startsWith("<![CDATA[", i)) {
+            const end = findXMLEnd(text, "]]>", i);
+            parent.text += text.slice(i + 9, end);
+            i = end + 3;
+        } else if (text.startsWith("<?", i)) {
+            i = findXMLEnd(text, "?>", i) + 2;
+        } else if (text.startsWith("<!", i)) {
+            // doctype, with its internal subset
+            const bracket = text.indexOf("[", i);
+            const close = text.indexOf(">", i);
+            i = bracket !== -1 && bracket < close ? findXMLEnd(text, "]>", i) + 2 : findXMLEnd(text, ">", i) + 1;
+        } else if (text[i + 1] === "/") {
+            const end = findXMLEnd(text, ">", i);
+            const name = text.slice(i + 2, end).trim();
+            if (stack.length === 1 || parent.name !== name) {
+                throw new InvalidArgumentError(`Unexpected closing tag in the XML text: ${name}`);
+            }
+            stack.pop();
+            i = end + 1;
+        } else {
+            TAG_PATTERN.lastIndex = i;
+            const tag = TAG_PATTERN.exec(text);
+            if (!tag) {
+                throw new InvalidArgumentError(`Malformed tag in the XML text at ${i}`);
+            }
+            const element = { name: tag[1], attributes: {}, children: [], text: "" };
+            for (const [, name, doubleQuoted, singleQuoted] of tag[2].matchAll(/([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+                element.attributes[name] = decodeXMLEntities(doubleQuoted ?? singleQuoted);
+            }
+            parent.children.push(element);
+            if (!tag[3]) {
+                stack.push(element);
+            }
+            i += tag[0].length;
+        }
+    }
+    if (stack.length > 1) {
+        throw new InvalidArgumentError(`Unclosed tag in the XML text: ${stack[stack.length - 1].name}`);
+    }
+    if (root.children.length !== 1) {
+        throw new InvalidArgumentError("An XML document has a single root element");
+    }
+    return root.children[0];
+}
+
+
+function findXMLEnd(text, marker, start) {
+    const end = text.indexOf(marker, start);
+    if (end === -1) {
+        throw new InvalidArgumentError(`Unterminated markup in the XML text at ${start}`);
+    }
+    return end;
+}
+
+
+function decodeXMLEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#[0-9]+|lt|gt|amp|quot|apos);/gi, (entity, name) => {
+        if (name[0] === "#") {
+            return String.fromCodePoint(name[1].toLowerCase() === "x" ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10));
+        }
+        return { lt: "<", gt: ">", amp: "&", quot: "\"", apos: "'" }[name.toLowerCase()];
+    });
+}
+
+
+function escapeXML(value) {
+    return String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&apos;");
+}
+
+
+function localName(name) {
+    return name.slice(name.indexOf(":") + 1);
+}
+
+
+function getText(element) {
+    return element.text.trim();
+}
+
+
+/**
+ * Reads the nodes and edges of a graph element and of its nested graphs into the graph
+ */
+function readGraphMLGraph(graphElement, keys, graph) {
+    const graphs = [[graphElement, null]];
+    const edges = [];
+    while (graphs.length > 0) {
+        const [current, parent] = graphs.shift();
+        for (const element of current.children) {
+            const name = localName(element.name);
+            if (name === "node") {
+                const id = element.attributes.id;
+                if (id === undefined) {
+                    throw new InvalidArgumentError("A GraphML node needs an id");
+                }
+                const attributes = readGraphMLData(element, keys, "node");
+                graph.addNode(id, [], parent === null ? attributes : { parent, ...attributes });
+                graphs.push(...element.children.filter(child => localName(child.name) === "graph").map(child => [child, id]));
+            } else if (name === "edge") {
+                edges.push(element);
+            }
+        }
+    }
+    // the edges may come before their nodes
+    for (const element of edges) {
+        const { source, target } = element.attributes;
+        if (source === undefined || target === undefined) {
+            throw new InvalidArgumentError("A GraphML edge needs a source and a target");
+        }
+        graph.addEdge(source, target, readGraphMLData(element, keys, "edge"));
+    }
+}
+
+
+function readGraphMLData(element, keys, kind) {
+    const attributes = {};
+    for (const key of keys.values()) {
+        if ((key.for === kind || key.for === "all") && key.default !== undefined) {
+            attributes[key.name] = key.default;
+        }
+    }
+    for (const data of element.children.filter(child => localName(child.name) === "data")) {
+        const key = keys.get(data.attributes.key) ?? { name: data.attributes.key, type: "string" };
+        const shape = findYEdShape(data);
+        if (shape) {
+            Object.assign(attributes, shape);
+        } else if (data.children.length === 0 || getText(data) !== "") {
+            attributes[key.name] = parseGraphMLValue(getText(data), key.type);
+        }
+    }
+    if (kind === "edge" && typeof attributes.points === "string") {
+        attributes.points = attributes.points.trim().split(/\s+/).map(pair => {
+            const [x, y] = pair.split(",").map(Number);
+            return { x, y };
+        });
+    }
+    return attributes;
+}
+
+
+/**
+ * Reads the geometry (top left corner, converted to the center) and the label of a yEd node
+ */
+function findYEdShape(data) {
+    const elements = [...data.children];
+    let geometry = null;
+    let label = null;
+    while (elements.length > 0) {
+        const element = elements.shift();
+        const name = localName(element.name);
+        if (name === "Geometry" && !geometry) {
+            geometry = element.attributes;
+        } else if (name === "NodeLabel" && label === null) {
+            label = getText(element);
+        }
+        elements.push(...element.children);
+    }
+    if (!geometry) {
+        return null;
+    }
+    const width = Number(geometry.width);
+    const height = Number(geometry.height);
+    const shape = { x: Number(geometry.x) + width / 2, y: Number(geometry.y) + height / 2, width, height };
+    if (label) {
+        shape.label = label;
+    }
+    return shape;
+}
+
+
+function parseGraphMLValue(text, type) {
+    if (NUMBER_TYPES.includes(type)) {
+        return Number(text);
+    }
+    if (type === "boolean") {
+        return text.toLowerCase() === "true";
+    }
+    return text;
+}
+
+
+function getGraphMLType(value) {
+    if (typeof value === "number") {
+        return "double";
+    }
+    if (typeof value === "boolean") {
+        return "boolean";
+    }
+    if (typeof value === "string") {
+        return "string";
+    }
+    return null;
+}
+
+
+function formatGraphMLElement(tag, attributes, keyIds) {
+    const data = [];
+    for (const name in attributes) {
+        const key = keyIds.get(name);
+        if (key && getGraphMLType(attributes[name])) {
+            data.push(`      <data key="${key.id}">${escapeXML(attributes[name])}</data>`);
+        }
+    }
+    const name = tag.split(" ")[0];
+    return data.length > 0 ? [`    <${tag}>`, ...data, `    </${name}>`] : [`    <${tag}/>`];
+}
@@ -1,4 +1,6 @@
-import * as tree from "./tree.js";
+import { GraphModel } from "./graph-model.js";
+import { GraphEditor } from "./interactive.js";
+import { Viewport } from "./viewport.js";
 
 const adjacency_list =
 {
@@ -16,7 +18,12 @@ const adjacency_list =
     "11": [],
     "12": [],
     "13": [],
-    "14": ["5"]
+    "14": ["5"],
+    "16": ["17"],
+    "17": ["18", "19"],
+    "18": ["16", "20"],
+    "19": ["20"],
+    "20": ["17"]
 };
 // get width and height according to window size
 const node_radius = 20;
@@ -26,23 +33,43 @@ const svg = d3.select("body").append("svg")
     .attr("height", window.innerHeight);
 
 
-let components = tree.getConnectedComponents(adjacency_list);
+// the model keeps track of the class of every component while the graph is manipulated,
+// the last change of class is shown in the top left corner
+const model = new GraphModel(adjacency_list);
+const status = svg.append("text")
+    .attr("class", "status")
+    .attr("x", 10)
+    .attr("y", 20);
+model.on("classchange", ({ nodes, previous, current }) => {
+    status.text(`component ${nodes.join(", ")} changed from ${previous} to ${current}`);
+});
 
-// for each component that is a tree, render it
-let trees = components.filter(component => tree.isUndirectedAcyclicGraph(component));
+// manipulating the graph
+model.addEdge("2", "1");
+model.removeEdge("1", "5");
+model.addNode("15", ["8", "5"]);
+model.removeNode("8");
 
-// manipulating list of unconnected adjacency lists
-tree.addEdgeToAdjacencyListComponents(trees, "2", "1");
-tree.removeEdgeFromAdjacencyListComponents(trees, "1", "5");
-tree.addNodetoAdjacencyListComponents(trees, "15", ["8", "5"]);
-tree.removeNodeFromAdjacencyListComponents(trees, "8");
+// nodes and edges carry attributes used by the layouts and the rendering
+model.setNodeAttributes("16", { label: "gateway", type: "server", width: 90, height: 40 });
+model.setNodeAttributes("1", { label: "root", width: 60, height: 60 });
+model.setEdgeAttributes("17", "18", { type: "dependency", weight: 2 });
 
+// the layout is computed without the DOM, the rendering only draws it
+// trees get a tidy tree layout, the other components are drawn without crossings when they are planar,
+// block by block when they are not biconnected, and with a layered layout otherwise
+// the components are packed toward the shape of the window, the packing does not depend on its size
+// so nothing moves when the window is resized
+// the graph can be edited (see interactive.js): double click to add a node, click two nodes to add an edge,
+// Delete to remove the selection, drag the nodes. Only the components that change are laid out again
+// the viewport (see viewport.js) pans and zooms with the mouse, f fits the graph in the window, z and c zoom to the selection
+const viewport = new Viewport(svg);
+new GraphEditor(svg, model, { margin, viewport, layout: { aspectRatio: window.innerWidth / window.innerHeight } });
+viewport.fitToContent(0);
+// above the diagram
+status.raise();
 
-trees = trees.map(t => tree.treeAdjacencyListToNestedList(t, undefined, false));
-tree.renderTrees(svg, trees);
-tree.organizeTrees(svg);
-
-// update width when window is resized
 window.addEventListener("resize", () => {
-    tree.organizeTrees(svg);
-});
\ No newline at end of file
+    svg.attr("width", window.innerWidth).attr("height", window.innerHeight);
+    viewport.renderMinimap();
+});
@@ -0,0 +1,280 @@
+/**
+ * Interactive editing of a graph
+ * The graph is kept in a GraphModel and edited from the UI or with the methods of the editor. After every change the
+ * layout is computed again from the previous one (see the previous option of computeLayout): only the components that
+ * changed are laid out again, the other ones keep their layouts and their places, so the mental map of the user survives.
+ * The nodes and edges move to their new positions with transitions (see updateGraphLayout)
+ *
+ * UI:
+ * - double click on the background: adds a node, in a container: adds a node inside it
+ * - click on a node or a container: selects it, click on another one: adds an edge from the selected one to this one
+ * - click on an edge: selects it
+ * - Delete or Backspace: removes the selected node or edge, Escape: clears the selection
+ * - drag a node or a container: moves it (with the nodes inside it), it keeps its position until its component changes
+ * - with a viewport (see viewport.js): z zooms to the selected node, c to its component
+ */
+
+import { GraphModel } from "./graph-model.js";
+import { computeLayout } from "./layout.js";
+import { updateGraphLayout } from "./tree.js";
+import { getBoundingBox } from "./metrics.js";
+
+
+const DEFAULT_OPTIONS = {
+    margin: 25,
+    // the duration of the transitions in milliseconds
+    duration: 500,
+    // the options of computeLayout
+    layout: {},
+    // false to only render the graph, it can still be edited with the methods of the editor
+    editable: true,
+    // a Viewport of the SVG to render the graph in (see viewport.js), null to render it in the SVG
+    viewport: null,
+};
+
+
+export class GraphEditor {
+    /**
+     * @param {object} svg - the d3 selection of the SVG to render the graph in
+     * @param {object|GraphModel} graph - the graph model, or an adjacency list copied into a new model (optional)
+     * @param {object} options - see DEFAULT_OPTIONS (optional)
+     */
+    constructor(svg, graph = {}, options = {}) {
+        this.svg = svg;
+        this.model = graph instanceof GraphModel ? graph : new GraphModel(graph);
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        // the element the graph is rendered in
+        this.container = this.options.viewport ? this.options.viewport.content : svg;
+        this.layout = null;
+        // the selected node, or the selected edge as [source, target]
+        this.selection = null;
+        if (this.options.editable) {
+            this.listen();
+        }
+        this.relayout(0);
+    }
+
+    /**
+     * Adds a node, with edges from the node to its neighbors
+     * @param {string} node - the node to add (optional, a new id by default)
+     * @param {string[]} neighbors - the neighbors of the node (optional)
+     * @param {object} attributes - the attributes of the node, e.g. its parent (optional)
+     * @returns {string} - the node
+     */
+    addNode(node = this.getNewNode(), neighbors = [], attributes = null) {
+        this.model.addNode(node, neighbors, attributes);
+        this.relayout();
+        return node;
+    }
+
+    /**
+     * Removes a node and its edges, the nodes inside it go to its own container
+     * @param {string} node - the node to remove
+     */
+    removeNode(node) {
+        if (!this.model.hasNode(node)) {
+            return;
+        }
+        const parent = this.model.getNodeAttributes(node).parent ?? null;
+        for (const component of this.model.components) {
+            for (const child in component) {
+                if (this.model.getNodeAttributes(child).parent === node) {
+                    this.model.setNodeAttributes(child, { parent });
+                }
+            }
+        }
+        this.model.removeNode(node);
+        if (this.selection === node) {
+            this.selection = null;
+        }
+        this.relayout();
+    }
+
+    addEdge(source, target, attributes = null) {
+        this.model.addEdge(source, target, attributes);
+        this.relayout();
+    }
+
+    removeEdge(source, target) {
+        this.model.removeEdge(source, target);
+        if (Array.isArray(this.selection) && this.selection[0] === source && this.selection[1] === target) {
+            this.selection = null;
+        }
+        this.relayout();
+    }
+
+    /**
+     * Sets attributes of a node (label, type, width, height, parent...), the other attributes of the node are kept
+     * @param {string} node - the node
+     * @param {object} attributes - the attributes to set
+     */
+    setNodeAttributes(node, attributes) {
+        this.model.setNodeAttributes(node, attributes);
+        this.relayout();
+    }
+
+    /**
+     * Computes the layout again and renders it, the components that did not change keep their layouts
+     * @param {number} duration - the duration of the transitions in milliseconds (optional)
+     */
+    relayout(duration = this.options.duration) {
+        this.layout = computeLayout(this.model, { ...this.options.layout, previous: this.layout });
+        this.render(duration);
+    }
+
+    render(duration = this.options.duration) {
+        updateGraphLayout(this.container, this.layout, this.options.margin, duration);
+        this.options.viewport?.update(this.layout, this.options.margin);
+        this.renderSelection();
+        if (this.options.editable) {
+            this.bindElements();
+        }
+    }
+
+    /**
+     * Moves a node of the layout, with the nodes inside it, without computing the layout again
+     * The edges between a moved node and a node that stays are drawn straight
+     * @param {string} node - the node
+     * @param {number} x - the new x of its center
+     * @param {number} y - the new y of its center
+     */
+    moveNode(node, x, y) {
+        const { nodes, edges, components } = this.layout;
+        const dx = x - nodes[node].x;
+        const dy = y - nodes[node].y;
+        const moved = new Set();
+        for (const id in nodes) {
+            for (let current = id; current !== null && current !== undefined; current = nodes[current].parent) {
+                if (current === node) {
+                    moved.add(id);
+                    break;
+                }
+            }
+        }
+        for (const id of moved) {
+            nodes[id] = { ...nodes[id], x: nodes[id].x + dx, y: nodes[id].y + dy };
+        }
+        for (const edge of edges) {
+            const source = moved.has(edge.source);
+            const target = moved.has(edge.target);
+            if (source && target) {
+                edge.points = edge.points.map(point => ({ x: point.x + dx, y: point.y + dy }));
+            } else if (source || target) {
+                edge.points = [edge.source, edge.target].map(id => ({ x: nodes[id].x, y: nodes[id].y }));
+            }
+        }
+
+        // the component takes the box of its nodes, it is placed with this box by the next layouts
+        const component = components[nodes[node].component];
+        if (component) {
+            const componentNodes = {};
+            for (const id of component.nodes) {
+                componentNodes[id] = nodes[id];
+            }
+            const box = getBoundingBox(componentNodes, edges.filter(edge => edge.component === nodes[node].component));
+            Object.assign(component, { x: box.x, y: box.y, width: box.width, height: box.height });
+            this.layout.width = Math.max(0, ...components.map(({ x, width }) => x + width));
+            this.layout.height = Math.max(0, ...components.map(({ y, height }) => y + height));
+        }
+        this.render(0);
+    }
+
+    /**
+     * Selects a node or an edge
+     * @param {string|string[]|null} selection - a node, an edge as [source, target], or null to clear the selection
+     */
+    select(selection) {
+        this.selection = selection;
+        this.renderSelection();
+    }
+
+    /**
+     * Removes the selected node or edge
+     */
+    removeSelection() {
+        if (Array.isArray(this.selection)) {
+            this.removeEdge(...this.selection);
+        } else if (this.selection !== null) {
+            this.removeNode(this.selection);
+        }
+    }
+
+    renderSelection() {
+        const selection = this.selection;
+        this.container.selectAll("ellipse.node, g.container")
+            .classed("selected", (d) => d.id === selection);
+        this.container.selectAll("path.link")
+            .classed("selected", (d) => Array.isArray(selection) && d.source === selection[0] && d.target === selection[1]);
+    }
+
+    /**
+     * Returns the smallest integer id that is not a node
+     */
+    getNewNode() {
+        let id = 0;
+        while (this.model.hasNode(String(id))) {
+            id++;
+        }
+        return String(id);
+    }
+
+    /**
+     * Listens to the events of the background and the keyboard
+     */
+    listen() {
+        this.svg.on("dblclick.editor", () => {
+            const target = d3.select(d3.event.target);
+            if (d3.event.target === this.svg.node()) {
+                this.addNode();
+            } else if (target.classed("container-box")) {
+                this.addNode(undefined, [], { parent: target.datum().id });
+            }
+        });
+        this.svg.on("click.editor", () => {
+            if (d3.event.target === this.svg.node()) {
+                this.select(null);
+            }
+        });
+        d3.select(this.svg.node().ownerDocument).on("keydown.editor", () => {
+            if (d3.event.key === "Escape") {
+                this.select(null);
+            } else if ((d3.event.key === "Delete" || d3.event.key === "Backspace") && this.selection !== null) {
+                d3.event.preventDefault();
+                this.removeSelection();
+            } else if (this.options.viewport && this.selection !== null && (d3.event.key === "z" || d3.event.key === "c")) {
+                const node = Array.isArray(this.selection) ? this.selection[0] : this.selection;
+                if (d3.event.key === "z") {
+                    this.options.viewport.zoomToNode(node);
+                } else {
+                    this.options.viewport.zoomToComponent(this.layout.nodes[node].component);
+                }
+            }
+        });
+    }
+
+    /**
+     * Listens to the events of the nodes and edges, after every rendering since the elements change
+     */
+    bindElements() {
+        const drag = d3.drag()
+            .on("drag", (d) => this.moveNode(d.id, d3.event.x, d3.event.y));
+        this.container.selectAll("ellipse.node, g.container")
+            .on("click.editor", (d) => {
+                if (typeof this.selection === "string" && this.selection !== d.id) {
+                    const source = this.selection;
+                    this.selection = null;
+                    // the model does not take an edge twice, the existing one is selected instead
+                    if (this.model.hasEdge(source, d.id)) {
+                        this.select([source, d.id]);
+                    } else {
+                        this.addEdge(source, d.id);
+                    }
+                } else {
+                    this.select(this.selection === d.id ? null : d.id);
+                }
+            })
+            .call(drag);
+        this.container.selectAll("path.link")
+            .on("click.editor", (d) => this.select([d.source, d.target]));
+    }
+}
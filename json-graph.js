@@ -0,0 +1,110 @@
+/**
+ * JSON graph format
+ * {
+ *     "directed": true,
+ *     "nodes": [{ "id": "a", "attributes": { "label": "A", "width": 60 }, "x": 0, "y": 0 }],
+ *     "edges": [{ "source": "a", "target": "b", "attributes": { "weight": 2 }, "points": [{ "x": 0, "y": 0 }, { "x": 0, "y": 50 }] }]
+ * }
+ * The attributes, the positions of the nodes (x, y) and the points of the edges are optional
+ * The positions are read into the x and y attributes of the nodes and the points into the points attribute of the edges
+ */
+
+import { Graph } from "./graph.js";
+import { getEdgeRoute } from "./layout.js";
+import { assertAdjacencyList } from "./validation.js";
+import { InvalidArgumentError } from "./errors.js";
+
+
+/**
+ * Parses a graph in the JSON graph format
+ * @param {string|object} json - the JSON text, or the parsed object
+ * @returns {object} - the adjacency list of the graph, with its attributes
+ * @throws {InvalidArgumentError} - if the text is not JSON or not a graph
+ */
+export function parseJSONGraph(json) {
+    const data = typeof json === "string" ? parseJSON(json) : json;
+    if (!data || !Array.isArray(data.nodes)) {
+        throw new InvalidArgumentError("A JSON graph needs a nodes array");
+    }
+
+    const graph = new Graph();
+    for (const node of data.nodes) {
+        if (node.id === undefined || node.id === null) {
+            throw new InvalidArgumentError(`A node of the JSON graph has no id: ${JSON.stringify(node)}`);
+        }
+        const attributes = { ...node.attributes };
+        if (node.x !== undefined) {
+            attributes.x = node.x;
+        }
+        if (node.y !== undefined) {
+            attributes.y = node.y;
+        }
+        graph.addNode(String(node.id), [], attributes);
+    }
+    for (const edge of data.edges || []) {
+        if (edge.source === undefined || edge.target === undefined) {
+            throw new InvalidArgumentError(`An edge of the JSON graph needs a source and a target: ${JSON.stringify(edge)}`);
+        }
+        const attributes = { ...edge.attributes };
+        if (edge.points) {
+            attributes.points = edge.points;
+        }
+        graph.addEdge(String(edge.source), String(edge.target), attributes);
+    }
+    return graph.adjacency;
+}
+
+
+/**
+ * Serializes a graph in the JSON graph format
+ * @param {object} adjList - the adjacency list of the graph
+ * @param {object} options - { layout: a layout whose positions are written (see computeLayout), space: the indentation } (optional)
+ * @returns {string} - the JSON text
+ */
+export function serializeJSONGraph(adjList, options = {}) {
+    return JSON.stringify(toJSONGraph(adjList, options), null, options.space ?? 2);
+}
+
+
+/**
+ * Returns the object of the JSON graph format
+ * @param {object} adjList - the adjacency list of the graph
+ * @param {object} options - { layout } (optional)
+ * @returns {object} - { directed, nodes, edges }
+ */
+export function toJSONGraph(adjList, options = {}) {
+    assertAdjacencyList(adjList);
+    const graph = new Graph(adjList);
+    const layout = options.layout;
+    const nodes = graph.nodes().map(id => {
+        const { x, y, ...attributes } = graph.getNodeAttributes(id);
+        const position = layout?.nodes[id] ?? { x, y };
+        const node = { id, attributes };
+        if (position.x !== undefined && position.y !== undefined) {
+            node.x = position.x;
+            node.y = position.y;
+        }
+        return node;
+    });
+
+    const edges = [];
+    for (const [source, target] of graph.edges()) {
+        const { points: attributePoints, ...attributes } = graph.getEdgeAttributes(source, target);
+        const points = (layout && getEdgeRoute(layout, source, target)) ?? attributePoints;
+        const edge = { source, target, attributes };
+        if (points) {
+            edge.points = points.map(({ x, y }) => ({ x, y }));
+        }
+        edges.push(edge);
+    }
+    return { directed: true, nodes, edges };
+}
+
+
+function parseJSON(text) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new InvalidArgumentError(`The JSON graph is not valid JSON: ${error.message}`);
+    }
+}
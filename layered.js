@@ -0,0 +1,559 @@
+/**
+ * Layered (Sugiyama-style) layout for general directed graphs
+ * Used for the components that are not trees
+ *
+ * The layout is computed in four phases:
+ * 1. cycle removal: the edges of a feedback arc set are reversed so that the graph becomes acyclic
+ * 2. layer assignment: every node gets a layer, long edges are split with dummy nodes
+ * 3. crossing reduction: the nodes of every layer are ordered with the barycenter heuristic or another method
+ *    of crossing-minimization.js
+ * 4. coordinate assignment: the nodes are placed on their layers, respecting the order found in 3.
+ */
+
+import { getNodeSize, getNodeAttributes, getEdgeAttributes } from "./attributes.js";
+import { getProperPredecessors, reduceCrossings } from "./crossing-minimization.js";
+import { getSelfLoopRoute } from "./routing.js";
+import { assertAdjacencyList } from "./validation.js";
+import { InvalidArgumentError } from "./errors.js";
+
+export { countBilayerCrossings, countLayeredCrossings, reduceCrossings } from "./crossing-minimization.js";
+
+
+const DEFAULT_OPTIONS = {
+    nodeWidth: 40,
+    nodeHeight: 40,
+    nodeSpacing: 20,
+    dummySpacing: 10,
+    layerSpacing: 50,
+    // a method of ORDERING_METHODS (see crossing-minimization.js), or an array of methods applied one after the other
+    crossingReduction: "barycenter",
+    crossingIterations: 24,
+    coordinateIterations: 8,
+    // a time (Date.now()) after which the crossing reduction stops and keeps the best order found so far, null for none
+    deadline: null,
+    // called with { phase: "crossings", iteration, iterations, crossings } after every sweep of the crossing reduction
+    onProgress: null,
+};
+
+
+/**
+ * Returns all the nodes of the adjacency list, including the neighbors that are not listed as keys
+ * @param {object} adjList - the adjacency list of the graph
+ * @returns {string[]} - the nodes of the graph
+ */
+export function getAllNodes(adjList) {
+    assertAdjacencyList(adjList);
+    const nodes = new Set(Object.keys(adjList));
+    for (const node in adjList) {
+        for (const neighbor of adjList[node]) {
+            nodes.add(neighbor);
+        }
+    }
+    return [...nodes];
+}
+
+
+/**
+ * Returns a feedback arc set of the graph, using the greedy heuristic of Eades, Lin and Smyth
+ * Reversing the returned edges makes the graph acyclic
+ * Self loops are not part of the feedback arc set, they have to be dropped by the caller
+ * @param {object} adjList - the adjacency list of the graph
+ * @returns {string[][]} - the edges of the feedback arc set as [source, target] pairs
+ */
+export function getFeedbackArcSet(adjList) {
+    assertAdjacencyList(adjList);
+    const order = getFeedbackArcSetOrder(adjList);
+    const position = new Map(order.map((node, index) => [node, index]));
+    const arcs = [];
+    for (const node in adjList) {
+        for (const neighbor of adjList[node]) {
+            if (neighbor !== node && position.get(neighbor) < position.get(node)) {
+                arcs.push([node, neighbor]);
+            }
+        }
+    }
+    return arcs;
+}
+
+
+/**
+ * Returns an ordering of the nodes where few edges point backwards (Eades, Lin and Smyth)
+ * Sinks are moved to the end, sources to the start, otherwise the node with the largest out-degree minus in-degree is moved to the start
+ * @param {object} adjList - the adjacency list of the graph
+ * @returns {string[]} - the ordering of the nodes
+ */
+function getFeedbackArcSetOrder(adjList) {
+    const successors = new Map();
+    const predecessors = new Map();
+    for (const node of getAllNodes(adjList)) {
+        successors.set(node, new Map());
+        predecessors.set(node, new Map());
+    }
+    // edges are counted with their multiplicity so that the degrees stay correct
+    for (const node in adjList) {
+        for (const neighbor of adjList[node]) {
+            if (neighbor === node) {
+                continue;
+            }
+            successors.get(node).set(neighbor, (successors.get(node).get(neighbor) || 0) + 1);
+            predecessors.get(neighbor).set(node, (predecessors.get(neighbor).get(node) || 0) + 1);
+        }
+    }
+
+    const remaining = new Set(successors.keys());
+    const start = [];
+    const end = [];
+
+    function degree(edges) {
+        let total = 0;
+        for (const count of edges.values()) {
+            total += count;
+        }
+        return total;
+    }
+
+    function remove(node) {
+        remaining.delete(node);
+        for (const neighbor of successors.get(node).keys()) {
+            predecessors.get(neighbor).delete(node);
+        }
+        for (const neighbor of predecessors.get(node).keys()) {
+            successors.get(neighbor).delete(node);
+        }
+    }
+
+    while (remaining.size > 0) {
+        let changed = true;
+        while (changed) {
+            changed = false;
+            for (const node of remaining) {
+                if (successors.get(node).size === 0) {
+                    end.push(node);
+                    remove(node);
+                    changed = true;
+                } else if (predecessors.get(node).size === 0) {
+                    start.push(node);
+                    remove(node);
+                    changed = true;
+                }
+            }
+        }
+        if (remaining.size === 0) {
+            break;
+        }
+
+        let best = null;
+        let bestDelta = -Infinity;
+        for (const node of remaining) {
+            const delta = degree(successors.get(node)) - degree(predecessors.get(node));
+            if (delta > bestDelta) {
+                best = node;
+                bestDelta = delta;
+            }
+        }
+        start.push(best);
+        remove(best);
+    }
+
+    return [...start, ...end.reverse()];
+}
+
+
+/**
+ * Returns an acyclic copy of the graph where the edges of a feedback arc set are reversed
+ * Self loops are dropped
+ * @param {object} adjList - the adjacency list of the graph
+ * @returns {object} - { adjList: the acyclic adjacency list, edges: the edges of the acyclic graph as {source, target, reversed}, reversed: the reversed edges as [source, target] pairs, selfLoops: the dropped self loops }
+ */
+export function removeCycles(adjList) {
+    assertAdjacencyList(adjList);
+    const reversed = getFeedbackArcSet(adjList);
+    const reversedKeys = new Set(reversed.map(([source, target]) => edgeKey(source, target)));
+    const acyclic = {};
+    const edges = [];
+    const selfLoops = [];
+    for (const node of getAllNodes(adjList)) {
+        acyclic[node] = [];
+    }
+    for (const node in adjList) {
+        for (const neighbor of adjList[node]) {
+            if (neighbor === node) {
+                selfLoops.push([node, neighbor]);
+            } else if (reversedKeys.has(edgeKey(node, neighbor))) {
+                acyclic[neighbor].push(node);
+                edges.push({ source: neighbor, target: node, reversed: true });
+            } else {
+                acyclic[node].push(neighbor);
+                edges.push({ source: node, target: neighbor, reversed: false });
+            }
+        }
+    }
+    return { adjList: acyclic, edges, reversed, selfLoops };
+}
+
+
+/**
+ * Assigns a layer to every node of an acyclic graph
+ * Uses the longest path from the sources, then moves every node as close as possible to its successors to shorten long edges
+ * @param {object} adjList - the adjacency list of an acyclic graph
+ * @returns {object} - an object with the nodes as the keys and their layer as the values
+ */
+export function assignLayers(adjList) {
+    assertAdjacencyList(adjList);
+    const order = getTopologicalOrder(adjList);
+    const predecessors = {};
+    for (const node of order) {
+        predecessors[node] = [];
+    }
+    for (const node of order) {
+        for (const neighbor of adjList[node] || []) {
+            predecessors[neighbor].push(node);
+        }
+    }
+
+    const layers = {};
+    for (const node of order) {
+        let layer = 0;
+        for (const predecessor of predecessors[node]) {
+            layer = Math.max(layer, layers[predecessor] + 1);
+        }
+        layers[node] = layer;
+    }
+
+    // pull nodes down towards their successors, sources end up right above their first successor
+    for (let i = order.length - 1; i >= 0; i--) {
+        const node = order[i];
+        const successors = adjList[node] || [];
+        if (successors.length > 0) {
+            layers[node] = Math.min(...successors.map(successor => layers[successor])) - 1;
+        }
+    }
+    return layers;
+}
+
+
+/**
+ * Returns the nodes of an acyclic graph in topological order (Kahn's algorithm)
+ * @param {object} adjList - the adjacency list of an acyclic graph
+ * @returns {string[]} - the nodes in topological order
+ * @throws {InvalidArgumentError} - if the graph has a cycle
+ */
+export function getTopologicalOrder(adjList) {
+    assertAdjacencyList(adjList);
+    const inDegree = new Map(getAllNodes(adjList).map(node => [node, 0]));
+    for (const node in adjList) {
+        for (const neighbor of adjList[node]) {
+            inDegree.set(neighbor, inDegree.get(neighbor) + 1);
+        }
+    }
+    const queue = [...inDegree.keys()].filter(node => inDegree.get(node) === 0);
+    const order = [];
+    for (let i = 0; i < queue.length; i++) {
+        const node = queue[i];
+        order.push(node);
+        for (const neighbor of adjList[node] || []) {
+            inDegree.set(neighbor, inDegree.get(neighbor) - 1);
+            if (inDegree.get(neighbor) === 0) {
+                queue.push(neighbor);
+            }
+        }
+    }
+    if (order.length !== inDegree.size) {
+        throw new InvalidArgumentError("The graph has a cycle, it has no topological order");
+    }
+    return order;
+}
+
+
+/**
+ * Splits the edges spanning more than one layer with dummy nodes
+ * @param {object[]} edges - the edges of an acyclic graph as {source, target}, other properties are kept
+ * @param {object} layers - the layer of every node
+ * @returns {object} - { layers: the nodes of every layer, edges: the edges with the chain of nodes they go through, dummies: the set of dummy nodes }
+ */
+export function insertDummyNodes(edges, layers) {
+    const layerCount = Math.max(-1, ...Object.values(layers)) + 1;
+    const nodesByLayer = Array.from({ length: layerCount }, () => []);
+    for (const node in layers) {
+        nodesByLayer[layers[node]].push(node);
+    }
+
+    const dummies = new Set();
+    let dummyIndex = 0;
+
+    function createDummy(layer) {
+        let dummy;
+        do {
+            dummy = `dummy:${dummyIndex++}`;
+        } while (layers[dummy] !== undefined);
+        dummies.add(dummy);
+        nodesByLayer[layer].push(dummy);
+        return dummy;
+    }
+
+    const chainedEdges = edges.map(edge => {
+        const chain = [edge.source];
+        for (let layer = layers[edge.source] + 1; layer < layers[edge.target]; layer++) {
+            chain.push(createDummy(layer));
+        }
+        chain.push(edge.target);
+        return { ...edge, chain };
+    });
+
+    return { layers: nodesByLayer, edges: chainedEdges, dummies };
+}
+
+
+/**
+ * Returns the proper layered graph of a directed graph, every edge going from a layer to the next one (phases 1 and 2)
+ * Its layers are in the initial order of the crossing reduction, e.g. to compare the methods of crossing-minimization.js
+ * @param {object} adjList - the adjacency list of the graph
+ * @returns {object} - { layers, edges, dummies } as insertDummyNodes, the layers being ordered,
+ *                     successors: the adjacency list of the proper layered graph, and selfLoops as removeCycles
+ */
+export function getProperLayeredGraph(adjList) {
+    assertAdjacencyList(adjList);
+    const { adjList: acyclic, edges: acyclicEdges, selfLoops } = removeCycles(adjList);
+    const proper = insertDummyNodes(acyclicEdges, assignLayers(acyclic));
+
+    const successors = {};
+    for (const layer of proper.layers) {
+        for (const node of layer) {
+            successors[node] = [];
+        }
+    }
+    for (const { chain } of proper.edges) {
+        for (let i = 0; i < chain.length - 1; i++) {
+            successors[chain[i]].push(chain[i + 1]);
+        }
+    }
+    return { ...proper, layers: getInitialOrder(proper.layers, successors), successors, selfLoops };
+}
+
+
+/**
+ * Orders every layer by a breadth-first traversal from the nodes of the first layers
+ * Gives the crossing reduction a starting point where connected nodes are close to each other
+ * @param {string[][]} layers - the nodes of every layer
+ * @param {object} successors - the adjacency list of the proper layered graph
+ * @returns {string[][]} - the ordered layers
+ */
+function getInitialOrder(layers, successors) {
+    const layerOf = new Map();
+    layers.forEach((layer, index) => layer.forEach(node => layerOf.set(node, index)));
+    const ordered = layers.map(() => []);
+    const visited = new Set();
+    for (const layer of layers) {
+        for (const start of layer) {
+            if (visited.has(start)) {
+                continue;
+            }
+            visited.add(start);
+            const queue = [start];
+            for (let i = 0; i < queue.length; i++) {
+                const node = queue[i];
+                ordered[layerOf.get(node)].push(node);
+                for (const successor of successors[node]) {
+                    if (!visited.has(successor)) {
+                        visited.add(successor);
+                        queue.push(successor);
+                    }
+                }
+            }
+        }
+    }
+    return ordered;
+}
+
+
+/**
+ * Assigns the horizontal coordinates of the nodes of every layer
+ * Every node is pulled towards the mean position of its neighbors in the adjacent layers,
+ * while keeping the order of the layer and the minimum spacing between nodes
+ * @param {string[][]} layers - the ordered nodes of every layer
+ * @param {object} successors - the adjacency list of the proper layered graph
+ * @param {object} widths - the width of every node
+ * @param {Set} dummies - the dummy nodes
+ * @param {object} options - { nodeSpacing, dummySpacing, coordinateIterations }
+ * @returns {object} - an object with the nodes as the keys and their x coordinate as the values
+ */
+export function assignCoordinates(layers, successors, widths, dummies, options = {}) {
+    const {
+        nodeSpacing = DEFAULT_OPTIONS.nodeSpacing,
+        dummySpacing = DEFAULT_OPTIONS.dummySpacing,
+        coordinateIterations = DEFAULT_OPTIONS.coordinateIterations,
+    } = options;
+    const predecessors = getProperPredecessors(layers, successors);
+
+    // minimal distance between the centers of consecutive nodes, relative to the first node of the layer
+    const offsets = layers.map(layer => {
+        const layerOffsets = [0];
+        for (let i = 1; i < layer.length; i++) {
+            const spacing = dummies.has(layer[i - 1]) && dummies.has(layer[i]) ? dummySpacing : nodeSpacing;
+            layerOffsets.push(layerOffsets[i - 1] + (widths[layer[i - 1]] + widths[layer[i]]) / 2 + spacing);
+        }
+        return layerOffsets;
+    });
+
+    // start with every layer packed and centered
+    const x = {};
+    layers.forEach((layer, i) => {
+        const center = layer.length > 0 ? offsets[i][layer.length - 1] / 2 : 0;
+        layer.forEach((node, j) => {
+            x[node] = offsets[i][j] - center;
+        });
+    });
+
+    function placeLayer(i, neighborSets) {
+        const layer = layers[i];
+        const targets = [];
+        const weights = [];
+        layer.forEach((node, j) => {
+            const neighbors = neighborSets.flatMap(set => set[node]);
+            // dummy nodes weigh more to keep long edges straight
+            const weight = dummies.has(node) ? 2 : 1;
+            if (neighbors.length > 0) {
+                const mean = neighbors.reduce((sum, neighbor) => sum + x[neighbor], 0) / neighbors.length;
+                targets.push(mean - offsets[i][j]);
+                weights.push(weight * neighbors.length);
+            } else {
+                targets.push(x[node] - offsets[i][j]);
+                weights.push(0.01);
+            }
+        });
+        const fitted = fitIsotonic(targets, weights);
+        layer.forEach((node, j) => {
+            x[node] = fitted[j] + offsets[i][j];
+        });
+    }
+
+    for (let iteration = 0; iteration < coordinateIterations; iteration++) {
+        if (iteration % 2 === 0) {
+            for (let i = 1; i < layers.length; i++) {
+                placeLayer(i, [predecessors]);
+            }
+        } else {
+            for (let i = layers.length - 2; i >= 0; i--) {
+                placeLayer(i, [successors]);
+            }
+        }
+    }
+    for (let i = 0; i < layers.length; i++) {
+        placeLayer(i, [predecessors, successors]);
+    }
+
+    return x;
+}
+
+
+/**
+ * Returns the non-decreasing sequence closest to the values in the weighted least squares sense (pool adjacent violators)
+ * @param {number[]} values - the target values
+ * @param {number[]} weights - the weight of every value
+ * @returns {number[]} - the fitted values
+ */
+function fitIsotonic(values, weights) {
+    const blocks = [];
+    for (let i = 0; i < values.length; i++) {
+        blocks.push({ value: values[i], weight: weights[i], count: 1 });
+        while (blocks.length > 1 && blocks[blocks.length - 2].value > blocks[blocks.length - 1].value) {
+            const last = blocks.pop();
+            const previous = blocks[blocks.length - 1];
+            const weight = previous.weight + last.weight;
+            previous.value = (previous.value * previous.weight + last.value * last.weight) / weight;
+            previous.weight = weight;
+            previous.count += last.count;
+        }
+    }
+    return blocks.flatMap(block => new Array(block.count).fill(block.value));
+}
+
+
+/**
+ * Computes a layered layout of a directed graph
+ * The returned layout is translated so that its bounding box starts at (0, 0)
+ * The nodes get the size of their width and height attributes (nodeWidth and nodeHeight by default),
+ * every layer is as high as its highest node
+ * The self loops are small loops on the right side of their node, with selfLoop set to true
+ * @param {object} adjList - the adjacency list of the graph
+ * @param {object} options - the layout options, see DEFAULT_OPTIONS
+ * @returns {object} - { nodes: {id: {x, y, width, height, layer, order, attributes}}, edges: [{source, target, points, reversed, selfLoop, attributes}], layers, crossings }
+ */
+export function computeLayeredLayout(adjList, options = {}) {
+    assertAdjacencyList(adjList);
+    options = { ...DEFAULT_OPTIONS, ...options };
+
+    const proper = getProperLayeredGraph(adjList);
+    const { successors } = proper;
+    const { layers, crossings } = reduceCrossings(proper.layers, successors, {
+        method: options.crossingReduction,
+        iterations: options.crossingIterations,
+        deadline: options.deadline,
+        onProgress: options.onProgress,
+    });
+
+    const defaultSize = { width: options.nodeWidth, height: options.nodeHeight };
+    const sizes = {};
+    const widths = {};
+    for (const layer of layers) {
+        for (const node of layer) {
+            sizes[node] = proper.dummies.has(node) ? { width: 0, height: 0 } : getNodeSize(adjList, node, defaultSize);
+            widths[node] = sizes[node].width;
+        }
+    }
+    const x = assignCoordinates(layers, successors, widths, proper.dummies, options);
+
+    const minX = Math.min(...Object.keys(x).map(node => x[node] - widths[node] / 2));
+    const nodes = {};
+    const dummyPoints = {};
+    let top = 0;
+    layers.forEach((layer, layerIndex) => {
+        const layerHeight = Math.max(...layer.map(node => sizes[node].height));
+        const y = top + layerHeight / 2;
+        layer.forEach((node, order) => {
+            if (proper.dummies.has(node)) {
+                dummyPoints[node] = { x: x[node] - minX, y };
+            } else {
+                nodes[node] = {
+                    x: x[node] - minX,
+                    y,
+                    width: sizes[node].width,
+                    height: sizes[node].height,
+                    layer: layerIndex,
+                    order,
+                    attributes: getNodeAttributes(adjList, node),
+                };
+            }
+        });
+        top += layerHeight + options.layerSpacing;
+    });
+
+    // edges are given back in their original direction
+    const edges = proper.edges.map(({ source, target, chain, reversed }) => {
+        const points = chain.map(node => {
+            const { x, y } = nodes[node] || dummyPoints[node];
+            return { x, y };
+        });
+        return reversed
+            ? { source: target, target: source, points: points.reverse(), reversed, attributes: getEdgeAttributes(adjList, target, source) }
+            : { source, target, points, reversed, attributes: getEdgeAttributes(adjList, source, target) };
+    });
+    // the loops stay in the spacing between the node and its right neighbor
+    for (const [node] of proper.selfLoops) {
+        edges.push({
+            source: node,
+            target: node,
+            points: getSelfLoopRoute(nodes[node], options.nodeSpacing / 2),
+            reversed: false,
+            selfLoop: true,
+            attributes: getEdgeAttributes(adjList, node, node),
+        });
+    }
+
+    return { nodes, edges, layers, crossings };
+}
+
+
+function edgeKey(source, target) {
+    return JSON.stringify([source, target]);
+}
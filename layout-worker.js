@@ -0,0 +1,40 @@
+/**
+ * Worker script of LayoutWorker (see async-layout.js), run as a module Web Worker in the browsers
+ * and as a worker_threads worker in Node
+ * Receives { id, graph, options, timeBudget, progressInterval }, the graph in the JSON graph format (see json-graph.js),
+ * and answers { id, type: "progress", progress } while the layout is computed, then { id, type: "result", layout, timedOut }
+ * or { id, type: "error", error: { name, message, properties } }, the properties of the errors of errors.js (issues, node...)
+ */
+
+import { computeLayout } from "./layout.js";
+import { parseJSONGraph } from "./json-graph.js";
+import { GraphError } from "./errors.js";
+
+
+const port = typeof self !== "undefined" && typeof self.postMessage === "function"
+    ? self
+    : (await import("node:worker_threads")).parentPort;
+
+port.addEventListener("message", (event) => {
+    const { id, graph, options, timeBudget, progressInterval } = event.data;
+    const start = Date.now();
+    const deadline = timeBudget === null ? null : start + timeBudget;
+    // the progress is sent at most every progressInterval milliseconds, and whenever the phase changes
+    let lastPhase = null;
+    let lastTime = -Infinity;
+    const onProgress = (progress) => {
+        const now = Date.now();
+        if (progress.phase !== lastPhase || now - lastTime >= progressInterval) {
+            lastPhase = progress.phase;
+            lastTime = now;
+            port.postMessage({ id, type: "progress", progress: { ...progress, elapsed: now - start } });
+        }
+    };
+    try {
+        const layout = computeLayout(parseJSONGraph(graph), { ...options, deadline, onProgress });
+        port.postMessage({ id, type: "result", layout, timedOut: deadline !== null && Date.now() > deadline });
+    } catch (error) {
+        const properties = error instanceof GraphError ? { ...error } : {};
+        port.postMessage({ id, type: "error", error: { name: error.name, message: error.message, properties } });
+    }
+});
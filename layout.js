@@ -0,0 +1,310 @@
+/**
+ * Headless layout of a whole graph
+ * Every connected component is laid out with the algorithm that suits its class, then the components are
+ * packed together (see packing.js). Everything is computed as plain data, without the DOM, d3 or window, so it runs in Node,
+ * in a worker or in tests. The SVG rendering (renderGraphLayout in tree.js) only draws the result
+ */
+
+import { GraphModel } from "./graph-model.js";
+import { treeAdjacencyListToNestedList } from "./tree.js";
+import { layoutTree } from "./tree-layout.js";
+import { computeLayeredLayout } from "./layered.js";
+import { computePlanarLayout } from "./planar-drawing.js";
+import { computeForceLayout } from "./force.js";
+import { computeBlockLayout } from "./decomposition.js";
+import { getBoundingBox } from "./metrics.js";
+import { packComponents } from "./packing.js";
+import { routeEdges } from "./routing.js";
+import { computeClusteredLayout } from "./clustering.js";
+import { computeCompoundLayout, isCompoundGraph } from "./compound.js";
+import { getEdgeAttributes, getNodeAttributes, shareAttributes } from "./attributes.js";
+import { InvalidArgumentError } from "./errors.js";
+
+
+const DEFAULT_OPTIONS = {
+    // "auto" chooses the algorithm from the class of every component, a name of LAYOUT_ALGORITHMS uses it for all of them,
+    // a function (component, properties) returns the name for every component
+    algorithm: "auto",
+    // the algorithm of the components that are neither trees nor planar, in auto mode
+    fallback: "layered",
+    // the clustering method ("louvain" or "spectral") of the components larger than clusterThreshold that are not trees,
+    // in auto mode, they are laid out cluster by cluster (see computeClusteredLayout), null to never cluster them
+    clustering: null,
+    clusterThreshold: 100,
+    // the nodes with a parent attribute are laid out inside their containers (see computeCompoundLayout),
+    // false lays out the containers as plain nodes
+    compound: true,
+    // the root selection strategy of the trees, see getBestRoot
+    rootSelection: undefined,
+    // the layout of the trees: "tidy", "compact" or "radial", and their orientation: "vertical", "horizontal" or "auto"
+    // (the one closest to aspectRatio), see layoutTree
+    treeLayout: "tidy",
+    orientation: "vertical",
+    // the routing of the edges of every component: null (the edges of the layouts), "orthogonal", "spline" or "straight",
+    // see routeEdges for its options (nodePadding, bendPenalty, edgeSpacing...)
+    routing: null,
+    // the packing of the components: "skyline" or "shelf", toward the target width / height
+    packing: "skyline",
+    aspectRatio: 16 / 9,
+    componentSpacing: 25,
+    // a previous result of computeLayout, the components that did not change keep their layouts (with the nodes moved
+    // since, e.g. dragged) and their places, the other components are laid out again and placed around them
+    previous: null,
+    // called with { phase, component, components, algorithm, iteration, iterations, crossings } while the layout is computed,
+    // the phases being "layout" (a component starts), "crossings" (layered), "forces" and "refinement" (force), "routing" and "packing"
+    onProgress: null,
+    // a time (Date.now()) after which the iterative algorithms stop and keep the best layouts found so far, null for none
+    // (see computeLayoutAsync for a time budget)
+    deadline: null,
+};
+
+
+/**
+ * The layout algorithms of the components, every function takes the adjacency list of a component and the options
+ * and returns { nodes: {id: {x, y, width, height}}, edges: [{source, target, points}] }
+ */
+export const LAYOUT_ALGORITHMS = {
+    tree: (component, options) => layoutTree(treeAdjacencyListToNestedList(component, null, options.rootSelection), options),
+    layered: computeLayeredLayout,
+    planar: computePlanarLayout,
+    force: computeForceLayout,
+    blocks: computeBlockLayout,
+    // every cluster is laid out as a graph of its own, without clustering
+    clusters: (component, options) => computeClusteredLayout(component, {
+        ...options,
+        method: options.clustering ?? "louvain",
+        layoutCluster: (cluster, clusterOptions) => computeLayout(cluster, { ...clusterOptions, clustering: null, routing: null, previous: null }),
+    }),
+};
+
+
+/**
+ * Computes the layout of a graph
+ * The options are also given to the layout algorithms of the components (nodeWidth, nodeHeight, seed...)
+ * @param {object|GraphModel} graph - the adjacency list of the graph, or a graph model
+ * @param {object} options - see DEFAULT_OPTIONS (optional)
+ * @returns {object} - {
+ *     nodes: {id: {x, y, width, height, attributes, component}}, with { parent, container, depth } for the compound graphs,
+ *     edges: [{source, target, points, reversed, attributes, component}],
+ *     components: [{key, signature, nodes, algorithm, graphClass, x, y, width, height}],
+ *     width, height
+ * }
+ * where component is the index of the component of a node or an edge, x and y of a component are its offset
+ * and key identifies it from one layout to the next (see getComponentKey), signature tells whether it changed (see getComponentSignature)
+ */
+export function computeLayout(graph, options = {}) {
+    options = { ...DEFAULT_OPTIONS, ...options };
+    const model = graph instanceof GraphModel ? graph : new GraphModel(graph);
+    if (options.compound && model.components.some(isCompoundGraph)) {
+        // the containers link their children, they are laid out level by level, every level as a graph of its own
+        const adjList = shareAttributes(model.components[0], Object.assign({}, ...model.components));
+        return computeCompoundLayout(adjList, {
+            ...options,
+            layoutContainer: (children, levelOptions) => computeLayout(children, { ...levelOptions, compound: false }),
+        });
+    }
+
+    const previousLayouts = getPreviousLayouts(options.previous);
+    const layouts = model.components.map((component, index) => {
+        const signature = getComponentSignature(component);
+        const previous = previousLayouts.get(getComponentKey(component));
+        if (previous?.signature === signature) {
+            return { component, signature, algorithm: previous.algorithm, layout: previous.layout, box: getBoundingBox(previous.layout.nodes, previous.layout.edges) };
+        }
+        const algorithm = chooseAlgorithm(model, component, options);
+        // the progress of the algorithm tells the component it is about
+        const report = options.onProgress && (progress => options.onProgress({ ...progress, component: index, components: model.components.length, algorithm }));
+        report?.({ phase: "layout" });
+        let layout = LAYOUT_ALGORITHMS[algorithm](component, { ...options, onProgress: report });
+        if (options.routing) {
+            report?.({ phase: "routing" });
+            layout = routeEdges(layout, { ...options, style: options.routing });
+        }
+        return { component, signature, algorithm, layout, box: getBoundingBox(layout.nodes, layout.edges) };
+    });
+    options.onProgress?.({ phase: "packing", components: layouts.length });
+    const keys = layouts.map(({ component }) => getComponentKey(component));
+    const { positions } = packComponents(
+        layouts.map(({ box }, index) => ({ key: keys[index], width: box.width, height: box.height })),
+        {
+            algorithm: options.packing,
+            aspectRatio: options.aspectRatio,
+            margin: options.componentSpacing,
+            previous: getPreviousPositions(options.previous),
+        },
+    );
+    const offsets = keys.map(key => positions[key]);
+
+    const nodes = {};
+    const edges = [];
+    const components = layouts.map(({ component, signature, algorithm, layout, box }, index) => {
+        const dx = offsets[index].x - box.x;
+        const dy = offsets[index].y - box.y;
+        for (const node in layout.nodes) {
+            nodes[node] = { ...layout.nodes[node], x: layout.nodes[node].x + dx, y: layout.nodes[node].y + dy, component: index };
+        }
+        for (const edge of layout.edges) {
+            edges.push({
+                ...edge,
+                points: edge.points.map(({ x, y }) => ({ x: x + dx, y: y + dy })),
+                component: index,
+            });
+        }
+        return {
+            key: keys[index],
+            signature,
+            nodes: Object.keys(component),
+            algorithm,
+            graphClass: model.getGraphClass(component),
+            x: offsets[index].x,
+            y: offsets[index].y,
+            width: box.width,
+            height: box.height,
+        };
+    });
+
+    const width = Math.max(0, ...components.map(component => component.x + component.width));
+    const height = Math.max(0, ...components.map(component => component.y + component.height));
+    return { nodes, edges, components, width, height };
+}
+
+
+/**
+ * Returns the name of the layout algorithm of a component
+ * @param {GraphModel} model - the graph model
+ * @param {object} component - the adjacency list of the component
+ * @param {object} options - { algorithm, fallback }
+ * @returns {string} - a name of LAYOUT_ALGORITHMS
+ */
+export function chooseAlgorithm(model, component, options = DEFAULT_OPTIONS) {
+    let algorithm = options.algorithm;
+    if (typeof algorithm === "function") {
+        algorithm = algorithm(component, model.getProperties(component));
+    } else if (algorithm === "auto") {
+        if (model.getGraphClass(component) === "tree") {
+            algorithm = "tree";
+        } else if (options.clustering && Object.keys(component).length > options.clusterThreshold) {
+            algorithm = "clusters";
+        } else {
+            // the planar drawing has no crossing, the block layout may add some when it moves the articulation points
+            const { biconnected, planar } = model.getProperties(component);
+            if (planar) {
+                algorithm = "planar";
+            } else {
+                algorithm = biconnected ? options.fallback : "blocks";
+            }
+        }
+    }
+
+    if (!LAYOUT_ALGORITHMS[algorithm]) {
+        throw new InvalidArgumentError(`Unknown layout algorithm: ${algorithm}`);
+    }
+    if (algorithm === "tree" && model.getGraphClass(component) !== "tree") {
+        throw new InvalidArgumentError(`The tree layout needs a tree, the component of ${Object.keys(component)[0]} is ${model.getGraphClass(component)}`);
+    }
+    return algorithm;
+}
+
+
+/**
+ * Returns the key of a component, its smallest node
+ * A component keeps its key while nodes are added to it or removed from it, as long as its smallest node stays
+ * @param {object} component - the adjacency list of the component
+ * @returns {string} - the key
+ */
+export function getComponentKey(component) {
+    let key = null;
+    for (const node in component) {
+        if (key === null || node < key) {
+            key = node;
+        }
+    }
+    return key;
+}
+
+
+/**
+ * Returns the signature of a component: a hash of its nodes, its edges and their attributes
+ * Two components with the same signature get the same layout
+ * @param {object} component - the adjacency list of the component
+ * @returns {string} - the signature
+ */
+export function getComponentSignature(component) {
+    const nodes = Object.keys(component).sort();
+    const description = JSON.stringify(nodes.map(node => {
+        const neighbors = [...component[node]].sort();
+        return [node, getNodeAttributes(component, node), neighbors, neighbors.map(neighbor => getEdgeAttributes(component, node, neighbor))];
+    }));
+    // FNV-1a
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < description.length; i++) {
+        hash ^= description.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return `${nodes.length}:${(hash >>> 0).toString(36)}`;
+}
+
+
+/**
+ * Returns the layouts of the components of a previous layout, keyed by the keys of the components
+ * @returns {Map} - { signature, algorithm, layout: { nodes, edges } } for every key
+ */
+function getPreviousLayouts(previous) {
+    const layouts = new Map();
+    if (!previous) {
+        return layouts;
+    }
+    const edges = previous.components.map(() => []);
+    for (const edge of previous.edges) {
+        edges[edge.component]?.push(edge);
+    }
+    previous.components.forEach(({ key, signature, algorithm, nodes }, index) => {
+        const layoutNodes = {};
+        for (const node of nodes) {
+            layoutNodes[node] = previous.nodes[node];
+        }
+        layouts.set(key, { signature, algorithm, layout: { nodes: layoutNodes, edges: edges[index] } });
+    });
+    return layouts;
+}
+
+
+/**
+ * Returns the positions of the components of a previous layout, keyed by the keys of the components
+ */
+function getPreviousPositions(previous) {
+    if (!previous) {
+        return null;
+    }
+    const positions = {};
+    for (const { key, x, y, width, height } of previous.components) {
+        positions[key] = { x, y, width, height };
+    }
+    return positions;
+}
+
+
+const routeIndexes = new WeakMap();
+
+
+/**
+ * Returns the points of an edge of a layout, from its source to its target
+ * The layouts of the library keep the directions of the edges, a layout that has the edge the other way (e.g. a layout built from
+ * an undirected graph) gives its points reversed
+ * @param {object} layout - the layout, with its edges as [{source, target, points}]
+ * @param {string} source - the source of the edge in the graph
+ * @param {string} target - the target of the edge in the graph
+ * @returns {object[]|null} - the points of the edge, null if the layout does not draw it
+ */
+export function getEdgeRoute(layout, source, target) {
+    if (!routeIndexes.has(layout)) {
+        routeIndexes.set(layout, new Map(layout.edges.map(edge => [JSON.stringify([edge.source, edge.target]), edge.points])));
+    }
+    const routes = routeIndexes.get(layout);
+    const points = routes.get(JSON.stringify([source, target]));
+    if (points) {
+        return points;
+    }
+    const reversed = routes.get(JSON.stringify([target, source]));
+    return reversed ? [...reversed].reverse() : null;
+}
@@ -0,0 +1,250 @@
+/**
+ * Quality metrics of a positioned layout
+ * A layout is given by the positions of its nodes ({id: {x, y, width, height}}) and its edges,
+ * either as an adjacency list (straight edges between the node centers) or as routes ({source, target, points})
+ */
+
+import { assertAdjacencyList } from "./validation.js";
+
+
+/**
+ * Returns the quality metrics of a layout produced by the library
+ * @param {object} layout - the layout, with its nodes positions and its edges points
+ * @returns {object} - see computeLayoutMetrics
+ */
+export function getLayoutMetrics(layout) {
+    return computeLayoutMetrics(layout.nodes, null, { routes: layout.edges });
+}
+
+
+/**
+ * Returns the quality metrics of a positioned layout
+ * @param {object} positions - the positions of the nodes as {id: {x, y, width, height}}, width and height are optional
+ * @param {object} adjList - the adjacency list of the graph, the edges are straight lines between the node centers
+ * @param {object} options - { routes: the edges as {source, target, points}, used instead of the adjacency list when given }
+ * @returns {object} - { crossings, edgeLength: {min, max, mean, total, standardDeviation}, nodeOverlaps, boundingBox: {x, y, width, height}, area, aspectRatio }
+ */
+export function computeLayoutMetrics(positions, adjList, options = {}) {
+    const routes = options.routes || getStraightRoutes(positions, adjList);
+    const boundingBox = getBoundingBox(positions, routes);
+    return {
+        crossings: countEdgeCrossings(routes),
+        edgeLength: getEdgeLengthStats(routes),
+        nodeOverlaps: countNodeOverlaps(positions),
+        boundingBox,
+        area: boundingBox.width * boundingBox.height,
+        aspectRatio: boundingBox.height > 0 ? boundingBox.width / boundingBox.height : 0,
+    };
+}
+
+
+/**
+ * Returns straight routes between the node centers for every edge of the adjacency list
+ * Self loops are skipped
+ * @param {object} positions - the positions of the nodes
+ * @param {object} adjList - the adjacency list of the graph
+ * @returns {object[]} - the routes as {source, target, points}
+ */
+export function getStraightRoutes(positions, adjList) {
+    assertAdjacencyList(adjList);
+    const routes = [];
+    for (const source in adjList) {
+        for (const target of adjList[source]) {
+            if (source === target) {
+                continue;
+            }
+            routes.push({
+                source,
+                target,
+                points: [
+                    { x: positions[source].x, y: positions[source].y },
+                    { x: positions[target].x, y: positions[target].y },
+                ],
+            });
+        }
+    }
+    return routes;
+}
+
+
+/**
+ * Counts the edge crossings of a layout with a sweep line over the segments of the routes
+ * The segments are sorted by their left end, a segment is only tested against the segments that are still active
+ * (not ended before it starts) and overlap it vertically
+ * Segments of the same edge and segments touching at an end (e.g. edges sharing a node) do not count as crossings
+ * @param {object[]} routes - the routes of the edges as {source, target, points}
+ * @returns {number} - the number of crossings
+ */
+export function countEdgeCrossings(routes) {
+    const segments = [];
+    routes.forEach((route, edge) => {
+        for (let i = 0; i < route.points.length - 1; i++) {
+            const a = route.points[i];
+            const b = route.points[i + 1];
+            segments.push({
+                edge,
+                a,
+                b,
+                minX: Math.min(a.x, b.x),
+                maxX: Math.max(a.x, b.x),
+                minY: Math.min(a.y, b.y),
+                maxY: Math.max(a.y, b.y),
+            });
+        }
+    });
+    segments.sort((s, t) => s.minX - t.minX);
+    const ends = [...segments].sort((s, t) => s.maxX - t.maxX);
+
+    let crossings = 0;
+    // the active segments, with their index in the array so that they are removed by swapping them with the last one
+    const active = [];
+    const positions = new Map();
+    let ended = 0;
+    for (const segment of segments) {
+        // drop the segments that ended before the sweep line
+        for (; ended < ends.length && ends[ended].maxX < segment.minX; ended++) {
+            const index = positions.get(ends[ended]);
+            const last = active.pop();
+            if (last !== ends[ended]) {
+                active[index] = last;
+                positions.set(last, index);
+            }
+            positions.delete(ends[ended]);
+        }
+        for (const other of active) {
+            if (other.edge !== segment.edge
+                && other.minY <= segment.maxY && segment.minY <= other.maxY
+                && segmentsCross(segment.a, segment.b, other.a, other.b)) {
+                crossings++;
+            }
+        }
+        positions.set(segment, active.length);
+        active.push(segment);
+    }
+    return crossings;
+}
+
+
+/**
+ * Returns true if the two segments cross at a point that is not an end of either segment
+ * @param {object} a - first end of the first segment
+ * @param {object} b - second end of the first segment
+ * @param {object} c - first end of the second segment
+ * @param {object} d - second end of the second segment
+ * @returns {boolean} - true if the segments cross, false otherwise
+ */
+export function segmentsCross(a, b, c, d) {
+    const d1 = orientation(c, d, a);
+    const d2 = orientation(c, d, b);
+    const d3 = orientation(a, b, c);
+    const d4 = orientation(a, b, d);
+    return d1 * d2 < 0 && d3 * d4 < 0;
+}
+
+
+function orientation(a, b, c) {
+    return Math.sign((b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x));
+}
+
+
+/**
+ * Returns the statistics of the lengths of the edges
+ * The length of an edge is the length of its route
+ * @param {object[]} routes - the routes of the edges as {source, target, points}
+ * @returns {object} - { min, max, mean, total, standardDeviation }
+ */
+export function getEdgeLengthStats(routes) {
+    const lengths = routes.map(route => {
+        let length = 0;
+        for (let i = 0; i < route.points.length - 1; i++) {
+            length += Math.hypot(route.points[i + 1].x - route.points[i].x, route.points[i + 1].y - route.points[i].y);
+        }
+        return length;
+    });
+    if (lengths.length === 0) {
+        return { min: 0, max: 0, mean: 0, total: 0, standardDeviation: 0 };
+    }
+    const total = lengths.reduce((sum, length) => sum + length, 0);
+    const mean = total / lengths.length;
+    const variance = lengths.reduce((sum, length) => sum + (length - mean) ** 2, 0) / lengths.length;
+    return {
+        min: Math.min(...lengths),
+        max: Math.max(...lengths),
+        mean,
+        total,
+        standardDeviation: Math.sqrt(variance),
+    };
+}
+
+
+/**
+ * Counts the pairs of nodes whose boxes overlap, with a sweep line over the left sides of the boxes
+ * Nodes without a width or height are points
+ * @param {object} positions - the positions of the nodes as {id: {x, y, width, height}}
+ * @returns {number} - the number of overlapping pairs
+ */
+export function countNodeOverlaps(positions) {
+    const boxes = Object.values(positions).map(getNodeBox).sort((a, b) => a.minX - b.minX);
+    let overlaps = 0;
+    let active = [];
+    for (const box of boxes) {
+        active = active.filter(other => other.maxX > box.minX);
+        for (const other of active) {
+            if (other.minY < box.maxY && box.minY < other.maxY) {
+                overlaps++;
+            }
+        }
+        active.push(box);
+    }
+    return overlaps;
+}
+
+
+/**
+ * Returns the box of a node
+ * @param {object} node - the position of the node as {x, y, width, height}
+ * @returns {object} - { minX, maxX, minY, maxY }
+ */
+export function getNodeBox(node) {
+    const halfWidth = (node.width || 0) / 2;
+    const halfHeight = (node.height || 0) / 2;
+    return {
+        minX: node.x - halfWidth,
+        maxX: node.x + halfWidth,
+        minY: node.y - halfHeight,
+        maxY: node.y + halfHeight,
+    };
+}
+
+
+/**
+ * Returns the bounding box of the nodes and the edge routes of a layout
+ * @param {object} positions - the positions of the nodes as {id: {x, y, width, height}}
+ * @param {object[]} routes - the routes of the edges as {source, target, points} (optional)
+ * @returns {object} - { x, y, width, height }
+ */
+export function getBoundingBox(positions, routes = []) {
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    for (const node of Object.values(positions)) {
+        const box = getNodeBox(node);
+        minX = Math.min(minX, box.minX);
+        minY = Math.min(minY, box.minY);
+        maxX = Math.max(maxX, box.maxX);
+        maxY = Math.max(maxY, box.maxY);
+    }
+    for (const route of routes) {
+        for (const point of route.points) {
+            minX = Math.min(minX, point.x);
+            minY = Math.min(minY, point.y);
+            maxX = Math.max(maxX, point.x);
+            maxY = Math.max(maxY, point.y);
+        }
+    }
+    if (minX === Infinity) {
+        return { x: 0, y: 0, width: 0, height: 0 };
+    }
+    return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+}
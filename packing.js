@@ -0,0 +1,259 @@
+/**
+ * Packing of laid-out components
+ * The components are rectangles placed side by side without overlapping, in a strip whose width is chosen so that
+ * the packing gets close to a target aspect ratio
+ *
+ * - skyline: every component goes to the lowest (then leftmost) place on the skyline of the components already placed
+ * - shelf: the components are put in rows (shelves), every component goes to the first shelf where it fits
+ *
+ * The placement is deterministic: the components are sorted by size, ties broken by their keys.
+ * It is also stable: given the previous packing, every component that was already placed and still fits keeps its spot,
+ * only the new or grown components are placed again, around the others
+ */
+
+import { InvalidArgumentError } from "./errors.js";
+
+
+const DEFAULT_OPTIONS = {
+    algorithm: "skyline",
+    // target width / height of the packing
+    aspectRatio: 1,
+    // gap between two components
+    margin: 25,
+    // "height", "width", "area" (the largest first) or "none" (the order of the components)
+    order: "height",
+    // the positions of a previous packing, the components keep their spots when they still fit
+    // (the sizes are optional, the components whose sizes did not change are kept first)
+    previous: null,
+};
+
+// the strip widths tried around the ideal width, the one closest to the aspect ratio is kept
+const WIDTH_FACTORS = [0.7, 0.8, 0.9, 1, 1.1, 1.25, 1.4];
+
+
+/**
+ * Packs components
+ * @param {object[]} components - the components as { key, width, height }, the keys must be unique (the index is used when missing)
+ * @param {object} options - see DEFAULT_OPTIONS (optional)
+ * @returns {object} - { positions: {key: {x, y, width, height}} the top left corners and the sizes of the components, width, height }
+ */
+export function packComponents(components, options = {}) {
+    options = { ...DEFAULT_OPTIONS, ...options };
+    const pack = PACKING_ALGORITHMS[options.algorithm];
+    if (!pack) {
+        throw new InvalidArgumentError(`Unknown packing algorithm: ${options.algorithm}`);
+    }
+
+    // the margin is added to the right and the bottom of every component
+    const rectangles = components.map((component, index) => ({
+        key: String(component.key ?? index),
+        width: component.width + options.margin,
+        height: component.height + options.margin,
+    }));
+    const { kept, placed } = keepPreviousPositions(rectangles, options.previous, options.margin);
+    const remaining = sortRectangles(rectangles.filter(rectangle => !Object.prototype.hasOwnProperty.call(placed, rectangle.key)), options.order);
+
+    let best = null;
+    for (const stripWidth of getStripWidths(rectangles, kept, options.aspectRatio)) {
+        const positions = pack(remaining, kept, stripWidth);
+        const packing = getPacking(rectangles, { ...placed, ...positions }, options.margin);
+        const score = Math.abs(Math.log((packing.width || 1) / (packing.height || 1) / options.aspectRatio));
+        if (!best || score < best.score - 1e-9 || (Math.abs(score - best.score) <= 1e-9 && packing.width * packing.height < best.area)) {
+            best = { packing, score, area: packing.width * packing.height };
+        }
+    }
+    return best ? best.packing : { positions: {}, width: 0, height: 0 };
+}
+
+
+/**
+ * Places the rectangles on a skyline (bottom-left), the skyline starts on top of the kept rectangles
+ */
+export function packSkyline(rectangles, kept, stripWidth) {
+    let skyline = [{ x: 0, width: stripWidth, y: 0 }];
+    for (const rectangle of kept) {
+        skyline = raiseSkyline(skyline, rectangle.x, rectangle.width, rectangle.y + rectangle.height);
+    }
+
+    const positions = {};
+    for (const rectangle of rectangles) {
+        let best = null;
+        for (const segment of skyline) {
+            // a rectangle wider than the strip goes to the left
+            if (segment.x > 0 && segment.x + rectangle.width > stripWidth) {
+                continue;
+            }
+            const y = getSkylineHeight(skyline, segment.x, rectangle.width);
+            if (!best || y < best.y || (y === best.y && segment.x < best.x)) {
+                best = { x: segment.x, y };
+            }
+        }
+        positions[rectangle.key] = best;
+        skyline = raiseSkyline(skyline, best.x, rectangle.width, best.y + rectangle.height);
+    }
+    return positions;
+}
+
+
+/**
+ * Places the rectangles on shelves (first fit), the shelves start below the kept rectangles
+ */
+export function packShelves(rectangles, kept, stripWidth) {
+    const top = Math.max(0, ...kept.map(rectangle => rectangle.y + rectangle.height));
+    const shelves = [];
+    const positions = {};
+    for (const rectangle of rectangles) {
+        let shelf = shelves.find(shelf => shelf.used + rectangle.width <= stripWidth && rectangle.height <= shelf.height);
+        if (!shelf) {
+            const last = shelves[shelves.length - 1];
+            shelf = { y: last ? last.y + last.height : top, height: rectangle.height, used: 0 };
+            shelves.push(shelf);
+        }
+        positions[rectangle.key] = { x: shelf.used, y: shelf.y };
+        shelf.used += rectangle.width;
+    }
+    return positions;
+}
+
+
+const PACKING_ALGORITHMS = {
+    skyline: packSkyline,
+    shelf: packShelves,
+};
+
+
+/**
+ * Keeps the previous positions of the rectangles that do not overlap a rectangle kept before them
+ * The rectangles whose sizes did not change are kept first, so a grown rectangle does not push away its neighbors
+ * @returns {object} - { kept: the kept rectangles with their positions, placed: {key: {x, y}} }
+ */
+function keepPreviousPositions(rectangles, previous, margin) {
+    const kept = [];
+    const placed = {};
+    if (!previous) {
+        return { kept, placed };
+    }
+    const candidates = rectangles.filter(rectangle => Object.prototype.hasOwnProperty.call(previous, rectangle.key));
+    const unchanged = rectangle => previous[rectangle.key].width === rectangle.width - margin
+        && previous[rectangle.key].height === rectangle.height - margin;
+    for (const rectangle of [...candidates.filter(unchanged), ...candidates.filter(rectangle => !unchanged(rectangle))]) {
+        const { x, y } = previous[rectangle.key];
+        const candidate = { ...rectangle, x, y };
+        if (!kept.some(other => rectanglesOverlap(candidate, other))) {
+            kept.push(candidate);
+            placed[rectangle.key] = { x, y };
+        }
+    }
+    return { kept, placed };
+}
+
+
+function sortRectangles(rectangles, order) {
+    if (order === "none") {
+        return rectangles;
+    }
+    const size = {
+        height: rectangle => [rectangle.height, rectangle.width],
+        width: rectangle => [rectangle.width, rectangle.height],
+        area: rectangle => [rectangle.width * rectangle.height, rectangle.height],
+    }[order];
+    if (!size) {
+        throw new InvalidArgumentError(`Unknown packing order: ${order}`);
+    }
+    return [...rectangles].sort((a, b) => {
+        const sizeA = size(a);
+        const sizeB = size(b);
+        for (let i = 0; i < sizeA.length; i++) {
+            if (sizeA[i] !== sizeB[i]) {
+                return sizeB[i] - sizeA[i];
+            }
+        }
+        return a.key < b.key ? -1 : a.key > b.key ? 1 : 0;
+    });
+}
+
+
+/**
+ * Returns the strip widths to try: around the width of a square of the total area scaled to the aspect ratio,
+ * never narrower than the widest rectangle or the kept rectangles
+ */
+function getStripWidths(rectangles, kept, aspectRatio) {
+    const area = rectangles.reduce((sum, rectangle) => sum + rectangle.width * rectangle.height, 0);
+    const minWidth = Math.max(0, ...rectangles.map(rectangle => rectangle.width), ...kept.map(rectangle => rectangle.x + rectangle.width));
+    const idealWidth = Math.sqrt(area * aspectRatio);
+    return [...new Set(WIDTH_FACTORS.map(factor => Math.max(minWidth, idealWidth * factor)))];
+}
+
+
+function getSkylineHeight(skyline, x, width) {
+    let y = 0;
+    for (const segment of skyline) {
+        if (segment.x < x + width && x < segment.x + segment.width) {
+            y = Math.max(y, segment.y);
+        }
+    }
+    return y;
+}
+
+
+/**
+ * Raises the skyline to the given height between x and x + width, the segments of the same height are merged
+ */
+function raiseSkyline(skyline, x, width, top) {
+    const end = x + width;
+    const raised = [];
+    for (const segment of skyline) {
+        const segmentEnd = segment.x + segment.width;
+        if (segmentEnd <= x || segment.x >= end) {
+            raised.push(segment);
+            continue;
+        }
+        if (segment.x < x) {
+            raised.push({ x: segment.x, width: x - segment.x, y: segment.y });
+        }
+        const start = Math.max(segment.x, x);
+        const stop = Math.min(segmentEnd, end);
+        raised.push({ x: start, width: stop - start, y: Math.max(segment.y, top) });
+        if (segmentEnd > end) {
+            raised.push({ x: end, width: segmentEnd - end, y: segment.y });
+        }
+    }
+    // a rectangle beyond the strip extends the skyline
+    const last = raised[raised.length - 1];
+    if (last && end > last.x + last.width) {
+        raised.push({ x: last.x + last.width, width: end - last.x - last.width, y: top });
+    }
+
+    const merged = [];
+    for (const segment of raised) {
+        const previous = merged[merged.length - 1];
+        if (previous && previous.y === segment.y) {
+            previous.width += segment.width;
+        } else {
+            merged.push({ ...segment });
+        }
+    }
+    return merged;
+}
+
+
+function rectanglesOverlap(a, b) {
+    return a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+}
+
+
+/**
+ * Returns the packing with its size, the margin after the last components is not counted
+ */
+function getPacking(rectangles, positions, margin) {
+    let width = 0;
+    let height = 0;
+    const sized = {};
+    for (const rectangle of rectangles) {
+        const { x, y } = positions[rectangle.key];
+        sized[rectangle.key] = { x, y, width: rectangle.width - margin, height: rectangle.height - margin };
+        width = Math.max(width, x + rectangle.width - margin);
+        height = Math.max(height, y + rectangle.height - margin);
+    }
+    return { positions: sized, width, height };
+}
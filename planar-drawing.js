@@ -0,0 +1,462 @@
+/**
+ * Crossing-free straight-line drawing of planar graphs
+ * Uses the shift method of de Fraysseix, Pach and Pollack (in the linear time version of Chrobak and Payne):
+ * the embedding is triangulated, the nodes are ordered with a canonical ordering and added one by one
+ * on top of the contour of the drawing, shifting the contour to make room for them
+ * Every node gets integer coordinates on a (2n - 4) x (n - 2) grid
+ */
+
+import { testPlanarity, RotationSystem } from "./planarity.js";
+import { getNodeSize, getNodeAttributes, getEdgeAttributes } from "./attributes.js";
+import { getSelfLoopRoute } from "./routing.js";
+import { assertAdjacencyList } from "./validation.js";
+import { InvalidArgumentError } from "./errors.js";
+
+
+const DEFAULT_OPTIONS = {
+    gridSize: 50,
+    nodeWidth: 40,
+    nodeHeight: 40,
+    nodeSpacing: 10,
+};
+
+
+/**
+ * Computes a crossing-free layout of a planar graph
+ * The returned layout is translated so that its bounding box starts at (0, 0)
+ * The nodes get the size of their width and height attributes (nodeWidth and nodeHeight by default),
+ * the grid lines are spread out so that the largest nodes keep nodeSpacing between them
+ * The self loops are small loops on the right side of their node, with selfLoop set to true
+ * @param {object} adjList - the adjacency list of the graph
+ * @param {object} options - { gridSize: the minimal distance between two grid lines, nodeWidth, nodeHeight, nodeSpacing } (optional)
+ * @returns {object} - { nodes: {id: {x, y, width, height, gridX, gridY, attributes}}, edges: [{source, target, points, reversed, selfLoop, attributes}] }
+ * @throws {InvalidArgumentError} - if the graph is not planar
+ */
+export function computePlanarLayout(adjList, options = {}) {
+    assertAdjacencyList(adjList);
+    options = { ...DEFAULT_OPTIONS, ...options };
+    const result = testPlanarity(adjList);
+    if (!result.planar) {
+        throw new InvalidArgumentError(`The graph is not planar, it contains a subdivision of ${result.kuratowski.type}`);
+    }
+    const grid = embeddingToGridPositions(result.embedding);
+
+    const defaultSize = { width: options.nodeWidth, height: options.nodeHeight };
+    const sizes = {};
+    for (const node in grid) {
+        sizes[node] = getNodeSize(adjList, node, defaultSize);
+    }
+    // two nodes are at least one grid line apart horizontally or vertically
+    const cellWidth = Math.max(options.gridSize, ...Object.values(sizes).map(size => size.width + options.nodeSpacing));
+    const cellHeight = Math.max(options.gridSize, ...Object.values(sizes).map(size => size.height + options.nodeSpacing));
+
+    const maxY = Math.max(0, ...Object.values(grid).map(([, y]) => y));
+    const nodes = {};
+    for (const node in grid) {
+        const [gridX, gridY] = grid[node];
+        nodes[node] = {
+            // the grid grows upwards, the SVG downwards
+            x: gridX * cellWidth,
+            y: (maxY - gridY) * cellHeight,
+            ...sizes[node],
+            gridX,
+            gridY,
+            attributes: getNodeAttributes(adjList, node),
+        };
+    }
+    const minX = Math.min(...Object.values(nodes).map(node => node.x - node.width / 2));
+    const minY = Math.min(...Object.values(nodes).map(node => node.y - node.height / 2));
+    for (const node in nodes) {
+        nodes[node].x -= minX;
+        nodes[node].y -= minY;
+    }
+
+    const edges = [];
+    for (const source in adjList) {
+        for (const target of adjList[source]) {
+            if (source === target) {
+                // the loops stay in the spacing between the node and the next grid line
+                edges.push({
+                    source,
+                    target,
+                    points: getSelfLoopRoute(nodes[source], options.nodeSpacing / 2),
+                    reversed: false,
+                    selfLoop: true,
+                    attributes: getEdgeAttributes(adjList, source, target),
+                });
+                continue;
+            }
+            edges.push({
+                source,
+                target,
+                points: [
+                    { x: nodes[source].x, y: nodes[source].y },
+                    { x: nodes[target].x, y: nodes[target].y },
+                ],
+                reversed: false,
+                attributes: getEdgeAttributes(adjList, source, target),
+            });
+        }
+    }
+    return { nodes, edges };
+}
+
+
+/**
+ * Returns integer grid coordinates for the nodes of a planar embedding, the straight edges do not cross
+ * @param {object} embedding - the neighbors of every node in clockwise order
+ * @returns {object} - an object with the nodes as the keys and their [x, y] coordinates as the values
+ */
+export function embeddingToGridPositions(embedding) {
+    const nodes = Object.keys(embedding);
+    if (nodes.length < 4) {
+        const defaultPositions = [[0, 0], [2, 0], [1, 1]];
+        return Object.fromEntries(nodes.map((node, index) => [node, defaultPositions[index]]));
+    }
+
+    const { rotation, outerFace } = triangulateEmbedding(RotationSystem.fromEmbedding(embedding));
+    const ordering = getCanonicalOrdering(rotation, outerFace);
+
+    // every node is placed relatively to its parent in a binary tree spanning the contour
+    const leftChild = new Map();
+    const rightChild = new Map();
+    const deltaX = new Map();
+    const y = new Map();
+
+    // 1. compute the relative positions
+    const [v1] = ordering[0];
+    const [v2] = ordering[1];
+    const [v3] = ordering[2];
+    deltaX.set(v1, 0);
+    y.set(v1, 0);
+    rightChild.set(v1, v3);
+    leftChild.set(v1, null);
+
+    deltaX.set(v2, 1);
+    y.set(v2, 0);
+    rightChild.set(v2, null);
+    leftChild.set(v2, null);
+
+    deltaX.set(v3, 1);
+    y.set(v3, 1);
+    rightChild.set(v3, v2);
+    leftChild.set(v3, null);
+
+    for (let k = 3; k < ordering.length; k++) {
+        const [vk, contour] = ordering[k];
+        const wp = contour[0];
+        const wp1 = contour[1];
+        const wq = contour[contour.length - 1];
+        const wq1 = contour[contour.length - 2];
+        const coversSeveralNodes = contour.length > 2;
+
+        // stretch the gaps
+        deltaX.set(wp1, deltaX.get(wp1) + 1);
+        deltaX.set(wq, deltaX.get(wq) + 1);
+
+        let deltaXwpwq = 0;
+        for (let i = 1; i < contour.length; i++) {
+            deltaXwpwq += deltaX.get(contour[i]);
+        }
+
+        // adjust the offsets
+        deltaX.set(vk, Math.floor((-y.get(wp) + deltaXwpwq + y.get(wq)) / 2));
+        y.set(vk, Math.floor((y.get(wp) + deltaXwpwq + y.get(wq)) / 2));
+        deltaX.set(wq, deltaXwpwq - deltaX.get(vk));
+        if (coversSeveralNodes) {
+            deltaX.set(wp1, deltaX.get(wp1) - deltaX.get(vk));
+        }
+
+        // install vk
+        rightChild.set(wp, vk);
+        rightChild.set(vk, wq);
+        if (coversSeveralNodes) {
+            leftChild.set(vk, wp1);
+            rightChild.set(wq1, null);
+        } else {
+            leftChild.set(vk, null);
+        }
+    }
+
+    // 2. compute the absolute positions
+    const positions = { [v1]: [0, y.get(v1)] };
+    const remaining = [v1];
+    while (remaining.length > 0) {
+        const parent = remaining.pop();
+        for (const tree of [leftChild, rightChild]) {
+            const child = tree.get(parent);
+            if (child !== null && child !== undefined) {
+                positions[child] = [positions[parent][0] + deltaX.get(child), y.get(child)];
+                remaining.push(child);
+            }
+        }
+    }
+    return positions;
+}
+
+
+/**
+ * Adds edges to the embedding until every inner face is a triangle
+ * The components are connected first, then the graph is made biconnected and the inner faces are triangulated
+ * The face with the most nodes is kept as the outer face
+ * @param {RotationSystem} rotation - the embedding, modified in place
+ * @returns {object} - { rotation: the triangulated embedding, outerFace: the nodes of the outer face }
+ */
+function triangulateEmbedding(rotation) {
+    // 1. connect the components
+    const componentNodes = getComponentRepresentatives(rotation);
+    for (let i = 0; i < componentNodes.length - 1; i++) {
+        rotation.addFirst(componentNodes[i], componentNodes[i + 1]);
+        rotation.addFirst(componentNodes[i + 1], componentNodes[i]);
+    }
+
+    // 2. compute the faces, make the graph biconnected and find the outer face
+    let outerFace = [];
+    const faces = [];
+    const visited = new Set();
+    for (const v of rotation.nodes()) {
+        for (const w of rotation.neighborsClockwise(v)) {
+            const face = makeBiconnected(rotation, v, w, visited);
+            if (face.length > 0) {
+                faces.push(face);
+                if (face.length > outerFace.length) {
+                    outerFace = face;
+                }
+            }
+        }
+    }
+
+    // 3. triangulate the inner faces
+    for (const face of faces) {
+        if (face !== outerFace) {
+            triangulateFace(rotation, face[0], face[1]);
+        }
+    }
+    return { rotation, outerFace };
+}
+
+
+function getComponentRepresentatives(rotation) {
+    const visited = new Set();
+    const representatives = [];
+    for (const start of rotation.nodes()) {
+        if (visited.has(start)) {
+            continue;
+        }
+        representatives.push(start);
+        visited.add(start);
+        const stack = [start];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            for (const neighbor of rotation.neighborsClockwise(node)) {
+                if (!visited.has(neighbor)) {
+                    visited.add(neighbor);
+                    stack.push(neighbor);
+                }
+            }
+        }
+    }
+    return representatives;
+}
+
+
+/**
+ * Walks along the face on the left of the half-edge (start, next) and adds an edge every time a node is met twice
+ * @param {RotationSystem} rotation - the embedding, modified in place
+ * @param {string} start - the start of the half-edge
+ * @param {string} next - the end of the half-edge
+ * @param {Set} visited - the half-edges whose face was already walked
+ * @returns {string[]} - the nodes of the face, empty if the face was already walked
+ */
+function makeBiconnected(rotation, start, next, visited) {
+    if (visited.has(halfEdgeKey(start, next))) {
+        return [];
+    }
+    visited.add(halfEdgeKey(start, next));
+
+    let v1 = start;
+    let v2 = next;
+    const face = [start];
+    const faceSet = new Set(face);
+    let [, v3] = rotation.nextFaceHalfEdge(v1, v2);
+
+    while (v2 !== start || v3 !== next) {
+        if (faceSet.has(v2)) {
+            // v2 is met twice, add an edge to make the graph biconnected
+            rotation.addClockwise(v1, v3, v2);
+            rotation.addCounterclockwise(v3, v1, v2);
+            visited.add(halfEdgeKey(v2, v3));
+            visited.add(halfEdgeKey(v3, v1));
+            v2 = v1;
+        } else {
+            faceSet.add(v2);
+            face.push(v2);
+        }
+        v1 = v2;
+        [v2, v3] = rotation.nextFaceHalfEdge(v2, v3);
+        visited.add(halfEdgeKey(v1, v2));
+    }
+    return face;
+}
+
+
+/**
+ * Triangulates the face on the left of the half-edge (v1, v2) by adding edges from v1
+ * @param {RotationSystem} rotation - the embedding, modified in place
+ * @param {string} v1 - the start of the half-edge
+ * @param {string} v2 - the end of the half-edge
+ */
+function triangulateFace(rotation, v1, v2) {
+    let [, v3] = rotation.nextFaceHalfEdge(v1, v2);
+    let [, v4] = rotation.nextFaceHalfEdge(v2, v3);
+    if (v1 === v2 || v1 === v3) {
+        // the component has less than 3 nodes
+        return;
+    }
+    while (v1 !== v4) {
+        if (rotation.hasEdge(v1, v3)) {
+            // cannot triangulate at this position
+            [v1, v2, v3] = [v2, v3, v4];
+        } else {
+            rotation.addClockwise(v1, v3, v2);
+            rotation.addCounterclockwise(v3, v1, v2);
+            [v2, v3] = [v3, v4];
+        }
+        [, v4] = rotation.nextFaceHalfEdge(v2, v3);
+    }
+}
+
+
+/**
+ * Returns a canonical ordering of a triangulated embedding
+ * The first two nodes are an edge of the outer face, every following node is given with the nodes of the contour it covers
+ * @param {RotationSystem} rotation - the triangulated embedding
+ * @param {string[]} outerFace - the nodes of the outer face
+ * @returns {Array[]} - the nodes in canonical order as [node, contour neighbors] pairs
+ */
+function getCanonicalOrdering(rotation, outerFace) {
+    const v1 = outerFace[0];
+    const v2 = outerFace[1];
+    const chords = new Map();
+    const marked = new Set();
+    const readyToPick = new Set(outerFace);
+
+    // neighbors on the outer face (without the edge v1 v2)
+    const outerCounterclockwise = new Map();
+    let previous = v2;
+    for (let i = 2; i < outerFace.length; i++) {
+        outerCounterclockwise.set(previous, outerFace[i]);
+        previous = outerFace[i];
+    }
+    outerCounterclockwise.set(previous, v1);
+
+    const outerClockwise = new Map();
+    previous = v1;
+    for (let i = outerFace.length - 1; i > 0; i--) {
+        outerClockwise.set(previous, outerFace[i]);
+        previous = outerFace[i];
+    }
+
+    function isOuterFaceNeighbor(x, y) {
+        if (!outerCounterclockwise.has(x)) {
+            return outerClockwise.get(x) === y;
+        }
+        if (!outerClockwise.has(x)) {
+            return outerCounterclockwise.get(x) === y;
+        }
+        return outerCounterclockwise.get(x) === y || outerClockwise.get(x) === y;
+    }
+
+    function isOnOuterFace(x) {
+        return !marked.has(x) && (outerCounterclockwise.has(x) || x === v1);
+    }
+
+    function addChord(node) {
+        chords.set(node, (chords.get(node) || 0) + 1);
+        readyToPick.delete(node);
+    }
+
+    for (const v of outerFace) {
+        for (const neighbor of rotation.neighborsClockwise(v)) {
+            if (isOnOuterFace(neighbor) && !isOuterFaceNeighbor(v, neighbor)) {
+                addChord(v);
+            }
+        }
+    }
+
+    const nodeCount = rotation.nodes().length;
+    const ordering = new Array(nodeCount);
+    ordering[0] = [v1, []];
+    ordering[1] = [v2, []];
+    readyToPick.delete(v1);
+    readyToPick.delete(v2);
+
+    for (let k = nodeCount - 1; k > 1; k--) {
+        const v = readyToPick.values().next().value;
+        readyToPick.delete(v);
+        marked.add(v);
+
+        // v has exactly two neighbors on the outer face: wp and wq
+        let wp = null;
+        let wq = null;
+        for (const neighbor of rotation.neighborsClockwise(v)) {
+            if (marked.has(neighbor) || !isOnOuterFace(neighbor)) {
+                continue;
+            }
+            if (neighbor === v1) {
+                wp = v1;
+            } else if (neighbor === v2) {
+                wq = v2;
+            } else if (outerClockwise.get(neighbor) === v) {
+                wp = neighbor;
+            } else {
+                wq = neighbor;
+            }
+            if (wp !== null && wq !== null) {
+                break;
+            }
+        }
+
+        // the neighbors of v from wp to wq become the new outer face
+        const contour = [wp];
+        let neighbor = wp;
+        while (neighbor !== wq) {
+            const next = rotation.nextCounterclockwise(v, neighbor);
+            contour.push(next);
+            outerClockwise.set(neighbor, next);
+            outerCounterclockwise.set(next, neighbor);
+            neighbor = next;
+        }
+
+        if (contour.length === 2) {
+            // there was a chord between wp and wq
+            for (const end of [wp, wq]) {
+                chords.set(end, chords.get(end) - 1);
+                if (chords.get(end) === 0) {
+                    readyToPick.add(end);
+                }
+            }
+        } else {
+            // update the chords of the nodes that are now on the outer face
+            const newNodes = new Set(contour.slice(1, -1));
+            for (const w of newNodes) {
+                readyToPick.add(w);
+                for (const other of rotation.neighborsClockwise(w)) {
+                    if (isOnOuterFace(other) && !isOuterFaceNeighbor(w, other)) {
+                        addChord(w);
+                        if (!newNodes.has(other)) {
+                            addChord(other);
+                        }
+                    }
+                }
+            }
+        }
+        ordering[k] = [v, contour];
+    }
+    return ordering;
+}
+
+
+function halfEdgeKey(v, w) {
+    return JSON.stringify([v, w]);
+}
@@ -0,0 +1,695 @@
+/**
+ * Planarity test of a graph, using the left-right planarity algorithm (de Fraysseix and Rosenstiehl, as described by Brandes)
+ * The direction of the edges is ignored, self loops and duplicate edges are dropped
+ *
+ * When the graph is planar, a combinatorial embedding is returned: the neighbors of every node in clockwise order
+ * When the graph is not planar, a Kuratowski subgraph (a subdivision of K5 or K3,3) is returned as a witness
+ */
+
+import { assertAdjacencyList } from "./validation.js";
+
+
+/**
+ * Returns true if the graph is planar, false otherwise
+ * @param {object} adjList - the adjacency list of the graph
+ * @returns {boolean} - true if the graph is planar, false otherwise
+ */
+export function isPlanar(adjList) {
+    assertAdjacencyList(adjList);
+    return getPlanarEmbedding(getUndirectedNeighbors(adjList)) !== null;
+}
+
+
+/**
+ * Tests if the graph is planar
+ * The test runs in linear time, the witness of a non planar graph is found by removing the edges that are not needed
+ * for the graph to stay non planar, which runs one planarity test per edge
+ * @param {object} adjList - the adjacency list of the graph
+ * @returns {object} - { planar: true, embedding: {node: [neighbors in clockwise order]} } or { planar: false, kuratowski: {type, branchNodes, edges} }
+ */
+export function testPlanarity(adjList) {
+    assertAdjacencyList(adjList);
+    const neighbors = getUndirectedNeighbors(adjList);
+    const embedding = getPlanarEmbedding(neighbors);
+    if (embedding) {
+        return { planar: true, embedding };
+    }
+    return { planar: false, kuratowski: getKuratowskiSubgraph(neighbors) };
+}
+
+
+/**
+ * Returns the neighbors of every node, ignoring the direction of the edges
+ * Self loops and duplicate edges are dropped
+ * @param {object} adjList - the adjacency list of the graph
+ * @returns {Map} - a map from every node to the ordered set of its neighbors
+ */
+function getUndirectedNeighbors(adjList) {
+    const neighbors = new Map();
+    function add(node) {
+        if (!neighbors.has(node)) {
+            neighbors.set(node, new Set());
+        }
+    }
+    for (const node in adjList) {
+        add(node);
+        for (const neighbor of adjList[node]) {
+            add(neighbor);
+            if (neighbor !== node) {
+                neighbors.get(node).add(neighbor);
+                neighbors.get(neighbor).add(node);
+            }
+        }
+    }
+    return neighbors;
+}
+
+
+function countEdges(neighbors) {
+    let degrees = 0;
+    for (const set of neighbors.values()) {
+        degrees += set.size;
+    }
+    return degrees / 2;
+}
+
+
+/**
+ * Returns the faces of a combinatorial embedding
+ * Every face is the list of the nodes met when walking along its border
+ * @param {object} embedding - the neighbors of every node in clockwise order
+ * @returns {string[][]} - the faces of the embedding
+ */
+export function getFaces(embedding) {
+    const visited = new Set();
+    const faces = [];
+    for (const start in embedding) {
+        for (const next of embedding[start]) {
+            if (visited.has(halfEdgeKey(start, next))) {
+                continue;
+            }
+            const face = [];
+            let v = start;
+            let w = next;
+            while (!visited.has(halfEdgeKey(v, w))) {
+                visited.add(halfEdgeKey(v, w));
+                face.push(v);
+                [v, w] = nextFaceHalfEdge(embedding, v, w);
+            }
+            faces.push(face);
+        }
+    }
+    return faces;
+}
+
+
+/**
+ * Returns the half-edge following the half-edge (v, w) on its face
+ * @param {object} embedding - the neighbors of every node in clockwise order
+ * @param {string} v - the start of the half-edge
+ * @param {string} w - the end of the half-edge
+ * @returns {string[]} - the next half-edge as [start, end]
+ */
+export function nextFaceHalfEdge(embedding, v, w) {
+    const around = embedding[w];
+    const index = around.indexOf(v);
+    // counterclockwise neighbor of v around w
+    return [w, around[(index - 1 + around.length) % around.length]];
+}
+
+
+function halfEdgeKey(v, w) {
+    return JSON.stringify([v, w]);
+}
+
+
+/**
+ * Returns a Kuratowski subgraph of a non planar graph
+ * Edges are removed one by one, an edge is kept only if the graph becomes planar without it
+ * The remaining edges form a subdivision of K5 or K3,3
+ * @param {Map} neighbors - the neighbors of every node
+ * @returns {object} - { type: "K5" or "K3,3", branchNodes: the nodes of the subdivided graph, edges: the edges of the subgraph as [u, v] pairs }
+ */
+function getKuratowskiSubgraph(neighbors) {
+    const graph = new Map([...neighbors].map(([node, set]) => [node, new Set(set)]));
+    const edges = [];
+    for (const [u, set] of neighbors) {
+        for (const v of set) {
+            if (u < v) {
+                continue;
+            }
+            graph.get(u).delete(v);
+            graph.get(v).delete(u);
+            if (getPlanarEmbedding(graph) !== null) {
+                // the edge is needed for the graph to be non planar
+                graph.get(u).add(v);
+                graph.get(v).add(u);
+                edges.push([v, u]);
+            }
+        }
+    }
+    const branchNodes = [...graph.keys()].filter(node => graph.get(node).size > 2);
+    return {
+        type: branchNodes.length === 5 ? "K5" : "K3,3",
+        branchNodes,
+        edges,
+    };
+}
+
+
+/**
+ * Returns a combinatorial embedding of the graph if it is planar, null otherwise
+ * @param {Map} neighbors - the neighbors of every node, without self loops
+ * @returns {object|null} - the neighbors of every node in clockwise order, or null if the graph is not planar
+ */
+function getPlanarEmbedding(neighbors) {
+    const nodeCount = neighbors.size;
+    if (nodeCount > 2 && countEdges(neighbors) > 3 * nodeCount - 6) {
+        return null;
+    }
+    const state = new LeftRightState(neighbors);
+    for (const node of neighbors.keys()) {
+        if (!state.height.has(node)) {
+            state.height.set(node, 0);
+            state.roots.push(node);
+            state.orient(node);
+        }
+    }
+
+    for (const node of neighbors.keys()) {
+        state.sortByNestingDepth(node);
+    }
+    for (const root of state.roots) {
+        if (!state.test(root)) {
+            return null;
+        }
+    }
+
+    for (const node of neighbors.keys()) {
+        for (const edge of state.outgoing.get(node)) {
+            edge.nestingDepth = state.sign(edge) * edge.nestingDepth;
+        }
+        state.sortByNestingDepth(node);
+    }
+    return state.embed();
+}
+
+
+/**
+ * An interval of return edges on the stack of conflict pairs
+ */
+class Interval {
+    constructor(low = null, high = null) {
+        this.low = low;
+        this.high = high;
+    }
+
+    isEmpty() {
+        return this.low === null && this.high === null;
+    }
+
+    copy() {
+        return new Interval(this.low, this.high);
+    }
+
+    conflicting(edge) {
+        return !this.isEmpty() && this.high.lowpt > edge.lowpt;
+    }
+}
+
+
+/**
+ * A pair of intervals of return edges that must be on different sides
+ */
+class ConflictPair {
+    constructor(left = new Interval(), right = new Interval()) {
+        this.left = left;
+        this.right = right;
+    }
+
+    swap() {
+        [this.left, this.right] = [this.right, this.left];
+    }
+
+    lowest() {
+        if (this.left.isEmpty()) {
+            return this.right.low.lowpt;
+        }
+        if (this.right.isEmpty()) {
+            return this.left.low.lowpt;
+        }
+        return Math.min(this.left.low.lowpt, this.right.low.lowpt);
+    }
+}
+
+
+/**
+ * State of the left-right planarity algorithm
+ * The edges are oriented by a depth first search, every oriented edge is an object holding its own data
+ * The three phases (orientation, testing and embedding) use explicit stacks so that deep graphs do not overflow the call stack
+ */
+class LeftRightState {
+    constructor(neighbors) {
+        this.neighbors = neighbors;
+        this.roots = [];
+        this.height = new Map();
+        this.parentEdge = new Map();
+        // oriented edges leaving every node, and the node pairs already oriented
+        this.outgoing = new Map([...neighbors.keys()].map(node => [node, []]));
+        this.oriented = new Map([...neighbors.keys()].map(node => [node, new Set()]));
+        this.stack = [];
+    }
+
+    createEdge(source, target) {
+        const edge = {
+            source,
+            target,
+            lowpt: this.height.get(source),
+            lowpt2: this.height.get(source),
+            nestingDepth: 0,
+            ref: null,
+            side: 1,
+            lowptEdge: null,
+            stackBottom: null,
+        };
+        this.outgoing.get(source).push(edge);
+        this.oriented.get(source).add(target);
+        this.oriented.get(target).add(source);
+        return edge;
+    }
+
+    top() {
+        return this.stack.length > 0 ? this.stack[this.stack.length - 1] : null;
+    }
+
+    sortByNestingDepth(node) {
+        this.outgoing.get(node).sort((a, b) => a.nestingDepth - b.nestingDepth);
+    }
+
+    /**
+     * Orients the edges with a depth first search, computes the lowpoints and the nesting depth of every edge
+     */
+    orient(root) {
+        const stack = [{ node: root, neighbors: [...this.neighbors.get(root)], index: 0, pending: null }];
+        while (stack.length > 0) {
+            const frame = stack[stack.length - 1];
+            const v = frame.node;
+            const e = this.parentEdge.get(v) || null;
+
+            let edge = frame.pending;
+            frame.pending = null;
+            if (!edge) {
+                if (frame.index >= frame.neighbors.length) {
+                    stack.pop();
+                    continue;
+                }
+                const w = frame.neighbors[frame.index];
+                if (this.oriented.get(v).has(w)) {
+                    frame.index++;
+                    continue;
+                }
+                edge = this.createEdge(v, w);
+                if (!this.height.has(w)) {
+                    // tree edge, the rest of the edge is handled once w is done
+                    this.parentEdge.set(w, edge);
+                    this.height.set(w, this.height.get(v) + 1);
+                    frame.pending = edge;
+                    stack.push({ node: w, neighbors: [...this.neighbors.get(w)], index: 0, pending: null });
+                    continue;
+                }
+                // back edge
+                edge.lowpt = this.height.get(w);
+            }
+
+            // determine the nesting depth
+            edge.nestingDepth = 2 * edge.lowpt;
+            if (edge.lowpt2 < this.height.get(v)) {
+                // chordal edge
+                edge.nestingDepth += 1;
+            }
+
+            // update the lowpoints of the parent edge
+            if (e) {
+                if (edge.lowpt < e.lowpt) {
+                    e.lowpt2 = Math.min(e.lowpt, edge.lowpt2);
+                    e.lowpt = edge.lowpt;
+                } else if (edge.lowpt > e.lowpt) {
+                    e.lowpt2 = Math.min(e.lowpt2, edge.lowpt);
+                } else {
+                    e.lowpt2 = Math.min(e.lowpt2, edge.lowpt2);
+                }
+            }
+            frame.index++;
+        }
+    }
+
+    /**
+     * Tests the left-right constraints of the edges, returns false as soon as they cannot be satisfied
+     */
+    test(root) {
+        const stack = [{ node: root, index: 0, pending: null }];
+        while (stack.length > 0) {
+            const frame = stack[stack.length - 1];
+            const v = frame.node;
+            const e = this.parentEdge.get(v) || null;
+            const outgoing = this.outgoing.get(v);
+
+            let edge = frame.pending;
+            frame.pending = null;
+            if (!edge) {
+                if (frame.index >= outgoing.length) {
+                    // remove the back edges returning to the parent
+                    if (e) {
+                        this.removeBackEdges(e);
+                    }
+                    stack.pop();
+                    continue;
+                }
+                edge = outgoing[frame.index];
+                edge.stackBottom = this.top();
+                if (edge === this.parentEdge.get(edge.target)) {
+                    frame.pending = edge;
+                    stack.push({ node: edge.target, index: 0, pending: null });
+                    continue;
+                }
+                // back edge
+                edge.lowptEdge = edge;
+                this.stack.push(new ConflictPair(new Interval(), new Interval(edge, edge)));
+            }
+
+            // integrate the new return edges
+            if (edge.lowpt < this.height.get(v)) {
+                if (frame.index === 0) {
+                    e.lowptEdge = edge.lowptEdge;
+                } else if (!this.addConstraints(edge, e)) {
+                    return false;
+                }
+            }
+            frame.index++;
+        }
+        return true;
+    }
+
+    addConstraints(ei, e) {
+        const pair = new ConflictPair();
+
+        // merge the return edges of ei into the right interval
+        do {
+            const q = this.stack.pop();
+            if (!q.left.isEmpty()) {
+                q.swap();
+            }
+            if (!q.left.isEmpty()) {
+                return false;
+            }
+            if (q.right.low.lowpt > e.lowpt) {
+                // merge the intervals
+                if (pair.right.isEmpty()) {
+                    pair.right = q.right.copy();
+                } else {
+                    pair.right.low.ref = q.right.high;
+                }
+                pair.right.low = q.right.low;
+            } else {
+                // align
+                q.right.low.ref = e.lowptEdge;
+            }
+        } while (this.top() !== ei.stackBottom);
+
+        // merge the conflicting return edges of the previous edges into the left interval
+        while (this.top() && (this.top().left.conflicting(ei) || this.top().right.conflicting(ei))) {
+            const q = this.stack.pop();
+            if (q.right.conflicting(ei)) {
+                q.swap();
+            }
+            if (q.right.conflicting(ei)) {
+                return false;
+            }
+            // merge the interval below the lowpoint of ei into the right interval
+            pair.right.low.ref = q.right.high;
+            if (q.right.low !== null) {
+                pair.right.low = q.right.low;
+            }
+            if (pair.left.isEmpty()) {
+                pair.left = q.left.copy();
+            } else {
+                pair.left.low.ref = q.left.high;
+            }
+            pair.left.low = q.left.low;
+        }
+
+        if (!pair.left.isEmpty() || !pair.right.isEmpty()) {
+            this.stack.push(pair);
+        }
+        return true;
+    }
+
+    removeBackEdges(e) {
+        const u = e.source;
+        const heightU = this.height.get(u);
+
+        // drop the conflict pairs whose edges all return to u
+        while (this.stack.length > 0 && this.top().lowest() === heightU) {
+            const pair = this.stack.pop();
+            if (pair.left.low !== null) {
+                pair.left.low.side = -1;
+            }
+        }
+
+        if (this.stack.length > 0) {
+            const pair = this.stack.pop();
+            // trim the left interval
+            while (pair.left.high !== null && pair.left.high.target === u) {
+                pair.left.high = pair.left.high.ref;
+            }
+            if (pair.left.high === null && pair.left.low !== null) {
+                // just emptied
+                pair.left.low.ref = pair.right.low;
+                pair.left.low.side = -1;
+                pair.left.low = null;
+            }
+            // trim the right interval
+            while (pair.right.high !== null && pair.right.high.target === u) {
+                pair.right.high = pair.right.high.ref;
+            }
+            if (pair.right.high === null && pair.right.low !== null) {
+                // just emptied
+                pair.right.low.ref = pair.left.low;
+                pair.right.low.side = -1;
+                pair.right.low = null;
+            }
+            this.stack.push(pair);
+        }
+
+        // the side of e is the side of a highest return edge
+        if (e.lowpt < heightU) {
+            const highLeft = this.top().left.high;
+            const highRight = this.top().right.high;
+            if (highLeft !== null && (highRight === null || highLeft.lowpt > highRight.lowpt)) {
+                e.ref = highLeft;
+            } else {
+                e.ref = highRight;
+            }
+        }
+    }
+
+    /**
+     * Returns the side of the edge, resolving the chain of references
+     */
+    sign(edge) {
+        const chain = [];
+        while (edge.ref !== null) {
+            chain.push(edge);
+            edge = edge.ref;
+        }
+        let side = edge.side;
+        for (let i = chain.length - 1; i >= 0; i--) {
+            chain[i].side *= side;
+            chain[i].ref = null;
+            side = chain[i].side;
+        }
+        return side;
+    }
+
+    /**
+     * Builds the embedding from the sorted edges and their sides
+     */
+    embed() {
+        const embedding = new RotationSystem();
+        for (const [node, outgoing] of this.outgoing) {
+            embedding.addNode(node);
+            let previous = null;
+            for (const edge of outgoing) {
+                embedding.addClockwise(node, edge.target, previous);
+                previous = edge.target;
+            }
+        }
+
+        const leftRef = new Map();
+        const rightRef = new Map();
+        for (const root of this.roots) {
+            const stack = [{ node: root, index: 0 }];
+            while (stack.length > 0) {
+                const frame = stack[stack.length - 1];
+                const v = frame.node;
+                const outgoing = this.outgoing.get(v);
+                if (frame.index >= outgoing.length) {
+                    stack.pop();
+                    continue;
+                }
+                const edge = outgoing[frame.index++];
+                const w = edge.target;
+                if (edge === this.parentEdge.get(w)) {
+                    embedding.addFirst(w, v);
+                    leftRef.set(v, w);
+                    rightRef.set(v, w);
+                    stack.push({ node: w, index: 0 });
+                } else if (edge.side === 1) {
+                    // place v right after the right reference in the clockwise order around w
+                    embedding.addClockwise(w, v, rightRef.get(w));
+                } else {
+                    // place v right before the left reference in the clockwise order around w
+                    embedding.addCounterclockwise(w, v, leftRef.get(w));
+                    leftRef.set(w, v);
+                }
+            }
+        }
+        return embedding.toObject();
+    }
+}
+
+
+/**
+ * Cyclic order of the neighbors around every node
+ * Used to build the combinatorial embedding, and to modify it (e.g. to triangulate it) while keeping it planar
+ */
+export class RotationSystem {
+    constructor() {
+        this.clockwise = new Map();
+        this.counterclockwise = new Map();
+        this.first = new Map();
+    }
+
+    /**
+     * Creates a rotation system from an embedding
+     * @param {object} embedding - the neighbors of every node in clockwise order
+     * @returns {RotationSystem} - the rotation system
+     */
+    static fromEmbedding(embedding) {
+        const rotation = new RotationSystem();
+        for (const node in embedding) {
+            rotation.addNode(node);
+            let previous = null;
+            for (const neighbor of embedding[node]) {
+                rotation.addClockwise(node, neighbor, previous);
+                previous = neighbor;
+            }
+        }
+        return rotation;
+    }
+
+    nodes() {
+        return [...this.clockwise.keys()];
+    }
+
+    hasEdge(node, neighbor) {
+        return this.clockwise.has(node) && this.clockwise.get(node).has(neighbor);
+    }
+
+    /**
+     * Returns the neighbors of the node in clockwise order, starting with its first neighbor
+     */
+    neighborsClockwise(node) {
+        const neighbors = [];
+        const first = this.first.get(node);
+        if (first === null) {
+            return neighbors;
+        }
+        let current = first;
+        do {
+            neighbors.push(current);
+            current = this.clockwise.get(node).get(current);
+        } while (current !== first);
+        return neighbors;
+    }
+
+    /**
+     * Returns the neighbor following the given neighbor in clockwise order around the node
+     */
+    nextClockwise(node, neighbor) {
+        return this.clockwise.get(node).get(neighbor);
+    }
+
+    /**
+     * Returns the neighbor following the given neighbor in counterclockwise order around the node
+     */
+    nextCounterclockwise(node, neighbor) {
+        return this.counterclockwise.get(node).get(neighbor);
+    }
+
+    /**
+     * Returns the half-edge following the half-edge (v, w) on its face
+     */
+    nextFaceHalfEdge(v, w) {
+        return [w, this.nextCounterclockwise(w, v)];
+    }
+
+    addNode(node) {
+        this.clockwise.set(node, new Map());
+        this.counterclockwise.set(node, new Map());
+        this.first.set(node, null);
+    }
+
+    /**
+     * Adds the neighbor right after the reference neighbor in clockwise order
+     * Without reference, the node must not have any neighbor yet
+     */
+    addClockwise(node, neighbor, reference) {
+        const clockwise = this.clockwise.get(node);
+        const counterclockwise = this.counterclockwise.get(node);
+        if (reference === null || reference === undefined) {
+            clockwise.set(neighbor, neighbor);
+            counterclockwise.set(neighbor, neighbor);
+            this.first.set(node, neighbor);
+            return;
+        }
+        const next = clockwise.get(reference);
+        clockwise.set(reference, neighbor);
+        clockwise.set(neighbor, next);
+        counterclockwise.set(next, neighbor);
+        counterclockwise.set(neighbor, reference);
+    }
+
+    /**
+     * Adds the neighbor right before the reference neighbor in clockwise order
+     */
+    addCounterclockwise(node, neighbor, reference) {
+        this.addClockwise(node, neighbor, this.counterclockwise.get(node).get(reference));
+        if (this.first.get(node) === reference) {
+            this.first.set(node, neighbor);
+        }
+    }
+
+    /**
+     * Adds the neighbor as the first neighbor of the node
+     */
+    addFirst(node, neighbor) {
+        const first = this.first.get(node);
+        if (first === null) {
+            this.addClockwise(node, neighbor, null);
+        } else {
+            this.addCounterclockwise(node, neighbor, first);
+        }
+    }
+
+    /**
+     * Returns the embedding as the neighbors of every node in clockwise order
+     */
+    toObject() {
+        const embedding = {};
+        for (const node of this.clockwise.keys()) {
+            embedding[node] = this.neighborsClockwise(node);
+        }
+        return embedding;
+    }
+}
@@ -0,0 +1,851 @@
+/**
+ * Edge routing
+ * The layouts draw the edges as straight lines between the node centers (through the dummy nodes for the layered layout),
+ * which go through other nodes once the layouts are dense. The routing replaces the points of the edges of a layout:
+ *
+ * - orthogonal: horizontal and vertical segments around the nodes, with few bends. The routes are shortest paths in the
+ *   orthogonal visibility graph, kept nodePadding away from the nodes: its points are the corners and the middles of the
+ *   sides of the nodes, and the crossings of the segments that go from them as far as they can without entering a node.
+ *   A bend costs bendPenalty pixels
+ * - spline: smooth curves (Catmull-Rom splines, sampled as polylines) through the points of the edges, e.g. the dummy nodes
+ *   of the layered layout. The curves that go through a node follow the bends of their orthogonal route instead
+ *
+ * The parallel edges are spread apart: the overlapping segments of the orthogonal routes are moved to parallel tracks
+ * edgeSpacing apart, in the order in which the routes part so that they do not cross there, the edges with the same ends
+ * (a -> b and b -> a) are bent away from each other
+ *
+ * The visibility graph only has the segments that the nodes can see, a few points per node in most layouts, but the path
+ * search keeps about 110 bytes per point: the layouts whose graph has more than maxGraphPoints points are not routed
+ * orthogonally, their edges keep their points (or their splines). The orthogonal and spline routes that go through
+ * a node other than their ends (these ones, the edges whose ends are inside another node, or the routes without padding
+ * between nodes closer than twice the padding once they are spread) are flagged with overlapsNodes
+ */
+
+import { InvalidArgumentError } from "./errors.js";
+
+
+export const DEFAULT_ROUTING_OPTIONS = {
+    // "orthogonal", "spline" or "straight" (only spreads the parallel edges)
+    style: "orthogonal",
+    // the distance kept between the routes and the nodes
+    nodePadding: 10,
+    bendPenalty: 30,
+    edgeSpacing: 6,
+    // the number of points of every curve of a spline
+    splineSamples: 8,
+    // the largest orthogonal visibility graph, about 55 MB
+    maxGraphPoints: 500000,
+};
+
+const DIRECTIONS = [[1, 0], [0, 1], [-1, 0], [0, -1]];
+// the states of the path search: the points reached in every direction, and the start
+const NO_DIRECTION = DIRECTIONS.length;
+const STATES = DIRECTIONS.length + 1;
+
+
+/**
+ * Routes the edges of a layout
+ * @param {object} layout - the layout, { nodes: {id: {x, y, width, height}}, edges: [{source, target, points}] }
+ * @param {object} options - see DEFAULT_ROUTING_OPTIONS (optional)
+ * @returns {object} - a copy of the layout whose edges have new points and their routing style ({ ..., routing }),
+ * and for the orthogonal and spline styles whether they go through a node other than their ends ({ ..., overlapsNodes })
+ */
+export function routeEdges(layout, options = {}) {
+    options = { ...DEFAULT_ROUTING_OPTIONS, ...options };
+    let routes;
+    let overlaps = null;
+    if (options.style === "orthogonal") {
+        const orthogonal = findOrthogonalRoutes(layout.nodes, layout.edges, options);
+        const ends = layout.edges.map(edge => [layout.nodes[edge.source], layout.nodes[edge.target]]);
+        routes = spreadOrthogonalRoutes(orthogonal.routes, options, ends);
+        // the tracks stay within the padding of the nodes, only the edges routed without it can go through them
+        overlaps = layout.edges.map((edge, index) => !orthogonal.padded[index] && crossesNodes(routes[index], layout.nodes, [edge.source, edge.target]));
+    } else if (options.style === "spline") {
+        const spread = spreadParallelEdges(layout.edges, options);
+        ({ routes, overlaps } = findSplineRoutes(layout.nodes, layout.edges.map((edge, index) => ({ ...edge, points: spread[index] })), options));
+    } else if (options.style === "straight") {
+        routes = spreadParallelEdges(layout.edges, options);
+    } else {
+        throw new InvalidArgumentError(`Unknown routing style: ${options.style}`);
+    }
+    return {
+        ...layout,
+        edges: layout.edges.map((edge, index) => ({
+            ...edge,
+            points: routes[index],
+            routing: options.style,
+            ...(overlaps ? { overlapsNodes: overlaps[index] } : {}),
+        })),
+    };
+}
+
+
+/**
+ * Computes orthogonal routes around the nodes
+ * The routes keep nodePadding away from the nodes, unless the nodes are closer to each other than twice the padding
+ * An edge that cannot be routed (e.g. its ends are inside another node) keeps its points, as all the edges do
+ * when the visibility graph would have more than maxGraphPoints points
+ * @param {object} nodes - the nodes as {id: {x, y, width, height}}
+ * @param {object[]} edges - the edges as [{source, target, points}]
+ * @param {object} options - { nodePadding, bendPenalty, maxGraphPoints } (optional)
+ * @returns {object[][]} - the points of every edge, from the center of its source to the center of its target
+ */
+export function routeOrthogonal(nodes, edges, options = {}) {
+    return findOrthogonalRoutes(nodes, edges, { ...DEFAULT_ROUTING_OPTIONS, ...options }).routes;
+}
+
+
+/**
+ * Computes smooth routes through the points of the edges
+ * The curves that go through a node follow the bends of their orthogonal routes, or the routes themselves when
+ * the curves still cut a node (unless the visibility graph would have more than maxGraphPoints points)
+ * @param {object} nodes - the nodes as {id: {x, y, width, height}}
+ * @param {object[]} edges - the edges as [{source, target, points}]
+ * @param {object} options - { nodePadding, bendPenalty, splineSamples, maxGraphPoints } (optional)
+ * @returns {object[][]} - the points of every edge
+ */
+export function routeSplines(nodes, edges, options = {}) {
+    return findSplineRoutes(nodes, edges, { ...DEFAULT_ROUTING_OPTIONS, ...options }).routes;
+}
+
+
+/**
+ * Computes the orthogonal routes, and which ones keep the padding around the nodes (the edges that were not routed keep their points)
+ */
+function findOrthogonalRoutes(nodes, edges, options) {
+    const route = createOrthogonalRouter(nodes, options);
+    const routes = [];
+    const padded = [];
+    for (const edge of edges) {
+        const found = route(edge);
+        routes.push(found?.points ?? edge.points.map(({ x, y }) => ({ x, y })));
+        padded.push(found?.padding === options.nodePadding);
+    }
+    return { routes, padded };
+}
+
+
+/**
+ * Computes the spline routes, and which ones go through a node other than their ends
+ */
+function findSplineRoutes(nodes, edges, options) {
+    const route = createOrthogonalRouter(nodes, options);
+    const routes = [];
+    const overlaps = [];
+    for (const edge of edges) {
+        const ends = [edge.source, edge.target];
+        const spline = sampleSpline(edge.points, options.splineSamples);
+        if (edge.source === edge.target || !nodes[edge.source] || !nodes[edge.target] || !crossesNodes(spline, nodes, ends)) {
+            routes.push(spline);
+            overlaps.push(false);
+            continue;
+        }
+        const found = route(edge);
+        if (!found) {
+            routes.push(spline);
+            overlaps.push(true);
+            continue;
+        }
+        // the curve may cut the corners of the route into a node, the route is kept then
+        const curve = sampleSpline(found.points, options.splineSamples);
+        routes.push(crossesNodes(curve, nodes, ends) ? found.points : curve);
+        overlaps.push(false);
+    }
+    return { routes, overlaps };
+}
+
+
+/**
+ * Returns a function that finds the orthogonal route of an edge with the padding it keeps around the nodes, { points, padding },
+ * null if there is none
+ * The visibility graph is built for the first edge. The sides of the nodes that are closer than twice the padding are
+ * inside the padding of each other, the edges of these nodes are routed again in a visibility graph without padding
+ */
+function createOrthogonalRouter(nodes, options) {
+    const graphs = new Map();
+    let search = 0;
+    return edge => {
+        if (edge.source === edge.target || !nodes[edge.source] || !nodes[edge.target]) {
+            return null;
+        }
+        for (const padding of new Set([options.nodePadding, 0])) {
+            if (!graphs.has(padding)) {
+                graphs.set(padding, buildVisibilityGraph(nodes, padding, options.maxGraphPoints));
+            }
+            const graph = graphs.get(padding);
+            const points = graph && findOrthogonalPath(graph, edge.source, edge.target, options.bendPenalty, ++search);
+            if (points) {
+                return { points, padding };
+            }
+        }
+        return null;
+    };
+}
+
+
+/**
+ * Returns the route of a self loop: a small loop out of the right side of the node, from its center back to its center
+ * The layouts give it to their self loops, the orthogonal routing keeps it and the spline routing smooths it
+ * @param {object} node - the node as {x, y, width, height}
+ * @param {number} distance - the distance between the loop and the right border of the node
+ * @returns {object[]} - the points of the loop
+ */
+export function getSelfLoopRoute({ x, y, width, height }, distance) {
+    const right = x + width / 2 + distance;
+    return [{ x, y }, { x: right, y: y - height / 4 }, { x: right, y: y + height / 4 }, { x, y }];
+}
+
+
+/**
+ * Bends apart the edges that have the same ends and the same points (e.g. a -> b and b -> a drawn as straight lines)
+ * @param {object[]} edges - the edges as [{source, target, points}]
+ * @param {object} options - { edgeSpacing } (optional)
+ * @returns {object[][]} - the points of every edge
+ */
+export function spreadParallelEdges(edges, options = {}) {
+    options = { ...DEFAULT_ROUTING_OPTIONS, ...options };
+    const routes = edges.map(edge => edge.points.map(({ x, y }) => ({ x, y })));
+    const groups = new Map();
+    edges.forEach((edge, index) => {
+        const points = edge.source < edge.target ? edge.points : [...edge.points].reverse();
+        const key = JSON.stringify([...[edge.source, edge.target].sort(), points.map(({ x, y }) => [x, y])]);
+        if (!groups.has(key)) {
+            groups.set(key, []);
+        }
+        groups.get(key).push(index);
+    });
+
+    for (const indexes of groups.values()) {
+        if (indexes.length < 2) {
+            continue;
+        }
+        indexes.forEach((index, track) => {
+            const edge = edges[index];
+            // the offsets are measured in the direction of the smaller id to the larger one, the same for every edge of the group
+            const forward = edge.source < edge.target;
+            const offset = (track - (indexes.length - 1) / 2) * options.edgeSpacing * 2;
+            const points = forward ? routes[index] : [...routes[index]].reverse();
+            const middle = Math.floor((points.length - 1) / 2);
+            const from = points[middle];
+            const to = points[middle + 1];
+            const length = Math.hypot(to.x - from.x, to.y - from.y) || 1;
+            const bend = {
+                x: (from.x + to.x) / 2 - (to.y - from.y) / length * offset,
+                y: (from.y + to.y) / 2 + (to.x - from.x) / length * offset,
+            };
+            points.splice(middle + 1, 0, bend);
+            routes[index] = forward ? points : points.reverse();
+        });
+    }
+    return routes;
+}
+
+
+/**
+ * Moves the overlapping segments of orthogonal routes to parallel tracks
+ * A horizontal segment moves vertically and a vertical one horizontally, so the routes stay orthogonal, except inside
+ * their end nodes (when they are given): the moved ends are joined to the centers of the nodes from their borders
+ * @param {object[][]} routes - the points of the orthogonal routes
+ * @param {object} options - { edgeSpacing, nodePadding } (optional)
+ * @param {object[][]} ends - the source and target nodes of every route as [{x, y, width, height}, {x, y, width, height}] (optional)
+ * @returns {object[][]} - the points of the spread routes
+ */
+export function spreadOrthogonalRoutes(routes, options = {}, ends = []) {
+    options = { ...DEFAULT_ROUTING_OPTIONS, ...options };
+    routes = routes.map(points => simplifyRoute(points.map(({ x, y }) => ({ x, y }))));
+
+    // the segments on the same line
+    const lines = new Map();
+    routes.forEach((points, route) => {
+        for (let i = 0; i < points.length - 1; i++) {
+            const horizontal = points[i].y === points[i + 1].y;
+            const vertical = points[i].x === points[i + 1].x;
+            if (horizontal === vertical) {
+                // not orthogonal, or a point
+                continue;
+            }
+            const key = horizontal ? `h${points[i].y}` : `v${points[i].x}`;
+            const [start, end] = horizontal ? [points[i].x, points[i + 1].x] : [points[i].y, points[i + 1].y];
+            if (!lines.has(key)) {
+                lines.set(key, []);
+            }
+            lines.get(key).push({ route, index: i, horizontal, min: Math.min(start, end), max: Math.max(start, end) });
+        }
+    });
+
+    const offsets = [];
+    for (const segments of lines.values()) {
+        segments.sort((a, b) => a.min - b.min || a.max - b.max || a.route - b.route || a.index - b.index);
+        // the clusters of overlapping segments, every segment of a cluster gets a track
+        let cluster = [];
+        let clusterEnd = -Infinity;
+        const flush = () => {
+            // every segment goes on the track after the tracks of the segments before it that it overlaps
+            const ordered = orderTracks(routes, cluster);
+            let tracks = 0;
+            ordered.forEach((segment, position) => {
+                segment.track = 0;
+                for (let i = 0; i < position; i++) {
+                    if (ordered[i].min < segment.max && segment.min < ordered[i].max) {
+                        segment.track = Math.max(segment.track, ordered[i].track + 1);
+                    }
+                }
+                tracks = Math.max(tracks, segment.track + 1);
+            });
+            if (tracks > 1) {
+                // the tracks stay within the padding of the nodes
+                const spacing = Math.min(options.edgeSpacing, 1.6 * options.nodePadding / (tracks - 1));
+                for (const segment of cluster) {
+                    offsets.push({ ...segment, offset: (segment.track - (tracks - 1) / 2) * spacing });
+                }
+            }
+        };
+        for (const segment of segments) {
+            if (segment.min >= clusterEnd && cluster.length > 0) {
+                flush();
+                cluster = [];
+            }
+            cluster.push(segment);
+            clusterEnd = Math.max(clusterEnd, segment.max);
+        }
+        flush();
+    }
+
+    const moved = new Map();
+    for (const { route, index, horizontal, offset } of offsets) {
+        if (!moved.has(route)) {
+            moved.set(route, [routes[route][0], routes[route][routes[route].length - 1]].map(({ x, y }) => ({ x, y })));
+        }
+        const coordinate = horizontal ? "y" : "x";
+        routes[route][index][coordinate] += offset;
+        routes[route][index + 1][coordinate] += offset;
+    }
+    // the moved ends cross each other around the centers of the nodes, the lines from the borders to the centers do not
+    for (const [route, [start, end]] of moved) {
+        const [source, target] = ends[route] ?? [];
+        if (source && target) {
+            routes[route] = joinCenter(joinCenter(routes[route], source, start).reverse(), target, end).reverse();
+        }
+    }
+    return routes;
+}
+
+
+/**
+ * Joins the first point of a route to the center of its node, from the border of the node, if it was moved from there
+ */
+function joinCenter(points, { x, y, width = 0, height = 0 }, start) {
+    const [first, second] = points;
+    if (start.x !== x || start.y !== y || (first.x === x && first.y === y)) {
+        return points;
+    }
+    const border = first.y === second.y
+        ? { x: clamp(x + Math.sign(second.x - first.x) * width / 2, first.x, second.x), y: first.y }
+        : { x: first.x, y: clamp(y + Math.sign(second.y - first.y) * height / 2, first.y, second.y) };
+    return [{ x, y }, ...(border.x === second.x && border.y === second.y ? [] : [border]), ...points.slice(1)];
+}
+
+
+function clamp(value, a, b) {
+    return Math.min(Math.max(value, Math.min(a, b)), Math.max(a, b));
+}
+
+
+/**
+ * Orders the overlapping segments of a line by their tracks, from the smaller coordinates to the larger ones
+ * The order of two overlapping segments is given by the way their routes part (see compareTracks), the other ones
+ * keep the order of the cluster
+ */
+function orderTracks(routes, cluster) {
+    const after = cluster.map(() => []);
+    const before = cluster.map(() => 0);
+    cluster.forEach((a, i) => {
+        for (let j = i + 1; j < cluster.length; j++) {
+            const b = cluster[j];
+            if (a.min >= b.max || b.min >= a.max) {
+                continue;
+            }
+            const order = compareTracks(routes, a, b);
+            if (order !== 0) {
+                const [first, second] = order < 0 ? [i, j] : [j, i];
+                after[first].push(second);
+                before[second]++;
+            }
+        }
+    });
+    // topological order, the first segment of the cluster that is free goes first (or the first one left, on a cycle)
+    const ordered = [];
+    const done = cluster.map(() => false);
+    while (ordered.length < cluster.length) {
+        let next = before.findIndex((count, index) => count === 0 && !done[index]);
+        if (next === -1) {
+            next = done.indexOf(false);
+        }
+        done[next] = true;
+        ordered.push(cluster[next]);
+        for (const index of after[next]) {
+            before[index]--;
+        }
+    }
+    return ordered;
+}
+
+
+/**
+ * Compares the tracks of two overlapping segments of the same line: negative if the first one goes before the other one,
+ * positive if it goes after, 0 if their routes do not part
+ * At an end of the overlap, the segment that turns first goes on the side it turns to so that it does not cross the other one.
+ * The segments that turn the same way at the same point go on together, the order of the next line gives theirs
+ */
+function compareTracks(routes, a, b) {
+    return compareEnds(routes[a.route], a.index, routes[b.route], b.index, -1)
+        || compareEnds(routes[a.route], a.index, routes[b.route], b.index, 1);
+}
+
+
+/**
+ * Compares two segments of the same line at one of their ends (-1 for their smaller coordinates, 1 for the larger ones)
+ */
+function compareEnds(first, i, second, j, end) {
+    const a = getTurn(first, i, end);
+    const b = getTurn(second, j, end);
+    if (a.at !== b.at) {
+        // the segment that ends first turns, unless its route ends there
+        return (a.at - b.at) * end < 0 ? a.turn : -b.turn;
+    }
+    if (a.turn !== b.turn || a.turn === 0) {
+        return a.turn - b.turn;
+    }
+    // the next segments go from the same corner in the same direction: the inner one of the corner is inner on both lines
+    const order = compareEnds(first, a.next, second, b.next, a.turn);
+    return end < 0 ? order * a.turn : -order * a.turn;
+}
+
+
+/**
+ * Returns where a segment of a route ends on its line on one side (-1 for the smaller coordinates, 1 for the larger ones),
+ * the side the route turns to there (-1, 1, or 0 at the end of the route) and the index of the next segment
+ */
+function getTurn(points, i, end) {
+    const along = points[i].y === points[i + 1].y ? "x" : "y";
+    const across = along === "x" ? "y" : "x";
+    const forward = (points[i + 1][along] - points[i][along]) * end > 0;
+    const [corner, next] = forward ? [points[i + 1], i + 1] : [points[i], i - 1];
+    if (next < 0 || next >= points.length - 1 || points[next][along] !== points[next + 1][along]) {
+        // the end of the route, or a segment that is not orthogonal
+        return { at: corner[along], turn: 0 };
+    }
+    const other = forward ? points[next + 1] : points[next];
+    return { at: corner[along], turn: Math.sign(other[across] - corner[across]), next };
+}
+
+
+/**
+ * Builds the orthogonal visibility graph
+ * Its points are the corners and the middles of the sides of the nodes (with their padding), and the crossings of the
+ * horizontal and vertical segments through them, which go as far as they can without entering a node.
+ * The center of every node is a point too, linked to the middles of its sides: the routes start and end there
+ * @returns {object|null} - the graph, null if it would have more than maxPoints points
+ */
+function buildVisibilityGraph(nodes, padding, maxPoints) {
+    const ids = Object.keys(nodes);
+    const boxes = ids.map(id => {
+        const { x, y, width = 0, height = 0 } = nodes[id];
+        return { x, y, x0: x - width / 2 - padding, x1: x + width / 2 + padding, y0: y - height / 2 - padding, y1: y + height / 2 + padding };
+    });
+    const corners = boxes.flatMap(({ x, y, x0, x1, y0, y1 }) => [
+        { x: x0, y: y0 }, { x, y: y0 }, { x: x1, y: y0 },
+        { x: x0, y }, { x: x1, y },
+        { x: x0, y: y1 }, { x, y: y1 }, { x: x1, y: y1 },
+    ]);
+    const horizontal = getVisibilitySegments(boxes, corners, "x", "y");
+    const vertical = getVisibilitySegments(boxes, corners, "y", "x");
+
+    // the points are the crossings of the segments, in the order of the horizontal lines
+    const xs = [];
+    const ys = [];
+    const lines = [...vertical.keys()];
+    const crossings = [...vertical.values()];
+    // the first segment of every vertical line that does not end above the current horizontal line
+    const current = new Int32Array(lines.length);
+    for (const [y, segments] of horizontal) {
+        for (const segment of segments) {
+            for (let i = firstIndex(lines.length, i => lines[i] >= segment.start); i < lines.length && lines[i] <= segment.end; i++) {
+                const crossing = crossings[i];
+                while (current[i] < crossing.length && crossing[current[i]].end < y) {
+                    current[i]++;
+                }
+                if (current[i] === crossing.length || crossing[current[i]].start > y) {
+                    continue;
+                }
+                if (xs.length === maxPoints) {
+                    return null;
+                }
+                segment.points.push(xs.length);
+                crossing[current[i]].points.push(xs.length);
+                xs.push(lines[i]);
+                ys.push(y);
+            }
+        }
+    }
+
+    // the neighbors of every point in every direction (-1 for none), the centers of the nodes come after the other points
+    const centers = xs.length;
+    const size = centers + boxes.length;
+    const neighbors = new Int32Array(size * DIRECTIONS.length).fill(-1);
+    const link = (segments, forward) => {
+        for (const segment of segments) {
+            for (let i = 1; i < segment.points.length; i++) {
+                neighbors[segment.points[i - 1] * DIRECTIONS.length + forward] = segment.points[i];
+                neighbors[segment.points[i] * DIRECTIONS.length + forward + 2] = segment.points[i - 1];
+            }
+        }
+    };
+    horizontal.forEach(segments => link(segments, 0));
+    vertical.forEach(segments => link(segments, 1));
+    boxes.forEach((box, index) => {
+        const center = centers + index;
+        xs.push(box.x);
+        ys.push(box.y);
+        const sides = [[box.x1, box.y], [box.x, box.y1], [box.x0, box.y], [box.x, box.y0]];
+        sides.forEach(([x, y], direction) => {
+            const side = direction % 2 === 0 ? findPoint(horizontal.get(y), xs, x) : findPoint(vertical.get(x), ys, y);
+            const back = side * DIRECTIONS.length + (direction + 2) % DIRECTIONS.length;
+            if (side !== -1 && neighbors[back] === -1) {
+                neighbors[center * DIRECTIONS.length + direction] = side;
+                neighbors[back] = center;
+            }
+        });
+    });
+
+    return {
+        xs: Float64Array.from(xs),
+        ys: Float64Array.from(ys),
+        neighbors,
+        centers,
+        nodeIndex: new Map(ids.map((id, index) => [id, index])),
+        stamps: new Int32Array(size * STATES),
+        costs: new Float64Array(size * STATES),
+        previous: new Int32Array(size * STATES),
+    };
+}
+
+
+/**
+ * Returns the segments through the given points along one axis ("x" for the horizontal segments), by line
+ * A segment goes as far as it can on both sides without entering a box, within the bounds of all the boxes,
+ * the points inside a box have none
+ * @returns {Map} - the sorted segments {start, end, points} of every line, the lines in ascending order
+ */
+function getVisibilitySegments(boxes, points, along, across) {
+    const [start0, end0, start1, end1] = [`${along}0`, `${along}1`, `${across}0`, `${across}1`];
+    const min = boxes.reduce((min, box) => Math.min(min, box[start0]), Infinity);
+    const max = boxes.reduce((max, box) => Math.max(max, box[end0]), -Infinity);
+    const lines = new Map();
+    for (const point of points) {
+        if (!lines.has(point[across])) {
+            lines.set(point[across], []);
+        }
+        lines.get(point[across]).push(point[along]);
+    }
+
+    // the lines are swept in order, with the boxes they go through
+    const starts = [...boxes].sort((a, b) => a[start1] - b[start1]);
+    const ends = [...boxes].sort((a, b) => a[end1] - b[end1]);
+    const active = new Set();
+    const segments = new Map();
+    let started = 0;
+    let ended = 0;
+    for (const line of [...lines.keys()].sort((a, b) => a - b)) {
+        while (started < starts.length && starts[started][start1] < line) {
+            active.add(starts[started++]);
+        }
+        while (ended < ends.length && ends[ended][end1] <= line) {
+            active.delete(ends[ended++]);
+        }
+        // the intervals of the line inside the boxes, merged when they overlap
+        const blocked = [];
+        for (const box of [...active].sort((a, b) => a[start0] - b[start0])) {
+            const last = blocked[blocked.length - 1];
+            if (last && box[start0] < last.end) {
+                last.end = Math.max(last.end, box[end0]);
+            } else {
+                blocked.push({ start: box[start0], end: box[end0] });
+            }
+        }
+        const lineSegments = [];
+        let next = 0;
+        for (const value of lines.get(line).sort((a, b) => a - b)) {
+            // the first interval that ends after the point
+            while (next < blocked.length && blocked[next].end <= value) {
+                next++;
+            }
+            if (next < blocked.length && blocked[next].start < value) {
+                // inside a box
+                continue;
+            }
+            const start = next > 0 ? blocked[next - 1].end : min;
+            if (lineSegments.length === 0 || lineSegments[lineSegments.length - 1].start !== start) {
+                lineSegments.push({ start, end: next < blocked.length ? blocked[next].start : max, points: [] });
+            }
+        }
+        if (lineSegments.length > 0) {
+            segments.set(line, lineSegments);
+        }
+    }
+    return segments;
+}
+
+
+/**
+ * Returns the point of the graph at the given coordinate of one of the segments of a line, -1 if there is none
+ */
+function findPoint(segments = [], coordinates, value) {
+    const segment = segments[firstIndex(segments.length, i => segments[i].end >= value)];
+    if (!segment) {
+        return -1;
+    }
+    const index = firstIndex(segment.points.length, i => coordinates[segment.points[i]] >= value);
+    return index < segment.points.length && coordinates[segment.points[index]] === value ? segment.points[index] : -1;
+}
+
+
+/**
+ * Returns the first index in [0, length) for which a test that is false and then true holds, length if there is none
+ */
+function firstIndex(length, test) {
+    let low = 0;
+    let high = length;
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (test(middle)) {
+            high = middle;
+        } else {
+            low = middle + 1;
+        }
+    }
+    return low;
+}
+
+
+/**
+ * Finds the shortest path with the fewest bends between the centers of two nodes (A*)
+ * The states are the points of the graph with the direction they are reached in (NO_DIRECTION for the start),
+ * the costs are the lengths plus the bends. The paths only go through the centers of their ends
+ * The arrays of the graph are reused from one search to the next, the stamps tell which entries belong to the current search
+ * @returns {object[]|null} - the points of the path, null if there is none
+ */
+function findOrthogonalPath(graph, source, target, bendPenalty, search) {
+    const { xs, ys, neighbors, centers, stamps, costs, previous } = graph;
+    const start = centers + graph.nodeIndex.get(source);
+    const goal = centers + graph.nodeIndex.get(target);
+    const heuristic = point => Math.abs(xs[point] - xs[goal]) + Math.abs(ys[point] - ys[goal]);
+
+    const heap = new MinHeap();
+    const startState = start * STATES + NO_DIRECTION;
+    stamps[startState] = search;
+    costs[startState] = 0;
+    previous[startState] = -1;
+    heap.push(heuristic(start), startState);
+
+    while (heap.size > 0) {
+        const [priority, state] = heap.pop();
+        const point = Math.floor(state / STATES);
+        const from = state % STATES;
+        const cost = costs[state];
+        if (priority > cost + heuristic(point) + 1e-9) {
+            // already reached at a lower cost
+            continue;
+        }
+        if (point === goal) {
+            return buildPath(graph, state);
+        }
+        for (let direction = 0; direction < DIRECTIONS.length; direction++) {
+            const next = neighbors[point * DIRECTIONS.length + direction];
+            if (next === -1 || (next >= centers && next !== goal)) {
+                continue;
+            }
+            const bend = from !== NO_DIRECTION && direction !== from ? bendPenalty : 0;
+            const nextCost = cost + Math.abs(xs[next] - xs[point]) + Math.abs(ys[next] - ys[point]) + bend;
+            const nextState = next * STATES + direction;
+            if (stamps[nextState] !== search || nextCost < costs[nextState] - 1e-9) {
+                stamps[nextState] = search;
+                costs[nextState] = nextCost;
+                previous[nextState] = state;
+                heap.push(nextCost + heuristic(next), nextState);
+            }
+        }
+    }
+    return null;
+}
+
+
+function buildPath(graph, state) {
+    const { xs, ys, previous } = graph;
+    const points = [];
+    for (let current = state; current !== -1; current = previous[current]) {
+        const point = Math.floor(current / STATES);
+        points.push({ x: xs[point], y: ys[point] });
+    }
+    return simplifyRoute(points.reverse());
+}
+
+
+/**
+ * Removes the points in the middle of straight segments
+ */
+function simplifyRoute(points) {
+    const simplified = [];
+    for (const point of points) {
+        const length = simplified.length;
+        if (length > 0 && simplified[length - 1].x === point.x && simplified[length - 1].y === point.y) {
+            continue;
+        }
+        if (length > 1) {
+            const a = simplified[length - 2];
+            const b = simplified[length - 1];
+            if ((b.x - a.x) * (point.y - b.y) === (b.y - a.y) * (point.x - b.x)) {
+                simplified[length - 1] = point;
+                continue;
+            }
+        }
+        simplified.push(point);
+    }
+    return simplified;
+}
+
+
+/**
+ * Returns whether a route goes through a node other than the excluded ones
+ */
+function crossesNodes(points, nodes, excluded) {
+    for (const id in nodes) {
+        if (excluded.includes(id)) {
+            continue;
+        }
+        const { x, y, width = 0, height = 0 } = nodes[id];
+        for (let i = 0; i < points.length - 1; i++) {
+            if (segmentIntersectsBox(points[i], points[i + 1], x - width / 2, y - height / 2, x + width / 2, y + height / 2)) {
+                return true;
+            }
+        }
+    }
+    return false;
+}
+
+
+/**
+ * Liang-Barsky clipping of the segment by the inside of the box (a segment along its border does not go through it)
+ */
+function segmentIntersectsBox(a, b, x0, y0, x1, y1) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    let t0 = 0;
+    let t1 = 1;
+    for (const [p, q] of [[-dx, a.x - x0], [dx, x1 - a.x], [-dy, a.y - y0], [dy, y1 - a.y]]) {
+        if (p === 0) {
+            if (q <= 0) {
+                return false;
+            }
+        } else {
+            const t = q / p;
+            if (p < 0) {
+                t0 = Math.max(t0, t);
+            } else {
+                t1 = Math.min(t1, t);
+            }
+            if (t0 >= t1) {
+                return false;
+            }
+        }
+    }
+    return true;
+}
+
+
+/**
+ * Samples the Catmull-Rom spline through the points, as cubic Bézier curves
+ */
+function sampleSpline(points, samples) {
+    if (points.length < 3) {
+        return points.map(({ x, y }) => ({ x, y }));
+    }
+    const sampled = [{ x: points[0].x, y: points[0].y }];
+    for (let i = 0; i < points.length - 1; i++) {
+        const p0 = points[Math.max(0, i - 1)];
+        const p1 = points[i];
+        const p2 = points[i + 1];
+        const p3 = points[Math.min(points.length - 1, i + 2)];
+        const c1 = { x: p1.x + (p2.x - p0.x) / 6, y: p1.y + (p2.y - p0.y) / 6 };
+        const c2 = { x: p2.x - (p3.x - p1.x) / 6, y: p2.y - (p3.y - p1.y) / 6 };
+        for (let step = 1; step <= samples; step++) {
+            const t = step / samples;
+            const u = 1 - t;
+            sampled.push({
+                x: u * u * u * p1.x + 3 * u * u * t * c1.x + 3 * u * t * t * c2.x + t * t * t * p2.x,
+                y: u * u * u * p1.y + 3 * u * u * t * c1.y + 3 * u * t * t * c2.y + t * t * t * p2.y,
+            });
+        }
+    }
+    return sampled;
+}
+
+
+class MinHeap {
+    constructor() {
+        this.priorities = [];
+        this.values = [];
+    }
+
+    get size() {
+        return this.values.length;
+    }
+
+    push(priority, value) {
+        const { priorities, values } = this;
+        let index = values.length;
+        priorities.push(priority);
+        values.push(value);
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (priorities[parent] <= priority) {
+                break;
+            }
+            priorities[index] = priorities[parent];
+            values[index] = values[parent];
+            index = parent;
+        }
+        priorities[index] = priority;
+        values[index] = value;
+    }
+
+    pop() {
+        const { priorities, values } = this;
+        const top = [priorities[0], values[0]];
+        const lastPriority = priorities.pop();
+        const lastValue = values.pop();
+        if (values.length > 0) {
+            let index = 0;
+            while (true) {
+                const left = 2 * index + 1;
+                const right = left + 1;
+                let smallest = left;
+                if (left >= values.length) {
+                    break;
+                }
+                if (right < values.length && priorities[right] < priorities[left]) {
+                    smallest = right;
+                }
+                if (priorities[smallest] >= lastPriority) {
+                    break;
+                }
+                priorities[index] = priorities[smallest];
+                values[index] = values[smallest];
+                index = smallest;
+            }
+            priorities[index] = lastPriority;
+            values[index] = lastValue;
+        }
+        return top;
+    }
+}
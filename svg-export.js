@@ -0,0 +1,287 @@
+/**
+ * Standalone SVG export of a layout
+ * The layout (see computeLayout) is written as an SVG string, without the DOM or d3, so it runs in Node
+ * (e.g. to produce snapshots of the diagrams or figures for the docs)
+ * The drawing is the one of renderLayout and the styles of index.html: the edges follow their routes and end with
+ * an arrowhead on the border of their target, the edges that the layout drew against its flow (reversed) are dashed,
+ * the nodes are ellipses of their size, labelled with their label attribute (or their id), the containers of the compound
+ * graphs are nested groups with their box and their label
+ * The styles are inline (presentation attributes), the classes are kept so that the SVG can still be styled with CSS
+ */
+
+import { getBoundingBox } from "./metrics.js";
+
+
+export const DEFAULT_STYLES = {
+    svg: { "font-family": "sans-serif", "font-size": 14, "text-anchor": "middle" },
+    link: { fill: "none", stroke: "#ccc", "stroke-width": 2 },
+    reversed: { "stroke-dasharray": "6 4" },
+    node: { fill: "#fff", stroke: "steelblue", "stroke-width": 2 },
+    label: {},
+    container: { fill: "steelblue", "fill-opacity": 0.05, stroke: "steelblue", "stroke-width": 1.5 },
+    containerLabel: { fill: "steelblue", "font-weight": "bold" },
+};
+
+
+const DEFAULT_OPTIONS = {
+    margin: 25,
+    arrows: true,
+    // the size of the arrowheads in pixels
+    arrowSize: 10,
+    // merged with DEFAULT_STYLES, the styles of a type (e.g. styles.server) apply to the nodes and edges of this type
+    styles: {},
+    // the background color, transparent when null
+    background: null,
+    // the prefix of the ids of the markers, to put several SVGs in the same document
+    idPrefix: "graph",
+    // the number of decimals of the coordinates
+    precision: 2,
+};
+
+
+/**
+ * Returns a standalone SVG of a layout
+ * @param {object} layout - the layout, as computed by computeLayout or by a layout algorithm ({ nodes, edges })
+ * @param {object} options - see DEFAULT_OPTIONS (optional)
+ * @returns {string} - the SVG document
+ */
+export function layoutToSVG(layout, options = {}) {
+    options = { ...DEFAULT_OPTIONS, ...options };
+    const styles = { ...options.styles };
+    for (const name in DEFAULT_STYLES) {
+        styles[name] = { ...DEFAULT_STYLES[name], ...options.styles[name] };
+    }
+    const format = value => formatNumber(value, options.precision);
+
+    const box = getBoundingBox(layout.nodes, layout.edges);
+    const viewBox = {
+        x: box.x - options.margin,
+        y: box.y - options.margin,
+        width: box.width + 2 * options.margin,
+        height: box.height + 2 * options.margin,
+    };
+
+    // one group per component, as renderGraphLayout
+    const groups = (layout.components || [null]).map(() => ({ edges: [], nodes: [], containers: [] }));
+    for (const id in layout.nodes) {
+        const group = groups[layout.nodes[id].component ?? 0];
+        (layout.nodes[id].container ? group.containers : group.nodes).push({ id, ...layout.nodes[id] });
+    }
+    for (const edge of layout.edges) {
+        groups[edge.component ?? 0].edges.push(edge);
+    }
+
+    // one arrowhead per color of the edges
+    const markers = new Map();
+    const getMarker = style => {
+        if (!markers.has(style.stroke)) {
+            markers.set(style.stroke, `${options.idPrefix}-arrow-${markers.size}`);
+        }
+        return markers.get(style.stroke);
+    };
+
+    const body = [];
+    for (const group of groups) {
+        body.push("    <g class=\"tree\">");
+        body.push(...formatContainers(group.containers, null, styles, format, "        "));
+        for (const edge of group.edges) {
+            if (edge.points.length < 2) {
+                continue;
+            }
+            const style = { ...getElementStyle("link", edge.attributes, styles), ...(edge.reversed ? styles.reversed : {}) };
+            const points = clipRoute(edge.points, layout.nodes[edge.source], layout.nodes[edge.target]);
+            const path = points.map(({ x, y }, index) => `${index === 0 ? "M" : "L"}${format(x)},${format(y)}`).join("");
+            const attributes = {
+                class: getElementClass("link", edge.attributes) + (edge.reversed ? " reversed" : ""),
+                d: path,
+                ...style,
+            };
+            if (options.arrows) {
+                attributes["marker-end"] = `url(#${getMarker(style)})`;
+            }
+            body.push(`        <path${formatAttributes(attributes)}/>`);
+        }
+        for (const node of group.nodes) {
+            body.push(`        <ellipse${formatAttributes({
+                class: getElementClass("node", node.attributes),
+                cx: format(node.x),
+                cy: format(node.y),
+                rx: format(node.width / 2),
+                ry: format(node.height / 2),
+                ...getElementStyle("node", node.attributes, styles),
+            })}/>`);
+        }
+        for (const node of group.nodes) {
+            const fontSize = styles.label["font-size"] ?? styles.svg["font-size"];
+            body.push(`        <text${formatAttributes({
+                class: "label",
+                x: format(node.x),
+                y: format(node.y + fontSize / 2),
+                ...styles.label,
+            })}>${escapeXML(node.attributes?.label ?? node.id)}</text>`);
+        }
+        body.push("    </g>");
+    }
+
+    const lines = [
+        `<svg${formatAttributes({
+            xmlns: "http://www.w3.org/2000/svg",
+            width: format(viewBox.width),
+            height: format(viewBox.height),
+            viewBox: [viewBox.x, viewBox.y, viewBox.width, viewBox.height].map(format).join(" "),
+            ...styles.svg,
+        })}>`,
+    ];
+    if (markers.size > 0) {
+        lines.push("    <defs>");
+        for (const [color, id] of markers) {
+            // the tip of the arrowhead is at the end of the edge
+            lines.push(`        <marker${formatAttributes({
+                id,
+                viewBox: "0 0 10 10",
+                refX: 10,
+                refY: 5,
+                markerWidth: format(options.arrowSize),
+                markerHeight: format(options.arrowSize),
+                markerUnits: "userSpaceOnUse",
+                orient: "auto",
+            })}><path d="M0,0L10,5L0,10z"${formatAttributes({ fill: color })}/></marker>`);
+        }
+        lines.push("    </defs>");
+    }
+    if (options.background) {
+        lines.push(`    <rect${formatAttributes({
+            x: format(viewBox.x),
+            y: format(viewBox.y),
+            width: format(viewBox.width),
+            height: format(viewBox.height),
+            fill: options.background,
+        })}/>`);
+    }
+    lines.push("    <g class=\"graph\">", ...body.map(line => `    ${line}`), "    </g>", "</svg>");
+    return lines.join("\n") + "\n";
+}
+
+
+/**
+ * Returns the lines of the groups of the containers inside a container (null for the top level), with the groups of
+ * their own containers
+ */
+function formatContainers(containers, parent, styles, format, indent) {
+    const lines = [];
+    for (const container of containers) {
+        if (container.parent !== parent) {
+            continue;
+        }
+        const fontSize = styles.containerLabel["font-size"] ?? styles.svg["font-size"];
+        lines.push(
+            `${indent}<g${formatAttributes({ class: getElementClass("container", container.attributes) })}>`,
+            `${indent}    <rect${formatAttributes({
+                class: "container-box",
+                x: format(container.x - container.width / 2),
+                y: format(container.y - container.height / 2),
+                width: format(container.width),
+                height: format(container.height),
+                ...getElementStyle("container", container.attributes, styles),
+            })}/>`,
+            `${indent}    <text${formatAttributes({
+                class: "container-label",
+                x: format(container.x),
+                y: format(container.y - container.height / 2 + fontSize + 4),
+                ...styles.containerLabel,
+            })}>${escapeXML(container.attributes?.label ?? container.id)}</text>`,
+            ...formatContainers(containers, container.id, styles, format, `${indent}    `),
+            `${indent}</g>`,
+        );
+    }
+    return lines;
+}
+
+
+/**
+ * Cuts the ends of a route at the borders of its nodes (ellipses of the size of the nodes)
+ * The points inside the nodes are dropped, the route keeps at least its two ends
+ * @param {object[]} points - the points of the route, from the source to the target
+ * @param {object} source - the source node { x, y, width, height } (optional)
+ * @param {object} target - the target node (optional)
+ * @returns {object[]} - the points of the cut route
+ */
+export function clipRoute(points, source, target) {
+    let route = [...points];
+    if (target) {
+        route = clipRouteEnd(route, target);
+    }
+    if (source) {
+        route = clipRouteEnd(route.reverse(), source).reverse();
+    }
+    return route;
+}
+
+
+/**
+ * Cuts the end of a route at the border of a node
+ */
+function clipRouteEnd(points, node) {
+    const rx = node.width / 2;
+    const ry = node.height / 2;
+    const inside = ({ x, y }) => ((x - node.x) / rx) ** 2 + ((y - node.y) / ry) ** 2 < 1;
+    if (!(rx > 0 && ry > 0) || !inside(points[points.length - 1])) {
+        return points;
+    }
+    let end = points.length - 1;
+    while (end > 0 && inside(points[end - 1])) {
+        end--;
+    }
+    if (end === 0) {
+        // the whole route is inside the node
+        return points;
+    }
+    // the point where the segment from outside to inside crosses the ellipse
+    const from = points[end - 1];
+    const to = points[end];
+    const dx = (to.x - from.x) / rx;
+    const dy = (to.y - from.y) / ry;
+    const ox = (from.x - node.x) / rx;
+    const oy = (from.y - node.y) / ry;
+    const a = dx * dx + dy * dy;
+    const b = 2 * (ox * dx + oy * dy);
+    const c = ox * ox + oy * oy - 1;
+    const t = (-b - Math.sqrt(Math.max(0, b * b - 4 * a * c))) / (2 * a);
+    return [...points.slice(0, end), { x: from.x + t * (to.x - from.x), y: from.y + t * (to.y - from.y) }];
+}
+
+
+function getElementClass(className, attributes) {
+    return attributes?.type ? `${className} ${attributes.type}` : className;
+}
+
+
+function getElementStyle(className, attributes, styles) {
+    return { ...styles[className], ...(attributes?.type ? styles[attributes.type] : {}) };
+}
+
+
+function formatNumber(value, precision) {
+    const rounded = Number(value.toFixed(precision));
+    return Object.is(rounded, -0) ? 0 : rounded;
+}
+
+
+function formatAttributes(attributes) {
+    let string = "";
+    for (const name in attributes) {
+        if (attributes[name] !== undefined && attributes[name] !== null) {
+            string += ` ${name}="${escapeXML(attributes[name])}"`;
+        }
+    }
+    return string;
+}
+
+
+function escapeXML(value) {
+    return String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
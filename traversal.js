@@ -0,0 +1,222 @@
+/**
+ * Iterative depth-first and breadth-first searches of adjacency lists
+ * The searches keep their own stacks and queues instead of recursing, so long chains do not overflow the call stack,
+ * and visit every node and edge once: they run in linear time, with the predecessors precomputed once when the
+ * direction of the edges is ignored (see getUndirectedNeighbors)
+ *
+ * The hooks are called during the search, a hook returning false stops it:
+ * - enter(node, parent, depth): the node is visited for the first time (parent is null for the start nodes)
+ * - leave(node, parent): all the nodes reachable from the node have been visited (depth-first only)
+ * - edge(node, neighbor, kind): an edge is followed, kind is "tree" when it leads to a new node, "back" when it leads
+ *   to a node on the current path (depth-first only) and "cross" otherwise
+ * The neighbors that are not keys of the adjacency list are visited as nodes without edges
+ * getStronglyConnectedComponents runs Tarjan's algorithm on the same kind of explicit stack
+ */
+
+import { assertAdjacencyList } from "./validation.js";
+
+
+/**
+ * Depth-first search, the neighbors are visited in their order, as a recursive search would
+ * @param {object} adjList - the adjacency list of the graph
+ * @param {string|string[]} starts - the node or the nodes to start from, in order
+ * @param {object} hooks - { enter, leave, edge } (optional)
+ * @param {object} options - { neighbors: function returning the neighbors of a node, visited: the set of the visited nodes } (optional)
+ * @returns {Set} - the visited nodes, in the order of the visits
+ */
+export function depthFirstSearch(adjList, starts, hooks = {}, options = {}) {
+    assertAdjacencyList(adjList, false);
+    const neighbors = options.neighbors || (node => adjList[node] || []);
+    const visited = options.visited || new Set();
+    const { enter, leave, edge } = hooks;
+    // the nodes on the path from the start node to the current one
+    const onPath = new Set();
+    for (const start of Array.isArray(starts) ? starts : [starts]) {
+        if (visited.has(start)) {
+            continue;
+        }
+        visited.add(start);
+        onPath.add(start);
+        if (enter && enter(start, null, 0) === false) {
+            return visited;
+        }
+        // frames of [node, neighbors, index of the next neighbor]
+        const stack = [[start, neighbors(start), 0]];
+        while (stack.length > 0) {
+            const frame = stack[stack.length - 1];
+            const [node, nodeNeighbors] = frame;
+            if (frame[2] < nodeNeighbors.length) {
+                const neighbor = nodeNeighbors[frame[2]++];
+                if (visited.has(neighbor)) {
+                    if (edge && edge(node, neighbor, onPath.has(neighbor) ? "back" : "cross") === false) {
+                        return visited;
+                    }
+                    continue;
+                }
+                if (edge && edge(node, neighbor, "tree") === false) {
+                    return visited;
+                }
+                visited.add(neighbor);
+                onPath.add(neighbor);
+                if (enter && enter(neighbor, node, stack.length) === false) {
+                    return visited;
+                }
+                stack.push([neighbor, neighbors(neighbor), 0]);
+            } else {
+                stack.pop();
+                onPath.delete(node);
+                if (leave && leave(node, stack.length > 0 ? stack[stack.length - 1][0] : null) === false) {
+                    return visited;
+                }
+            }
+        }
+    }
+    return visited;
+}
+
+
+/**
+ * Breadth-first search, the depth of a node is its distance to the start nodes
+ * @param {object} adjList - the adjacency list of the graph
+ * @param {string|string[]} starts - the node or the nodes to start from, all at depth 0
+ * @param {object} hooks - { enter, edge } (optional)
+ * @param {object} options - { neighbors, visited }, as in depthFirstSearch (optional)
+ * @returns {Set} - the visited nodes, in the order of the visits
+ */
+export function breadthFirstSearch(adjList, starts, hooks = {}, options = {}) {
+    assertAdjacencyList(adjList, false);
+    const neighbors = options.neighbors || (node => adjList[node] || []);
+    const visited = options.visited || new Set();
+    const { enter, edge } = hooks;
+    const queue = [];
+    const depths = new Map();
+    for (const start of Array.isArray(starts) ? starts : [starts]) {
+        if (visited.has(start)) {
+            continue;
+        }
+        visited.add(start);
+        depths.set(start, 0);
+        queue.push(start);
+        if (enter && enter(start, null, 0) === false) {
+            return visited;
+        }
+    }
+    for (let i = 0; i < queue.length; i++) {
+        const node = queue[i];
+        const depth = depths.get(node) + 1;
+        for (const neighbor of neighbors(node)) {
+            if (visited.has(neighbor)) {
+                if (edge && edge(node, neighbor, "cross") === false) {
+                    return visited;
+                }
+                continue;
+            }
+            if (edge && edge(node, neighbor, "tree") === false) {
+                return visited;
+            }
+            visited.add(neighbor);
+            depths.set(neighbor, depth);
+            queue.push(neighbor);
+            if (enter && enter(neighbor, node, depth) === false) {
+                return visited;
+            }
+        }
+    }
+    return visited;
+}
+
+
+/**
+ * Returns the predecessors of every node that has some
+ * @param {object} adjList - the adjacency list of the graph
+ * @returns {Map} - the predecessors of the nodes, in the order of the adjacency list
+ */
+export function getPredecessors(adjList) {
+    assertAdjacencyList(adjList);
+    const predecessors = new Map();
+    for (const node in adjList) {
+        for (const neighbor of adjList[node]) {
+            if (!predecessors.has(neighbor)) {
+                predecessors.set(neighbor, []);
+            }
+            predecessors.get(neighbor).push(node);
+        }
+    }
+    return predecessors;
+}
+
+
+/**
+ * Returns a neighbors function following the edges in both directions, for the options of the searches
+ * The successors come first, then the predecessors that are not successors
+ * @param {object} adjList - the adjacency list of the graph
+ * @returns {function} - the neighbors of a node, without duplicates
+ */
+export function getUndirectedNeighbors(adjList) {
+    assertAdjacencyList(adjList);
+    const predecessors = getPredecessors(adjList);
+    return node => {
+        const successors = adjList[node] || [];
+        const reverse = predecessors.get(node);
+        return reverse ? [...new Set([...successors, ...reverse])] : successors;
+    };
+}
+
+
+/**
+ * Returns the strongly connected components of the graph (Tarjan), with an explicit stack
+ * Every component is listed after the components it reaches, so the sinks come first
+ * @param {object} adjList - the adjacency list of the graph
+ * @returns {string[][]} - the nodes of every strongly connected component
+ */
+export function getStronglyConnectedComponents(adjList) {
+    assertAdjacencyList(adjList);
+    const index = new Map();
+    const low = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const components = [];
+    const visit = (node) => {
+        index.set(node, index.size);
+        low.set(node, index.get(node));
+        stack.push(node);
+        onStack.add(node);
+        return [node, adjList[node] || [], 0];
+    };
+    for (const start in adjList) {
+        if (index.has(start)) {
+            continue;
+        }
+        // frames of [node, neighbors, index of the next neighbor], as in depthFirstSearch
+        const frames = [visit(start)];
+        while (frames.length > 0) {
+            const frame = frames[frames.length - 1];
+            const [node, neighbors] = frame;
+            if (frame[2] < neighbors.length) {
+                const neighbor = neighbors[frame[2]++];
+                if (!index.has(neighbor)) {
+                    frames.push(visit(neighbor));
+                } else if (onStack.has(neighbor)) {
+                    low.set(node, Math.min(low.get(node), index.get(neighbor)));
+                }
+                continue;
+            }
+            frames.pop();
+            if (frames.length > 0) {
+                const parent = frames[frames.length - 1][0];
+                low.set(parent, Math.min(low.get(parent), low.get(node)));
+            }
+            if (low.get(node) === index.get(node)) {
+                const component = [];
+                let member;
+                do {
+                    member = stack.pop();
+                    onStack.delete(member);
+                    component.push(member);
+                } while (member !== node);
+                components.push(component);
+            }
+        }
+    }
+    return components;
+}
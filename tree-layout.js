@@ -0,0 +1,692 @@
+/**
+ * Tree layouts, without d3 or the DOM
+ * - tidy: the same drawing as d3.tree, the algorithm of Reingold and Tilford in the linear time version of Buchheim, Jünger and Leipert.
+ *   Every subtree is drawn once, then placed as close as possible to its left siblings, comparing the contours of the subtrees
+ * - compact: a non-layered tidy tree, every node is right below its parent instead of on the level of its depth,
+ *   so the small nodes do not take the height of the largest node of their level
+ * - radial: the levels are concentric circles around the root, every subtree is drawn in its own wedge
+ * The tidy and compact trees grow top to bottom or left to right (see the orientation option), or in the orientation
+ * whose aspect ratio is the closest to the available space
+ * The distances are in pixels and computed from the sizes of the nodes, every level is as high as its highest node
+ * The traversals are iterative, deep trees do not overflow the stack
+ */
+
+import { DEFAULT_NODE_SIZE } from "./attributes.js";
+import { getBoundingBox } from "./metrics.js";
+import { InvalidArgumentError } from "./errors.js";
+
+
+export const DEFAULT_TREE_OPTIONS = {
+    nodeWidth: DEFAULT_NODE_SIZE.width,
+    nodeHeight: DEFAULT_NODE_SIZE.height,
+    // the distances between the borders of the nodes
+    siblingSpacing: 10,
+    subtreeSpacing: 60,
+    levelSpacing: 10,
+    // a name of TREE_LAYOUTS
+    treeLayout: "tidy",
+    // "vertical" (top to bottom), "horizontal" (left to right), or "auto" for the one whose aspect ratio is the closest to aspectRatio,
+    // the radial trees have no orientation
+    orientation: "vertical",
+    // the width / height of the available space, for the auto orientation
+    aspectRatio: 16 / 9,
+};
+
+
+/**
+ * The tree layouts, every function takes the tree as a nested list and the options (see DEFAULT_TREE_OPTIONS)
+ * and returns { nodes: {id: {x, y, width, height, attributes}}, edges: [{source, target, points, reversed, attributes}] }
+ */
+export const TREE_LAYOUTS = {
+    tidy: computeTidyTreeLayout,
+    compact: computeCompactTreeLayout,
+    radial: computeRadialTreeLayout,
+};
+
+
+/**
+ * Computes the layout of a tree given as a nested list, with the layout of the treeLayout option
+ * @param {object} nestedList - the tree as { id, attributes, children }, see treeAdjacencyListToNestedList
+ * @param {object} options - see DEFAULT_TREE_OPTIONS (optional)
+ * @returns {object} - see computeTidyTreeLayout
+ * @throws {InvalidArgumentError} - when the tree layout or the orientation is unknown
+ */
+export function layoutTree(nestedList, options = {}) {
+    options = { ...DEFAULT_TREE_OPTIONS, ...options };
+    if (!Object.prototype.hasOwnProperty.call(TREE_LAYOUTS, options.treeLayout)) {
+        throw new InvalidArgumentError(`Unknown tree layout: ${options.treeLayout}`);
+    }
+    return TREE_LAYOUTS[options.treeLayout](nestedList, options);
+}
+
+
+/**
+ * Computes the layout of a tree given as a nested list, aligning the nodes of every level
+ * The root is at (0, 0)
+ * @param {object} nestedList - the tree as { id, attributes, children }, see treeAdjacencyListToNestedList
+ * @param {object} options - see DEFAULT_TREE_OPTIONS (optional)
+ * @returns {object} - { nodes: {id: {x, y, width, height, attributes}}, edges: [{source, target, points, reversed, attributes}] }
+ * where the edges keep the directions of the graph, reversed marks the edges that go from a child to its parent
+ */
+export function computeTidyTreeLayout(nestedList, options = {}) {
+    options = { ...DEFAULT_TREE_OPTIONS, ...options };
+    if (isAutoOrientation(options)) {
+        return computeBestOrientation(nestedList, options, computeTidyTreeLayout);
+    }
+    const root = buildTree(nestedList);
+    placeTidyTree(root, (a, b) => getTreeSeparation(a, b, options));
+    return hierarchyToLayout(root, options);
+}
+
+
+/**
+ * Computes the layout of a tree given as a nested list, every node being levelSpacing below its parent
+ * (non-layered tidy tree, van der Ploeg's linear time version of the tidy algorithm)
+ * The contours of the subtrees follow the bottoms of their nodes instead of the levels, and the small subtrees
+ * between two large ones are spread evenly, as in the tidy tree. The edges go from the bottoms of the parents to the tops of the children
+ * The root is at (0, 0)
+ * @param {object} nestedList - the tree as { id, attributes, children }, see treeAdjacencyListToNestedList
+ * @param {object} options - see DEFAULT_TREE_OPTIONS (optional)
+ * @returns {object} - see computeTidyTreeLayout
+ */
+export function computeCompactTreeLayout(nestedList, options = {}) {
+    options = { ...DEFAULT_TREE_OPTIONS, ...options };
+    if (isAutoOrientation(options)) {
+        return computeBestOrientation(nestedList, options, computeCompactTreeLayout);
+    }
+    const root = buildTree(nestedList);
+    const descendants = getDescendants(root);
+    // the children start levelSpacing below the bottom of their parent, the contours include the spacing
+    for (const node of descendants) {
+        const { breadth, depth } = getTreeNodeExtents(node, options);
+        node.breadth = breadth;
+        node.top = node.parent ? node.parent.bottom : -depth / 2;
+        node.bottom = node.top + depth + options.levelSpacing;
+        node.y = node.top + depth / 2;
+    }
+    placeCompactTree(root, options);
+    const rootX = root.x;
+    for (const node of descendants) {
+        node.x -= rootX;
+    }
+    // the children of a node do not have the same heights, the edges go from the bottom of the parent to the tops of the children
+    // so that they stay in the spacing below the parent, which is part of its contour
+    const position = getOrientedPosition(options);
+    const route = (node, child) => [
+        node,
+        { x: node.x, y: node.bottom - options.levelSpacing },
+        { x: child.x, y: child.top },
+        child,
+    ].map(position);
+    return toLayout(descendants, position, options, route);
+}
+
+
+/**
+ * Computes the layout of a tree given as a nested list on concentric circles, the root at the center (0, 0)
+ * Every subtree has a wedge, shared by its children in proportion to their numbers of leaves, in the order of the nested list
+ * (Eades' annulus wedges). The wedge of the children is also kept where the edges from their parent do not go back inside
+ * the circle of the parent, so the subtrees and their edges never cross. The circles are evenly spaced, far enough apart
+ * for the nodes of every circle not to overlap
+ * @param {object} nestedList - the tree as { id, attributes, children }, see treeAdjacencyListToNestedList
+ * @param {object} options - see DEFAULT_TREE_OPTIONS (optional)
+ * @returns {object} - see computeTidyTreeLayout
+ */
+export function computeRadialTreeLayout(nestedList, options = {}) {
+    options = { ...DEFAULT_TREE_OPTIONS, ...options };
+    const root = buildTree(nestedList);
+    const descendants = getDescendants(root);
+    // on a circle the nodes meet from every direction, they are separated by their diagonals
+    const diagonal = node => {
+        const { width, height } = getTreeNodeSize(node, options);
+        return Math.hypot(width, height);
+    };
+    const separation = (a, b) => (diagonal(a) + diagonal(b)) / 2 + (a.parent === b.parent ? options.siblingSpacing : options.subtreeSpacing);
+
+    // the leaves of the subtrees, the children after their parents in descendants
+    for (let i = descendants.length - 1; i >= 0; i--) {
+        const node = descendants[i];
+        node.leaves = node.children.length === 0 ? 1 : node.children.reduce((sum, child) => sum + child.leaves, 0);
+    }
+
+    // the wedges, from the top clockwise. With the circles at depth * spacing, the edges from a node of depth d
+    // stay outside its circle up to acos(d / (d + 1)) on both sides of the node, whatever the spacing
+    root.angle = 0;
+    root.wedge = [0, 2 * Math.PI];
+    const levels = [[root]];
+    for (const node of descendants) {
+        let [start, end] = node.wedge;
+        if (node.depth > 0) {
+            const tangent = Math.acos(node.depth / (node.depth + 1));
+            start = Math.max(start, node.angle - tangent);
+            end = Math.min(end, node.angle + tangent);
+        }
+        const total = end - start;
+        for (const child of node.children) {
+            const angle = total * child.leaves / node.leaves;
+            child.wedge = [start, start + angle];
+            child.angle = start + angle / 2;
+            start += angle;
+            (levels[child.depth] ??= []).push(child);
+        }
+    }
+
+    // the spacing of the circles: enough for the nodes of consecutive circles, and for the chords between the neighbors of a circle
+    let spacing = 0;
+    for (let depth = 1; depth < levels.length; depth++) {
+        const level = levels[depth];
+        let previousDiagonal = 0;
+        for (const node of levels[depth - 1]) {
+            previousDiagonal = Math.max(previousDiagonal, diagonal(node));
+        }
+        for (const node of level) {
+            spacing = Math.max(spacing, (previousDiagonal + diagonal(node)) / 2 + options.levelSpacing);
+        }
+        for (let i = 0; i < level.length && level.length > 1; i++) {
+            const [a, b] = [level[i], level[(i + 1) % level.length]];
+            const angle = i + 1 < level.length ? b.angle - a.angle : 2 * Math.PI - a.angle + b.angle;
+            spacing = Math.max(spacing, separation(a, b) / (2 * depth * Math.sin(Math.min(angle, Math.PI) / 2)));
+        }
+    }
+
+    const position = node => ({
+        x: node.depth * spacing * Math.sin(node.angle),
+        y: node.depth * spacing * -Math.cos(node.angle),
+    });
+    return toLayout(descendants, position, options);
+}
+
+
+/**
+ * Returns the distance between the centers of two nodes on the same level
+ * @param {object} a - the node on the left, with its parent and its data ({ attributes })
+ * @param {object} b - the node on the right
+ * @param {object} options - see DEFAULT_TREE_OPTIONS (optional)
+ * @returns {number} - the distance in pixels, between the centers of the nodes across the levels
+ */
+export function getTreeSeparation(a, b, options = DEFAULT_TREE_OPTIONS) {
+    const spacing = a.parent === b.parent ? options.siblingSpacing : options.subtreeSpacing;
+    return (getTreeNodeExtents(a, options).breadth + getTreeNodeExtents(b, options).breadth) / 2 + spacing;
+}
+
+
+/**
+ * Returns the size of a node of the tree, from its width and height attributes
+ * @param {object} node - the node, with its data ({ attributes })
+ * @param {object} options - the default sizes { nodeWidth, nodeHeight } (optional)
+ * @returns {object} - { width, height }
+ */
+export function getTreeNodeSize(node, options = DEFAULT_TREE_OPTIONS) {
+    const attributes = node.data.attributes || {};
+    return {
+        width: attributes.width ?? options.nodeWidth,
+        height: attributes.height ?? options.nodeHeight,
+    };
+}
+
+
+/**
+ * Builds the layout of a tree whose nodes have their x coordinate (e.g. a d3 hierarchy laid out by d3.tree)
+ * The y coordinates are computed from the depths of the nodes and the heights of the levels,
+ * x and y are swapped for the horizontal orientation
+ * @param {object} root - the root of the tree, every node has { x, depth, data, children }
+ * @param {object} options - see DEFAULT_TREE_OPTIONS (optional)
+ * @returns {object} - see computeTidyTreeLayout
+ */
+export function hierarchyToLayout(root, options = {}) {
+    options = { ...DEFAULT_TREE_OPTIONS, ...options };
+    const descendants = getDescendants(root);
+
+    // the vertical position of every level, from the heights of the nodes
+    const levelHeights = [];
+    for (const node of descendants) {
+        levelHeights[node.depth] = Math.max(levelHeights[node.depth] || 0, getTreeNodeExtents(node, options).depth);
+    }
+    const levelY = [0];
+    for (let depth = 1; depth < levelHeights.length; depth++) {
+        levelY.push(levelY[depth - 1] + (levelHeights[depth - 1] + levelHeights[depth]) / 2 + options.levelSpacing);
+    }
+    for (const node of descendants) {
+        node.y = levelY[node.depth];
+    }
+    return toLayout(descendants, getOrientedPosition(options), options);
+}
+
+
+/**
+ * Returns the extents of a node across the levels (breadth) and along them (depth), its width and height in a vertical tree
+ */
+function getTreeNodeExtents(node, options) {
+    const { width, height } = getTreeNodeSize(node, options);
+    return options.orientation === "horizontal" ? { breadth: height, depth: width } : { breadth: width, depth: height };
+}
+
+
+/**
+ * Returns the position of the nodes in the layout, from their x across the levels and their y along them
+ */
+function getOrientedPosition(options) {
+    return options.orientation === "horizontal" ? node => ({ x: node.y, y: node.x }) : node => ({ x: node.x, y: node.y });
+}
+
+
+function isAutoOrientation(options) {
+    if (!["vertical", "horizontal", "auto"].includes(options.orientation)) {
+        throw new InvalidArgumentError(`Unknown tree orientation: ${options.orientation}`);
+    }
+    return options.orientation === "auto";
+}
+
+
+/**
+ * Lays out the tree vertically and horizontally, and keeps the layout whose aspect ratio is the closest to options.aspectRatio
+ * @param {function} compute - the tree layout
+ */
+function computeBestOrientation(nestedList, options, compute) {
+    const score = ({ nodes }) => {
+        const { width, height } = getBoundingBox(nodes);
+        return Math.abs(Math.log((width || 1) / (height || 1) / options.aspectRatio));
+    };
+    const vertical = compute(nestedList, { ...options, orientation: "vertical" });
+    const horizontal = compute(nestedList, { ...options, orientation: "horizontal" });
+    return score(horizontal) < score(vertical) ? horizontal : vertical;
+}
+
+
+/**
+ * Builds the layout from the positions of the nodes
+ * @param {object[]} descendants - the nodes of the tree, parents before their children
+ * @param {function} position - returns the { x, y } of a node in the layout
+ * @param {object} options - see DEFAULT_TREE_OPTIONS
+ * @param {function} route - returns the points of the edges between a node and its child, from the node (optional, straight lines by default)
+ * @returns {object} - see computeTidyTreeLayout
+ */
+function toLayout(descendants, position, options, route = null) {
+    const nodes = {};
+    const edges = [];
+    for (const node of descendants) {
+        nodes[node.data.id] = { ...position(node), ...getTreeNodeSize(node, options), attributes: node.data.attributes || {} };
+    }
+    for (const node of descendants) {
+        const { x, y } = nodes[node.data.id];
+        for (const child of node.children || []) {
+            const childPosition = nodes[child.data.id];
+            // the nested lists without edges (e.g. built by hand) go from the parents to the children
+            const treeEdges = child.data.edges || [{ source: node.data.id, target: child.data.id, attributes: {} }];
+            for (const { source, target, attributes } of treeEdges) {
+                // the edges going up, against the flow of the tree, are reversed
+                const reversed = source === child.data.id;
+                const points = route ? route(node, child) : [{ x, y }, { x: childPosition.x, y: childPosition.y }];
+                edges.push({
+                    source,
+                    target,
+                    points: reversed ? points.reverse() : points,
+                    reversed,
+                    attributes: attributes || {},
+                });
+            }
+        }
+    }
+    return { nodes, edges };
+}
+
+
+/**
+ * Returns the nodes of the tree in breadth-first order
+ */
+function getDescendants(root) {
+    const descendants = [root];
+    for (let i = 0; i < descendants.length; i++) {
+        descendants.push(...(descendants[i].children || []));
+    }
+    return descendants;
+}
+
+
+/**
+ * Computes the x coordinates of the tidy tree, the root at 0
+ * @param {object} root - the root built by buildTree
+ * @param {function} separation - the distance between the centers of two nodes on the same level
+ */
+function placeTidyTree(root, separation) {
+    // first walk, in post-order: the preliminary positions relative to the parents
+    const stack = [{ node: root, index: 0, defaultAncestor: null }];
+    while (stack.length > 0) {
+        const frame = stack[stack.length - 1];
+        const { node } = frame;
+        if (frame.index < node.children.length) {
+            stack.push({ node: node.children[frame.index], index: 0, defaultAncestor: null });
+            continue;
+        }
+        stack.pop();
+        const leftSibling = node.number > 0 ? node.parent.children[node.number - 1] : null;
+        if (node.children.length === 0) {
+            node.prelim = leftSibling ? leftSibling.prelim + separation(leftSibling, node) : 0;
+        } else {
+            executeShifts(node);
+            const midpoint = (node.children[0].prelim + node.children[node.children.length - 1].prelim) / 2;
+            if (leftSibling) {
+                node.prelim = leftSibling.prelim + separation(leftSibling, node);
+                node.mod = node.prelim - midpoint;
+            } else {
+                node.prelim = midpoint;
+            }
+        }
+        if (stack.length > 0) {
+            const parentFrame = stack[stack.length - 1];
+            parentFrame.defaultAncestor = apportion(node, parentFrame.defaultAncestor || node.parent.children[0], separation);
+            parentFrame.index++;
+        }
+    }
+
+    // second walk, in pre-order: the final positions, the root at 0
+    const walk = [[root, -root.prelim]];
+    while (walk.length > 0) {
+        const [node, modSum] = walk.pop();
+        node.x = node.prelim + modSum;
+        for (const child of node.children) {
+            walk.push([child, modSum + node.mod]);
+        }
+    }
+}
+
+
+/**
+ * Computes the x coordinates of the centers of the nodes of the compact tree
+ * The preliminary positions are the left borders of the nodes, relative to the parents as in placeTidyTree
+ * The contours of the subtrees are made of their nodes and the edges below them, so the subtrees cannot cross
+ * @param {object} root - the root built by buildTree, every node with its breadth and bottom
+ * @param {object} options - see DEFAULT_TREE_OPTIONS
+ */
+function placeCompactTree(root, options) {
+    // first walk, in post-order: every subtree is separated from its left siblings when it is done
+    // lowest: the left siblings that are the lowest at their bottoms, as { bottom, index, next } from the top
+    const stack = [{ node: root, index: 0, lowest: null }];
+    while (stack.length > 0) {
+        const frame = stack[stack.length - 1];
+        const { node } = frame;
+        if (frame.index < node.children.length) {
+            stack.push({ node: node.children[frame.index], index: 0, lowest: null });
+            continue;
+        }
+        stack.pop();
+        if (node.children.length > 0) {
+            const first = node.children[0];
+            const last = node.children[node.children.length - 1];
+            node.prelim = (first.prelim + first.mod + last.mod + last.prelim + last.breadth) / 2 - node.breadth / 2;
+            // the edges to the first and last children leave the node sideways below it, they are part of its contour
+            node.contourLeft = Math.min(0, first.prelim + first.mod + first.breadth / 2 - node.prelim);
+            node.contourRight = Math.max(node.breadth, last.prelim + last.mod + last.breadth / 2 - node.prelim);
+        } else {
+            node.contourLeft = 0;
+            node.contourRight = node.breadth;
+        }
+        setExtremes(node);
+        if (stack.length > 0) {
+            const parentFrame = stack[stack.length - 1];
+            const index = parentFrame.index;
+            const bottom = (index === 0 ? node.extremeLeft : node.extremeRight).bottom;
+            if (index > 0) {
+                separate(parentFrame.node, index, parentFrame.lowest, options);
+            }
+            parentFrame.lowest = updateLowest(bottom, index, parentFrame.lowest);
+            parentFrame.index++;
+        }
+    }
+
+    // second walk, in pre-order: the final positions, with the shifts of the spread subtrees
+    const walk = [[root, 0]];
+    while (walk.length > 0) {
+        const [node, parentModSum] = walk.pop();
+        const modSum = parentModSum + node.mod;
+        node.x = node.prelim + modSum + node.breadth / 2;
+        let shift = 0;
+        let change = 0;
+        for (const child of node.children) {
+            shift += child.shift;
+            change += shift + child.change;
+            child.mod += change;
+            walk.push([child, modSum]);
+        }
+    }
+}
+
+
+/**
+ * Keeps the deepest nodes on the left and right of the subtree, and the sums of the modifiers down to them
+ */
+function setExtremes(node) {
+    if (node.children.length === 0) {
+        node.extremeLeft = node;
+        node.extremeRight = node;
+        node.extremeLeftMod = 0;
+        node.extremeRightMod = 0;
+        return;
+    }
+    const first = node.children[0];
+    const last = node.children[node.children.length - 1];
+    node.extremeLeft = first.extremeLeft;
+    node.extremeLeftMod = first.extremeLeftMod;
+    node.extremeRight = last.extremeRight;
+    node.extremeRightMod = last.extremeRightMod;
+}
+
+
+/**
+ * Moves the subtree of the child to the right of the subtrees of its left siblings, following the right contour
+ * of the left siblings and the left contour of the subtree from the top, and threads the shorter contour to the longer one
+ */
+function separate(node, index, lowest, options) {
+    let right = node.children[index - 1];
+    let rightModSum = right.mod;
+    let left = node.children[index];
+    let leftModSum = left.mod;
+    while (right && left) {
+        if (right.bottom > lowest.bottom) {
+            lowest = lowest.next;
+        }
+        const spacing = right.parent === node && left.parent === node ? options.siblingSpacing : options.subtreeSpacing;
+        const distance = (rightModSum + right.prelim + right.contourRight + spacing) - (leftModSum + left.prelim + left.contourLeft);
+        if (distance > 0) {
+            leftModSum += distance;
+            moveCompactSubtree(node, index, lowest.index, distance);
+        }
+        const [rightBottom, leftBottom] = [right.bottom, left.bottom];
+        if (rightBottom <= leftBottom) {
+            right = nextRightContour(right);
+            if (right) {
+                rightModSum += right.mod;
+            }
+        }
+        if (rightBottom >= leftBottom) {
+            left = nextLeftContour(left);
+            if (left) {
+                leftModSum += left.mod;
+            }
+        }
+    }
+    if (!right && left) {
+        // the left contour of the subtree continues below the left siblings
+        const first = node.children[0];
+        const extreme = first.extremeLeft;
+        extreme.leftThread = left;
+        const difference = (leftModSum - left.mod) - first.extremeLeftMod;
+        extreme.mod += difference;
+        extreme.prelim -= difference;
+        first.extremeLeft = node.children[index].extremeLeft;
+        first.extremeLeftMod = node.children[index].extremeLeftMod;
+    } else if (right && !left) {
+        // the right contour of the left siblings continues below the subtree
+        const child = node.children[index];
+        const extreme = child.extremeRight;
+        extreme.rightThread = right;
+        const difference = (rightModSum - right.mod) - child.extremeRightMod;
+        extreme.mod += difference;
+        extreme.prelim -= difference;
+        child.extremeRight = node.children[index - 1].extremeRight;
+        child.extremeRightMod = node.children[index - 1].extremeRightMod;
+    }
+}
+
+
+/**
+ * Moves the subtree of a child, the subtrees between it and the sibling it touches are spread in the second walk
+ */
+function moveCompactSubtree(node, index, touched, distance) {
+    const child = node.children[index];
+    child.mod += distance;
+    child.extremeLeftMod += distance;
+    child.extremeRightMod += distance;
+    if (touched !== index - 1) {
+        const subtrees = index - touched;
+        node.children[touched + 1].shift += distance / subtrees;
+        child.shift -= distance / subtrees;
+        child.change -= distance - distance / subtrees;
+    }
+}
+
+
+function nextLeftContour(node) {
+    return node.children.length > 0 ? node.children[0] : node.leftThread;
+}
+
+
+function nextRightContour(node) {
+    return node.children.length > 0 ? node.children[node.children.length - 1] : node.rightThread;
+}
+
+
+function updateLowest(bottom, index, lowest) {
+    while (lowest && bottom >= lowest.bottom) {
+        lowest = lowest.next;
+    }
+    return { bottom, index, next: lowest };
+}
+
+
+/**
+ * Copies the nested list into the nodes used by the algorithm
+ */
+function buildTree(nestedList) {
+    const root = createTreeNode(nestedList, null, 0, 0);
+    const queue = [root];
+    for (let i = 0; i < queue.length; i++) {
+        const node = queue[i];
+        node.children = (node.data.children || []).map((child, number) => createTreeNode(child, node, number, node.depth + 1));
+        queue.push(...node.children);
+    }
+    return root;
+}
+
+
+function createTreeNode(data, parent, number, depth) {
+    const node = {
+        data,
+        parent,
+        number,
+        depth,
+        children: [],
+        prelim: 0,
+        mod: 0,
+        shift: 0,
+        change: 0,
+        thread: null,
+        ancestor: null,
+        // the contours of the compact trees, contourLeft and contourRight are relative to the prelim
+        contourLeft: 0,
+        contourRight: 0,
+        leftThread: null,
+        rightThread: null,
+        extremeLeft: null,
+        extremeRight: null,
+        extremeLeftMod: 0,
+        extremeRightMod: 0,
+        x: 0,
+        y: 0,
+    };
+    node.ancestor = node;
+    return node;
+}
+
+
+function nextLeft(node) {
+    return node.children.length > 0 ? node.children[0] : node.thread;
+}
+
+
+function nextRight(node) {
+    return node.children.length > 0 ? node.children[node.children.length - 1] : node.thread;
+}
+
+
+/**
+ * Places the subtree of the node as close as possible to the subtrees of its left siblings
+ * The inside and outside contours of the subtrees are followed level by level, the subtree is moved right
+ * when it gets too close, and the subtrees in between are spread by executeShifts
+ * @returns {object} - the default ancestor for the next sibling
+ */
+function apportion(node, defaultAncestor, separation) {
+    if (node.number === 0) {
+        return defaultAncestor;
+    }
+    // i: inside, o: outside, p: right (plus), m: left (minus)
+    let vip = node;
+    let vop = node;
+    let vim = node.parent.children[node.number - 1];
+    let vom = node.parent.children[0];
+    let sip = vip.mod;
+    let sop = vop.mod;
+    let sim = vim.mod;
+    let som = vom.mod;
+    while (nextRight(vim) && nextLeft(vip)) {
+        vim = nextRight(vim);
+        vip = nextLeft(vip);
+        vom = nextLeft(vom);
+        vop = nextRight(vop);
+        vop.ancestor = node;
+        const shift = (vim.prelim + sim) - (vip.prelim + sip) + separation(vim, vip);
+        if (shift > 0) {
+            const ancestor = vim.ancestor.parent === node.parent ? vim.ancestor : defaultAncestor;
+            moveSubtree(ancestor, node, shift);
+            sip += shift;
+            sop += shift;
+        }
+        sim += vim.mod;
+        sip += vip.mod;
+        som += vom.mod;
+        sop += vop.mod;
+    }
+    if (nextRight(vim) && !nextRight(vop)) {
+        vop.thread = nextRight(vim);
+        vop.mod += sim - sop;
+    }
+    if (nextLeft(vip) && !nextLeft(vom)) {
+        vom.thread = nextLeft(vip);
+        vom.mod += sip - som;
+        defaultAncestor = node;
+    }
+    return defaultAncestor;
+}
+
+
+function moveSubtree(left, right, shift) {
+    const subtrees = right.number - left.number;
+    right.change -= shift / subtrees;
+    right.shift += shift;
+    left.change += shift / subtrees;
+    right.prelim += shift;
+    right.mod += shift;
+}
+
+
+function executeShifts(node) {
+    let shift = 0;
+    let change = 0;
+    for (let i = node.children.length - 1; i >= 0; i--) {
+        const child = node.children[i];
+        child.prelim += shift;
+        child.mod += shift;
+        change += child.change;
+        shift += child.shift + change;
+    }
+}
@@ -1,44 +1,82 @@
+import { Graph, ComponentSet } from "./graph.js";
+import {
+    shareAttributes,
+    copyAttributes,
+    getNodeAttributes,
+    getEdgeAttributes,
+    getNodeSize,
+} from "./attributes.js";
+import { DEFAULT_TREE_OPTIONS, getTreeSeparation, hierarchyToLayout, layoutTree } from "./tree-layout.js";
+import { packComponents } from "./packing.js";
+import { clipRoute } from "./svg-export.js";
+import { breadthFirstSearch, depthFirstSearch, getStronglyConnectedComponents, getUndirectedNeighbors } from "./traversal.js";
+import { DuplicateEdgeError, InvalidArgumentError, UnknownNodeError, UnknownEdgeError } from "./errors.js";
+import {
+    assertAdjacencyList,
+    assertComponents,
+    assertEdge,
+    assertNeighbors,
+    assertNode,
+    toNodeId,
+} from "./validation.js";
+
+
 /**
  * Takes an adjacency list of a tree and returns a nested list
  * This is the format that d3.tree() expects
  * This function assumes that the underlying graph is a tree
- * If the root is not specified, the first node in the adjacency list is used as the root
+ * If the root is not specified, it is chosen with getBestRoot
+ * Every node of the nested list carries the attributes of the node and the edges between it and its parent
+ * ({source, target, attributes}), the edges keep their directions: an edge may go from a child to its parent
  * @param {object} adjList - the adjacency list of the tree
  * @param {string} root - the root of the tree (optional)
+ * @param {string|string[]} strategy - the root selection strategy used when the root is not specified (optional)
  * @returns {Object} - nested list of the tree
+ * @throws {InvalidArgumentError} - if the adjacency list is empty
  */
-export function treeAdjacencyListToNestedList(adjList, root = null) {
+export function treeAdjacencyListToNestedList(adjList, root = null, strategy = DEFAULT_ROOT_SELECTION) {
+    assertAdjacencyList(adjList);
+    if (Object.keys(adjList).length === 0) {
+        throw new InvalidArgumentError("An empty adjacency list has no root");
+    }
     if (!root) {
-        root = Object.keys(adjList)[0];
+        root = getBestRoot(adjList, strategy);
+    } else {
+        assertNode(adjList, root);
+        root = String(root);
     }
-    const visited = new Set();
-    const reverseEdges = {};
-
-    // Build reverse edges
-    Object.entries(adjList).forEach(([node, neighbors]) => {
-        neighbors.forEach(neighbor => {
-            if (!reverseEdges[neighbor]) {
-                reverseEdges[neighbor] = [];
+    const nestedObjs = new Map();
+    // the forward neighbors of every node, so that the edges of a node with many children are found in constant time
+    const forward = new Map();
+    const hasEdge = (source, target) => {
+        if (!forward.has(source)) {
+            forward.set(source, new Set(adjList[source] || []));
+        }
+        return forward.get(source).has(target);
+    };
+
+    // the children of a node are its neighbors from the forward and reverse edges that are not visited yet
+    depthFirstSearch(adjList, root, {
+        enter(node, parent) {
+            const nestedObj = { id: node.toString(), attributes: getNodeAttributes(adjList, node), children: [] };
+            nestedObjs.set(node, nestedObj);
+            if (parent === null) {
+                return;
             }
-            reverseEdges[neighbor].push(node);
-        });
-    });
-
-    function dfs(node) {
-        visited.add(node);
-        const nestedObj = { id: node.toString(), children: [] };
-        // get children from forward and reverse edges (no duplicates, a node might not be listed in reverse edges). Do not visit visited nodes
-        const children = [...new Set([...adjList[node], ...(reverseEdges[node] || [])])];
-        children.forEach(child => {
-            if (!visited.has(child)) {
-                const childObj = dfs(child);
-                nestedObj.children.push(childObj);
+            const parentObj = nestedObjs.get(parent);
+            // the edges of the graph between the node and its parent, in their original directions
+            nestedObj.edges = [];
+            if (hasEdge(parent, node)) {
+                nestedObj.edges.push({ source: parentObj.id, target: nestedObj.id, attributes: getEdgeAttributes(adjList, parent, node) });
             }
-        });
-        return nestedObj;
-    }
+            if (hasEdge(node, parent)) {
+                nestedObj.edges.push({ source: nestedObj.id, target: parentObj.id, attributes: getEdgeAttributes(adjList, node, parent) });
+            }
+            parentObj.children.push(nestedObj);
+        },
+    }, { neighbors: getUndirectedNeighbors(adjList) });
 
-    return dfs(root);
+    return nestedObjs.get(root);
 }
 
 
@@ -47,20 +85,15 @@ export function treeAdjacencyListToNestedList(adjList, root = null) {
  * @param {object} adjList - the adjacency list of the tree
  * @param {string} node - the node to add to the adjacency list
  * @param {string[]} neighbors - the neighbors of the node
+ * @throws {InvalidNodeError} - if the node or a neighbor is not a node id
  */
 export function addNodeToAdjacencyList(adjList, node, neighbors = []) {
+    assertAdjacencyList(adjList, false);
+    node = toNodeId(node);
+    assertNeighbors(neighbors);
     // if node already exists, add neighbors to existing list (no duplicates)
     // if node does not exist, add node to list with neighbors
-    for (const neighbor of neighbors) {
-        if (!adjList[neighbor]) {
-            addNodeToAdjacencyList(adjList, neighbor, []);
-        }
-    }
-    if (adjList[node]) {
-        adjList[node] = [...new Set([...adjList[node], ...neighbors])];
-    } else {
-        adjList[node] = neighbors;
-    }
+    new Graph(adjList).addNode(node, neighbors);
 }
 
 
@@ -70,12 +103,23 @@ export function addNodeToAdjacencyList(adjList, node, neighbors = []) {
  * @param {string} parentNode - the parent node
  * @param {string} childNode - the child node
  * @param {boolean} bidirectional - whether the edge to be added must be bidirectional (optional)
+ * @throws {DuplicateEdgeError} - if the edge, or its reverse when bidirectional, already exists
  */
 export function addEdgeToAdjacencyList(adjList, parentNode, childNode, bidirectional = false) {
+    assertAdjacencyList(adjList, false);
+    parentNode = toNodeId(parentNode);
+    childNode = toNodeId(childNode);
+    const graph = new Graph(adjList);
+    if (graph.hasEdge(parentNode, childNode)) {
+        throw new DuplicateEdgeError(parentNode, childNode);
+    }
+    if (bidirectional && graph.hasEdge(childNode, parentNode)) {
+        throw new DuplicateEdgeError(childNode, parentNode);
+    }
     if (bidirectional) {
-        addEdgeToAdjacencyList_bidirectional(adjList, childNode, parentNode);
+        graph.addEdge(childNode, parentNode);
     }
-    addNodeToAdjacencyList(adjList, parentNode, [childNode]);
+    graph.addEdge(parentNode, childNode);
 }
 
 
@@ -83,13 +127,12 @@ export function addEdgeToAdjacencyList(adjList, parentNode, childNode, bidirecti
  * Removes a node from the adjacency list
  * @param {object} adjList - the adjacency list of the tree
  * @param {string} node - the node to remove from the adjacency list
+ * @throws {UnknownNodeError} - if the node is not in the adjacency list
  */
 export function removeNodeFromAdjacencyList(adjList, node) {
-    // remove node from adjacency list
-    for (const n in adjList) {
-        adjList[n] = adjList[n].filter(neighbor => neighbor !== node);
-    }
-    delete adjList[node];
+    assertAdjacencyList(adjList, false);
+    assertNode(adjList, node);
+    new Graph(adjList).removeNode(node);
 }
 
 
@@ -99,12 +142,19 @@ export function removeNodeFromAdjacencyList(adjList, node) {
  * @param {string} parentNode - the parent node
  * @param {string} childNode - the child node
  * @param {boolean} bidirectional - whether to remove the edge in both directions (optional)
+ * @throws {UnknownEdgeError} - if the edge, or its reverse when bidirectional, is not in the adjacency list
  */
 export function removeEdgeFromAdjacencyList(adjList, parentNode, childNode, bidirectional = false) {
+    assertAdjacencyList(adjList, false);
+    assertEdge(adjList, parentNode, childNode);
     if (bidirectional) {
-        removeEdgeFromAdjacencyList(adjList, childNode, parentNode);
+        assertEdge(adjList, childNode, parentNode);
     }
-    adjList[parentNode] = adjList[parentNode].filter(n => n !== childNode);
+    const graph = new Graph(adjList);
+    if (bidirectional) {
+        graph.removeEdge(childNode, parentNode);
+    }
+    graph.removeEdge(parentNode, childNode);
 }
 
 
@@ -114,10 +164,11 @@ export function removeEdgeFromAdjacencyList(adjList, parentNode, childNode, bidi
  * @returns {object} - an object with the in-degrees as the keys and the nodes with that in-degree as the values
  */
 export function getIndegrees(adjacencyList) {
+    assertAdjacencyList(adjacencyList);
     // get the in-degree of each node in the adjacency list
     const inDegree = {};
     for (const node in adjacencyList) {
-        inDegree[node] = 0;
+        inDegree[node] = inDegree[node] || 0;
         for (const neighbor of adjacencyList[node]) {
             inDegree[neighbor] = (inDegree[neighbor] || 0) + 1;
         }
@@ -160,38 +211,35 @@ export function getNodesWithZeroIndegree(adjacencyList) {
 
 /**
  * Given an adjacecy list and a node, returns the number of nodes reachable from the node
+ * A neighbor that is not a key of the adjacency list counts as a node without edges
  * @param {object} adjacencyList - the adjacency list of the graph
  * @param {string} node - the node to start the search from
  * @returns {number} - the number of nodes reachable from the node
+ * @throws {UnknownNodeError} - if the node is not in the adjacency list
  */
 export function getNumberofReachableNodes(adjacencyList, node) {
+    assertAdjacencyList(adjacencyList, false);
+    assertNode(adjacencyList, node);
     // get the nodes reachable from the node
-    const visited = new Set();
-
-    function dfs(node) {
-        visited.add(node);
-        for (const neighbor of adjacencyList[node]) {
-            if (!visited.has(neighbor)) {
-                dfs(neighbor);
-            }
-        }
-    }
-
-    dfs(node);
-    return visited.size;
+    return depthFirstSearch(adjacencyList, node).size;
 }
 
 
 /**
  * Returns the number of reachable nodes for each node in the adjacency list
+ * Linear when the graph is a tree whatever the directions of its edges: the counts are summed over the strongly connected
+ * components, which form a tree too, so the nodes reached through different successors are different. Otherwise
+ * the nodes reachable from every node are searched
  * @param {object} adjacencyList - the adjacency list of the graph
  * @returns {object} - an object with the number of reachable nodes as the key and the nodes with that number of reachable nodes as the value
  */
 export function getPossibleRoots_mostReachableNodes(adjacencyList) {
+    assertAdjacencyList(adjacencyList);
+    const counts = countReachableNodes(adjacencyList);
     // create an object with the number of reachable nodes as the key and the nodes with that number of reachable nodes as the value
     const reachableNodes = {};
     for (const node in adjacencyList) {
-        const reachable = getNumberofReachableNodes(adjacencyList, node);
+        const reachable = counts ? counts.get(node) : getNumberofReachableNodes(adjacencyList, node);
         if (!reachableNodes[reachable]) {
             reachableNodes[reachable] = [];
         }
@@ -202,12 +250,239 @@ export function getPossibleRoots_mostReachableNodes(adjacencyList) {
 
 
 /**
- *
+ * Counts the nodes reachable from every node in one pass over the strongly connected components
+ * @returns {Map} - the number of nodes reachable from every node, null when the components do not form a forest
+ */
+function countReachableNodes(adjacencyList) {
+    const components = getStronglyConnectedComponents(adjacencyList);
+    const componentOf = new Map();
+    components.forEach((component, index) => component.forEach(node => componentOf.set(node, index)));
+    // the components are a forest when no edge between them joins two components that are already connected
+    const parents = components.map((component, index) => index);
+    const find = (index) => {
+        while (parents[index] !== index) {
+            parents[index] = parents[parents[index]];
+            index = parents[index];
+        }
+        return index;
+    };
+    const counts = [];
+    for (let index = 0; index < components.length; index++) {
+        // the components reached from this one come before it
+        const successors = new Set();
+        for (const node of components[index]) {
+            for (const neighbor of adjacencyList[node] || []) {
+                if (componentOf.get(neighbor) !== index) {
+                    successors.add(componentOf.get(neighbor));
+                }
+            }
+        }
+        let count = components[index].length;
+        for (const successor of successors) {
+            const [a, b] = [find(index), find(successor)];
+            if (a === b) {
+                return null;
+            }
+            parents[a] = b;
+            count += counts[successor];
+        }
+        counts.push(count);
+    }
+    return new Map([...componentOf].map(([node, index]) => [node, counts[index]]));
+}
+
+
+/**
+ * Returns the number of nodes on each level of the breadth-first tree rooted at the node
+ * The edges are followed in both directions, as in treeAdjacencyListToNestedList
+ * @param {object} bidirectionalAdjacencyList - the bidirectional adjacency list of the graph
+ * @param {string} root - the root of the breadth-first tree
+ * @returns {number[]} - the number of nodes on each level, the first level being the root
+ * @throws {UnknownNodeError} - if the root is not in the adjacency list
+ */
+export function getLevelWidths(bidirectionalAdjacencyList, root) {
+    assertAdjacencyList(bidirectionalAdjacencyList, false);
+    assertNode(bidirectionalAdjacencyList, root);
+    const widths = [];
+    breadthFirstSearch(bidirectionalAdjacencyList, root, {
+        enter(node, parent, depth) {
+            widths[depth] = (widths[depth] || 0) + 1;
+        },
+    });
+    return widths;
+}
+
+
+/**
+ * Strategies used by getBestRoot to pick a root
+ * Each strategy gives a score to the candidate nodes (all the nodes of the adjacency list by default), the lower the score the better the root
+ * - leastIndegree: the in-degree of the node
+ * - mostReachableNodes: the number of nodes reachable from the node, negated
+ * - center: the eccentricity of the node, ignoring the direction of the edges
+ * - minHeight: the height in pixels of the tidy tree rooted at the node, where every level is as high as its highest node
+ *   (the same order as center when all the nodes have the same height)
+ * - minWidth: the largest number of nodes on a level of the tree rooted at the node
+ */
+export const rootSelectionStrategies = {
+    leastIndegree(adjacencyList) {
+        return scoresFromBuckets(getPossibleRoots_leastIndegree(adjacencyList), indegree => indegree);
+    },
+    mostReachableNodes(adjacencyList) {
+        return scoresFromBuckets(getPossibleRoots_mostReachableNodes(adjacencyList), reachable => -reachable);
+    },
+    center(adjacencyList, candidates = Object.keys(adjacencyList)) {
+        return getEccentricities(adjacencyList, candidates);
+    },
+    minHeight(adjacencyList, candidates = Object.keys(adjacencyList)) {
+        return scoresFromLevels(adjacencyList, candidates, (bidirectionalAdjacencyList, root) => {
+            const heights = [];
+            breadthFirstSearch(bidirectionalAdjacencyList, root, {
+                enter(node, parent, depth) {
+                    heights[depth] = Math.max(heights[depth] || 0, getNodeSize(adjacencyList, node).height);
+                },
+            });
+            let height = (heights.length - 1) * DEFAULT_TREE_OPTIONS.levelSpacing;
+            for (const levelHeight of heights) {
+                height += levelHeight;
+            }
+            return height;
+        }, node => getNodeSize(adjacencyList, node).height);
+    },
+    minWidth(adjacencyList, candidates = Object.keys(adjacencyList)) {
+        return scoresFromLevels(adjacencyList, candidates, (bidirectionalAdjacencyList, root) => {
+            let width = 0;
+            for (const levelWidth of getLevelWidths(bidirectionalAdjacencyList, root)) {
+                width = Math.max(width, levelWidth);
+            }
+            return width;
+        });
+    },
+};
+
+
+/**
+ * Combination used when no strategy is given to getBestRoot
+ * Prefers the nodes from which the edges point downwards the tree, then the shortest and narrowest trees
+ */
+export const DEFAULT_ROOT_SELECTION = ["mostReachableNodes", "leastIndegree", "center", "minWidth"];
+
+
+function scoresFromBuckets(buckets, score) {
+    const scores = {};
+    for (const key in buckets) {
+        for (const node of buckets[key]) {
+            scores[node] = score(Number(key));
+        }
+    }
+    return scores;
+}
+
+
+/**
+ * Scores the candidates from the levels of the trees rooted at them
+ * @param {function} score - (bidirectionalAdjacencyList, root) => the score of the root
+ * @param {function} ownKey - node => what the score takes from the node itself besides its place (e.g. its size), null if nothing (optional)
+ */
+function scoresFromLevels(adjacencyList, candidates, score, ownKey = null) {
+    const bidirectionalAdjacencyList = makeAdjacencyListBidirectional(adjacencyList);
+    // the nodes with the same neighbors (e.g. the leaves of a star) have the same levels, they are only searched once,
+    // unless the score depends on the nodes themselves and they differ
+    const twins = new Map();
+    const scores = {};
+    for (const node of candidates) {
+        const neighbors = [...bidirectionalAdjacencyList[node]].sort();
+        const key = JSON.stringify(ownKey ? [ownKey(node), neighbors] : neighbors);
+        if (!twins.has(key)) {
+            twins.set(key, score(bidirectionalAdjacencyList, node));
+        }
+        scores[node] = twins.get(key);
+    }
+    return scores;
+}
+
+
+/**
+ * Returns the eccentricities of the candidates, ignoring the direction of the edges
+ * In a tree, the farthest node from any node is an end of a longest path, which two breadth-first searches find,
+ * so a third one gives all the eccentricities. In the other graphs, a search is run from every candidate
+ */
+function getEccentricities(adjacencyList, candidates) {
+    const neighbors = getUndirectedNeighbors(adjacencyList);
+    const getDistances = (start) => {
+        const distances = new Map();
+        breadthFirstSearch(adjacencyList, start, {
+            enter(node, parent, depth) {
+                distances.set(node, depth);
+            },
+        }, { neighbors });
+        return distances;
+    };
+    // a connected graph is a tree when it has one edge less than nodes, each edge being listed by both its ends
+    const nodes = new Set(Object.keys(adjacencyList));
+    let degrees = 0;
+    for (const node in adjacencyList) {
+        adjacencyList[node].forEach(neighbor => nodes.add(neighbor));
+    }
+    for (const node of nodes) {
+        degrees += neighbors(node).filter(neighbor => neighbor !== node).length;
+    }
+    const fromStart = getDistances(candidates[0]);
+    const scores = {};
+    if (fromStart.size < nodes.size || degrees !== 2 * (nodes.size - 1)) {
+        for (const node of candidates) {
+            let eccentricity = 0;
+            for (const distance of getDistances(node).values()) {
+                eccentricity = Math.max(eccentricity, distance);
+            }
+            scores[node] = eccentricity;
+        }
+        return scores;
+    }
+    const getFarthest = (distances) => {
+        let farthest = null;
+        for (const [node, distance] of distances) {
+            if (farthest === null || distance > distances.get(farthest)) {
+                farthest = node;
+            }
+        }
+        return farthest;
+    };
+    const fromFirst = getDistances(getFarthest(fromStart));
+    const fromSecond = getDistances(getFarthest(fromFirst));
+    for (const node of candidates) {
+        scores[node] = Math.max(fromFirst.get(node), fromSecond.get(node));
+    }
+    return scores;
+}
+
+
+/**
+ * Returns the best root for visualizing the tree
+ * When several strategies are given, they are combined in order: the next strategy is only used to break the ties of the previous ones,
+ * and only scores the nodes still tied
  * @param {object} adjacencyList - the adjacency list of the graph
- * @returns {string[]} - the best root for visualizing the tree
+ * @param {string|string[]} strategy - the name or names of the strategies to use, see rootSelectionStrategies (optional)
+ * @returns {string} - the best root for visualizing the tree
  */
-export function getBestRoot(adjacencyList) {
-    // TODO: implement
+export function getBestRoot(adjacencyList, strategy = DEFAULT_ROOT_SELECTION) {
+    assertAdjacencyList(adjacencyList);
+    const strategies = Array.isArray(strategy) ? strategy : [strategy];
+    let candidates = Object.keys(adjacencyList);
+    for (const name of strategies) {
+        if (candidates.length <= 1) {
+            break;
+        }
+        if (!rootSelectionStrategies[name]) {
+            throw new InvalidArgumentError(`Unknown root selection strategy: ${name}`);
+        }
+        const scores = rootSelectionStrategies[name](adjacencyList, candidates);
+        let bestScore = Infinity;
+        for (const node of candidates) {
+            bestScore = Math.min(bestScore, scores[node]);
+        }
+        candidates = candidates.filter(node => scores[node] === bestScore);
+    }
+    return candidates[0];
 }
 
 
@@ -220,6 +495,7 @@ export function isDirectedTree(adjList) {
     // check if the adjacency list is a directed tree by finding the root
     // if there is no root, return false
     // the graph is assumed to be connected
+    assertAdjacencyList(adjList);
 
     // get possible roots
     const roots = getNodesWithZeroIndegree(adjList);
@@ -229,26 +505,22 @@ export function isDirectedTree(adjList) {
         return false;
     }
 
-    // for all the roots, check if the graph is a tree
-    for (const root of roots) {
-        const visited = new Set();
+    // the other roots cannot be reached from a root, so there is no tree when there are several
+    if (roots.length > 1) {
+        return null;
+    }
 
-        function dfs(node) {
-            visited.add(node);
-            for (const child of adjList[node]) {
-                if (!visited.has(child)) {
-                    dfs(child);
-                }
+    // if all the nodes are visited, the graph is a tree
+    const root = roots[0];
+    let visitedNodes = 0;
+    depthFirstSearch(adjList, root, {
+        enter(node) {
+            if (Object.prototype.hasOwnProperty.call(adjList, node)) {
+                visitedNodes++;
             }
-        }
-
-        dfs(root);
-        // if all the nodes are visited, return true
-        if (visited.size === Object.keys(adjList).length) {
-            return root;
-        }
-    }
-    return null;
+        },
+    });
+    return visitedNodes === Object.keys(adjList).length ? root : null;
 }
 
 
@@ -263,36 +535,18 @@ export function isDirectedAcyclicGraph(adjacencyList) {
      * @param {object} adjacencyList - the adjacency list of the graph
      * @returns {boolean} - true if the graph is a directed acyclic graph, false otherwise
      */
-    const visited = new Set();
-    // define searchVisited as a set without instantiating it as new set
-    let searchVisited;
-
-    for (let node in adjacencyList) {
-        if (!visited.has(node)) {
-            searchVisited = new Set(); // Separate set for each search
-            if (hasCycle(node, null)) {
+    assertAdjacencyList(adjacencyList);
+    let acyclic = true;
+    // an edge back to a node on the path of the search closes a cycle
+    depthFirstSearch(adjacencyList, Object.keys(adjacencyList), {
+        edge(node, neighbor, kind) {
+            if (kind === "back") {
+                acyclic = false;
                 return false;
             }
-        }
-    }
-    return true;
-
-    function hasCycle(node, parent) {
-        visited.add(node);
-        searchVisited.add(node); // Add node to the set for the current search
-
-        for (let neighbor of adjacencyList[node]) {
-            if (!visited.has(neighbor)) {
-                if (hasCycle(neighbor, node)) {
-                    return true;
-                }
-            } else if (searchVisited.has(neighbor) && neighbor !== parent) {
-                return true;
-            }
-        }
-
-        return false;
-    }
+        },
+    });
+    return acyclic;
 }
 
 
@@ -307,30 +561,32 @@ export function isUndirectedAcyclicGraph(adjacencyList) {
 
     // get any node to be the root
     const root = Object.keys(bidirectionalAdjacencyList)[0];
-    const visited = new Set();
-
-    function dfs(node, parent) {
-        visited.add(node);
-
-        for (let neighbor of bidirectionalAdjacencyList[node]) {
-            if (!visited.has(neighbor)) {
-                if (dfs(neighbor, node)) {
-                    return true;
-                }
-            } else if (neighbor !== parent) {
-                return true;
-            }
-        }
-        return false;
+    if (root === undefined) {
+        return true;
     }
-
-    return !dfs(root, null);
+    const parents = new Map();
+    let acyclic = true;
+
+    // an edge to a visited node other than the parent closes a cycle
+    depthFirstSearch(bidirectionalAdjacencyList, root, {
+        enter(node, parent) {
+            parents.set(node, parent);
+        },
+        edge(node, neighbor, kind) {
+            if (kind !== "tree" && neighbor !== parents.get(node)) {
+                acyclic = false;
+                return false;
+            }
+        },
+    });
+    return acyclic;
 }
 
 
 export function getConnectedComponents(adjList, bidirectional = false) {
     /**
      * Seperates the graph into connected components
+     * The components share the node and edge attributes of the graph
      * @param {object} adjList - the adjacency list of the graph
      * @param {boolean} bidirectional - true if the graph is bidirectional, false otherwise
      * @returns {object[]} - an array of objects where each object is an adjacency list of a connected component
@@ -343,147 +599,124 @@ export function getConnectedComponents(adjList, bidirectional = false) {
 }
 
 
+// the component sets of the arrays of components given to the functions below, so that the index of the nodes
+// is built and the components are checked once instead of on every call
+const componentSets = new WeakMap();
+
+
+/**
+ * Returns the component set of an array of components, created on the first call
+ * The component set is created again when the array was changed by hand (components or nodes added or removed),
+ * the neighbor arrays are used in place so their changes are always seen
+ */
+function getComponentSet(components) {
+    const componentSet = componentSets.get(components);
+    if (componentSet && isComponentSetCurrent(componentSet, components)) {
+        return componentSet;
+    }
+    assertComponents(components);
+    componentSets.set(components, new ComponentSet(components));
+    return componentSets.get(components);
+}
+
+
+/**
+ * Checks that the index of a component set still matches the nodes of the components, in linear time
+ */
+function isComponentSetCurrent(componentSet, components) {
+    let count = 0;
+    for (const component of components) {
+        const size = componentSet.sizes.get(component);
+        if (size === undefined) {
+            return false;
+        }
+        let componentCount = 0;
+        for (const node in component) {
+            if (componentSet.index.get(node) !== component) {
+                return false;
+            }
+            componentCount++;
+        }
+        if (componentCount !== size) {
+            return false;
+        }
+        count += componentCount;
+    }
+    return count === componentSet.index.size;
+}
+
+
 export function addNodetoAdjacencyListComponents(components, node, neighbors = []) {
     /**
      * Adds a node to a list of components
+     * The components of the neighbors are merged
      * @param {object[]} components - an array of objects where each object is an adjacency list of a connected component
      * @param {string} node - the node to be added
      * @param {string[]} neighbors - the neighbors of the node
      */
-    // each of the components is of the form {node: [neighbors]}
-    // if node has no neighbors, add it to a new component
-    if (neighbors.length === 0) {
-        components.push({ [node]: [] });
-        return;
-    }
-
-    // merging components if no longer disconnected
-
-    // get a list (no duplicates) of the components that contain the neighbors
-    const neighborComponents = [];
-    for (const neighbor of neighbors) {
-        for (const component of components) {
-            if (component[neighbor]) {
-                if (!neighborComponents.includes(component)) {
-                    neighborComponents.push(component);
-                    components.splice(components.indexOf(component), 1);
-                }
-                break;
-            }
-        }
-    }
-
-    const mergedComponents = mergeAdjacencyListsOfUnconnectedGraphs(...neighborComponents);
-
-    // add the node to the merged components
-    addNodeToAdjacencyList(mergedComponents, node, neighbors);
-
-    // add the merged components to the components list
-    components.push(mergedComponents);
+    node = toNodeId(node);
+    assertNeighbors(neighbors);
+    getComponentSet(components).addNode(node, neighbors);
 }
 
 
 export function removeNodeFromAdjacencyListComponents(components, node) {
     /**
      * Removes a node from a list of components
+     * The component of the node is split if it is no longer connected
      * @param {object[]} components - an array of objects where each object is an adjacency list of a connected component
      * @param {string} node - the node to be removed
+     * @throws {UnknownNodeError} - if the node is in none of the components
      */
-    // remove node from adjacency list
-    for (const component of components) {
-        if (component[node]) {
-            removeNodeFromAdjacencyList(component, node);
-
-            // if the component is empty, remove it from the components list
-            if (Object.keys(component).length === 0) {
-                components.splice(components.indexOf(component), 1);
-                break;
-            }
-
-
-            const separateComponents = getConnectedComponents(component);
-            if (separateComponents.length > 1) {
-                // remove the component from the components list
-                components.splice(components.indexOf(component), 1);
-                // add the separated components to the components list
-                components.push(...separateComponents);
-            }
-            break;
-        }
+    node = toNodeId(node);
+    const componentSet = getComponentSet(components);
+    if (!componentSet.hasNode(node)) {
+        throw new UnknownNodeError(node);
     }
+    componentSet.removeNode(node);
 }
 
 
 export function addEdgeToAdjacencyListComponents(components, parentNode, childNode) {
     /**
      * Adds an edge to a list of components
+     * The components of the parent and child nodes are merged if they are different
      * @param {object[]} components - an array of objects where each object is an adjacency list of a connected component
      * @param {string} parentNode - the parent node of the edge
      * @param {string} childNode - the child node of the edge
-     *
+     * @throws {DuplicateEdgeError} - if the edge already exists
      */
-    // get the component that contain the parent and child nodes
-    let parentComponent;
-    let childComponent;
-    for (const component of components) {
-        if (component[parentNode]) {
-            parentComponent = component;
-        }
-        if (component[childNode]) {
-            childComponent = component;
-        }
-        // if both components are found, break
-        if (parentComponent && childComponent) {
-            break;
-        }
-    }
-
-    // if the parent and child nodes are in the same component, add the edge to the component
-    if (parentComponent === childComponent) {
-        addEdgeToAdjacencyList(parentComponent, parentNode, childNode);
-        return;
+    parentNode = toNodeId(parentNode);
+    childNode = toNodeId(childNode);
+    const componentSet = getComponentSet(components);
+    if (componentSet.hasNode(parentNode) && componentSet.getComponent(parentNode)[parentNode].includes(childNode)) {
+        throw new DuplicateEdgeError(parentNode, childNode);
     }
-
-    // if the parent and child nodes are in different components, merge the components
-    components.splice(components.indexOf(parentComponent), 1);
-    components.splice(components.indexOf(childComponent), 1);
-    const mergedComponents = mergeAdjacencyListsOfUnconnectedGraphs(parentComponent, childComponent);
-
-    // add the edge to the merged components
-    addEdgeToAdjacencyList(mergedComponents, parentNode, childNode);
-
-    // add the merged components to the components list
-    components.push(mergedComponents);
+    componentSet.addEdge(parentNode, childNode);
 }
 
 
 export function removeEdgeFromAdjacencyListComponents(components, parentNode, childNode) {
     /**
      * Removes an edge from a list of components
+     * The component of the edge is split if it is no longer connected
      * @param {object[]} components - an array of objects where each object is an adjacency list of a connected component
      * @param {string} parentNode - the parent node of the edge
      * @param {string} childNode - the child node of the edge
+     * @throws {UnknownNodeError|UnknownEdgeError} - if a node is in none of the components or the edge does not exist
      */
-    // get the component that contain the parent and child nodes
-    let parentComponent;
-    for (const component of components) {
-        if (component[parentNode] && component[childNode]) {
-            parentComponent = component;
-            break;
+    parentNode = toNodeId(parentNode);
+    childNode = toNodeId(childNode);
+    const componentSet = getComponentSet(components);
+    for (const node of [parentNode, childNode]) {
+        if (!componentSet.hasNode(node)) {
+            throw new UnknownNodeError(node);
         }
     }
-
-    // remove the edge from the component
-    removeEdgeFromAdjacencyList(parentComponent, parentNode, childNode);
-
-    // if the component is now disconnected, separate it into separate components
-    const separateComponents = getConnectedComponents(parentComponent);
-    if (separateComponents.length > 1) {
-        // remove the component from the components list
-        components.splice(components.indexOf(parentComponent), 1);
-        // add the separated components to the components list
-        components.push(...separateComponents);
+    if (!componentSet.getComponent(parentNode)[parentNode].includes(childNode)) {
+        throw new UnknownEdgeError(parentNode, childNode);
     }
+    componentSet.removeEdge(parentNode, childNode);
 }
 
 
@@ -493,36 +726,8 @@ export function getConnectedComponents_directed(adjList) {
      * @param {object} adjList - an adjacency list of a directed graph
      * @returns {object[]} an array of adjacency lists of the connected components of a directed graph
      */
-    const visited = new Set();
-    const components = [];
-
-    for (let node in adjList) {
-        if (!visited.has(node)) {
-            const component = {};
-            dfs(node, component);
-            components.push(component);
-        }
-    }
-
-    function dfs(node, component) {
-        visited.add(node);
-        component[node] = adjList[node];
-
-        for (let neighbor of adjList[node]) {
-            if (!visited.has(neighbor)) {
-                dfs(neighbor, component);
-            }
-        }
-
-        // Reverse DFS
-        for (let neighbor in adjList) {
-            if (!visited.has(neighbor) && adjList[neighbor].includes(node)) {
-                dfs(neighbor, component);
-            }
-        }
-    }
-
-    return components;
+    assertAdjacencyList(adjList);
+    return splitIntoComponents(adjList, getUndirectedNeighbors(adjList));
 }
 
 
@@ -532,28 +737,27 @@ export function getConnectedComponents_undirected(adjList) {
      * @param {object} adjList - an adjacency list of an undirected graph
      * @returns {object[]} an array of adjacency lists of the connected components of an undirected graph
      */
-    const visited = new Set();
-    const components = [];
-
-    for (let node in adjList) {
-        if (!visited.has(node)) {
-            const component = {};
-            dfs(node, component);
-            components.push(component);
-        }
-    }
+    assertAdjacencyList(adjList);
+    return splitIntoComponents(adjList, node => adjList[node]);
+}
 
-    function dfs(node, component) {
-        visited.add(node);
-        component[node] = adjList[node];
 
-        for (let neighbor of adjList[node]) {
-            if (!visited.has(neighbor)) {
-                dfs(neighbor, component);
+function splitIntoComponents(adjList, neighbors) {
+    const components = [];
+    let component = null;
+    // every start node that is not visited yet begins a new component
+    depthFirstSearch(adjList, Object.keys(adjList), {
+        enter(node, parent) {
+            if (parent === null) {
+                component = shareAttributes(adjList, {});
+                components.push(component);
             }
-        }
-    }
-
+            component[node] = adjList[node];
+        },
+    }, {
+        // the neighbors that are not keys of the adjacency list are left out of the components
+        neighbors: node => neighbors(node).filter(neighbor => Object.prototype.hasOwnProperty.call(adjList, neighbor)),
+    });
     return components;
 }
 
@@ -564,9 +768,15 @@ export function isBidirectional(adjacencyList) {
      * @param {object} adjacencyList - an adjacency list of a graph
      * @returns {boolean} true if the graph is bidirectional, false otherwise
      */
+    assertAdjacencyList(adjacencyList);
+    // the neighbors of every node as sets, so that the nodes with many neighbors are not searched every time
+    const neighborSets = new Map();
+    for (const [node, neighbors] of Object.entries(adjacencyList)) {
+        neighborSets.set(node, new Set(neighbors));
+    }
     for (const [node, neighbors] of Object.entries(adjacencyList)) {
         for (const neighbor of neighbors) {
-            if (!adjacencyList[neighbor] || !adjacencyList[neighbor].includes(node)) {
+            if (!neighborSets.has(neighbor) || !neighborSets.get(neighbor).has(node)) {
                 return false;
             }
         }
@@ -581,19 +791,25 @@ export function makeAdjacencyListBidirectional(adjacencyList) {
      * @param {object} adjacencyList - an adjacency list of a graph
      * @returns {object} a bidirectional adjacency list of a graph
      */
+    assertAdjacencyList(adjacencyList);
     const bidirectionalAdjacencyList = {};
-    // add all the nodes to the bidirectional adjacency list
-    for (const node in adjacencyList) {
-        if (!bidirectionalAdjacencyList[node]) {
+    // the neighbors already listed, so that the nodes with many predecessors are not searched every time
+    const listed = new Map();
+    const addNode = (node) => {
+        if (!listed.has(node)) {
             // copy the neighbors from the adjacency list
-            bidirectionalAdjacencyList[node] = [...adjacencyList[node]];
+            bidirectionalAdjacencyList[node] = Object.prototype.hasOwnProperty.call(adjacencyList, node) ? [...adjacencyList[node]] : [];
+            listed.set(node, new Set(bidirectionalAdjacencyList[node]));
         }
+    };
+    // add all the nodes to the bidirectional adjacency list
+    for (const node in adjacencyList) {
+        addNode(node);
         // add the node to the neighbors' list
         for (const neighbor of adjacencyList[node]) {
-            if (!bidirectionalAdjacencyList[neighbor]) {
-                bidirectionalAdjacencyList[neighbor] = [...adjacencyList[neighbor]];
-            }
-            if (!bidirectionalAdjacencyList[neighbor].includes(node)) {
+            addNode(neighbor);
+            if (!listed.get(neighbor).has(node)) {
+                listed.get(neighbor).add(node);
                 bidirectionalAdjacencyList[neighbor].push(node);
             }
         }
@@ -608,6 +824,7 @@ export function getReverseAdjacencyList(adjacencyList) {
      * @param {object} adjacencyList - an adjacency list of a graph
      * @returns {object} the reverse adjacency list of a graph
      */
+    assertAdjacencyList(adjacencyList);
     const reverseAdjacencyList = {};
     for (const node in adjacencyList) {
         for (const neighbor of adjacencyList[node]) {
@@ -630,7 +847,8 @@ export function mergeAdjacencyListsOfUnconnectedGraphs(...adjLists) {
     // Combine the lists into a single object using Object.assign()
     // Does not remove duplicates
     // Use to merge unconnected graphs
-    return Object.assign({}, ...adjLists);
+    adjLists.forEach(adjList => assertAdjacencyList(adjList));
+    return copyAttributes(Object.assign({}, ...adjLists), ...adjLists);
 }
 
 
@@ -643,127 +861,385 @@ export function clearSVG(svg) {
 }
 
 
-export function renderTrees(svg, trees) {
+export function renderTrees(svg, trees, options = {}) {
     /**
      * Renders the multiplr trees in the SVG
      * @param {object} svg - the SVG to render the trees in
      * @param {object[]} trees - the trees to render
+     * @param {object} options - the tree options, see computeTreeLayout (optional)
+     * @returns {object[]} - the layouts of the trees
      */
     // render each tree in the list of trees
-    const treeLayout = initializeTreeLayout();
-    for (const tree of trees) {
-        renderTree(svg, tree, treeLayout);
-    }
+    return trees.map(tree => renderTree(svg, tree, null, options));
 }
 
 
-export function initializeTreeLayout() {
+export function initializeTreeLayout(options = {}) {
     /**
-     * Initializes the tree layout
-     * Used to render the trees
+     * Initializes the d3 tree layout
+     * It gives the same positions as computeTidyTreeLayout, which does not need d3
+     * The horizontal node size is one pixel so that the separation is the distance in pixels between the centers of two nodes,
+     * computed from their widths (their heights in a horizontal tree)
+     * The compact and radial trees are only computed by layoutTree (see tree-layout.js)
+     * @param {object} options - the tree options, e.g. { orientation: "horizontal" }, see DEFAULT_TREE_OPTIONS (optional)
      * @returns {object} the tree layout
      */
     return d3.tree()
-        .nodeSize([50, 50])
-        .separation((a, b) => a.parent === b.parent ? 1 : 2);
+        .nodeSize([1, 1])
+        .separation((a, b) => getTreeSeparation(a, b, { ...DEFAULT_TREE_OPTIONS, ...options }));
 }
 
 
-export function organizeTrees(svg, margin = 25) {
+export function organizeTrees(svg, margin = 25, options = {}) {
     /**
      * Organizes the trees in the SVG
+     * The trees are packed toward the aspect ratio of the window, see packComponents
      * @param {object} svg - the SVG to organize the trees in
      * @param {number} margin - the margin between trees
+     * @param {object} options - the packing options, e.g. the previous packing to keep the trees in place (optional)
+     * @returns {object} - the packing { positions, width, height }, the trees are keyed by their index
      */
     const treeGroup = svg.selectAll(".tree");
 
-    let currentWidth = 0;
-    let currentHeight = margin;
-    let maxHeight = currentHeight;
-
-    const windowWidth = window.innerWidth;
+    const boxes = [];
+    treeGroup.each(function () {
+        boxes.push(this.getBBox());
+    });
+    const packing = packComponents(
+        boxes.map(({ width, height }, key) => ({ key, width, height })),
+        { aspectRatio: window.innerWidth / window.innerHeight, ...options, margin },
+    );
 
     treeGroup.each(function (d, i) {
-        const tree = d3.select(this);
-        const { width, height, x, y } = tree.node().getBBox();
-
-        // draw a bounding box around each tree for debugging
-        tree.append("rect")
-            .attr("x", x)
-            .attr("y", y)
-            .attr("width", width)
-            .attr("height", height)
-            .attr("fill", "none")
-            .attr("stroke", "black")
-            .attr("stroke-width", 1);
-
-        if (maxHeight < height + currentHeight) {
-            maxHeight = height + currentHeight;
-        }
+        const { x, y } = packing.positions[i];
+        d3.select(this).attr("transform", `translate(${margin + x - boxes[i].x}, ${margin + y - boxes[i].y})`);
+    });
 
-        if (currentWidth + width > windowWidth) {
-            currentHeight = margin + maxHeight;
-            currentWidth = 0;
-        }
+    resizeSVG(svg, packing.width + 2 * margin, packing.height + 2 * margin);
+    return packing;
+}
 
-        currentWidth -= x;
-        tree.attr("transform", `translate(${currentWidth}, ${currentHeight})`);
-        currentWidth += width + x + margin;
 
-    });
+export function computeTreeLayout(nestedList, treeLayout = null, options = {}) {
+    /**
+     * Computes the positions of a tree
+     * The result has the same shape as the other layouts so that it can be rendered and scored the same way
+     * The nodes get the size of their width and height attributes, every level is as high as its highest node
+     * @param {object} nestedList - the tree to lay out
+     * @param {object} treeLayout - a d3 tree layout to use instead of layoutTree (optional)
+     * @param {object} options - the tree options { treeLayout, orientation... }, see DEFAULT_TREE_OPTIONS (optional)
+     * @returns {object} - { nodes: {id: {x, y, width, height, attributes}}, edges: [{source, target, points, reversed, attributes}] }
+     */
+    if (!treeLayout) {
+        return layoutTree(nestedList, options);
+    }
+    const root = d3.hierarchy(nestedList);
 
-    svg.attr("height", maxHeight).attr("width", windowWidth);
+    treeLayout(root);
+
+    return hierarchyToLayout(root, options);
 }
 
 
-export function renderTree(svg, nestedList, treeLayout = null) {
+export function renderTree(svg, nestedList, treeLayout = null, options = {}) {
     /**
      * Renders a tree in the SVG
      * @param {object} svg - the SVG to render the tree in
      * @param {object} nestedList - the tree to render
-     * @param {object} treeLayout - the tree layout to use
+     * @param {object} treeLayout - the d3 tree layout to use (optional)
+     * @param {object} options - the tree options, see computeTreeLayout (optional)
+     * @returns {object} - the layout of the tree, see computeTreeLayout
      */
-    if (!treeLayout) {
-        treeLayout = initializeTreeLayout();
-    }
-    // use d3 tree layout to render the tree with nodes as circles and edges as straight lines
-
-    const root = d3.hierarchy(nestedList);
+    // render the tree with nodes as circles and edges as straight lines
+    const layout = computeTreeLayout(nestedList, treeLayout, options);
+    renderLayout(svg, layout);
+    return layout;
+}
 
-    treeLayout(root);
 
-    // create a group for the tree
+export function renderLayout(svg, layout) {
+    /**
+     * Renders a positioned layout (e.g. a layered layout) in the SVG
+     * The layout is rendered in a tree group so that it is organized with the trees
+     * The nodes are drawn with their size, labelled with their label attribute (or their id),
+     * the type attribute of the nodes and edges is added to their classes
+     * The edges are drawn in their directions, with an arrowhead on the border of their target,
+     * the edges that the layout drew against its flow get the reversed class
+     * The containers of the compound graphs (see compound.js) are container groups with their box and their label,
+     * nested like the containers and drawn under the edges and the nodes
+     * @param {object} svg - the SVG to render the layout in
+     * @param {object} layout - the layout to render, with the nodes positions and the edges points
+     * @returns {object} - the rendered layout
+     */
+    const nodes = Object.entries(layout.nodes)
+        .map(([id, node]) => ({ id, ...node }))
+        .filter((d) => !d.container);
+    const line = d3.line()
+        .x((d) => d.x)
+        .y((d) => d.y);
+
+    // create a group for the layout
     const treeGroup = svg.append("g")
         .attr("class", "tree");
+    renderContainers(treeGroup, layout);
 
-    // add edges
+    // add edges, following the points of the long edges, stopping at the borders of the nodes
+    const arrowhead = addArrowheadMarker(svg);
     treeGroup.selectAll(".edge")
-        .data(root.links())
+        .data(layout.edges.filter((d) => d.points.length > 1))
         .enter()
-        .append("line")
-        .attr("class", "link")
-        .attr("x1", (d) => d.source.x)
-        .attr("y1", (d) => d.source.y)
-        .attr("x2", (d) => d.target.x)
-        .attr("y2", (d) => d.target.y);
+        .append("path")
+        .attr("class", (d) => getElementClass("link", d.attributes) + (d.reversed ? " reversed" : ""))
+        .attr("d", (d) => line(clipRoute(d.points, layout.nodes[d.source], layout.nodes[d.target])))
+        .attr("marker-end", `url(#${arrowhead})`);
 
     // add nodes
     treeGroup.selectAll(".node")
-        .data(root.descendants())
+        .data(nodes)
         .enter()
-        .append("circle")
-        .attr("class", "node")
+        .append("ellipse")
+        .attr("class", (d) => getElementClass("node", d.attributes))
         .attr("cx", (d) => d.x)
         .attr("cy", (d) => d.y)
-        .attr("r", 20);
+        .attr("rx", (d) => d.width / 2)
+        .attr("ry", (d) => d.height / 2);
 
     // add labels
     treeGroup.selectAll(".label")
-        .data(root.descendants())
+        .data(nodes)
         .enter()
         .append("text")
         .attr("class", "label")
         .attr("x", (d) => d.x)
         .attr("y", (d) => d.y + 7)
-        .text((d) => d.data.id);
-}
\ No newline at end of file
+        .text((d) => d.attributes?.label ?? d.id);
+
+    return layout;
+}
+
+
+export function renderGraphLayout(svg, layout, margin = 25) {
+    /**
+     * Renders the layout of a whole graph computed by computeLayout (layout.js)
+     * Every component is rendered in its own tree group, at the position computed by the layout,
+     * and the SVG takes the size of the layout
+     * @param {object} svg - the SVG to render the layout in
+     * @param {object} layout - the layout of the graph
+     * @param {number} margin - the margin around the layout
+     * @returns {object} - the rendered layout
+     */
+    const components = layout.components.map(() => ({ nodes: {}, edges: [] }));
+    for (const node in layout.nodes) {
+        components[layout.nodes[node].component].nodes[node] = layout.nodes[node];
+    }
+    for (const edge of layout.edges) {
+        components[edge.component].edges.push(edge);
+    }
+    const graphGroup = svg.append("g")
+        .attr("class", "graph")
+        .attr("transform", `translate(${margin}, ${margin})`);
+    components.forEach(component => renderLayout(graphGroup, component));
+
+    resizeSVG(svg, layout.width + 2 * margin, layout.height + 2 * margin);
+    return layout;
+}
+
+
+export function updateGraphLayout(svg, layout, margin = 25, duration = 500) {
+    /**
+     * Renders the layout of a whole graph computed by computeLayout, over the previous rendering of this function
+     * The containers, edges and nodes are joined with their previous elements by their ids: the kept ones move to their
+     * new positions with a transition, the new ones fade in and the removed ones fade out
+     * The elements are in layers (containers, links, nodes and labels) rather than in a group per component, the nodes
+     * move from one component to another while the graph is edited. The data of every element is its node ({ id, ...node })
+     * or its edge
+     * @param {object} svg - the SVG to render the layout in
+     * @param {object} layout - the layout of the graph
+     * @param {number} margin - the margin around the layout
+     * @param {number} duration - the duration of the transitions in milliseconds, 0 to move the elements at once
+     * @returns {object} - the rendered layout
+     */
+    let graphGroup = svg.select("g.graph");
+    if (graphGroup.empty()) {
+        graphGroup = svg.append("g")
+            .attr("class", "graph");
+        for (const layer of ["containers", "links", "nodes", "labels"]) {
+            graphGroup.append("g").attr("class", layer);
+        }
+    }
+    graphGroup.attr("transform", `translate(${margin}, ${margin})`);
+    resizeSVG(svg, layout.width + 2 * margin, layout.height + 2 * margin);
+
+    const transition = d3.transition().duration(duration);
+    const animate = (selection) => duration > 0 ? selection.transition(transition) : selection.interrupt();
+    const fadeOut = (selection) => {
+        if (duration > 0) {
+            selection.transition(transition).style("opacity", 0).remove();
+        } else {
+            selection.remove();
+        }
+    };
+    const nodes = Object.entries(layout.nodes).map(([id, node]) => ({ id, ...node }));
+    const line = d3.line()
+        .x((d) => d.x)
+        .y((d) => d.y);
+    const arrowhead = addArrowheadMarker(svg);
+
+    // the containers, the outer ones first
+    const containers = graphGroup.select(".containers").selectAll("g.container")
+        .data(nodes.filter((d) => d.container).sort((a, b) => a.depth - b.depth), (d) => d.id);
+    fadeOut(containers.exit());
+    const newContainers = containers.enter()
+        .append("g")
+        .style("opacity", 0);
+    newContainers.append("rect")
+        .attr("class", "container-box");
+    newContainers.append("text")
+        .attr("class", "container-label");
+    const allContainers = newContainers.merge(containers)
+        .order()
+        .attr("class", (d) => getElementClass("container", d.attributes));
+    const setContainerPositions = (selection) => {
+        selection.select("rect")
+            .attr("x", (d) => d.x - d.width / 2)
+            .attr("y", (d) => d.y - d.height / 2)
+            .attr("width", (d) => d.width)
+            .attr("height", (d) => d.height);
+        selection.select("text")
+            .attr("x", (d) => d.x)
+            .attr("y", (d) => d.y - d.height / 2 + 18);
+    };
+    setContainerPositions(newContainers);
+    allContainers.select("text").text((d) => d.attributes?.label ?? d.id);
+    animate(allContainers).style("opacity", 1).call(setContainerPositions);
+
+    // the edges
+    const links = graphGroup.select(".links").selectAll("path.link")
+        .data(layout.edges.filter((d) => d.points.length > 1), (d) => JSON.stringify([d.source, d.target]));
+    fadeOut(links.exit());
+    const getPath = (d) => line(clipRoute(d.points, layout.nodes[d.source], layout.nodes[d.target]));
+    const newLinks = links.enter()
+        .append("path")
+        .style("opacity", 0)
+        .attr("d", getPath);
+    const allLinks = newLinks.merge(links)
+        .attr("class", (d) => getElementClass("link", d.attributes) + (d.reversed ? " reversed" : ""))
+        .attr("marker-end", `url(#${arrowhead})`);
+    animate(allLinks).style("opacity", 1).attr("d", getPath);
+
+    // the nodes and their labels
+    const leaves = nodes.filter((d) => !d.container);
+    const ellipses = graphGroup.select(".nodes").selectAll("ellipse.node")
+        .data(leaves, (d) => d.id);
+    fadeOut(ellipses.exit());
+    const newEllipses = ellipses.enter()
+        .append("ellipse")
+        .style("opacity", 0)
+        .attr("cx", (d) => d.x)
+        .attr("cy", (d) => d.y);
+    const allEllipses = newEllipses.merge(ellipses)
+        .attr("class", (d) => getElementClass("node", d.attributes));
+    animate(allEllipses)
+        .style("opacity", 1)
+        .attr("cx", (d) => d.x)
+        .attr("cy", (d) => d.y)
+        .attr("rx", (d) => d.width / 2)
+        .attr("ry", (d) => d.height / 2);
+
+    const labels = graphGroup.select(".labels").selectAll("text.label")
+        .data(leaves, (d) => d.id);
+    fadeOut(labels.exit());
+    const newLabels = labels.enter()
+        .append("text")
+        .attr("class", "label")
+        .style("opacity", 0)
+        .attr("x", (d) => d.x)
+        .attr("y", (d) => d.y + 7);
+    const allLabels = newLabels.merge(labels)
+        .text((d) => d.attributes?.label ?? d.id);
+    animate(allLabels)
+        .style("opacity", 1)
+        .attr("x", (d) => d.x)
+        .attr("y", (d) => d.y + 7);
+
+    return layout;
+}
+
+
+function resizeSVG(svg, width, height) {
+    /**
+     * Gives the SVG the size of its content, unless the content is rendered in a group of the SVG
+     * (e.g. the content of a Viewport, whose SVG keeps its size)
+     * @param {object} svg - the SVG, or the group the content is rendered in
+     * @param {number} width - the width of the content
+     * @param {number} height - the height of the content
+     */
+    if (svg.node().tagName.toLowerCase() === "svg") {
+        svg.attr("width", width).attr("height", height);
+    }
+}
+
+
+function renderContainers(group, layout) {
+    /**
+     * Renders the containers of a layout, every container is a group in the group of its container
+     * with its box and its label at the top
+     * @param {object} group - the group of the layout
+     * @param {object} layout - the layout, whose containers have { container: true, parent, depth }
+     */
+    const containers = Object.entries(layout.nodes)
+        .map(([id, node]) => ({ id, ...node }))
+        .filter((d) => d.container)
+        .sort((a, b) => a.depth - b.depth);
+    const groups = new Map();
+    for (const container of containers) {
+        const containerGroup = (groups.get(container.parent) || group).append("g")
+            .datum(container)
+            .attr("class", getElementClass("container", container.attributes));
+        containerGroup.append("rect")
+            .attr("class", "container-box")
+            .attr("x", container.x - container.width / 2)
+            .attr("y", container.y - container.height / 2)
+            .attr("width", container.width)
+            .attr("height", container.height);
+        containerGroup.append("text")
+            .attr("class", "container-label")
+            .attr("x", container.x)
+            .attr("y", container.y - container.height / 2 + 18)
+            .text(container.attributes?.label ?? container.id);
+        groups.set(container.id, containerGroup);
+    }
+}
+
+
+function addArrowheadMarker(svg) {
+    /**
+     * Adds the arrowhead marker of the edges to the SVG, once
+     * @param {object} svg - the SVG, or a group of the SVG
+     * @returns {string} - the id of the marker
+     */
+    const id = "arrowhead";
+    const root = d3.select(svg.node().ownerSVGElement || svg.node());
+    if (root.select(`#${id}`).empty()) {
+        const defs = root.select("defs").empty() ? root.insert("defs", ":first-child") : root.select("defs");
+        // the tip of the arrowhead is at the end of the edge
+        defs.append("marker")
+            .attr("id", id)
+            .attr("class", "arrowhead")
+            .attr("viewBox", "0 0 10 10")
+            .attr("refX", 10)
+            .attr("refY", 5)
+            .attr("markerWidth", 10)
+            .attr("markerHeight", 10)
+            .attr("markerUnits", "userSpaceOnUse")
+            .attr("orient", "auto")
+            .append("path")
+            .attr("d", "M0,0L10,5L0,10z");
+    }
+    return id;
+}
+
+
+function getElementClass(className, attributes) {
+    return attributes?.type ? `${className} ${attributes.type}` : className;
+}
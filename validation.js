@@ -0,0 +1,196 @@
+/**
+ * Validation of the inputs of the graph operations
+ * The public functions check their inputs with the assert functions, which throw the errors of errors.js
+ * The checks that are linear in the size of the graph are only done by the functions that read the whole graph,
+ * the mutations only check the nodes and edges they touch
+ *
+ * validateGraph reports the issues of an adjacency list: its structure, and the dangling references, self-loops
+ * and duplicate neighbors, which the functions accept but are often mistakes
+ */
+
+import {
+    InvalidAdjacencyListError,
+    InvalidArgumentError,
+    InvalidNodeError,
+    UnknownEdgeError,
+    UnknownNodeError,
+} from "./errors.js";
+
+
+/**
+ * Returns the issues of an adjacency list
+ * Every issue is { type, node, neighbor, message }, the types being:
+ * - invalidAdjacencyList: the adjacency list is not an object
+ * - invalidNeighbors: the neighbors of a node are not an array
+ * - invalidNode: a neighbor is neither a string nor a finite number
+ * - danglingReference: a neighbor is not a key of the adjacency list
+ * - selfLoop: a node is its own neighbor
+ * - duplicateNeighbor: a node has the same neighbor more than once (reported once)
+ * @param {object} adjList - the adjacency list of the graph
+ * @returns {object} - { valid, issues }, valid is true when there is no issue
+ */
+export function validateGraph(adjList) {
+    const issues = getStructureIssues(adjList, true);
+    if (issues.some(issue => issue.type === "invalidAdjacencyList")) {
+        return { valid: false, issues };
+    }
+    for (const node in adjList) {
+        if (!Array.isArray(adjList[node])) {
+            continue;
+        }
+        const seen = new Set();
+        const duplicates = new Set();
+        for (const neighbor of adjList[node]) {
+            if (!isNodeId(neighbor)) {
+                continue;
+            }
+            const id = String(neighbor);
+            if (seen.has(id)) {
+                if (!duplicates.has(id)) {
+                    duplicates.add(id);
+                    issues.push({ type: "duplicateNeighbor", node, neighbor, message: `the node ${node} has the neighbor ${id} more than once` });
+                }
+                continue;
+            }
+            seen.add(id);
+            if (id === node) {
+                issues.push({ type: "selfLoop", node, neighbor, message: `the node ${node} has an edge to itself` });
+            } else if (!hasOwn(adjList, id)) {
+                issues.push({ type: "danglingReference", node, neighbor, message: `the neighbor ${id} of ${node} is not a node of the adjacency list` });
+            }
+        }
+    }
+    return { valid: issues.length === 0, issues };
+}
+
+
+export function isNodeId(node) {
+    return typeof node === "string" || (typeof node === "number" && Number.isFinite(node));
+}
+
+
+export function assertNodeId(node) {
+    if (!isNodeId(node)) {
+        throw new InvalidNodeError(node);
+    }
+}
+
+
+/**
+ * Returns the node id as a string, the type of the keys of the adjacency lists, so that 1 and "1" are the same node
+ * The mutations convert the ids they are given, the neighbor arrays only hold strings
+ * @throws {InvalidNodeError} - if the node is neither a string nor a finite number
+ */
+export function toNodeId(node) {
+    assertNodeId(node);
+    return String(node);
+}
+
+
+/**
+ * Throws if the adjacency list is not an object of arrays of node ids
+ * @param {object} adjList - the adjacency list
+ * @param {boolean} checkNeighbors - false to only check that it is an object, for the checks in constant time (optional)
+ */
+export function assertAdjacencyList(adjList, checkNeighbors = true) {
+    const issues = getStructureIssues(adjList, checkNeighbors);
+    if (issues.length > 0) {
+        const more = issues.length > 1 ? ` (and ${issues.length - 1} more issues)` : "";
+        throw new InvalidAdjacencyListError(`Invalid adjacency list: ${issues[0].message}${more}`, issues);
+    }
+}
+
+
+/**
+ * Throws if the node is not a node of the adjacency list
+ */
+export function assertNode(adjList, node) {
+    assertNodeId(node);
+    if (!hasOwn(adjList, node)) {
+        throw new UnknownNodeError(node);
+    }
+}
+
+
+/**
+ * Throws if the edge is not an edge of the adjacency list
+ */
+export function assertEdge(adjList, source, target) {
+    assertNode(adjList, source);
+    assertNodeId(target);
+    if (!adjList[source].includes(String(target))) {
+        throw new UnknownEdgeError(source, target);
+    }
+}
+
+
+/**
+ * Throws if the neighbors are not an array of node ids
+ */
+export function assertNeighbors(neighbors) {
+    if (!Array.isArray(neighbors)) {
+        throw new InvalidArgumentError(`The neighbors of a node are an array, got ${describe(neighbors)}`);
+    }
+    for (const neighbor of neighbors) {
+        assertNodeId(neighbor);
+    }
+}
+
+
+/**
+ * Throws if the components are not an array of adjacency lists with no node in common
+ * @param {object[]} components - the adjacency lists of the connected components
+ */
+export function assertComponents(components) {
+    if (!Array.isArray(components)) {
+        throw new InvalidArgumentError(`The components are an array of adjacency lists, got ${describe(components)}`);
+    }
+    const nodes = new Set();
+    for (const component of components) {
+        assertAdjacencyList(component);
+        for (const node in component) {
+            if (nodes.has(node)) {
+                const message = `The node ${node} is in several components`;
+                throw new InvalidAdjacencyListError(message, [{ type: "sharedNode", node, message }]);
+            }
+            nodes.add(node);
+        }
+    }
+}
+
+
+function getStructureIssues(adjList, checkNeighbors) {
+    if (adjList === null || typeof adjList !== "object" || Array.isArray(adjList)) {
+        return [{ type: "invalidAdjacencyList", message: `an adjacency list is an object, got ${describe(adjList)}` }];
+    }
+    const issues = [];
+    if (!checkNeighbors) {
+        return issues;
+    }
+    for (const node in adjList) {
+        const neighbors = adjList[node];
+        if (!Array.isArray(neighbors)) {
+            issues.push({ type: "invalidNeighbors", node, message: `the neighbors of ${node} are not an array: ${describe(neighbors)}` });
+            continue;
+        }
+        for (const neighbor of neighbors) {
+            if (!isNodeId(neighbor)) {
+                issues.push({ type: "invalidNode", node, neighbor, message: `a neighbor of ${node} is not a node id: ${describe(neighbor)}` });
+            }
+        }
+    }
+    return issues;
+}
+
+
+function hasOwn(adjList, node) {
+    return Object.prototype.hasOwnProperty.call(adjList, node);
+}
+
+
+function describe(value) {
+    if (Array.isArray(value)) {
+        return "an array";
+    }
+    return value === null ? "null" : typeof value === "object" ? "an object" : `${typeof value} ${String(value)}`;
+}
@@ -0,0 +1,278 @@
+/**
+ * Viewport of the large diagrams: pan and zoom with the mouse and touch (drag, wheel, pinch), fit to the content,
+ * zoom to a node or a component, and a minimap of the whole layout showing the visible part
+ * The diagram is rendered in the content group of the viewport (e.g. with updateGraphLayout or renderGraphLayout),
+ * which the zoom transforms, the SVG keeps its size
+ * The coordinates of the content are the ones of the layout shifted by the margin of the rendering
+ */
+
+import { InvalidArgumentError, UnknownNodeError } from "./errors.js";
+
+
+const DEFAULT_OPTIONS = {
+    // the smallest and the largest zoom
+    scaleExtent: [0.02, 8],
+    // the space kept around the content, the node or the component zoomed to, in pixels of the screen
+    padding: 20,
+    // the duration of the transitions in milliseconds
+    duration: 500,
+    // the factor of zoomIn and zoomOut
+    zoomStep: 1.5,
+    // the keyboard shortcuts: f fits the content, + and - zoom in and out
+    keyboard: true,
+    // the minimap in the bottom right corner, null for none
+    minimap: { width: 200, height: 150, margin: 10 },
+};
+
+
+export class Viewport {
+    /**
+     * @param {object} svg - the d3 selection of the SVG
+     * @param {object} options - see DEFAULT_OPTIONS (optional)
+     */
+    constructor(svg, options = {}) {
+        this.svg = svg;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.layout = null;
+        this.margin = 0;
+        this.content = svg.append("g")
+            .attr("class", "viewport");
+        this.zoom = d3.zoom()
+            .scaleExtent(this.options.scaleExtent)
+            .extent(() => [[0, 0], [this.size.width, this.size.height]])
+            .on("zoom", () => {
+                this.content.attr("transform", d3.event.transform);
+                this.renderMinimapView();
+            });
+        // the double clicks are left to the diagram (e.g. the editor adds nodes)
+        svg.call(this.zoom)
+            .on("dblclick.zoom", null);
+
+        this.minimap = null;
+        if (this.options.minimap) {
+            // an SVG of its own, which clips the view to the minimap
+            this.minimap = svg.append("svg")
+                .attr("class", "minimap");
+            this.minimap.append("rect")
+                .attr("class", "minimap-background");
+            this.minimap.append("g")
+                .attr("class", "minimap-content");
+            this.minimap.append("rect")
+                .attr("class", "minimap-view");
+            // dragging on the minimap centers the view on the pointer
+            this.minimap.call(d3.drag()
+                .on("start drag", () => {
+                    const [x, y] = d3.mouse(this.minimap.select(".minimap-content").node());
+                    this.centerOn(x, y, this.transform.k, 0);
+                }));
+        }
+
+        if (this.options.keyboard) {
+            d3.select(svg.node().ownerDocument).on("keydown.viewport", () => {
+                if (d3.event.key === "f") {
+                    this.fitToContent();
+                } else if (d3.event.key === "+" || d3.event.key === "=") {
+                    this.zoomIn();
+                } else if (d3.event.key === "-") {
+                    this.zoomOut();
+                }
+            });
+        }
+    }
+
+    /**
+     * The size of the SVG on the screen
+     */
+    get size() {
+        const node = this.svg.node();
+        return {
+            width: node.clientWidth || Number(this.svg.attr("width")) || 0,
+            height: node.clientHeight || Number(this.svg.attr("height")) || 0,
+        };
+    }
+
+    /**
+     * The current zoom transform { x, y, k }
+     */
+    get transform() {
+        return d3.zoomTransform(this.svg.node());
+    }
+
+    /**
+     * Gives the viewport the layout rendered in its content, for the zooms to its nodes and components and the minimap
+     * @param {object} layout - the layout of the graph, computed by computeLayout
+     * @param {number} margin - the margin of the rendering of the layout (optional)
+     */
+    update(layout, margin = 0) {
+        this.layout = layout;
+        this.margin = margin;
+        this.renderMinimap();
+    }
+
+    /**
+     * Shows the whole layout
+     * @param {number} duration - the duration of the transition (optional)
+     */
+    fitToContent(duration = this.options.duration) {
+        if (this.layout) {
+            this.zoomToBox({ x: 0, y: 0, width: this.layout.width + 2 * this.margin, height: this.layout.height + 2 * this.margin }, duration);
+        }
+    }
+
+    /**
+     * Centers the view on a node
+     * @param {string} node - the node
+     * @param {number} scale - the zoom (optional, the current one, at least 1)
+     * @param {number} duration - the duration of the transition (optional)
+     * @throws {UnknownNodeError} - if the node is not in the layout
+     */
+    zoomToNode(node, scale = Math.max(1, this.transform.k), duration = this.options.duration) {
+        const position = this.layout?.nodes[node];
+        if (!position) {
+            throw new UnknownNodeError(node);
+        }
+        this.centerOn(position.x + this.margin, position.y + this.margin, scale, duration);
+    }
+
+    /**
+     * Shows a component of the layout
+     * @param {number} component - the index of the component in the layout
+     * @param {number} duration - the duration of the transition (optional)
+     * @throws {InvalidArgumentError} - if the component is not in the layout
+     */
+    zoomToComponent(component, duration = this.options.duration) {
+        const box = this.layout?.components?.[component];
+        if (!box) {
+            throw new InvalidArgumentError(`The component ${component} is not in the layout of the viewport`);
+        }
+        this.zoomToBox({ x: box.x + this.margin, y: box.y + this.margin, width: box.width, height: box.height }, duration);
+    }
+
+    /**
+     * Shows a box of the content, as large as possible within the zoom extent
+     * @param {object} box - { x, y, width, height } in the coordinates of the content
+     * @param {number} duration - the duration of the transition (optional)
+     */
+    zoomToBox(box, duration = this.options.duration) {
+        const { width, height } = this.size;
+        const [minScale, maxScale] = this.options.scaleExtent;
+        const padding = this.options.padding;
+        const scale = Math.min(
+            (width - 2 * padding) / Math.max(box.width, 1),
+            (height - 2 * padding) / Math.max(box.height, 1),
+        );
+        this.centerOn(box.x + box.width / 2, box.y + box.height / 2, Math.max(minScale, Math.min(maxScale, scale)), duration);
+    }
+
+    /**
+     * Centers the view on a point of the content
+     * @param {number} x - the x of the point
+     * @param {number} y - the y of the point
+     * @param {number} scale - the zoom
+     * @param {number} duration - the duration of the transition (optional)
+     */
+    centerOn(x, y, scale, duration = this.options.duration) {
+        const { width, height } = this.size;
+        this.setTransform(d3.zoomIdentity.translate(width / 2 - scale * x, height / 2 - scale * y).scale(scale), duration);
+    }
+
+    zoomIn(duration = this.options.duration) {
+        this.zoomBy(this.options.zoomStep, duration);
+    }
+
+    zoomOut(duration = this.options.duration) {
+        this.zoomBy(1 / this.options.zoomStep, duration);
+    }
+
+    /**
+     * Zooms around the center of the SVG
+     * @param {number} factor - the factor of the zoom
+     * @param {number} duration - the duration of the transition (optional)
+     */
+    zoomBy(factor, duration = this.options.duration) {
+        if (duration > 0) {
+            this.svg.transition().duration(duration).call(this.zoom.scaleBy, factor);
+        } else {
+            this.svg.call(this.zoom.scaleBy, factor);
+        }
+    }
+
+    setTransform(transform, duration = this.options.duration) {
+        if (duration > 0) {
+            this.svg.transition().duration(duration).call(this.zoom.transform, transform);
+        } else {
+            this.svg.call(this.zoom.transform, transform);
+        }
+    }
+
+    /**
+     * Draws the layout in the minimap, to call when the SVG is resized
+     * The components are drawn with their boxes and the nodes as rectangles
+     */
+    renderMinimap() {
+        if (!this.minimap || !this.layout) {
+            return;
+        }
+        const { width, height, margin } = this.options.minimap;
+        const size = this.size;
+        const contentWidth = this.layout.width + 2 * this.margin;
+        const contentHeight = this.layout.height + 2 * this.margin;
+        const scale = Math.min(width / Math.max(contentWidth, 1), height / Math.max(contentHeight, 1));
+        this.minimap
+            .attr("x", size.width - width - margin)
+            .attr("y", size.height - height - margin)
+            .attr("width", width)
+            .attr("height", height);
+        this.minimap.select(".minimap-background")
+            .attr("width", width)
+            .attr("height", height);
+        const content = this.minimap.select(".minimap-content")
+            .attr("transform", `translate(${(width - scale * contentWidth) / 2}, ${(height - scale * contentHeight) / 2}) scale(${scale})`);
+
+        const components = content.selectAll(".minimap-component")
+            .data(this.layout.components || []);
+        components.exit().remove();
+        components.enter()
+            .append("rect")
+            .attr("class", "minimap-component")
+            .merge(components)
+            .attr("x", (d) => d.x + this.margin)
+            .attr("y", (d) => d.y + this.margin)
+            .attr("width", (d) => d.width)
+            .attr("height", (d) => d.height);
+
+        const nodes = content.selectAll(".minimap-node")
+            .data(Object.values(this.layout.nodes).filter((d) => !d.container));
+        nodes.exit().remove();
+        nodes.enter()
+            .append("rect")
+            .attr("class", "minimap-node")
+            .merge(nodes)
+            .attr("x", (d) => d.x - d.width / 2 + this.margin)
+            .attr("y", (d) => d.y - d.height / 2 + this.margin)
+            .attr("width", (d) => d.width)
+            .attr("height", (d) => d.height);
+
+        this.renderMinimapView();
+    }
+
+    /**
+     * Draws the visible part of the content in the minimap
+     */
+    renderMinimapView() {
+        if (!this.minimap || !this.layout) {
+            return;
+        }
+        const transform = this.transform;
+        const { width, height } = this.size;
+        const [x0, y0] = transform.invert([0, 0]);
+        const [x1, y1] = transform.invert([width, height]);
+        // the view is drawn in the coordinates of the content of the minimap
+        this.minimap.select(".minimap-view")
+            .attr("transform", this.minimap.select(".minimap-content").attr("transform"))
+            .attr("x", x0)
+            .attr("y", y0)
+            .attr("width", x1 - x0)
+            .attr("height", y1 - y0);
+    }
+}